@@ -0,0 +1,39 @@
+/**
+ * Protocol adapters for upstreams that do not speak the OpenAI API
+ */
+
+import { anthropicAdapter } from './anthropic.js';
+import { geminiAdapter } from './gemini.js';
+import { ollamaAdapter } from './ollama.js';
+
+// Protocols a provider can speak; "openai" requests are forwarded as they are
+export const PROVIDER_PROTOCOLS = ['openai', 'anthropic', 'gemini', 'ollama'];
+
+// Adapter for each non-OpenAI protocol. An adapter has:
+// - endpoints: the OpenAI endpoints it can serve
+// - defaultPathPrefix: the path prefix used when the provider does not set one
+// - probePath: the path (after the prefix) requested by health probes
+// - authHeaders(apiKey): the headers that carry the upstream API key
+// - buildUrl(base, payload): the upstream URL, given the base URL with its path prefix
+// - buildRequest(payload), translateResponse(body, payload), translateError(body, status):
+//   translation of request, response and error bodies
+// - createStreamTranslator(payload): processEventStream handlers that produce OpenAI SSE chunks
+const ADAPTERS = {
+  anthropic: anthropicAdapter,
+  gemini: geminiAdapter,
+  ollama: ollamaAdapter
+};
+
+// Get the adapter for a protocol, or null for OpenAI-compatible upstreams
+export function getAdapter(protocol) {
+  return ADAPTERS[protocol] || null;
+}
+
+// The path prefix for a provider: its own, or its protocol's default
+export function providerPathPrefix(provider) {
+  if (provider.pathPrefix != null) {
+    return provider.pathPrefix;
+  }
+  const adapter = getAdapter(provider.protocol);
+  return adapter ? adapter.defaultPathPrefix : '/v1';
+}
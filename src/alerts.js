@@ -0,0 +1,177 @@
+/**
+ * Alert rules over the request rollups, their firing state, and webhook payloads for generic, Slack, Feishu and DingTalk receivers
+ */
+
+// Conditions a rule can watch, with how each one's value is described in notifications
+// upstreamUnauthorized fires when every request to the rule's upstream in the window got a 401
+export const ALERT_CONDITIONS = {
+  errorRate: { label: 'Error rate', unit: '%', windowed: true },
+  p99Latency: { label: 'p99 latency', unit: 'ms', windowed: true },
+  dailyRequests: { label: 'Requests today', unit: '', windowed: false },
+  dailyTokens: { label: 'Tokens today', unit: '', windowed: false },
+  upstreamUnauthorized: { label: '401 responses', unit: '%', windowed: true }
+};
+
+// Payload formats a webhook can receive
+export const WEBHOOK_FORMATS = ['generic', 'slack', 'feishu', 'dingtalk'];
+
+// Settings used for any field a rule does not set
+export const DEFAULT_ALERT_RULE = {
+  enabled: true,
+  windowMinutes: 5,
+  // Requests the window must hold before a windowed condition is judged, so one failure is not a 100% error rate
+  minRequests: 10,
+  // Least time between two firing notifications of a rule
+  cooldownMinutes: 60
+};
+
+// Longest window a rule may look back over; minute rollups are kept for two days
+const MAX_WINDOW_MINUTES = 24 * 60;
+
+// Rule names are used in URLs
+const RULE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Validate an alert rule, returning an error message or null
+export function validateAlertRule(rule) {
+  if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+    return 'Invalid alert rule';
+  }
+
+  if (typeof rule.name !== 'string' || !RULE_NAME_PATTERN.test(rule.name)) {
+    return 'Invalid name (letters, digits, ".", "_" and "-" only)';
+  }
+
+  if (!ALERT_CONDITIONS[rule.condition]) {
+    return `Invalid condition (one of ${Object.keys(ALERT_CONDITIONS).join(', ')})`;
+  }
+
+  if (rule.condition === 'upstreamUnauthorized') {
+    if (typeof rule.upstream !== 'string' || !rule.upstream) {
+      return 'upstreamUnauthorized rules need an upstream';
+    }
+  } else if (typeof rule.threshold !== 'number' || !(rule.threshold > 0)) {
+    return 'Invalid threshold';
+  }
+
+  if (rule.upstream != null && typeof rule.upstream !== 'string') {
+    return 'Invalid upstream';
+  }
+
+  if (rule.enabled != null && typeof rule.enabled !== 'boolean') {
+    return 'Invalid enabled';
+  }
+
+  if (rule.windowMinutes != null && (!Number.isInteger(rule.windowMinutes) || rule.windowMinutes < 1 || rule.windowMinutes > MAX_WINDOW_MINUTES)) {
+    return `Invalid windowMinutes (1 to ${MAX_WINDOW_MINUTES})`;
+  }
+
+  for (const field of ['minRequests', 'cooldownMinutes']) {
+    if (rule[field] != null && (!Number.isInteger(rule[field]) || rule[field] < 0)) {
+      return `Invalid ${field}`;
+    }
+  }
+
+  const webhook = rule.webhook;
+  if (typeof webhook !== 'object' || webhook === null) {
+    return 'Missing webhook';
+  }
+  try {
+    const url = new URL(webhook.url);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('Unsupported protocol');
+    }
+  } catch (error) {
+    return 'Invalid webhook.url';
+  }
+  if (webhook.format != null && !WEBHOOK_FORMATS.includes(webhook.format)) {
+    return `Invalid webhook.format (one of ${WEBHOOK_FORMATS.join(', ')})`;
+  }
+
+  return null;
+}
+
+// Build the stored form of an alert rule from validated settings
+// A webhook URL imported from an environment variable keeps its variable name until the URL is changed
+export function normalizeAlertRule(data, existing, now = new Date().toISOString()) {
+  const sameUrl = existing && existing.webhook.url === data.webhook.url;
+  return {
+    ...DEFAULT_ALERT_RULE,
+    name: data.name,
+    condition: data.condition,
+    threshold: data.condition === 'upstreamUnauthorized' ? null : data.threshold,
+    upstream: data.upstream || null,
+    enabled: data.enabled ?? DEFAULT_ALERT_RULE.enabled,
+    windowMinutes: data.windowMinutes ?? DEFAULT_ALERT_RULE.windowMinutes,
+    minRequests: data.minRequests ?? DEFAULT_ALERT_RULE.minRequests,
+    cooldownMinutes: data.cooldownMinutes ?? DEFAULT_ALERT_RULE.cooldownMinutes,
+    webhook: {
+      url: data.webhook.url,
+      format: data.webhook.format || 'generic',
+      urlEnv: data.webhook.urlEnv || (sameUrl ? existing.webhook.urlEnv || null : null)
+    },
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+}
+
+// Whether a rule's condition holds for a measured value, given the requests it was measured over
+export function isAlertFiring(rule, measurement) {
+  if (!measurement || measurement.value === null) {
+    return false;
+  }
+  if (ALERT_CONDITIONS[rule.condition].windowed && measurement.requests < Math.max(rule.minRequests, 1)) {
+    return false;
+  }
+  if (rule.condition === 'upstreamUnauthorized') {
+    return measurement.value === 100;
+  }
+  return measurement.value >= rule.threshold;
+}
+
+// Move a rule's state on by one evaluation, returning { state, notify } where notify is
+// 'firing', 'resolved' or null
+// A rule notifies once when it starts firing (and not again until it resolves), and not at all
+// while it is cooling down from its last firing notification; it then fires on a later evaluation
+export function advanceAlertState(rule, state = {}, firing, value, now = Date.now()) {
+  const next = { ...state, value, evaluatedAt: new Date(now).toISOString() };
+
+  if (firing && !state.firing) {
+    const lastFiredAt = state.lastFiredAt ? Date.parse(state.lastFiredAt) : 0;
+    if (now - lastFiredAt < rule.cooldownMinutes * 60 * 1000) {
+      return { state: next, notify: null };
+    }
+    return { state: { ...next, firing: true, lastFiredAt: next.evaluatedAt }, notify: 'firing' };
+  }
+
+  if (!firing && state.firing) {
+    return { state: { ...next, firing: false, resolvedAt: next.evaluatedAt }, notify: 'resolved' };
+  }
+
+  return { state: next, notify: null };
+}
+
+// Describe a notification in one line
+export function alertMessage(alert) {
+  const { label, unit, windowed } = ALERT_CONDITIONS[alert.condition];
+  const prefix = { firing: '[FIRING]', resolved: '[RESOLVED]', test: '[TEST]' }[alert.status];
+  const value = alert.value === null || alert.value === undefined ? 'no data' : `${alert.value}${unit}`;
+  const scope = alert.upstream ? ` on ${alert.upstream}` : '';
+  const period = windowed ? ` over the last ${alert.windowMinutes} min` : '';
+  const threshold = alert.condition === 'upstreamUnauthorized' ? '' : ` (threshold ${alert.threshold}${unit})`;
+  return `${prefix} LLM Proxy alert ${alert.rule}: ${label}${scope}${period} is ${value}${threshold}`;
+}
+
+// The JSON body posted to a webhook in its format
+export function webhookPayload(format, alert) {
+  const text = alertMessage(alert);
+  switch (format) {
+    case 'slack':
+      return { text };
+    case 'feishu':
+      return { msg_type: 'text', content: { text } };
+    case 'dingtalk':
+      return { msgtype: 'text', text: { content: text } };
+    default:
+      return { ...alert, message: text };
+  }
+}
@@ -0,0 +1,683 @@
+/**
+ * Anthropic Messages API compatibility: translation between /v1/messages and OpenAI chat completions,
+ * for Anthropic-shaped clients and for Anthropic upstreams
+ */
+
+import { encodeEvent, parseEventData } from './sse.js';
+import {
+  chatChunkEvent,
+  chatCompletion,
+  chatMessage,
+  chatStream,
+  chatUsage,
+  contentText,
+  openAIError,
+  parseDataUrl,
+  parseToolArguments,
+  stopSequences
+} from './openai.js';
+
+// API version sent to Anthropic upstreams
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Anthropic requires max_tokens; requests that leave it out get this
+const DEFAULT_MAX_TOKENS = 4096;
+
+// OpenAI finish reasons and the Anthropic stop reasons they correspond to
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+// Anthropic error types by HTTP status
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  529: 'overloaded_error'
+};
+
+// Build an Anthropic error body for a status and message
+export function anthropicError(status, message) {
+  return {
+    type: 'error',
+    error: {
+      type: ERROR_TYPES[status] || (status >= 500 ? 'api_error' : 'invalid_request_error'),
+      message
+    }
+  };
+}
+
+// Validate an Anthropic Messages request, returning an error message or null
+export function validateMessagesRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'Request body must be a JSON object';
+  }
+  if (typeof body.model !== 'string' || !body.model) {
+    return 'model: Field required';
+  }
+  if (!Number.isInteger(body.max_tokens) || body.max_tokens < 1) {
+    return 'max_tokens: Field required and must be a positive integer';
+  }
+  if (!Array.isArray(body.messages)) {
+    return 'messages: Field required';
+  }
+
+  for (const [index, message] of body.messages.entries()) {
+    if (!message || (message.role !== 'user' && message.role !== 'assistant')) {
+      return `messages.${index}.role: must be "user" or "assistant"`;
+    }
+    if (typeof message.content !== 'string' && !Array.isArray(message.content)) {
+      return `messages.${index}.content: must be a string or a list of content blocks`;
+    }
+  }
+
+  return null;
+}
+
+// Join the text of a string or a list of text blocks
+function blockText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content.filter(block => block && block.type === 'text').map(block => block.text).join('\n');
+}
+
+// Translate an Anthropic image block into an OpenAI image_url part
+function imagePart(block) {
+  const source = block.source || {};
+  const url = source.type === 'base64' ? `data:${source.media_type};base64,${source.data}` : source.url;
+  return { type: 'image_url', image_url: { url } };
+}
+
+// Translate one Anthropic message into one or more OpenAI messages
+// Tool results become separate "tool" messages, which OpenAI expects before the user's own content
+function translateMessage(message) {
+  if (typeof message.content === 'string') {
+    return [{ role: message.role, content: message.content }];
+  }
+
+  const parts = [];
+  const toolCalls = [];
+  const toolMessages = [];
+
+  for (const block of message.content) {
+    if (!block) {
+      continue;
+    }
+
+    if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text });
+    } else if (block.type === 'image') {
+      parts.push(imagePart(block));
+    } else if (block.type === 'tool_use') {
+      toolCalls.push({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      });
+    } else if (block.type === 'tool_result') {
+      const text = blockText(block.content);
+      toolMessages.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: block.is_error ? `Error: ${text}` : text
+      });
+    }
+    // Thinking and other block types have no OpenAI equivalent and are left out
+  }
+
+  const messages = [...toolMessages];
+  if (message.role === 'assistant') {
+    if (parts.length > 0 || toolCalls.length > 0) {
+      messages.push({
+        role: 'assistant',
+        content: parts.length > 0 ? parts.map(part => part.text).join('') : null,
+        ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+      });
+    }
+  } else if (parts.length > 0) {
+    // Plain text stays a string, so upstreams without multi-part support still accept it
+    const textOnly = parts.every(part => part.type === 'text');
+    messages.push({ role: 'user', content: textOnly ? parts.map(part => part.text).join('\n') : parts });
+  }
+
+  return messages;
+}
+
+// Translate an Anthropic tool_choice into the OpenAI equivalent
+function translateToolChoice(toolChoice) {
+  switch (toolChoice && toolChoice.type) {
+    case 'auto':
+      return 'auto';
+    case 'any':
+      return 'required';
+    case 'none':
+      return 'none';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    default:
+      return undefined;
+  }
+}
+
+// Translate an Anthropic Messages request into an OpenAI chat completion request
+export function messagesToChatRequest(body) {
+  const messages = [];
+  const system = blockText(body.system);
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+  for (const message of body.messages) {
+    messages.push(...translateMessage(message));
+  }
+
+  const payload = {
+    model: body.model,
+    messages,
+    max_tokens: body.max_tokens
+  };
+
+  for (const field of ['temperature', 'top_p']) {
+    if (body[field] != null) {
+      payload[field] = body[field];
+    }
+  }
+  if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+    payload.stop = body.stop_sequences;
+  }
+  if (body.metadata && body.metadata.user_id) {
+    payload.user = body.metadata.user_id;
+  }
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    payload.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema || { type: 'object', properties: {} }
+      }
+    }));
+
+    const toolChoice = translateToolChoice(body.tool_choice);
+    if (toolChoice !== undefined) {
+      payload.tool_choice = toolChoice;
+    }
+    if (body.tool_choice && body.tool_choice.disable_parallel_tool_use) {
+      payload.parallel_tool_calls = false;
+    }
+  }
+
+  // Streams always ask for usage, since the final message_delta event reports it
+  if (body.stream === true) {
+    payload.stream = true;
+    payload.stream_options = { include_usage: true };
+  }
+
+  return payload;
+}
+
+// Parse tool call arguments, keeping malformed JSON visible rather than dropping it
+function parseArguments(text) {
+  if (!text) {
+    return {};
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return { _raw: text };
+  }
+}
+
+// Build an Anthropic usage object from an OpenAI one
+function translateUsage(usage) {
+  return {
+    input_tokens: (usage && usage.prompt_tokens) || 0,
+    output_tokens: (usage && usage.completion_tokens) || 0
+  };
+}
+
+// Message ids look like Anthropic's, keeping the upstream id where there is one
+function messageId(id) {
+  return id ? `msg_${String(id).replace(/^chatcmpl-/, '')}` : `msg_${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+// Translate an OpenAI chat completion into an Anthropic message
+export function chatResponseToMessage(completion, model) {
+  const choice = (completion.choices && completion.choices[0]) || {};
+  const message = choice.message || {};
+  const content = [];
+
+  if (message.content) {
+    content.push({ type: 'text', text: message.content });
+  }
+  for (const call of message.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: call.id,
+      name: call.function.name,
+      input: parseArguments(call.function.arguments)
+    });
+  }
+
+  return {
+    id: messageId(completion.id),
+    type: 'message',
+    role: 'assistant',
+    model: completion.model || model,
+    content,
+    stop_reason: STOP_REASONS[choice.finish_reason] || (choice.finish_reason ? 'end_turn' : null),
+    stop_sequence: null,
+    usage: translateUsage(completion.usage)
+  };
+}
+
+// Event handlers for processEventStream that turn OpenAI chat completion chunks into
+// Anthropic message_start / content_block_* / message_delta / message_stop events
+export function createMessageStreamTranslator(model) {
+  let started = false;
+  let stopped = false;
+  let stopReason = null;
+  let usage = null;
+  // The open content block: { index, type, toolIndex }
+  let block = null;
+  let nextIndex = 0;
+
+  const event = (type, data) => encodeEvent({ type, ...data }, type);
+
+  const closeBlock = () => {
+    if (!block) {
+      return '';
+    }
+    const out = event('content_block_stop', { index: block.index });
+    block = null;
+    return out;
+  };
+
+  const openBlock = (type, contentBlock, toolIndex) => {
+    const out = closeBlock();
+    block = { index: nextIndex++, type, toolIndex };
+    return out + event('content_block_start', { index: block.index, content_block: contentBlock });
+  };
+
+  const start = chunk => {
+    if (started) {
+      return '';
+    }
+    started = true;
+    return event('message_start', {
+      message: {
+        id: messageId(chunk && chunk.id),
+        type: 'message',
+        role: 'assistant',
+        model: (chunk && chunk.model) || model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+      }
+    }) + event('ping', {});
+  };
+
+  const stop = () => {
+    if (stopped) {
+      return '';
+    }
+    stopped = true;
+    return start(null) + closeBlock() + event('message_delta', {
+      delta: { stop_reason: stopReason || 'end_turn', stop_sequence: null },
+      usage: translateUsage(usage)
+    }) + event('message_stop', {});
+  };
+
+  return {
+    onEvent: raw => {
+      if (stopped) {
+        return null;
+      }
+      if (raw.data === '[DONE]') {
+        return stop();
+      }
+
+      const chunk = parseEventData(raw);
+      if (!chunk) {
+        return null;
+      }
+
+      // An error event (such as an interrupted upstream) ends the message
+      if (chunk.error) {
+        stopped = true;
+        const message = chunk.error.message || String(chunk.error);
+        return start(chunk) + closeBlock() + encodeEvent(anthropicError(500, message), 'error');
+      }
+
+      let out = start(chunk);
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const choice = (chunk.choices || [])[0];
+      if (!choice) {
+        return out || null;
+      }
+      const delta = choice.delta || {};
+
+      if (delta.content) {
+        if (!block || block.type !== 'text') {
+          out += openBlock('text', { type: 'text', text: '' });
+        }
+        out += event('content_block_delta', { index: block.index, delta: { type: 'text_delta', text: delta.content } });
+      }
+
+      for (const call of delta.tool_calls || []) {
+        // A new tool call index (or an id) starts a new tool_use block; later chunks carry its arguments
+        if (!block || block.type !== 'tool_use' || block.toolIndex !== call.index) {
+          out += openBlock('tool_use', {
+            type: 'tool_use',
+            id: call.id,
+            name: call.function && call.function.name,
+            input: {}
+          }, call.index);
+        }
+        if (call.function && call.function.arguments) {
+          out += event('content_block_delta', {
+            index: block.index,
+            delta: { type: 'input_json_delta', partial_json: call.function.arguments }
+          });
+        }
+      }
+
+      if (choice.finish_reason) {
+        stopReason = STOP_REASONS[choice.finish_reason] || 'end_turn';
+        out += closeBlock();
+      }
+
+      return out || null;
+    },
+    // Upstreams that end without [DONE] still get a complete message
+    onEnd: () => stop() || null
+  };
+}
+
+// Anthropic stop reasons and the OpenAI finish reasons they correspond to
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  refusal: 'content_filter'
+};
+
+// Translate OpenAI message content into Anthropic content blocks
+function contentBlocks(content) {
+  if (typeof content === 'string') {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+  if (!Array.isArray(content)) {
+    return [];
+  }
+
+  return content.map(part => {
+    if (part.type === 'image_url') {
+      const url = part.image_url && part.image_url.url;
+      const inline = parseDataUrl(url);
+      return {
+        type: 'image',
+        source: inline ? { type: 'base64', media_type: inline.mediaType, data: inline.data } : { type: 'url', url }
+      };
+    }
+    return { type: 'text', text: part.text || '' };
+  });
+}
+
+// Translate OpenAI messages into Anthropic messages and a system prompt
+// Tool results become tool_result blocks in a user turn, and consecutive turns from one side are merged
+function chatToMessages(messages) {
+  const system = [];
+  const result = [];
+
+  const push = (role, blocks) => {
+    if (blocks.length === 0) {
+      return;
+    }
+    const last = result[result.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      result.push({ role, content: blocks });
+    }
+  };
+
+  for (const message of messages) {
+    if (message.role === 'system' || message.role === 'developer') {
+      system.push(contentText(message.content));
+    } else if (message.role === 'assistant') {
+      const blocks = contentBlocks(message.content);
+      for (const call of message.tool_calls || []) {
+        blocks.push({
+          type: 'tool_use',
+          id: call.id,
+          name: call.function.name,
+          input: parseToolArguments(call.function.arguments)
+        });
+      }
+      push('assistant', blocks);
+    } else if (message.role === 'tool') {
+      push('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: contentText(message.content) }]);
+    } else {
+      push('user', contentBlocks(message.content));
+    }
+  }
+
+  return { system: system.filter(Boolean).join('\n'), messages: result };
+}
+
+// Translate an OpenAI tool_choice into the Anthropic equivalent
+function anthropicToolChoice(toolChoice, parallelToolCalls) {
+  let choice;
+  if (toolChoice === 'none') {
+    choice = { type: 'none' };
+  } else if (toolChoice === 'required') {
+    choice = { type: 'any' };
+  } else if (toolChoice && toolChoice.function) {
+    choice = { type: 'tool', name: toolChoice.function.name };
+  } else if (toolChoice === 'auto' || parallelToolCalls === false) {
+    choice = { type: 'auto' };
+  }
+
+  if (choice && parallelToolCalls === false) {
+    choice.disable_parallel_tool_use = true;
+  }
+  return choice;
+}
+
+// Translate an OpenAI chat completion request into an Anthropic Messages request
+function chatToMessagesRequest(payload) {
+  const { system, messages } = chatToMessages(payload.messages || []);
+  const request = {
+    model: payload.model,
+    messages,
+    max_tokens: payload.max_completion_tokens || payload.max_tokens || DEFAULT_MAX_TOKENS
+  };
+
+  if (system) {
+    request.system = system;
+  }
+  // Anthropic's temperature range is 0 to 1, OpenAI's is 0 to 2
+  if (payload.temperature != null) {
+    request.temperature = Math.min(payload.temperature, 1);
+  }
+  if (payload.top_p != null) {
+    request.top_p = payload.top_p;
+  }
+  const stop = stopSequences(payload.stop);
+  if (stop.length > 0) {
+    request.stop_sequences = stop;
+  }
+  if (payload.user) {
+    request.metadata = { user_id: payload.user };
+  }
+
+  if (Array.isArray(payload.tools) && payload.tools.length > 0) {
+    request.tools = payload.tools
+      .filter(tool => tool.type === 'function' && tool.function)
+      .map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters || { type: 'object', properties: {} }
+      }));
+
+    const toolChoice = anthropicToolChoice(payload.tool_choice, payload.parallel_tool_calls);
+    if (toolChoice) {
+      request.tool_choice = toolChoice;
+    }
+  }
+
+  if (payload.stream === true) {
+    request.stream = true;
+  }
+
+  return request;
+}
+
+// Build an OpenAI usage object from an Anthropic one; cached input counts as prompt tokens
+function chatUsageFromAnthropic(usage) {
+  if (!usage) {
+    return undefined;
+  }
+  const input = (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0);
+  return chatUsage(input, usage.output_tokens);
+}
+
+// Translate an Anthropic message into an OpenAI chat completion
+function messageToChatResponse(message, payload) {
+  const blocks = message.content || [];
+  const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+  const toolCalls = blocks.filter(block => block.type === 'tool_use').map(block => ({
+    id: block.id,
+    name: block.name,
+    arguments: JSON.stringify(block.input || {})
+  }));
+
+  return chatCompletion({
+    id: message.id && `chatcmpl-${message.id.replace(/^msg_/, '')}`,
+    model: message.model || payload.model,
+    choices: [{
+      index: 0,
+      message: chatMessage(text, toolCalls),
+      finish_reason: FINISH_REASONS[message.stop_reason] || 'stop'
+    }],
+    usage: chatUsageFromAnthropic(message.usage)
+  });
+}
+
+// Event handlers for processEventStream that turn Anthropic message events into OpenAI chunks
+function createChatStreamTranslator(payload) {
+  const stream = chatStream(payload.model);
+  const includeUsage = Boolean(payload.stream_options && payload.stream_options.include_usage);
+  let usage = {};
+  let finishReason = null;
+  let stopped = false;
+  // OpenAI tool call index for each Anthropic content block index that is a tool_use block
+  const toolIndexes = {};
+  let nextToolIndex = 0;
+
+  return {
+    onEvent: event => {
+      const data = parseEventData(event);
+      if (!data || stopped) {
+        return null;
+      }
+
+      switch (data.type) {
+        case 'message_start': {
+          const message = data.message || {};
+          if (message.id) {
+            stream.id = `chatcmpl-${message.id.replace(/^msg_/, '')}`;
+          }
+          stream.model = message.model || stream.model;
+          usage = { ...message.usage };
+          return chatChunkEvent(stream, { delta: { role: 'assistant', content: '' } });
+        }
+        case 'content_block_start': {
+          const block = data.content_block || {};
+          if (block.type !== 'tool_use') {
+            return null;
+          }
+          toolIndexes[data.index] = nextToolIndex++;
+          return chatChunkEvent(stream, {
+            delta: {
+              tool_calls: [{
+                index: toolIndexes[data.index],
+                id: block.id,
+                type: 'function',
+                function: { name: block.name, arguments: '' }
+              }]
+            }
+          });
+        }
+        case 'content_block_delta': {
+          const delta = data.delta || {};
+          if (delta.type === 'text_delta') {
+            return chatChunkEvent(stream, { delta: { content: delta.text } });
+          }
+          if (delta.type === 'input_json_delta' && toolIndexes[data.index] !== undefined) {
+            return chatChunkEvent(stream, {
+              delta: { tool_calls: [{ index: toolIndexes[data.index], function: { arguments: delta.partial_json } }] }
+            });
+          }
+          return null;
+        }
+        case 'message_delta':
+          usage = { ...usage, ...data.usage };
+          finishReason = FINISH_REASONS[data.delta && data.delta.stop_reason] || 'stop';
+          return chatChunkEvent(stream, { delta: {}, finishReason });
+        case 'message_stop':
+          stopped = true;
+          return (includeUsage ? chatChunkEvent(stream, { usage: chatUsageFromAnthropic(usage) }) : '') + encodeEvent('[DONE]');
+        case 'error':
+          stopped = true;
+          return encodeEvent(openAIError((data.error && data.error.message) || 'Upstream error', 'upstream_error',
+            (data.error && data.error.type) || null)) + encodeEvent('[DONE]');
+        default:
+          return null;
+      }
+    },
+    // Leave a stream that never reached message_stop unterminated, so it is reported as interrupted
+    onEnd: () => null
+  };
+}
+
+// Translate an Anthropic error body into an OpenAI error body
+function translateAnthropicError(body, status) {
+  const error = body && body.error;
+  if (!error) {
+    return openAIError(`Upstream returned HTTP ${status}`);
+  }
+  return openAIError(error.message || `Upstream returned HTTP ${status}`, 'upstream_error', error.type || null);
+}
+
+export const anthropicAdapter = {
+  endpoints: ['/v1/chat/completions'],
+  defaultPathPrefix: '/v1',
+  probePath: '/models',
+  authHeaders: apiKey => ({
+    'anthropic-version': ANTHROPIC_VERSION,
+    ...(apiKey && { 'x-api-key': apiKey })
+  }),
+  buildUrl: base => `${base}/messages`,
+  buildRequest: chatToMessagesRequest,
+  translateResponse: messageToChatResponse,
+  createStreamTranslator: createChatStreamTranslator,
+  translateError: translateAnthropicError
+};
@@ -0,0 +1,148 @@
+/**
+ * Admin authentication helpers: PBKDF2 password hashing and HMAC-signed session tokens
+ */
+
+// Name of the cookie that carries the admin session for admin.html
+export const SESSION_COOKIE_NAME = 'llm_proxy_admin';
+
+// How long an admin session stays valid
+export const SESSION_TTL = 12 * 60 * 60 * 1000;
+
+// PBKDF2 iterations (100000 is the maximum the Workers runtime supports)
+const PBKDF2_ITERATIONS = 100000;
+
+const encoder = new TextEncoder();
+
+// Encode bytes as base64url
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of new Uint8Array(bytes)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Decode base64url into bytes
+function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Compare two strings without leaking where they differ
+export function timingSafeEqual(a, b) {
+  const left = encoder.encode(String(a));
+  const right = encoder.encode(String(b));
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ (right[i % right.length] || 0);
+  }
+  return diff === 0;
+}
+
+// Generate a random secret suitable for signing sessions
+export function generateSecret(size = 32) {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(size)));
+}
+
+// Derive a salted PBKDF2 hash of a password
+export async function hashPassword(password, salt = generateSecret(16), iterations = PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations },
+    key,
+    256
+  );
+
+  return {
+    algorithm: 'PBKDF2-SHA256',
+    iterations,
+    salt,
+    hash: toBase64Url(bits)
+  };
+}
+
+// Check a password against a stored PBKDF2 hash
+export async function verifyPassword(password, stored) {
+  if (!stored || !stored.salt || !stored.hash) {
+    return false;
+  }
+
+  const candidate = await hashPassword(password, stored.salt, stored.iterations || PBKDF2_ITERATIONS);
+  return timingSafeEqual(candidate.hash, stored.hash);
+}
+
+// Compute the HMAC-SHA256 signature of a value
+async function sign(value, secret) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return toBase64Url(await crypto.subtle.sign('HMAC', key, encoder.encode(value)));
+}
+
+// Create a signed, expiring session token
+export async function createSessionToken(secret, ttl = SESSION_TTL) {
+  const now = Date.now();
+  const session = {
+    jti: generateSecret(12),
+    iat: now,
+    exp: now + ttl
+  };
+
+  const payload = toBase64Url(encoder.encode(JSON.stringify(session)));
+  return {
+    token: `${payload}.${await sign(payload, secret)}`,
+    session
+  };
+}
+
+// Verify a session token's signature and expiry, returning its payload or null
+export async function verifySessionToken(token, secret) {
+  if (typeof token !== 'string' || !secret) {
+    return null;
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !timingSafeEqual(await sign(payload, secret), signature)) {
+    return null;
+  }
+
+  try {
+    const session = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+    return session.exp > Date.now() ? session : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Extract the session token from a bearer header or the session cookie
+export function getSessionToken(request) {
+  const authorization = request.headers.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  const cookies = request.headers.get('Cookie') || '';
+  for (const cookie of cookies.split(';')) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE_NAME) {
+      return value.join('=');
+    }
+  }
+
+  return null;
+}
+
+// Build the Set-Cookie header for a session (pass a null token to clear it)
+export function sessionCookie(token, expiresAt) {
+  if (!token) {
+    return `${SESSION_COOKIE_NAME}=; Path=/admin; HttpOnly; Secure; SameSite=Strict; Max-Age=0`;
+  }
+
+  const maxAge = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+  return `${SESSION_COOKIE_NAME}=${token}; Path=/admin; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAge}`;
+}
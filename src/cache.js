@@ -0,0 +1,143 @@
+/**
+ * Response cache for embeddings and deterministic completions
+ */
+
+// Cache settings used for any field the admin config does not set; the cache is opt-in
+export const DEFAULT_CACHE = {
+  enabled: false,
+  // Seconds a cached response stays fresh, per endpoint
+  ttl: {
+    '/v1/embeddings': 7 * 24 * 60 * 60,
+    '/v1/chat/completions': 60 * 60,
+    '/v1/completions': 60 * 60
+  },
+  maxEntries: 5000
+};
+
+// Endpoints whose responses can be cached
+export const CACHEABLE_ENDPOINTS = Object.keys(DEFAULT_CACHE.ttl);
+
+// Cached bodies larger than this are not stored
+export const MAX_CACHED_BODY = 1024 * 1024;
+
+// Statement that creates the hit and miss counters, one row per endpoint, counted in place on every lookup
+export const CACHE_STATS_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS cache_stats (
+    endpoint TEXT PRIMARY KEY,
+    hits INTEGER NOT NULL DEFAULT 0,
+    misses INTEGER NOT NULL DEFAULT 0
+  )`
+];
+
+// Statements that create the table of cached entries; the bodies themselves are stored under "cache:<key>"
+// Entries are found by expiry when they are evicted, by creation time when the cache is over maxEntries,
+// and by endpoint or model when they are purged or summarized
+export const CACHE_ENTRIES_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS cache_entries (
+    key TEXT PRIMARY KEY,
+    endpoint TEXT,
+    model TEXT,
+    upstream TEXT,
+    size INTEGER NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS cache_entries_expires_at ON cache_entries (expires_at)',
+  'CREATE INDEX IF NOT EXISTS cache_entries_created_at ON cache_entries (created_at)',
+  'CREATE INDEX IF NOT EXISTS cache_entries_endpoint ON cache_entries (endpoint)',
+  'CREATE INDEX IF NOT EXISTS cache_entries_model ON cache_entries (model)'
+];
+
+// Request fields that do not change the response and are left out of the cache key
+const IGNORED_FIELDS = ['user', 'stream_options'];
+
+// Merge the admin-configured cache settings over the defaults
+export function getCachePolicy(config) {
+  const cache = (config && config.cache) || {};
+  return {
+    ...DEFAULT_CACHE,
+    ...cache,
+    ttl: { ...DEFAULT_CACHE.ttl, ...cache.ttl }
+  };
+}
+
+// Validate cache settings, returning an error message or null
+export function validateCachePolicy(cache) {
+  if (typeof cache !== 'object' || cache === null || Array.isArray(cache)) {
+    return 'Invalid cache';
+  }
+
+  if (cache.enabled != null && typeof cache.enabled !== 'boolean') {
+    return 'Invalid cache.enabled';
+  }
+
+  if (cache.maxEntries != null && (!Number.isInteger(cache.maxEntries) || cache.maxEntries < 1)) {
+    return 'Invalid cache.maxEntries';
+  }
+
+  if (cache.ttl != null) {
+    if (typeof cache.ttl !== 'object' || Array.isArray(cache.ttl)) {
+      return 'Invalid cache.ttl';
+    }
+    for (const [endpoint, ttl] of Object.entries(cache.ttl)) {
+      if (!CACHEABLE_ENDPOINTS.includes(endpoint)) {
+        return `Invalid cache.ttl endpoint ${endpoint}`;
+      }
+      if (!Number.isInteger(ttl) || ttl < 0) {
+        return `Invalid cache.ttl for ${endpoint}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Whether a request may be answered from (and stored in) the cache
+// Embeddings always are; completions only when deterministic (temperature 0) or forced by the client
+export function isCacheable(request, endpoint, payload, policy) {
+  if (!policy.enabled || !payload || !policy.ttl[endpoint]) {
+    return false;
+  }
+
+  // Responses fetched with the client's own upstream key are not shared with other clients
+  if (request.headers.get('x-target-api-key')) {
+    return false;
+  }
+
+  if (endpoint === '/v1/embeddings') {
+    return true;
+  }
+
+  // Streams are not replayed from the cache
+  if (payload.stream === true) {
+    return false;
+  }
+
+  const forced = (request.headers.get('x-proxy-cache') || '').toLowerCase() === 'force';
+  return forced || payload.temperature === 0;
+}
+
+// Recursively sort object keys so equivalent bodies serialize identically
+function normalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, normalize(value[key])]));
+  }
+  return value;
+}
+
+// Hash the endpoint, the upstream and the normalized body sent to it into a cache key
+// body is the parsed body as forwarded (model rewritten, guardrails and transformation rules applied),
+// so a cached response stops being served as soon as a rule changes what would be sent
+export async function cacheKey(endpoint, upstream, body) {
+  const material = { ...body };
+  for (const field of IGNORED_FIELDS) {
+    delete material[field];
+  }
+
+  const text = [endpoint, upstream.id || upstream.baseUrl, JSON.stringify(normalize(material))].join('\n');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
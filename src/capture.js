@@ -0,0 +1,150 @@
+/**
+ * Sampled capture of request and response bodies for the log viewer, redacted before storage
+ */
+
+// Capture settings used for any field the admin config does not set; capture is opt-in
+export const DEFAULT_CAPTURE = {
+  enabled: false,
+  // Fraction of requests whose bodies are captured
+  sampleRate: 1,
+  // Captured bodies are cut to this many bytes
+  maxBytes: 16 * 1024,
+  // Failed requests are captured whether or not they were sampled
+  captureErrors: true,
+  redact: {
+    apiKeys: true,
+    emails: true,
+    // Extra regular expressions whose matches are redacted
+    patterns: []
+  }
+};
+
+// Headers whose values are credentials and are masked in captured upstream headers
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'x-api-key', 'x-goog-api-key', 'api-key', 'cookie'];
+
+// Well-known API key shapes: OpenAI/Anthropic/proxy sk- keys, Google AIza keys, and bearer tokens
+const API_KEY_PATTERN = /\b(?:sk-[A-Za-z0-9_-]{16,}|AIza[0-9A-Za-z_-]{35})\b|(?<=Bearer\s+)[A-Za-z0-9._~+/=-]{16,}/g;
+
+// Email addresses
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// Merge the admin-configured capture settings over the defaults
+export function getCapturePolicy(config) {
+  const capture = (config && config.capture) || {};
+  return {
+    ...DEFAULT_CAPTURE,
+    ...capture,
+    redact: { ...DEFAULT_CAPTURE.redact, ...capture.redact }
+  };
+}
+
+// Validate capture settings, returning an error message or null
+export function validateCapturePolicy(capture) {
+  if (typeof capture !== 'object' || capture === null || Array.isArray(capture)) {
+    return 'Invalid capture';
+  }
+
+  for (const field of ['enabled', 'captureErrors']) {
+    if (capture[field] != null && typeof capture[field] !== 'boolean') {
+      return `Invalid capture.${field}`;
+    }
+  }
+
+  if (capture.sampleRate != null && (typeof capture.sampleRate !== 'number' || capture.sampleRate < 0 || capture.sampleRate > 1)) {
+    return 'Invalid capture.sampleRate';
+  }
+
+  if (capture.maxBytes != null && (!Number.isInteger(capture.maxBytes) || capture.maxBytes < 1)) {
+    return 'Invalid capture.maxBytes';
+  }
+
+  if (capture.redact != null) {
+    const redact = capture.redact;
+    if (typeof redact !== 'object' || Array.isArray(redact)) {
+      return 'Invalid capture.redact';
+    }
+    for (const field of ['apiKeys', 'emails']) {
+      if (redact[field] != null && typeof redact[field] !== 'boolean') {
+        return `Invalid capture.redact.${field}`;
+      }
+    }
+    if (redact.patterns != null) {
+      if (!Array.isArray(redact.patterns) || redact.patterns.some(pattern => typeof pattern !== 'string')) {
+        return 'Invalid capture.redact.patterns';
+      }
+      for (const pattern of redact.patterns) {
+        try {
+          new RegExp(pattern, 'g');
+        } catch (error) {
+          return `Invalid capture.redact pattern ${pattern}`;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+// Redact API keys, email addresses and custom patterns from a captured text
+export function redact(text, policy) {
+  const { apiKeys, emails, patterns } = policy.redact;
+  let result = text;
+  if (apiKeys) {
+    result = result.replace(API_KEY_PATTERN, '[REDACTED_API_KEY]');
+  }
+  if (emails) {
+    result = result.replace(EMAIL_PATTERN, '[REDACTED_EMAIL]');
+  }
+  for (const pattern of patterns) {
+    result = result.replace(new RegExp(pattern, 'g'), '[REDACTED]');
+  }
+  return result;
+}
+
+// Redact a body and cut it to the capture size, returning { body, size, truncated }
+// size is the byte length of the whole redacted body
+export function captureBody(text, policy) {
+  const bytes = new TextEncoder().encode(redact(text || '', policy));
+  if (bytes.length <= policy.maxBytes) {
+    return { body: new TextDecoder().decode(bytes), size: bytes.length, truncated: false };
+  }
+
+  // A multi-byte character split by the cut decodes as U+FFFD and is dropped
+  return {
+    body: new TextDecoder().decode(bytes.slice(0, policy.maxBytes)).replace(/\uFFFD$/, ''),
+    size: bytes.length,
+    truncated: true
+  };
+}
+
+// Whether a content type is text, so a body of that type can be captured as it is
+export function isTextContent(contentType) {
+  return /json|^text\/|xml|x-www-form-urlencoded/.test(contentType || '');
+}
+
+// A text stand-in for a body that is not text: the fields of a multipart form, with files given by
+// name, type and size, or the size of a binary body
+export function describeBody(body, contentType) {
+  if (body instanceof FormData) {
+    return [...body]
+      .map(([name, value]) => (typeof value === 'string'
+        ? `${name}=${value}`
+        : `${name}=<file ${value.name}, ${value.type || 'unknown type'}, ${value.size} bytes>`))
+      .join('\n');
+  }
+  return `<${body.byteLength} bytes of ${contentType || 'binary data'}>`;
+}
+
+// Copy headers into a plain object with credential values masked down to their last four characters
+export function maskHeaders(headers) {
+  const masked = {};
+  for (const [name, value] of headers) {
+    if (!SECRET_HEADERS.includes(name.toLowerCase())) {
+      masked[name] = value;
+      continue;
+    }
+    const [, scheme = '', secret = value] = value.match(/^(Bearer\s+|Basic\s+)?(.*)$/i) || [];
+    masked[name] = `${scheme}${secret.length > 8 ? `****${secret.slice(-4)}` : '****'}`;
+  }
+  return masked;
+}
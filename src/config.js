@@ -0,0 +1,175 @@
+/**
+ * Admin config schema and versioning: the fields the config may hold, how each is validated,
+ * and the versions and diffs kept in the config history
+ */
+
+import { DEFAULT_RETRY_POLICY, validateRetryPolicy } from './retry.js';
+import { DEFAULT_CIRCUIT_BREAKER, validateCircuitBreakerPolicy } from './health.js';
+import { DEFAULT_EMBEDDINGS, validateEmbeddingsPolicy } from './embeddings.js';
+import { DEFAULT_ENDPOINTS, validateEndpointsPolicy } from './endpoints.js';
+import { DEFAULT_LOG_RETENTION, validateLogRetention } from './logs.js';
+import { DEFAULT_CAPTURE, validateCapturePolicy } from './capture.js';
+import { validateRateLimitPolicy } from './ratelimit.js';
+import { DEFAULT_CACHE, validateCachePolicy } from './cache.js';
+import { DEFAULT_TARGETS, validateTargetPolicy } from './targets.js';
+import { DEFAULT_GUARDRAILS, validateGuardrailsPolicy } from './guardrails.js';
+import { DEFAULT_TRANSFORMS, validateTransformsPolicy } from './transforms.js';
+
+// Every field POST /admin/config accepts, with its type and the validator of the module that uses it
+// Fields with defaults only accept the keys their defaults have, at every level of nesting
+export const CONFIG_SCHEMA = {
+  targetApiUrl: { type: 'string', validate: validateTargetApiUrl },
+  retry: { type: 'object', defaults: DEFAULT_RETRY_POLICY, validate: validateRetryPolicy },
+  circuitBreaker: { type: 'object', defaults: DEFAULT_CIRCUIT_BREAKER, validate: validateCircuitBreakerPolicy },
+  embeddings: { type: 'object', defaults: DEFAULT_EMBEDDINGS, validate: validateEmbeddingsPolicy },
+  endpoints: { type: 'object', defaults: DEFAULT_ENDPOINTS, validate: validateEndpointsPolicy },
+  logRetention: { type: 'object', defaults: DEFAULT_LOG_RETENTION, validate: validateLogRetention },
+  capture: { type: 'object', defaults: DEFAULT_CAPTURE, validate: validateCapturePolicy },
+  rateLimits: { type: 'object', validate: validateRateLimitPolicy },
+  cache: { type: 'object', defaults: DEFAULT_CACHE, validate: validateCachePolicy },
+  targets: { type: 'object', defaults: DEFAULT_TARGETS, validate: validateTargetPolicy },
+  guardrails: { type: 'object', defaults: DEFAULT_GUARDRAILS, validate: validateGuardrailsPolicy },
+  transforms: { type: 'object', defaults: DEFAULT_TRANSFORMS, validate: validateTransformsPolicy }
+};
+
+// Fields the storage keeps alongside the config; a client may post them back, but they are ignored
+export const CONFIG_METADATA = ['updatedAt', 'version'];
+
+// Fields holding the admin password, which only /admin/password changes and the history never records
+const CONFIG_SECRETS = ['adminPassword', 'adminPasswordHash'];
+
+// Most versions kept in the history; older ones are dropped as new ones are saved
+export const MAX_CONFIG_VERSIONS = 500;
+
+// Statement that creates the config history table; each row is an immutable snapshot with its diff
+export const CONFIG_VERSIONS_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS config_versions (
+    version INTEGER PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    action TEXT NOT NULL,
+    author TEXT,
+    rollback_of INTEGER,
+    config TEXT NOT NULL,
+    diff TEXT NOT NULL
+  )`
+];
+
+// Validate the default target API URL; an empty string clears it
+function validateTargetApiUrl(value) {
+  if (value === '') {
+    return null;
+  }
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('Unsupported protocol');
+    }
+  } catch (error) {
+    return 'Invalid targetApiUrl: expected an http(s) URL';
+  }
+  return null;
+}
+
+// The JSON type of a value, telling arrays and null apart from objects
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Whether a value is a plain (non-array) object
+function isObject(value) {
+  return typeOf(value) === 'object';
+}
+
+// Find the first key of a value that its defaults do not have, looking into nested objects
+function findUnknownKey(value, defaults, path) {
+  for (const [key, nested] of Object.entries(value)) {
+    if (!(key in defaults)) {
+      return `Unknown field ${path}.${key} (expected one of ${Object.keys(defaults).join(', ')})`;
+    }
+    if (isObject(nested) && isObject(defaults[key])) {
+      const error = findUnknownKey(nested, defaults[key], `${path}.${key}`);
+      if (error) {
+        return error;
+      }
+    }
+  }
+  return null;
+}
+
+// Validate the changes posted to the config, returning an error message or null
+// A field set to null is removed, so it falls back to its defaults
+export function validateConfig(data) {
+  if (!isObject(data)) {
+    return 'Config must be a JSON object';
+  }
+
+  for (const [field, value] of Object.entries(data)) {
+    if (CONFIG_METADATA.includes(field) || value === null) {
+      continue;
+    }
+
+    const schema = CONFIG_SCHEMA[field];
+    if (!schema) {
+      return `Unknown field ${field} (expected one of ${Object.keys(CONFIG_SCHEMA).join(', ')})`;
+    }
+    if (typeOf(value) !== schema.type) {
+      return `Invalid ${field}: expected ${schema.type}, got ${typeOf(value)}`;
+    }
+    const error = (schema.defaults && findUnknownKey(value, schema.defaults, field)) || schema.validate(value);
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+}
+
+// Apply validated changes to a config: fields are replaced whole, null removes one
+export function applyConfigChanges(config, data) {
+  const next = { ...config };
+  for (const [field, value] of Object.entries(data)) {
+    if (CONFIG_METADATA.includes(field)) {
+      continue;
+    }
+    if (value === null) {
+      delete next[field];
+    } else {
+      next[field] = value;
+    }
+  }
+  return next;
+}
+
+// The part of a stored config that is versioned: everything but secrets and metadata
+export function versionedConfig(config) {
+  return Object.fromEntries(Object.entries(config || {})
+    .filter(([field]) => !CONFIG_SECRETS.includes(field) && !CONFIG_METADATA.includes(field)));
+}
+
+// The secrets of a stored config, which are kept as they are when an older version is restored
+export function configSecrets(config) {
+  return Object.fromEntries(Object.entries(config || {}).filter(([field]) => CONFIG_SECRETS.includes(field)));
+}
+
+// The changes between two configs, as [{ path, before, after }] down to the leaves of nested objects
+// Arrays are compared whole; a missing value is undefined (and left out of the JSON)
+export function diffConfig(before, after, prefix = '') {
+  const changes = [];
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+
+  for (const key of keys) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (isObject(from) && isObject(to)) {
+      changes.push(...diffConfig(from, to, path));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, before: from, after: to });
+    }
+  }
+
+  return changes;
+}
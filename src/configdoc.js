@@ -0,0 +1,224 @@
+/**
+ * Config documents: the whole proxy configuration (config, providers, routes, pricing and alert rules)
+ * as one JSON or YAML document, with secrets left out or referenced by environment variable name
+ */
+
+import { parse as parseYaml, stringify as stringifyYaml } from 'yaml';
+import { applyConfigChanges, diffConfig, validateConfig, versionedConfig } from './config.js';
+import { ENV_NAME_PATTERN, normalizeProvider, validateProvider, validateRoutes } from './routing.js';
+import { normalizeAlertRule, validateAlertRule } from './alerts.js';
+import { validatePricing } from './usage.js';
+
+// Version of the document format, written to every export
+export const CONFIG_DOCUMENT_VERSION = 1;
+
+// Formats a document can be exported in, with their content types
+export const CONFIG_DOCUMENT_FORMATS = {
+  json: 'application/json',
+  yaml: 'application/yaml'
+};
+
+// Sections a document may hold; an import replaces the sections its document has and leaves the rest
+const DOCUMENT_SECTIONS = ['config', 'providers', 'routes', 'pricing', 'alerts'];
+
+// Whether a value is a plain (non-array) object
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// How a secret is written: a reference to the environment variable it was imported from, or left out
+function secretReference(envName) {
+  return envName ? { env: envName } : undefined;
+}
+
+// A provider as written in a document
+function exportProvider(provider) {
+  return {
+    baseUrl: provider.baseUrl,
+    apiKey: secretReference(provider.apiKeyEnv),
+    protocol: provider.protocol,
+    pathPrefix: provider.pathPrefix,
+    headers: provider.headers,
+    embeddingBatchSize: provider.embeddingBatchSize
+  };
+}
+
+// An alert rule as written in a document
+export function exportAlertRule(rule) {
+  return {
+    condition: rule.condition,
+    threshold: rule.threshold,
+    upstream: rule.upstream,
+    enabled: rule.enabled,
+    windowMinutes: rule.windowMinutes,
+    minRequests: rule.minRequests,
+    cooldownMinutes: rule.cooldownMinutes,
+    webhook: { format: rule.webhook.format, url: secretReference(rule.webhook.urlEnv) }
+  };
+}
+
+// Map the values of an object
+function mapValues(object, map) {
+  return Object.fromEntries(Object.entries(object || {}).map(([key, value]) => [key, map(value)]));
+}
+
+// Build the document for the stored state ({ config, providers, routes, pricing, alertRules })
+// The result is plain JSON, with left-out secrets removed
+export function exportDocument(state) {
+  return JSON.parse(JSON.stringify({
+    version: CONFIG_DOCUMENT_VERSION,
+    config: versionedConfig(state.config),
+    providers: mapValues(state.providers, exportProvider),
+    routes: (state.routes || []).map(({ match, target, fallbacks }) => ({ match, target, fallbacks })),
+    pricing: state.pricing || {},
+    alerts: mapValues(state.alertRules, exportAlertRule)
+  }));
+}
+
+// Write a document in a format
+export function serializeDocument(document, format) {
+  return format === 'yaml' ? stringifyYaml(document) : `${JSON.stringify(document, null, 2)}\n`;
+}
+
+// Read a document written in a format; without one, text starting with "{" is JSON and anything else YAML
+// Returns { document } or { error }
+export function parseDocument(text, format = null) {
+  const yaml = format ? format === 'yaml' : !text.trimStart().startsWith('{');
+  try {
+    return { document: yaml ? parseYaml(text) : JSON.parse(text) };
+  } catch (error) {
+    return { error: `Invalid ${yaml ? 'YAML' : 'JSON'}: ${error.message}` };
+  }
+}
+
+// Resolve a secret written in a document: a string, { env: NAME } read from the Worker's environment,
+// or nothing (keep the stored one). Returns { value, envName }, { keep: true } or { error }
+function resolveSecret(secret, env, path) {
+  if (secret === undefined || secret === null) {
+    return { keep: true };
+  }
+  if (typeof secret === 'string') {
+    return { value: secret, envName: null };
+  }
+  if (!isObject(secret) || typeof secret.env !== 'string' || !ENV_NAME_PATTERN.test(secret.env)) {
+    return { error: `${path} must be a string or { env: NAME }` };
+  }
+
+  const value = env[secret.env];
+  if (typeof value !== 'string' || !value) {
+    return { error: `${path}: environment variable ${secret.env} is not set` };
+  }
+  return { value, envName: secret.env };
+}
+
+// Check a document against the stored state and build the state it would leave
+// Returns { next, changes } where next holds the replaced sections and changes is the diff of the
+// exported documents before and after, or { error }
+export function planImport(document, state, env = {}, now = new Date().toISOString()) {
+  if (!isObject(document)) {
+    return { error: 'Config document must be an object' };
+  }
+  for (const key of Object.keys(document)) {
+    if (key !== 'version' && !DOCUMENT_SECTIONS.includes(key)) {
+      return { error: `Unknown section ${key} (expected one of ${DOCUMENT_SECTIONS.join(', ')})` };
+    }
+  }
+  if (document.version != null && document.version !== CONFIG_DOCUMENT_VERSION) {
+    return { error: `Unsupported document version ${document.version}` };
+  }
+
+  const next = {};
+
+  if (document.config !== undefined) {
+    const error = validateConfig(document.config);
+    if (error) {
+      return { error: `config: ${error}` };
+    }
+    next.config = applyConfigChanges({}, document.config);
+  }
+
+  if (document.providers !== undefined) {
+    if (!isObject(document.providers)) {
+      return { error: 'providers must be an object keyed by provider name' };
+    }
+    next.providers = {};
+    for (const [name, settings] of Object.entries(document.providers)) {
+      if (!isObject(settings)) {
+        return { error: `providers.${name} must be an object` };
+      }
+      const secret = resolveSecret(settings.apiKey, env, `providers.${name}.apiKey`);
+      if (secret.error) {
+        return { error: secret.error };
+      }
+      const data = {
+        ...settings,
+        name,
+        apiKey: secret.keep ? undefined : secret.value,
+        apiKeyEnv: secret.keep ? undefined : secret.envName
+      };
+      const error = validateProvider(data);
+      if (error) {
+        return { error: `providers.${name}: ${error}` };
+      }
+      next.providers[name] = normalizeProvider(data, (state.providers || {})[name], now);
+    }
+  }
+
+  // Kept routes must still point at providers that exist after the import
+  const providers = next.providers || state.providers || {};
+  const routes = document.routes !== undefined ? document.routes : state.routes || [];
+  const routesError = validateRoutes(routes, providers);
+  if (routesError) {
+    return { error: `routes: ${routesError}` };
+  }
+  if (document.routes !== undefined) {
+    next.routes = routes.map(({ match, target, fallbacks }) => ({ match, target, fallbacks: fallbacks || [] }));
+  }
+
+  if (document.pricing !== undefined) {
+    const error = validatePricing(document.pricing);
+    if (error) {
+      return { error: `pricing: ${error}` };
+    }
+    next.pricing = document.pricing;
+  }
+
+  if (document.alerts !== undefined) {
+    if (!isObject(document.alerts)) {
+      return { error: 'alerts must be an object keyed by rule name' };
+    }
+    next.alertRules = {};
+    for (const [name, settings] of Object.entries(document.alerts)) {
+      if (!isObject(settings) || !isObject(settings.webhook)) {
+        return { error: `alerts.${name} must be an object with a webhook` };
+      }
+      const existing = (state.alertRules || {})[name];
+      const secret = resolveSecret(settings.webhook.url, env, `alerts.${name}.webhook.url`);
+      if (secret.error) {
+        return { error: secret.error };
+      }
+      if (secret.keep && !existing) {
+        return { error: `alerts.${name}.webhook.url is required for a new rule` };
+      }
+      const data = {
+        ...settings,
+        name,
+        webhook: {
+          ...settings.webhook,
+          url: secret.keep ? existing.webhook.url : secret.value,
+          urlEnv: secret.keep ? existing.webhook.urlEnv : secret.envName
+        }
+      };
+      const error = validateAlertRule(data);
+      if (error) {
+        return { error: `alerts.${name}: ${error}` };
+      }
+      next.alertRules[name] = normalizeAlertRule(data, existing, now);
+    }
+  }
+
+  return {
+    next,
+    changes: diffConfig(exportDocument(state), exportDocument({ ...state, ...next }))
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Splitting oversize embeddings requests into batches and merging the results
+ */
+
+// Embeddings settings used for any field the admin config does not set
+// batchSize applies to the default target API; providers set their own embeddingBatchSize
+export const DEFAULT_EMBEDDINGS = {
+  batchSize: null,
+  concurrency: 4
+};
+
+// Merge the admin-configured embeddings settings over the defaults
+export function getEmbeddingsPolicy(config) {
+  return { ...DEFAULT_EMBEDDINGS, ...(config && config.embeddings) };
+}
+
+// Validate embeddings settings, returning an error message or null
+export function validateEmbeddingsPolicy(embeddings) {
+  if (typeof embeddings !== 'object' || embeddings === null || Array.isArray(embeddings)) {
+    return 'Invalid embeddings';
+  }
+
+  for (const field of Object.keys(DEFAULT_EMBEDDINGS)) {
+    const value = embeddings[field];
+    if (value != null && (!Number.isInteger(value) || value < 1)) {
+      return `Invalid embeddings.${field}`;
+    }
+  }
+
+  return null;
+}
+
+// Split an embeddings input into batches of at most size inputs, each with the offset of its first input
+// Returns null when the input does not need splitting; a flat array of numbers is a single
+// tokenized input, not a list of inputs
+export function splitInputs(input, size) {
+  if (!size || !Array.isArray(input) || input.length <= size || input.every(item => typeof item === 'number')) {
+    return null;
+  }
+
+  const batches = [];
+  for (let offset = 0; offset < input.length; offset += size) {
+    batches.push({ offset, input: input.slice(offset, offset + size) });
+  }
+  return batches;
+}
+
+// Run fn over items with at most limit calls in flight, stopping new calls once shouldStop() is true
+export async function mapWithConcurrency(items, limit, fn, shouldStop = () => false) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Merge the embeddings responses of each batch into one, re-indexing the data and summing the usage
+export function mergeEmbeddings(batches) {
+  const data = [];
+  const usage = { prompt_tokens: 0, total_tokens: 0 };
+
+  for (const { offset, body } of batches) {
+    for (const item of body.data || []) {
+      data.push({ ...item, index: offset + (item.index || 0) });
+    }
+    usage.prompt_tokens += (body.usage && body.usage.prompt_tokens) || 0;
+    usage.total_tokens += (body.usage && body.usage.total_tokens) || 0;
+  }
+
+  data.sort((a, b) => a.index - b.index);
+  return {
+    object: 'list',
+    data,
+    model: batches.length > 0 ? batches[0].body.model : undefined,
+    usage
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * OpenAI endpoint coverage: the endpoints the proxy forwards, the merged model list and the passthrough of other /v1 paths
+ */
+
+import { matchesGlob } from './glob.js';
+
+// Endpoints forwarded to the upstream chosen for the request's model, mapped to the handler for each
+export const PROXIED_ENDPOINTS = {
+  '/v1/chat/completions': 'handleChatCompletion',
+  '/v1/completions': 'handleCompletions',
+  '/v1/embeddings': 'handleEmbeddings',
+  '/v1/messages': 'handleMessages',
+  '/v1/images/generations': 'handleImageGeneration',
+  '/v1/audio/transcriptions': 'handleAudioTranscription',
+  '/v1/audio/speech': 'handleAudioSpeech',
+  '/v1/moderations': 'handleModerations',
+  '/v1/rerank': 'handleRerank'
+};
+
+// Endpoint settings used for any field the admin config does not set
+export const DEFAULT_ENDPOINTS = {
+  models: {
+    // Model ids (or * globs) listed by GET /v1/models; empty lists every model
+    allowlist: [],
+    // Seconds the merged upstream model list is kept before it is fetched again
+    cacheTtl: 300
+  },
+  // Whether other /v1/* paths are forwarded unchanged to the default target API or the model's upstream
+  passthrough: false
+};
+
+// Merge the admin-configured endpoint settings over the defaults
+export function getEndpointsPolicy(config) {
+  const endpoints = (config && config.endpoints) || {};
+  return {
+    ...DEFAULT_ENDPOINTS,
+    ...endpoints,
+    models: { ...DEFAULT_ENDPOINTS.models, ...endpoints.models }
+  };
+}
+
+// Validate endpoint settings, returning an error message or null
+export function validateEndpointsPolicy(endpoints) {
+  if (typeof endpoints !== 'object' || endpoints === null || Array.isArray(endpoints)) {
+    return 'Invalid endpoints';
+  }
+
+  if (endpoints.passthrough != null && typeof endpoints.passthrough !== 'boolean') {
+    return 'Invalid endpoints.passthrough';
+  }
+
+  const models = endpoints.models;
+  if (models != null) {
+    if (typeof models !== 'object' || Array.isArray(models)) {
+      return 'Invalid endpoints.models';
+    }
+    if (models.allowlist != null && (!Array.isArray(models.allowlist) || models.allowlist.some(pattern => typeof pattern !== 'string' || !pattern))) {
+      return 'Invalid endpoints.models.allowlist';
+    }
+    if (models.cacheTtl != null && (!Number.isInteger(models.cacheTtl) || models.cacheTtl < 0)) {
+      return 'Invalid endpoints.models.cacheTtl';
+    }
+  }
+
+  return null;
+}
+
+// Merge the model lists of several upstreams into one OpenAI list, keeping the first entry of each id
+// and leaving out the ids the allowlist, or the models of the calling client key, do not match
+export function mergeModelLists(lists, allowlist, keyModels = []) {
+  const seen = new Set();
+  const data = [];
+
+  for (const list of lists) {
+    for (const model of list) {
+      if (!model || typeof model.id !== 'string' || seen.has(model.id)) {
+        continue;
+      }
+      seen.add(model.id);
+      const listed = allowlist.length === 0 || allowlist.some(pattern => matchesGlob(pattern, model.id));
+      const usable = keyModels.length === 0 || keyModels.some(pattern => matchesGlob(pattern, model.id));
+      if (listed && usable) {
+        data.push({ object: 'model', ...model });
+      }
+    }
+  }
+
+  return { object: 'list', data };
+}
@@ -0,0 +1,336 @@
+/**
+ * Google Gemini generateContent adapter: serves OpenAI chat completions from a Gemini upstream
+ */
+
+import { encodeEvent, parseEventData } from './sse.js';
+import {
+  chatChunkEvent,
+  chatCompletion,
+  chatMessage,
+  chatStream,
+  chatUsage,
+  contentText,
+  openAIError,
+  parseDataUrl,
+  parseToolArguments,
+  stopSequences,
+  toolCallId
+} from './openai.js';
+
+// Gemini finish reasons that OpenAI reports as something other than "stop"
+const FINISH_REASONS = {
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter'
+};
+
+// JSON Schema keywords that Gemini's function declarations reject
+const UNSUPPORTED_SCHEMA_KEYS = ['$schema', 'additionalProperties', 'strict'];
+
+// Drop the JSON Schema keywords Gemini does not accept, at every level of a schema
+function cleanSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(cleanSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => !UNSUPPORTED_SCHEMA_KEYS.includes(key))
+    .map(([key, value]) => [key, cleanSchema(value)]));
+}
+
+// Translate OpenAI message content into Gemini parts
+function contentParts(content) {
+  if (typeof content === 'string') {
+    return content ? [{ text: content }] : [];
+  }
+  if (!Array.isArray(content)) {
+    return [];
+  }
+
+  return content.map(part => {
+    if (part.type === 'image_url') {
+      const url = part.image_url && part.image_url.url;
+      const inline = parseDataUrl(url);
+      return inline
+        ? { inlineData: { mimeType: inline.mediaType, data: inline.data } }
+        : { fileData: { fileUri: url } };
+    }
+    return { text: part.text || '' };
+  });
+}
+
+// Translate OpenAI messages into Gemini contents and a system instruction
+// Tool results need the function name, which only the assistant message that called it has
+function translateMessages(messages) {
+  const system = [];
+  const contents = [];
+  const toolNames = {};
+
+  const push = (role, parts) => {
+    if (parts.length === 0) {
+      return;
+    }
+    // Gemini expects turns to alternate, so consecutive messages from one side are merged
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) {
+      last.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  };
+
+  for (const message of messages) {
+    if (message.role === 'system' || message.role === 'developer') {
+      system.push(contentText(message.content));
+    } else if (message.role === 'assistant') {
+      const parts = contentParts(message.content);
+      for (const call of message.tool_calls || []) {
+        toolNames[call.id] = call.function.name;
+        parts.push({ functionCall: { name: call.function.name, args: parseToolArguments(call.function.arguments) } });
+      }
+      push('model', parts);
+    } else if (message.role === 'tool') {
+      push('user', [{
+        functionResponse: {
+          name: toolNames[message.tool_call_id] || message.name || 'function',
+          response: { content: contentText(message.content) }
+        }
+      }]);
+    } else {
+      push('user', contentParts(message.content));
+    }
+  }
+
+  return { system: system.filter(Boolean).join('\n'), contents };
+}
+
+// Translate an OpenAI tool_choice into a Gemini function calling config
+function toolConfig(toolChoice) {
+  if (toolChoice === 'none') {
+    return { functionCallingConfig: { mode: 'NONE' } };
+  }
+  if (toolChoice === 'required') {
+    return { functionCallingConfig: { mode: 'ANY' } };
+  }
+  if (toolChoice && toolChoice.function) {
+    return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.function.name] } };
+  }
+  return undefined;
+}
+
+// Translate an OpenAI chat completion request into a Gemini generateContent request
+function buildRequest(payload) {
+  const { system, contents } = translateMessages(payload.messages || []);
+  const request = { contents };
+
+  if (system) {
+    request.systemInstruction = { parts: [{ text: system }] };
+  }
+
+  const generationConfig = {};
+  const settings = {
+    temperature: payload.temperature,
+    topP: payload.top_p,
+    maxOutputTokens: payload.max_completion_tokens || payload.max_tokens,
+    candidateCount: payload.n,
+    presencePenalty: payload.presence_penalty,
+    frequencyPenalty: payload.frequency_penalty,
+    seed: payload.seed
+  };
+  for (const [name, value] of Object.entries(settings)) {
+    if (value != null) {
+      generationConfig[name] = value;
+    }
+  }
+
+  const stop = stopSequences(payload.stop);
+  if (stop.length > 0) {
+    generationConfig.stopSequences = stop;
+  }
+
+  const format = payload.response_format && payload.response_format.type;
+  if (format === 'json_object' || format === 'json_schema') {
+    generationConfig.responseMimeType = 'application/json';
+    if (format === 'json_schema' && payload.response_format.json_schema) {
+      generationConfig.responseSchema = cleanSchema(payload.response_format.json_schema.schema);
+    }
+  }
+
+  if (Object.keys(generationConfig).length > 0) {
+    request.generationConfig = generationConfig;
+  }
+
+  if (Array.isArray(payload.tools) && payload.tools.length > 0) {
+    request.tools = [{
+      functionDeclarations: payload.tools
+        .filter(tool => tool.type === 'function' && tool.function)
+        .map(tool => ({
+          name: tool.function.name,
+          description: tool.function.description,
+          ...(tool.function.parameters && { parameters: cleanSchema(tool.function.parameters) })
+        }))
+    }];
+
+    const config = toolConfig(payload.tool_choice);
+    if (config) {
+      request.toolConfig = config;
+    }
+  }
+
+  return request;
+}
+
+// Split a Gemini candidate's parts into text and tool calls
+function candidateOutput(candidate) {
+  const parts = (candidate && candidate.content && candidate.content.parts) || [];
+  return {
+    text: parts.filter(part => typeof part.text === 'string' && !part.thought).map(part => part.text).join(''),
+    toolCalls: parts.filter(part => part.functionCall).map(part => ({
+      id: toolCallId(),
+      name: part.functionCall.name,
+      arguments: JSON.stringify(part.functionCall.args || {})
+    }))
+  };
+}
+
+// Translate a Gemini finish reason, which says STOP even when the model called a function
+function finishReason(reason, hasToolCalls) {
+  if (!reason) {
+    return null;
+  }
+  if (hasToolCalls && reason === 'STOP') {
+    return 'tool_calls';
+  }
+  return FINISH_REASONS[reason] || 'stop';
+}
+
+// Build an OpenAI usage object from Gemini usage metadata
+function translateUsage(metadata) {
+  if (!metadata) {
+    return undefined;
+  }
+  return chatUsage(metadata.promptTokenCount, (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0));
+}
+
+// Translate a Gemini generateContent response into an OpenAI chat completion
+function translateResponse(body, payload) {
+  const choices = (body.candidates || []).map((candidate, index) => {
+    const { text, toolCalls } = candidateOutput(candidate);
+    return {
+      index: candidate.index != null ? candidate.index : index,
+      message: chatMessage(text, toolCalls),
+      finish_reason: finishReason(candidate.finishReason, toolCalls.length > 0) || 'stop'
+    };
+  });
+
+  // A prompt blocked by safety filters comes back without candidates
+  if (choices.length === 0 && body.promptFeedback && body.promptFeedback.blockReason) {
+    choices.push({ index: 0, message: chatMessage(''), finish_reason: 'content_filter' });
+  }
+
+  return chatCompletion({
+    id: body.responseId && `chatcmpl-${body.responseId}`,
+    model: body.modelVersion || payload.model,
+    choices,
+    usage: translateUsage(body.usageMetadata)
+  });
+}
+
+// Event handlers for processEventStream that turn Gemini SSE responses into OpenAI chunks
+// Gemini sends no [DONE]; usage metadata is cumulative, so the last one seen is the total
+function createStreamTranslator(payload) {
+  const stream = chatStream(payload.model);
+  const includeUsage = Boolean(payload.stream_options && payload.stream_options.include_usage);
+  let started = false;
+  let toolIndex = 0;
+  let usage;
+  let finished = false;
+  let failed = false;
+
+  return {
+    onEvent: event => {
+      const chunk = parseEventData(event);
+      if (!chunk || failed) {
+        return null;
+      }
+
+      if (chunk.error) {
+        failed = true;
+        return encodeEvent(openAIError(chunk.error.message || 'Upstream error', 'upstream_error', chunk.error.status || null)) + encodeEvent('[DONE]');
+      }
+
+      if (chunk.modelVersion) {
+        stream.model = chunk.modelVersion;
+      }
+      if (chunk.usageMetadata) {
+        usage = translateUsage(chunk.usageMetadata);
+      }
+
+      const candidate = (chunk.candidates || [])[0];
+      if (!candidate) {
+        return null;
+      }
+
+      const { text, toolCalls } = candidateOutput(candidate);
+      const delta = {};
+      if (!started) {
+        delta.role = 'assistant';
+        started = true;
+      }
+      if (text) {
+        delta.content = text;
+      }
+      if (toolCalls.length > 0) {
+        delta.tool_calls = toolCalls.map(call => ({
+          index: toolIndex++,
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }));
+      }
+
+      const reason = finishReason(candidate.finishReason, toolIndex > 0);
+      if (reason) {
+        finished = true;
+      }
+      if (Object.keys(delta).length === 0 && !reason) {
+        return null;
+      }
+      return chatChunkEvent(stream, { delta, finishReason: reason });
+    },
+    onEnd: ({ error }) => {
+      // Leave a broken stream unterminated, so it is reported as interrupted downstream;
+      // an error event has already ended it
+      if (error || failed || !finished) {
+        return null;
+      }
+      return (includeUsage && usage ? chatChunkEvent(stream, { usage }) : '') + encodeEvent('[DONE]');
+    }
+  };
+}
+
+// Translate a Gemini error body into an OpenAI error body
+function translateError(body, status) {
+  const error = body && body.error;
+  if (!error) {
+    return openAIError(`Upstream returned HTTP ${status}`);
+  }
+  return openAIError(error.message || `Upstream returned HTTP ${status}`, 'upstream_error', error.status || null);
+}
+
+export const geminiAdapter = {
+  endpoints: ['/v1/chat/completions'],
+  defaultPathPrefix: '/v1beta',
+  probePath: '/models',
+  authHeaders: apiKey => (apiKey ? { 'x-goog-api-key': apiKey } : {}),
+  buildUrl: (base, payload) => `${base}/models/${encodeURIComponent(payload.model)}:${payload.stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`,
+  buildRequest,
+  translateResponse,
+  createStreamTranslator,
+  translateError
+};
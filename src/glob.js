@@ -0,0 +1,29 @@
+/**
+ * Minimal glob matching for model names and endpoints ("*" matches any run of characters)
+ */
+
+// Cache of compiled patterns, since the same few patterns are matched on every request
+const compiledPatterns = new Map();
+
+// Check whether a value matches a glob pattern
+export function matchesGlob(pattern, value) {
+  if (typeof pattern !== 'string' || typeof value !== 'string') {
+    return false;
+  }
+
+  if (!pattern.includes('*') && !pattern.includes('?')) {
+    return pattern === value;
+  }
+
+  let regex = compiledPatterns.get(pattern);
+  if (!regex) {
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    regex = new RegExp(`^${source}$`);
+    compiledPatterns.set(pattern, regex);
+  }
+
+  return regex.test(value);
+}
@@ -0,0 +1,267 @@
+/**
+ * Outbound content guardrails: rules that redact PII, block denylisted terms or flag matches in chat
+ * and completion bodies before they are forwarded
+ */
+
+import { matchesGlob } from './glob.js';
+
+// Guardrail settings used for any field the admin config does not set; there are no rules by default
+export const DEFAULT_GUARDRAILS = {
+  // Rules are applied in order; blocking and flagging rules see the text before any rule redacts it
+  rules: []
+};
+
+// Endpoints whose bodies pass through the guardrails (Anthropic /v1/messages calls are translated to chat first);
+// JSON bodies sent to passthrough /v1/* paths are checked as well
+export const GUARDED_ENDPOINTS = ['/v1/chat/completions', '/v1/completions'];
+
+// What a rule does with a match
+export const GUARDRAIL_ACTIONS = ['redact', 'block', 'flag'];
+
+// Built-in PII detectors, in the order they redact (longer digit runs first, so a phone number is
+// not found inside a card or ID number), with the placeholder each match is replaced with
+export const PII_DETECTORS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    replacement: '[REDACTED_EMAIL]'
+  },
+  // Payment card numbers of 13 to 19 digits, optionally grouped with spaces or dashes, that pass the Luhn check
+  cardNumber: {
+    pattern: /(?<![\d-])(?:\d[ -]?){12,18}\d(?![\d-])/g,
+    check: luhnValid,
+    replacement: '[REDACTED_CARD]'
+  },
+  // Chinese resident ID numbers and US social security numbers
+  idNumber: {
+    pattern: /(?<!\w)(?:[1-9]\d{5}(?:18|19|20)\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])\d{3}[\dXx]|\d{3}-\d{2}-\d{4})(?!\w)/g,
+    replacement: '[REDACTED_ID]'
+  },
+  // Chinese mobile numbers, North American numbers written with separators, and international "+" numbers
+  phone: {
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:1[3-9]\d{9}|\(?\d{3}\)?[ .-]?\d{3}[ .-]\d{4})(?!\w)|(?<![\w+])\+\d[\d .-]{6,16}\d(?!\w)/g,
+    replacement: '[REDACTED_PHONE]'
+  }
+};
+
+// Rule names appear in logs and error messages
+const RULE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Placeholder for matches of custom patterns and denylisted terms
+const DEFAULT_REPLACEMENT = '[REDACTED]';
+
+// Merge the admin-configured guardrail settings over the defaults
+export function getGuardrailsPolicy(config) {
+  return { ...DEFAULT_GUARDRAILS, ...((config && config.guardrails) || {}) };
+}
+
+// Whether a value is a list of non-empty strings
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+}
+
+// Validate one guardrail rule, returning an error message or null
+function validateGuardrailRule(rule, index) {
+  if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+    return `Invalid guardrails rule ${index}`;
+  }
+
+  const label = `guardrails rule ${typeof rule.name === 'string' ? rule.name : index}`;
+  if (typeof rule.name !== 'string' || !RULE_NAME_PATTERN.test(rule.name)) {
+    return `Invalid ${label}: name must use letters, digits, ".", "_" and "-" only`;
+  }
+  if (!GUARDRAIL_ACTIONS.includes(rule.action)) {
+    return `Invalid ${label}: action must be one of ${GUARDRAIL_ACTIONS.join(', ')}`;
+  }
+  if (rule.enabled != null && typeof rule.enabled !== 'boolean') {
+    return `Invalid ${label}: enabled`;
+  }
+
+  for (const field of ['endpoints', 'models', 'patterns', 'terms']) {
+    if (rule[field] != null && !isStringList(rule[field])) {
+      return `Invalid ${label}: ${field} must be a list of strings`;
+    }
+  }
+  if (rule.detectors != null && (!Array.isArray(rule.detectors) || rule.detectors.some(detector => !PII_DETECTORS[detector]))) {
+    return `Invalid ${label}: detectors must be some of ${Object.keys(PII_DETECTORS).join(', ')}`;
+  }
+  for (const pattern of rule.patterns || []) {
+    try {
+      new RegExp(pattern, 'g');
+    } catch (error) {
+      return `Invalid ${label}: pattern ${pattern}`;
+    }
+  }
+
+  if (!['detectors', 'patterns', 'terms'].some(field => rule[field] && rule[field].length > 0)) {
+    return `Invalid ${label}: needs detectors, patterns or terms`;
+  }
+
+  return null;
+}
+
+// Validate guardrail settings, returning an error message or null
+export function validateGuardrailsPolicy(guardrails) {
+  if (typeof guardrails !== 'object' || guardrails === null || Array.isArray(guardrails)) {
+    return 'Invalid guardrails';
+  }
+  if (guardrails.rules == null) {
+    return null;
+  }
+  if (!Array.isArray(guardrails.rules)) {
+    return 'Invalid guardrails.rules';
+  }
+
+  const names = new Set();
+  for (const [index, rule] of guardrails.rules.entries()) {
+    const error = validateGuardrailRule(rule, index);
+    if (error) {
+      return error;
+    }
+    if (names.has(rule.name)) {
+      return `Duplicate guardrails rule ${rule.name}`;
+    }
+    names.add(rule.name);
+  }
+
+  return null;
+}
+
+// Whether a digit string (with any separators) passes the Luhn checksum of payment card numbers
+function luhnValid(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// The matchers of a rule: its built-in detectors, then its custom patterns, then its terms (case-insensitive)
+function ruleMatchers(rule) {
+  const detectors = Object.keys(PII_DETECTORS).filter(name => (rule.detectors || []).includes(name));
+  return [
+    ...detectors.map(name => PII_DETECTORS[name]),
+    ...(rule.patterns || []).map(pattern => ({ pattern: new RegExp(pattern, 'g'), replacement: DEFAULT_REPLACEMENT })),
+    ...(rule.terms || []).map(term => ({
+      pattern: new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'),
+      replacement: DEFAULT_REPLACEMENT
+    }))
+  ];
+}
+
+// Run a rule's matchers over a text, returning the redacted text and the number of matches
+function matchText(text, matchers) {
+  let matches = 0;
+  let result = text;
+  for (const { pattern, check, replacement } of matchers) {
+    result = result.replace(pattern, match => {
+      if (check && !check(match)) {
+        return match;
+      }
+      matches++;
+      return replacement;
+    });
+  }
+  return { text: result, matches };
+}
+
+// Call a function on every text of a chat or completion body, replacing each text with what it returns
+// Texts are message contents (including every text part of a multi-part content, as tool results can be),
+// the arguments of assistant tool and function calls, and prompts
+function mapTexts(payload, map) {
+  if (Array.isArray(payload.messages)) {
+    for (const message of payload.messages) {
+      if (!message || typeof message !== 'object') {
+        continue;
+      }
+      if (typeof message.content === 'string') {
+        message.content = map(message.content);
+      } else if (Array.isArray(message.content)) {
+        for (const part of message.content) {
+          if (part && typeof part.text === 'string') {
+            part.text = map(part.text);
+          }
+        }
+      }
+
+      const calls = [...(Array.isArray(message.tool_calls) ? message.tool_calls : []), { function: message.function_call }];
+      for (const call of calls) {
+        if (call && call.function && typeof call.function.arguments === 'string') {
+          call.function.arguments = map(call.function.arguments);
+        }
+      }
+    }
+  }
+
+  if (typeof payload.prompt === 'string') {
+    payload.prompt = map(payload.prompt);
+  } else if (Array.isArray(payload.prompt)) {
+    payload.prompt = payload.prompt.map(prompt => (typeof prompt === 'string' ? map(prompt) : prompt));
+  }
+}
+
+// Call a function on every string anywhere in a JSON body, for passthrough paths whose shape is unknown
+function mapStrings(value, map) {
+  for (const [key, item] of Object.entries(value)) {
+    if (typeof item === 'string') {
+      value[key] = map(item);
+    } else if (item && typeof item === 'object') {
+      mapStrings(item, map);
+    }
+  }
+}
+
+// Whether a rule applies to a request: each of its scopes is empty or has a glob that matches
+function inScope(patterns, value) {
+  return !patterns || patterns.length === 0 || patterns.some(pattern => matchesGlob(pattern, value || ''));
+}
+
+// Apply the guardrail rules that cover an endpoint and model to a parsed body, redacting it in place
+// Returns { blocked, hits } where blocked is the name of the rule that blocked the request (or null)
+// and hits lists every rule that matched as { rule, action, matches }
+// A passthrough body has no known text fields, so every string in it is checked
+export function applyGuardrails(payload, policy, endpoint, model, passthrough = false) {
+  const visit = passthrough ? mapStrings : mapTexts;
+  const rules = policy.rules.filter(rule => rule.enabled !== false
+    && inScope(rule.endpoints, endpoint)
+    && inScope(rule.models, model));
+  const hits = [];
+
+  // Blocking and flagging rules judge the text as the client sent it
+  for (const rule of rules.filter(rule => rule.action !== 'redact')) {
+    const matchers = ruleMatchers(rule);
+    let matches = 0;
+    visit(payload, text => {
+      matches += matchText(text, matchers).matches;
+      return text;
+    });
+    if (matches > 0) {
+      hits.push({ rule: rule.name, action: rule.action, matches });
+      if (rule.action === 'block') {
+        return { blocked: rule.name, hits };
+      }
+    }
+  }
+
+  for (const rule of rules.filter(rule => rule.action === 'redact')) {
+    const matchers = ruleMatchers(rule);
+    let matches = 0;
+    visit(payload, text => {
+      const result = matchText(text, matchers);
+      matches += result.matches;
+      return result.text;
+    });
+    if (matches > 0) {
+      hits.push({ rule: rule.name, action: rule.action, matches });
+    }
+  }
+
+  return { blocked: null, hits };
+}
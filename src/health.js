@@ -0,0 +1,151 @@
+/**
+ * Per-upstream circuit breaker and health probes
+ */
+
+// Circuit breaker settings used for any field the admin config does not set
+export const DEFAULT_CIRCUIT_BREAKER = {
+  failureThreshold: 5,
+  cooldownMs: 30 * 1000,
+  windowMs: 5 * 60 * 1000
+};
+
+// Most outcomes kept per upstream for the error rate and latency figures
+const MAX_SAMPLES = 200;
+
+// How long a health probe may take before it counts as a failure
+const PROBE_TIMEOUT = 10 * 1000;
+
+// Merge the admin-configured circuit breaker settings over the defaults
+export function getCircuitBreakerPolicy(config) {
+  return { ...DEFAULT_CIRCUIT_BREAKER, ...(config && config.circuitBreaker) };
+}
+
+// Validate circuit breaker settings, returning an error message or null
+export function validateCircuitBreakerPolicy(circuitBreaker) {
+  if (typeof circuitBreaker !== 'object' || circuitBreaker === null || Array.isArray(circuitBreaker)) {
+    return 'Invalid circuitBreaker';
+  }
+
+  for (const field of Object.keys(DEFAULT_CIRCUIT_BREAKER)) {
+    const value = circuitBreaker[field];
+    if (value != null && (!Number.isInteger(value) || value < 1)) {
+      return `Invalid circuitBreaker.${field}`;
+    }
+  }
+
+  return null;
+}
+
+// Whether an attempt outcome counts against the upstream (network errors and 5xx)
+export function isFailure(outcome) {
+  return Boolean(outcome.error) || outcome.status >= 500;
+}
+
+// Current circuit state of an upstream: "closed", "open" (skip it) or "half_open" (let a trial through)
+export function circuitState(entry, policy, now = Date.now()) {
+  if (!entry || !entry.openedAt) {
+    return 'closed';
+  }
+  return now < entry.openedAt + policy.cooldownMs ? 'open' : 'half_open';
+}
+
+// Apply an attempt or probe outcome to an upstream's health entry, returning the updated entry
+export function recordOutcome(entry, outcome, policy, now = Date.now()) {
+  const next = {
+    consecutiveFailures: 0,
+    openedAt: null,
+    samples: [],
+    ...entry
+  };
+  const state = circuitState(next, policy, now);
+  const failed = isFailure(outcome);
+
+  // Probe and request outcomes both feed the error rate and latency, within the window
+  next.samples = [...next.samples, [now, failed ? 0 : 1, outcome.duration || 0]]
+    .filter(([timestamp]) => timestamp > now - policy.windowMs)
+    .slice(-MAX_SAMPLES);
+
+  if (failed) {
+    next.consecutiveFailures++;
+    next.lastFailureAt = new Date(now).toISOString();
+    next.lastError = outcome.error || `HTTP ${outcome.status}`;
+
+    // A failed trial re-opens the circuit; otherwise open it once the threshold is reached
+    if (state === 'half_open' || (state === 'closed' && next.consecutiveFailures >= policy.failureThreshold)) {
+      next.openedAt = now;
+    }
+  } else if (state !== 'open') {
+    // A success closes a half-open circuit; successes that were already in flight while it
+    // was open do not
+    next.consecutiveFailures = 0;
+    next.openedAt = null;
+    next.lastSuccessAt = new Date(now).toISOString();
+  }
+
+  if (outcome.probe) {
+    next.lastProbeAt = new Date(now).toISOString();
+  }
+
+  return next;
+}
+
+// Summarize an upstream's health entry for /health and /admin/stats
+export function summarizeUpstream(id, entry, policy, now = Date.now()) {
+  const samples = (entry.samples || []).filter(([timestamp]) => timestamp > now - policy.windowMs);
+  const failures = samples.filter(([, ok]) => !ok).length;
+  const totalLatency = samples.reduce((sum, [, , latency]) => sum + latency, 0);
+  const state = circuitState(entry, policy, now);
+
+  return {
+    id,
+    state,
+    requests: samples.length,
+    errorRate: samples.length > 0 ? Math.round((failures / samples.length) * 100) : 0,
+    avgLatency: samples.length > 0 ? Math.round(totalLatency / samples.length) : 0,
+    consecutiveFailures: entry.consecutiveFailures || 0,
+    openedAt: entry.openedAt ? new Date(entry.openedAt).toISOString() : null,
+    retryAt: state === 'open' ? new Date(entry.openedAt + policy.cooldownMs).toISOString() : null,
+    lastError: entry.lastError || null,
+    lastFailureAt: entry.lastFailureAt || null,
+    lastSuccessAt: entry.lastSuccessAt || null,
+    lastProbeAt: entry.lastProbeAt || null
+  };
+}
+
+// Check that an upstream answers at all by requesting its model list
+// Any response below 500 (including 401/403/404) means the upstream is reachable
+// authHeaders carry the upstream's API key in whatever form its protocol expects; redirect is 'manual'
+// for URLs that were not configured by the admin, so a redirect is not followed to an unchecked host
+export async function probeUpstream(url, authHeaders = {}, redirect = 'follow') {
+  const startTime = Date.now();
+  const headers = { 'User-Agent': 'LLM-Proxy-API/1.0', ...authHeaders };
+
+  try {
+    const response = await fetch(url, {
+      method: 'GET',
+      headers,
+      redirect,
+      signal: AbortSignal.timeout(PROBE_TIMEOUT)
+    });
+    await response.body?.cancel();
+
+    return {
+      ok: response.status < 500,
+      status: response.status,
+      statusText: response.statusText,
+      duration: Date.now() - startTime
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      status: 502,
+      error: error.message,
+      duration: Date.now() - startTime
+    };
+  }
+}
+
+// Whether a cached upstream summary still says to skip the upstream
+export function isCircuitOpen(summary, now = Date.now()) {
+  return Boolean(summary && summary.retryAt && Date.parse(summary.retryAt) > now);
+}
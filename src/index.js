@@ -5,26 +5,79 @@
 // Import the admin HTML content as a raw string (bundler will inline it)
 import adminHtml from './admin.html';
 
-// In-memory storage for configuration, logs, and statistics
-const memoryStorage = {
-  config: {},
-  logs: [],
-  stats: {
-    totalRequests: 0,
-    successfulRequests: 0,
-    totalDuration: 0
-  }
-};
+import { getSessionToken, sessionCookie } from './auth.js';
+import { getClientKey, hashClientKey } from './keys.js';
+import { buildUpstreamUrl, resolveRoute } from './routing.js';
+import { awaitFirstChunk, backoffDelay, getRetryPolicy, parseRetryAfter, sleep } from './retry.js';
+import { isCircuitOpen, probeUpstream } from './health.js';
+import { encodeEvent, hasGeneratedContent, parseEventData, processEventStream } from './sse.js';
+import { normalizeUsage } from './usage.js';
+import { getAdapter, providerPathPrefix } from './adapters.js';
+import { MAX_CACHED_BODY, cacheKey, getCachePolicy, isCacheable } from './cache.js';
+import { getEmbeddingsPolicy, mapWithConcurrency, mergeEmbeddings, splitInputs } from './embeddings.js';
+import { estimateTokens, getRateLimitPolicy, hasRateLimits } from './ratelimit.js';
+import { errorType, openAIError } from './openai.js';
+import { captureBody, describeBody, getCapturePolicy, isTextContent, maskHeaders, redact } from './capture.js';
+import { PROXIED_ENDPOINTS, getEndpointsPolicy, mergeModelLists } from './endpoints.js';
+import { webhookPayload } from './alerts.js';
+import { checkTargetUrl, getTargetPolicy, targetOrigin } from './targets.js';
+import { GUARDED_ENDPOINTS, applyGuardrails, getGuardrailsPolicy } from './guardrails.js';
+import { applyTransforms, getTransformsPolicy, validateTransformsPolicy } from './transforms.js';
+import {
+  anthropicError,
+  chatResponseToMessage,
+  createMessageStreamTranslator,
+  messagesToChatRequest,
+  validateMessagesRequest
+} from './anthropic.js';
+
+// The Durable Object class must be exported from the entrypoint for the binding to work
+export { LLMProxyStorage } from './storage.js';
+
+// Name of the single Durable Object instance that holds config, logs and stats
+const STORAGE_OBJECT_NAME = 'global';
+
+// How long hot-path reads (config, routing) may be served from the in-isolate cache
+const STORAGE_CACHE_TTL = 30 * 1000;
+
+// How long upstream circuit states may be served from the in-isolate cache
+const CIRCUIT_CACHE_TTL = 5 * 1000;
+
+// Short-lived in-isolate cache for hot-path storage reads, keyed by storage path
+const storageCache = new Map();
+
+// In-isolate cache of the model lists fetched from the upstreams, for GET /v1/models
+let modelListCache = null;
 
 // Main handler for all incoming requests
 export default {
   async fetch(request, env, ctx) {
+    // Every call gets its own request id, which is sent upstream, returned to the client and logged
+    const requestId = crypto.randomUUID();
+    const headers = new Headers(request.headers);
+    headers.set('x-request-id', requestId);
+    
+    const tracedRequest = new Request(request, { headers });
+    const response = await this.handleRequest(tracedRequest, env, ctx);
+    
+    // Calls rejected before their body was read still have to consume it for the connection to be reused
+    if (tracedRequest.body && !tracedRequest.bodyUsed) {
+      ctx.waitUntil(tracedRequest.arrayBuffer().catch(() => {}));
+    }
+    
+    const tagged = new Response(response.body, response);
+    tagged.headers.set('x-request-id', requestId);
+    return tagged;
+  },
+  
+  // Route a request (carrying its x-request-id) to the admin interface, the admin API or an API endpoint
+  async handleRequest(request, env, ctx) {
     try {
       // Enforce HTTPS in production
       if (env.ENVIRONMENT === 'production') {
         const url = new URL(request.url);
         if (url.protocol !== 'https:') {
-          return new Response('Please use HTTPS', { status: 403 });
+          return this.errorResponse(403, 'Please use HTTPS', 'https_required');
         }
       }
       
@@ -40,8 +93,14 @@ export default {
       
       // Handle admin API requests
       if (pathname.startsWith('/admin/')) {
+        // Logging in is the only admin API call that does not need a session
+        if (pathname === '/admin/login') {
+          return await this.handleLogin(request, env, ctx);
+        }
+        
         // Verify authentication for admin API requests
-        if (!(await this.verifyAdminAuth(request, env))) {
+        const session = await this.verifyAdminAuth(request, env);
+        if (!session) {
           return new Response(JSON.stringify({ error: 'Unauthorized' }) , {
             status: 401,
             headers: { 'Content-Type': 'application/json' }
@@ -49,7 +108,7 @@ export default {
         }
         
         // Route to the admin API
-        return await this.handleAdminApi(request, env, ctx);
+        return await this.handleAdminApi(request, env, ctx, session);
       }
       
       // Handle CORS preflight requests
@@ -57,54 +116,146 @@ export default {
         return this.handleOptions(request);
       }
 
-      // Only allow POST requests for API endpoints (except for health check)
-      if (request.method !== 'POST' && request.method !== 'GET') {
-        return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-          status: 405,
-          headers: { 'Content-Type': 'application/json' }
-        });
+      // API endpoints take GET and POST; DELETE only reaches passthrough paths
+      if (request.method !== 'POST' && request.method !== 'GET' && request.method !== 'DELETE') {
+        return this.errorResponse(405, `Method ${request.method} is not allowed`, 'method_not_allowed');
       }
 
-      // Handle health check endpoint
+      // Handle health check and metrics endpoints; other GETs outside /v1 do not exist
       if (request.method === 'GET') {
         if (pathname === '/' || pathname === '/health') {
-          return new Response(JSON.stringify({ status: 'OK', message: 'LLM Proxy API is running' }), {
-            status: 200,
-            headers: { 'Content-Type': 'application/json' }
-          });
-        } else {
-          return new Response(JSON.stringify({ error: 'Not found' }), {
-            status: 404,
-            headers: { 'Content-Type': 'application/json' }
-          });
+          return await this.handleHealth(request, env, ctx);
+        } else if (pathname === '/metrics') {
+          return await this.handleMetrics(request, env, ctx);
+        } else if (!pathname.startsWith('/v1/')) {
+          return this.errorResponse(404, `Unknown URL: GET ${pathname}`, 'unknown_url');
         }
       }
 
+      // Every API call must carry a proxy-issued client key
+      const client = await this.authenticateClient(request, env, pathname);
+      if (client instanceof Response) {
+        return client;
+      }
+
       // Handle different OpenAI API endpoints
-      if (pathname === '/v1/chat/completions') {
-        return await this.handleChatCompletion(request, env, ctx);
-      } else if (pathname === '/v1/completions') {
-        return await this.handleCompletions(request, env, ctx);
-      } else if (pathname === '/v1/embeddings') {
-        return await this.handleEmbeddings(request, env, ctx);
+      if (request.method === 'GET' && (pathname === '/v1/models' || pathname.startsWith('/v1/models/'))) {
+        return await this.handleModels(request, env, ctx, client);
+      } else if (request.method === 'POST' && PROXIED_ENDPOINTS[pathname]) {
+        return await this[PROXIED_ENDPOINTS[pathname]](request, env, ctx, client);
+      } else if (pathname.startsWith('/v1/') && getEndpointsPolicy(await this.getConfig(env)).passthrough) {
+        return await this.handlePassthrough(request, env, ctx, client);
       } else {
-        return new Response(JSON.stringify({ error: 'Endpoint not found' }), {
-          status: 404,
-          headers: { 'Content-Type': 'application/json' }
-        });
+        return this.errorResponse(404, `Unknown URL: ${request.method} ${pathname}`, 'unknown_url');
       }
     } catch (error) {
+      // The details stay in the Worker logs and the request's log entry, never in the response
       console.error('Error in main handler:', error);
-      return new Response(JSON.stringify({ 
-        error: 'Internal server error',
-        message: error.message 
-      }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
+      return this.errorResponse(500, `Internal server error (request ${request.headers.get('x-request-id')})`);
+    }
+  },
+  
+  
+  // Run the periodic upstream health probes (Worker cron trigger)
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(this.runHealthChecks(env));
+    ctx.waitUntil(this.runAlerts(env));
+  },
+  
+  // Report proxy health, including the circuit state of every upstream
+  // Returns 503 only when every upstream's circuit is open
+  async handleHealth(request, env, ctx) {
+    let upstreams = [];
+    try {
+      const response = await this.storageFetch(env, '/upstreams');
+      upstreams = (await response.json()).map(({ id, state, errorRate, avgLatency, lastProbeAt }) => ({
+        id, state, errorRate, avgLatency, lastProbeAt
+      }));
+    } catch (error) {
+      console.error('Error loading upstream health:', error);
+    }
+    
+    const openCount = upstreams.filter(upstream => upstream.state === 'open').length;
+    const status = openCount === 0 ? 'OK' : openCount < upstreams.length ? 'DEGRADED' : 'DOWN';
+    const messages = {
+      OK: 'LLM Proxy API is running',
+      DEGRADED: 'Some upstreams are unavailable',
+      DOWN: 'All upstreams are unavailable'
+    };
+    
+    return new Response(JSON.stringify({ status, message: messages[status], upstreams }), {
+      status: status === 'DOWN' ? 503 : 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  },
+  
+  // Probe the default target API and every provider, feeding the results into the circuit breakers
+  async runHealthChecks(env) {
+    const { providers } = await this.getRouting(env);
+    const defaultTarget = await this.getDefaultTargetApiUrl(env);
+    const bearer = apiKey => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+    const targets = [
+      { id: 'default', url: buildUpstreamUrl(defaultTarget, '/v1', '/v1/models'), headers: bearer(env.TARGET_API_KEY) },
+      ...Object.values(providers).map(provider => {
+        // Other protocols list their models elsewhere and take the key in their own headers
+        const adapter = getAdapter(provider.protocol);
+        return {
+          id: provider.name,
+          url: adapter
+            ? `${provider.baseUrl.replace(/\/+$/, '')}${providerPathPrefix(provider).replace(/\/+$/, '')}${adapter.probePath}`
+            : buildUpstreamUrl(provider.baseUrl, provider.pathPrefix, '/v1/models'),
+          headers: adapter ? adapter.authHeaders(provider.apiKey) : bearer(provider.apiKey)
+        };
+      })
+    ];
+    
+    const results = await Promise.all(targets.map(async target => ({
+      id: target.id,
+      ...(await probeUpstream(target.url, target.headers))
+    })));
+    
+    if (env.DEBUG) {
+      console.log('Health check results:', results);
+    }
+    
+    try {
+      await this.storageFetch(env, '/upstreams/probe', {
+        method: 'POST',
+        body: JSON.stringify(results)
       });
+    } catch (error) {
+      console.error('Error recording health check results:', error);
+    }
+  },
+  
+  // Evaluate the alert rules and deliver the notifications they raise
+  async runAlerts(env) {
+    try {
+      const response = await this.storageFetch(env, '/alerts/evaluate', { method: 'POST' });
+      const { notifications } = await response.json();
+      await Promise.all(notifications.map(notification => this.sendWebhook(notification)));
+    } catch (error) {
+      console.error('Error evaluating alerts:', error);
     }
   },
   
+  // Post a notification to its webhook in the webhook's format, returning { ok, status } or { ok: false, error }
+  async sendWebhook({ webhook, alert }) {
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(webhookPayload(webhook.format, alert))
+      });
+      if (!response.ok) {
+        console.error(`Alert webhook for ${alert.rule} returned ${response.status}`);
+      }
+      return { ok: response.ok, status: response.status };
+    } catch (error) {
+      console.error(`Error sending alert webhook for ${alert.rule}:`, error);
+      return { ok: false, error: error.message };
+    }
+  },
   
   // Serve the admin interface
   async serveAdminInterface(request, env, ctx) {
@@ -126,44 +277,92 @@ export default {
     return adminHtml;
   },
   
-  // Handle config requests
-  async handleConfig(request, env, ctx) {
+  // Handle config requests, the config history and rolling back to an earlier version
+  async handleConfig(request, env, ctx, session) {
     const method = request.method;
+    const url = new URL(request.url);
+    const path = url.pathname.replace('/admin', '');
+    
+    // Each saved version records who made it: the admin session and the address it came from
+    const author = { session: session.jti, ip: request.headers.get('CF-Connecting-IP') || undefined };
+    
+    if (method === 'GET' && (path === '/config/history' || path.startsWith('/config/history/'))) {
+      return await this.storageFetch(env, `${path}${url.search}`);
+    }
+    
+    if (method === 'POST' && /^\/config\/rollback\/\d+$/.test(path)) {
+      const response = await this.storageFetch(env, path, {
+        method: 'POST',
+        body: JSON.stringify({ author })
+      });
+      if (response.ok) {
+        this.invalidateCache('/config');
+      }
+      return response;
+    }
+
+    if (method === 'GET' && path === '/config/export') {
+      return await this.storageFetch(env, `${path}${url.search}`);
+    }
+
+    if (method === 'POST' && path === '/config/import') {
+      // The document is the raw body; YAML is told apart by ?format=yaml, its Content-Type or its first character
+      const contentType = request.headers.get('Content-Type') || '';
+      const format = url.searchParams.get('format') || (/yaml/i.test(contentType) ? 'yaml' : null);
+      const dryRun = ['1', 'true'].includes(url.searchParams.get('dryRun'));
+      const response = await this.storageFetch(env, path, {
+        method: 'POST',
+        body: JSON.stringify({ document: await request.text(), format, dryRun, author })
+      });
+      if (response.ok && !dryRun) {
+        this.invalidateCache('/config');
+        this.invalidateCache('/routing');
+      }
+      return response;
+    }
+
+    if (path !== '/config') {
+      return new Response(JSON.stringify({ error: 'Endpoint not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
     
     switch (method) {
-      case 'GET':
-        return new Response(JSON.stringify(memoryStorage.config), {
+      case 'GET': {
+        const response = await this.storageFetch(env, '/config');
+        
+        // Never hand the password hash out to the admin UI
+        const { adminPassword, adminPasswordHash, ...config } = await response.json();
+        return new Response(JSON.stringify(config), {
+          status: response.status,
           headers: { 'Content-Type': 'application/json' }
         });
+      }
       case 'POST':
         try {
           const data = await request.json();
           
-          // Validate input
-          if (data.targetApiUrl && typeof data.targetApiUrl !== 'string') {
-            return new Response(JSON.stringify({ error: 'Invalid targetApiUrl' }), {
+          // The password can only be changed through /admin/password
+          if (data && typeof data === 'object' && ('adminPassword' in data || 'adminPasswordHash' in data)) {
+            return new Response(JSON.stringify({ error: 'Use /admin/password to change the admin password' }), {
               status: 400,
               headers: { 'Content-Type': 'application/json' }
             });
           }
           
-          if (data.adminPassword && typeof data.adminPassword !== 'string') {
-            return new Response(JSON.stringify({ error: 'Invalid adminPassword' }), {
-              status: 400,
-              headers: { 'Content-Type': 'application/json' }
-            });
-          }
+          // Persist the config in the Durable Object (it validates the input)
+          const response = await this.storageFetch(env, '/config', {
+            method: 'POST',
+            body: JSON.stringify({ config: data, author })
+          });
           
-          // Update config
-          memoryStorage.config = {
-            ...memoryStorage.config,
-            ...data,
-            updatedAt: new Date().toISOString()
-          };
+          // Drop the cached copy so this isolate picks up the change immediately
+          if (response.ok) {
+            this.invalidateCache('/config');
+          }
           
-          return new Response(JSON.stringify(memoryStorage.config), {
-            headers: { 'Content-Type': 'application/json' }
-          });
+          return response;
         } catch (error) {
           return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
             status: 400,
@@ -175,46 +374,32 @@ export default {
     }
   },
   
+  // Handle response cache requests: hit rate (GET) and purging by model or cache key (DELETE)
+  async handleResponseCache(request, env, ctx) {
+    if (request.method !== 'GET' && request.method !== 'DELETE') {
+      return new Response('Method not allowed', { status: 405 });
+    }
+    
+    const url = new URL(request.url);
+    return await this.storageFetch(env, `/cache${url.search}`, { method: request.method });
+  },
+  
   // Handle logs requests
   async handleLogs(request, env, ctx) {
     const method = request.method;
     const url = new URL(request.url);
+    const path = url.pathname.replace('/admin', '');
     
     switch (method) {
       case 'GET':
-        const limit = parseInt(url.searchParams.get('limit')) || 50;
-        const limitedLogs = memoryStorage.logs.slice(-limit);
-        return new Response(JSON.stringify(limitedLogs), {
-          headers: { 'Content-Type': 'application/json' }
-        });
+        // /logs lists entries; /logs/:id returns one entry with its captured bodies
+        return await this.storageFetch(env, `${path}${url.search}`);
       case 'POST':
         try {
           const logData = await request.json();
-          
-          // Validate input
-          if (!logData.endpoint || !logData.timestamp) {
-            return new Response(JSON.stringify({ error: 'Missing required fields' }), {
-              status: 400,
-              headers: { 'Content-Type': 'application/json' }
-            });
-          }
-          
-          // Add new log entry
-          const newLog = {
-            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
-            ...logData,
-            timestamp: new Date().toISOString()
-          };
-          
-          memoryStorage.logs.push(newLog);
-          
-          // Keep only the last 1000 logs to prevent storage from growing too large
-          if (memoryStorage.logs.length > 1000) {
-            memoryStorage.logs.splice(0, memoryStorage.logs.length - 1000);
-          }
-          
-          return new Response(JSON.stringify(newLog), {
-            headers: { 'Content-Type': 'application/json' }
+          return await this.storageFetch(env, '/logs', {
+            method: 'POST',
+            body: JSON.stringify(logData)
           });
         } catch (error) {
           return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
@@ -223,262 +408,1133 @@ export default {
           });
         }
       case 'DELETE':
-        memoryStorage.logs = [];
-        return new Response(JSON.stringify({ message: 'Logs cleared' }), {
-          headers: { 'Content-Type': 'application/json' }
-        });
+        return await this.storageFetch(env, '/logs', { method: 'DELETE' });
       default:
         return new Response('Method not allowed', { status: 405 });
     }
   },
   
+  // Handle a metrics scrape, authorized by the scrape token rather than a client key
+  // OpenMetrics is served to scrapers that ask for it in Accept, the Prometheus text format otherwise
+  async handleMetrics(request, env, ctx) {
+    const token = getClientKey(request);
+    if (!token) {
+      return this.errorResponse(401, 'Missing metrics token', 'missing_api_key', { 'WWW-Authenticate': 'Bearer' });
+    }
+    
+    const response = await this.storageFetch(env, '/metrics/scrape', {
+      method: 'POST',
+      body: JSON.stringify({
+        tokenHash: await hashClientKey(token),
+        openMetrics: (request.headers.get('Accept') || '').includes('application/openmetrics-text')
+      })
+    });
+    if (response.ok) {
+      return response;
+    }
+    
+    // Scrape errors use the same envelope as the API endpoints the scraper sits beside
+    const { error } = await response.json();
+    return response.status === 401
+      ? this.errorResponse(401, error, 'invalid_api_key', { 'WWW-Authenticate': 'Bearer' })
+      : this.errorResponse(response.status, error, 'metrics_disabled');
+  },
+  
+  // Handle scrape token requests: GET describes it, POST creates or replaces it, DELETE disables /metrics
+  async handleMetricsToken(request, env, ctx) {
+    if (!['GET', 'POST', 'DELETE'].includes(request.method)) {
+      return new Response('Method not allowed', { status: 405 });
+    }
+    return await this.storageFetch(env, '/metrics/token', { method: request.method });
+  },
+  
   // Handle stats requests
   async handleStats(request, env, ctx) {
     if (request.method === 'GET') {
-      // Calculate statistics
-      const totalRequests = memoryStorage.stats.totalRequests;
-      const successfulRequests = memoryStorage.stats.successfulRequests;
-      const successRate = totalRequests > 0 ? Math.round((successfulRequests / totalRequests) * 100) : 0;
-      const avgResponseTime = totalRequests > 0 ? Math.round(memoryStorage.stats.totalDuration / totalRequests) : 0;
-      
-      const stats = {
-        totalRequests,
-        successRate,
-        avgResponseTime,
-        currentTarget: memoryStorage.config.targetApiUrl || null,
-        lastUpdated: memoryStorage.config.updatedAt || null
-      };
-      
-      return new Response(JSON.stringify(stats), {
-        headers: { 'Content-Type': 'application/json' }
-      });
+      const url = new URL(request.url);
+      return await this.storageFetch(env, `${url.pathname.replace('/admin', '')}${url.search}`);
     } else {
       return new Response('Method not allowed', { status: 405 });
     }
   },
   
-  // Handle admin API requests
-  async handleAdminApi(request, env, ctx) {
-    const url = new URL(request.url);
-    const pathname = url.pathname.replace('/admin', '');
-    
-    // Handle test connection endpoint
-    if (pathname === '/test-connection' && request.method === 'POST') {
-      return await this.handleTestConnection(request, env, ctx);
-    }
-    
-    // Handle config endpoint
-    if (pathname === '/config') {
-      return await this.handleConfig(request, env, ctx);
-    }
-    
-    // Handle logs endpoint
-    if (pathname.startsWith('/logs')) {
-      return await this.handleLogs(request, env, ctx);
-    }
-    
-    // Handle stats endpoint
-    if (pathname === '/stats') {
-      return await this.handleStats(request, env, ctx);
-    }
-    
-    return new Response(JSON.stringify({ error: 'Endpoint not found' }), {
-      status: 404,
-      headers: { 'Content-Type': 'application/json' }
+  // Get the Durable Object stub that stores config, logs and stats
+  getStorage(env) {
+    const id = env.LLM_PROXY_STORAGE.idFromName(STORAGE_OBJECT_NAME);
+    return env.LLM_PROXY_STORAGE.get(id);
+  },
+  
+  // Send a request to the storage Durable Object
+  async storageFetch(env, path, init = {}) {
+    const headers = init.body ? { 'Content-Type': 'application/json' } : {};
+    return await this.getStorage(env).fetch(`https://storage${path}`, {
+      ...init,
+      headers: { ...headers, ...init.headers }
     });
   },
   
-  // Handle test connection request
-  async handleTestConnection(request, env, ctx) {
+  // Read a storage path through the short-lived in-isolate cache
+  async getCachedStorage(env, path, fallback, ttl = STORAGE_CACHE_TTL) {
+    const now = Date.now();
+    const cached = storageCache.get(path);
+    if (cached && cached.expiresAt > now) {
+      return cached.value;
+    }
+    
     try {
-      const data = await request.json();
-      const targetApiUrl = data.targetApiUrl;
-      
-      if (!targetApiUrl) {
-        return new Response(JSON.stringify({ error: 'Missing targetApiUrl' }), {
-          status: 400,
-          headers: { 'Content-Type': 'application/json' }
-        });
+      const response = await this.storageFetch(env, path);
+      if (!response.ok) {
+        throw new Error(`Storage returned ${response.status}`);
       }
       
-      // Test connection by making a request to the target API
-      // We'll try to get the model list as a test
-      const testUrl = `${targetApiUrl}/v1/models`;
-      
-      // We only want to check if the connection can be established, not the actual response
-      const response = await fetch(testUrl, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'LLM-Proxy-API/1.0'
-        }
-      });
-      
-      // If we get a response (even an error response), the connection is working
-      // OpenAI API returns 401 for missing/invalid API key, which is still a successful connection
-      if (response.status === 401 || response.status === 403 || response.status === 404 || response.status >= 200) {
-        return new Response(JSON.stringify({ 
-          message: 'Connection successful',
-          status: response.status
-        }), {
-          headers: { 'Content-Type': 'application/json' }
-        });
-      } else {
-        return new Response(JSON.stringify({ 
-          error: 'Connection failed',
-          status: response.status,
-          statusText: response.statusText
-        }), {
-          status: 502,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      }
+      const value = await response.json();
+      storageCache.set(path, { value, expiresAt: now + ttl });
+      return value;
     } catch (error) {
-      console.error('Test connection error:', error);
-      return new Response(JSON.stringify({ 
-        error: 'Connection failed',
-        message: error.message 
-      }), {
-        status: 502,
-        headers: { 'Content-Type': 'application/json' }
-      });
+      // Keep serving the last known value (if any) when storage is unreachable
+      console.error(`Error loading ${path} from storage:`, error);
+      return cached ? cached.value : fallback;
     }
   },
   
-  // Verify admin authentication (always returns true to bypass password check)
-  async verifyAdminAuth(request, env) {
-    return true;
+  // Get the proxy config
+  async getConfig(env) {
+    return await this.getCachedStorage(env, '/config', {});
   },
   
-  // Handle CORS preflight requests
-  handleOptions(request) {
-    const headers = request.headers.get('Access-Control-Request-Headers');
-    return new Response(null, {
-      headers: {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': headers || '*',
-        'Access-Control-Max-Age': '86400',
-      },
-    });
+  // Get the provider registry and routing rules
+  async getRouting(env) {
+    return await this.getCachedStorage(env, '/routing', { providers: {}, routes: [] });
   },
   
-  // Handle chat completions endpoint
-  async handleChatCompletion(request, env, ctx) {
-    // Record the start time for logging
-    const startTime = Date.now();
+  // Get the circuit state of every known upstream, keyed by upstream id
+  async getUpstreamHealth(env) {
+    const upstreams = await this.getCachedStorage(env, '/upstreams', [], CIRCUIT_CACHE_TTL);
+    return Object.fromEntries(upstreams.map(upstream => [upstream.id, upstream]));
+  },
+  
+  // Drop a storage path from the in-isolate cache so this isolate sees a change immediately
+  // The model list is built from the routing and config, so it is dropped with either
+  invalidateCache(path) {
+    storageCache.delete(path);
+    modelListCache = null;
+  },
+  
+  // Handle login requests, returning the session as a bearer token and an HttpOnly cookie
+  async handleLogin(request, env, ctx) {
+    if (request.method !== 'POST') {
+      return new Response('Method not allowed', { status: 405 });
+    }
     
+    let data;
     try {
-      // Get the target API URL from environment variables or use default
-      const targetApiUrl = await this.getTargetApiUrl(request, env);
-      const targetUrl = `${targetApiUrl}/v1/chat/completions`;
-      
-      // Forward the request to the target API
-      const response = await this.forwardRequest(request, targetUrl, env);
-      
-      // Record the end time
-      const endTime = Date.now();
-      const duration = endTime - startTime;
-      
-      // Log the request (in a production environment, you might want to do this asynchronously)
-      await this.logRequest(request, env, {
-        endpoint: '/v1/chat/completions',
-        targetApi: targetApiUrl,
-        status: response.status,
-        duration: duration,
-        timestamp: new Date().toISOString()
-      });
-      
-      return response;
+      data = await request.json();
     } catch (error) {
-      // Record the end time
-      const endTime = Date.now();
-      const duration = endTime - startTime;
-      
-      // Log the error request
-      await this.logRequest(request, env, {
-        endpoint: '/v1/chat/completions',
-        targetApi: await this.getTargetApiUrl(request, env),
-        status: 500,
-        duration: duration,
-        timestamp: new Date().toISOString(),
-        error: error.message
+      return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
       });
-      
-      throw error;
     }
+    
+    const response = await this.storageFetch(env, '/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({
+        password: data.password,
+        ip: request.headers.get('CF-Connecting-IP') || 'unknown'
+      })
+    });
+    
+    return await this.withSessionCookie(response);
   },
   
-  // Handle completions endpoint
-  async handleCompletions(request, env, ctx) {
-    // Record the start time for logging
-    const startTime = Date.now();
+  // Handle logout requests by revoking the current session
+  async handleLogout(request, env, ctx) {
+    await this.storageFetch(env, '/auth/logout', {
+      method: 'POST',
+      body: JSON.stringify({ token: getSessionToken(request) })
+    });
     
+    return new Response(JSON.stringify({ message: 'Logged out' }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Set-Cookie': sessionCookie(null)
+      }
+    });
+  },
+  
+  // Handle password change requests; every other session is invalidated
+  async handlePasswordChange(request, env, ctx) {
+    let data;
     try {
-      // Get the target API URL from environment variables or use default
-      const targetApiUrl = await this.getTargetApiUrl(request, env);
-      const targetUrl = `${targetApiUrl}/v1/completions`;
-      
-      // Forward the request to the target API
-      const response = await this.forwardRequest(request, targetUrl, env);
-      
-      // Record the end time
-      const endTime = Date.now();
-      const duration = endTime - startTime;
+      data = await request.json();
+    } catch (error) {
+      return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const response = await this.storageFetch(env, '/auth/password', {
+      method: 'POST',
+      body: JSON.stringify({
+        currentPassword: data.currentPassword,
+        newPassword: data.newPassword
+      })
+    });
+    
+    if (response.ok) {
+      this.invalidateCache('/config');
+    }
+    
+    return await this.withSessionCookie(response);
+  },
+  
+  // Handle session key rotation, which logs out every session
+  async handleRotateKey(request, env, ctx) {
+    const response = await this.storageFetch(env, '/auth/rotate-key', {
+      method: 'POST',
+      body: JSON.stringify({})
+    });
+    
+    return new Response(response.body, {
+      status: response.status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Set-Cookie': sessionCookie(null)
+      }
+    });
+  },
+  
+  // Copy a session issued by storage into an HttpOnly cookie
+  async withSessionCookie(response) {
+    const headers = new Headers(response.headers);
+    const body = await response.text();
+    
+    if (response.ok) {
+      const { token, expiresAt } = JSON.parse(body);
+      headers.set('Set-Cookie', sessionCookie(token, expiresAt));
+    }
+    
+    return new Response(body, {
+      status: response.status,
+      headers
+    });
+  },
+  
+  // Handle client API key requests (list, create, revoke)
+  async handleKeys(request, env, ctx) {
+    const url = new URL(request.url);
+    const path = url.pathname.replace('/admin', '');
+    
+    switch (request.method) {
+      case 'GET':
+        return await this.storageFetch(env, '/keys');
+      case 'POST':
+        try {
+          const data = await request.json();
+          return await this.storageFetch(env, '/keys', {
+            method: 'POST',
+            body: JSON.stringify(data)
+          });
+        } catch (error) {
+          return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+      case 'DELETE':
+        return await this.storageFetch(env, path, { method: 'DELETE' });
+      default:
+        return new Response('Method not allowed', { status: 405 });
+    }
+  },
+  
+  // Handle model price table requests (prices are per million tokens)
+  async handlePricing(request, env, ctx) {
+    switch (request.method) {
+      case 'GET':
+        return await this.storageFetch(env, '/pricing');
+      case 'PUT':
+        try {
+          const pricing = await request.json();
+          return await this.storageFetch(env, '/pricing', {
+            method: 'PUT',
+            body: JSON.stringify(pricing)
+          });
+        } catch (error) {
+          return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+      default:
+        return new Response('Method not allowed', { status: 405 });
+    }
+  },
+  
+  // Handle provider and routing rule requests
+  async handleRouting(request, env, ctx) {
+    const url = new URL(request.url);
+    const path = url.pathname.replace('/admin', '');
+    const allowed = path === '/routes' ? ['GET', 'PUT'] : ['GET', 'POST', 'DELETE'];
+    
+    if (!allowed.includes(request.method)) {
+      return new Response('Method not allowed', { status: 405 });
+    }
+    
+    let body;
+    if (request.method === 'POST' || request.method === 'PUT') {
+      try {
+        body = JSON.stringify(await request.json());
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    }
+    
+    const response = await this.storageFetch(env, path, { method: request.method, body });
+    
+    // Make this isolate route with the new settings right away
+    if (response.ok && request.method !== 'GET') {
+      this.invalidateCache('/routing');
+    }
+    
+    return response;
+  },
+  
+  // Handle alert rule requests; POST /alerts/:name/test sends the rule's webhook a test notification
+  async handleAlerts(request, env, ctx) {
+    const url = new URL(request.url);
+    const path = url.pathname.replace('/admin', '');
+    
+    if (!['GET', 'POST', 'DELETE'].includes(request.method)) {
+      return new Response('Method not allowed', { status: 405 });
+    }
+    
+    if (request.method === 'POST' && path.endsWith('/test')) {
+      const response = await this.storageFetch(env, path, { method: 'POST' });
+      if (!response.ok) {
+        return response;
+      }
+      const result = await this.sendWebhook(await response.json());
+      return new Response(JSON.stringify(result), {
+        status: result.ok ? 200 : 502,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    let body;
+    if (request.method === 'POST') {
+      try {
+        body = JSON.stringify(await request.json());
+      } catch (error) {
+        return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    }
+    
+    return await this.storageFetch(env, path, { method: request.method, body });
+  },
+  
+  // Handle admin API requests
+  async handleAdminApi(request, env, ctx, session) {
+    const url = new URL(request.url);
+    const pathname = url.pathname.replace('/admin', '');
+    
+    // Handle session endpoints
+    if (pathname === '/session' && request.method === 'GET') {
+      return new Response(JSON.stringify({ authenticated: true, expiresAt: session.exp }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    if (pathname === '/logout' && request.method === 'POST') {
+      return await this.handleLogout(request, env, ctx);
+    }
+    
+    if (pathname === '/password' && request.method === 'POST') {
+      return await this.handlePasswordChange(request, env, ctx);
+    }
+    
+    if (pathname === '/rotate-key' && request.method === 'POST') {
+      return await this.handleRotateKey(request, env, ctx);
+    }
+    
+    // Handle provider registry and routing rule endpoints
+    if (pathname === '/providers' || pathname.startsWith('/providers/') || pathname === '/routes') {
+      return await this.handleRouting(request, env, ctx);
+    }
+    
+    // Handle model price table endpoint
+    if (pathname === '/pricing') {
+      return await this.handlePricing(request, env, ctx);
+    }
+    
+    // Handle client API key endpoints
+    if (pathname === '/keys' || pathname.startsWith('/keys/')) {
+      return await this.handleKeys(request, env, ctx);
+    }
+    
+    // Handle test connection endpoint
+    if (pathname === '/test-connection' && request.method === 'POST') {
+      return await this.handleTestConnection(request, env, ctx);
+    }
+    
+    // Handle the transformation rule preview
+    if (pathname === '/transforms/preview' && request.method === 'POST') {
+      return await this.handleTransformPreview(request, env, ctx);
+    }
+    
+    // Handle config, config history and rollback endpoints
+    if (pathname === '/config' || pathname.startsWith('/config/')) {
+      return await this.handleConfig(request, env, ctx, session);
+    }
+    
+    // Handle response cache endpoint
+    if (pathname === '/cache') {
+      return await this.handleResponseCache(request, env, ctx);
+    }
+    
+    // Handle logs endpoint
+    if (pathname.startsWith('/logs')) {
+      return await this.handleLogs(request, env, ctx);
+    }
+    
+    // Handle alert rule endpoints
+    if (pathname === '/alerts' || pathname.startsWith('/alerts/')) {
+      return await this.handleAlerts(request, env, ctx);
+    }
+    
+    // Handle metrics scrape token endpoint
+    if (pathname === '/metrics/token') {
+      return await this.handleMetricsToken(request, env, ctx);
+    }
+    
+    // Handle stats and time-series endpoints
+    if (pathname === '/stats' || pathname === '/stats/timeseries') {
+      return await this.handleStats(request, env, ctx);
+    }
+    
+    return new Response(JSON.stringify({ error: 'Endpoint not found' }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  },
+  
+  // Handle test connection request
+  async handleTestConnection(request, env, ctx) {
+    try {
+      const data = await request.json();
+      const targetApiUrl = data.targetApiUrl;
       
-      // Log the request
-      await this.logRequest(request, env, {
-        endpoint: '/v1/completions',
-        targetApi: targetApiUrl,
-        status: response.status,
-        duration: duration,
-        timestamp: new Date().toISOString()
+      if (!targetApiUrl) {
+        return new Response(JSON.stringify({ error: 'Missing targetApiUrl' }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      
+      // The URL is fetched from the Worker, so it is held to the same rules as a client's x-target-api-url
+      const rejection = checkTargetUrl(targetApiUrl, getTargetPolicy(await this.getConfig(env)));
+      if (rejection) {
+        console.warn(`Rejected connection test to ${targetOrigin(targetApiUrl)}: ${rejection}`);
+        return new Response(JSON.stringify({ error: `Target rejected: ${rejection}` }), {
+          status: 403,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      
+      // Test connection by requesting the model list from the target API
+      // If we get a response (even an error response), the connection is working
+      // OpenAI API returns 401 for missing/invalid API key, which is still a successful connection
+      const result = await probeUpstream(`${targetApiUrl.replace(/\/$/, '')}/v1/models`, {}, 'manual');
+      
+      if (result.ok) {
+        return new Response(JSON.stringify({ 
+          message: 'Connection successful',
+          status: result.status,
+          duration: result.duration
+        }), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      } else {
+        return new Response(JSON.stringify({ 
+          error: 'Connection failed',
+          status: result.status,
+          statusText: result.statusText,
+          message: result.error
+        }), {
+          status: 502,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    } catch (error) {
+      return new Response(JSON.stringify({ error: 'Invalid JSON' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  },
+  
+  // Show the body each upstream would receive for a sample request, after routing and the
+  // transformation rules; rules posted with the sample are previewed instead of the saved ones
+  async handleTransformPreview(request, env, ctx) {
+    let data;
+    try {
+      data = await request.json();
+    } catch (error) {
+      data = null;
+    }
+    
+    const sample = data && data.body;
+    if (!sample || typeof sample !== 'object' || Array.isArray(sample)) {
+      return new Response(JSON.stringify({ error: 'body must be a sample request object' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    const endpoint = data.endpoint || '/v1/chat/completions';
+    if (!PROXIED_ENDPOINTS[endpoint]) {
+      return new Response(JSON.stringify({ error: `Invalid endpoint (one of ${Object.keys(PROXIED_ENDPOINTS).join(', ')})` }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    
+    let policy = getTransformsPolicy(await this.getConfig(env));
+    if (data.rules !== undefined) {
+      policy = { rules: data.rules };
+      const error = validateTransformsPolicy(policy);
+      if (error) {
+        return new Response(JSON.stringify({ error }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+    }
+    
+    // Anthropic calls are routed and transformed as the chat requests they are translated into
+    const messages = endpoint === '/v1/messages';
+    const payload = messages ? messagesToChatRequest(sample) : sample;
+    const upstreams = await this.resolveUpstreams(request, env, messages ? '/v1/chat/completions' : endpoint, payload.model);
+    const previews = upstreams.map(upstream => {
+      const { body, transforms } = this.bodyForUpstream(JSON.stringify(payload), payload, upstream, policy);
+      return {
+        upstream: upstream.id,
+        provider: upstream.provider,
+        model: upstream.model || payload.model,
+        transforms,
+        body: JSON.parse(body)
+      };
+    });
+    
+    return new Response(JSON.stringify({ endpoint, upstreams: previews }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  },
+  
+  // Verify the admin session from the bearer token or session cookie, returning the session or null
+  async verifyAdminAuth(request, env) {
+    const token = getSessionToken(request);
+    if (!token) {
+      return null;
+    }
+    
+    try {
+      const response = await this.storageFetch(env, '/auth/verify', {
+        method: 'POST',
+        body: JSON.stringify({ token })
       });
       
-      return response;
+      if (!response.ok) {
+        return null;
+      }
+      
+      const { session } = await response.json();
+      return session;
+    } catch (error) {
+      console.error('Error verifying admin session:', error);
+      return null;
+    }
+  },
+  
+  // Handle CORS preflight requests
+  handleOptions(request) {
+    const headers = request.headers.get('Access-Control-Request-Headers');
+    return new Response(null, {
+      headers: {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': headers || '*',
+        'Access-Control-Max-Age': '86400',
+      },
+    });
+  },
+  
+  // Authenticate the client key and enforce its restrictions and quotas
+  // Returns the key's id and name, or an error response
+  async authenticateClient(request, env, endpoint) {
+    const key = getClientKey(request);
+    if (!key) {
+      return this.errorResponse(401, 'Missing API key. Pass it as a Bearer token in the Authorization header', 'missing_api_key');
+    }
+    
+    // Read the model from a copy of the body so the original can still be forwarded
+    let model = null;
+    const contentType = request.headers.get('Content-Type') || '';
+    try {
+      if (contentType.includes('application/json')) {
+        model = (await request.clone().json()).model || null;
+      } else if (contentType.includes('multipart/form-data')) {
+        const formModel = (await request.clone().formData()).get('model');
+        model = typeof formModel === 'string' ? formModel : null;
+      }
+    } catch (error) {
+      // Let the target API report malformed bodies
+    }
+    
+    const response = await this.storageFetch(env, '/keys/authorize', {
+      method: 'POST',
+      body: JSON.stringify({
+        keyHash: await hashClientKey(key),
+        endpoint,
+        model
+      })
+    });
+    
+    if (!response.ok) {
+      const { error } = await response.json();
+      const codes = { 401: 'invalid_api_key', 403: 'key_not_allowed', 429: 'insufficient_quota' };
+      return this.errorResponse(response.status, error, codes[response.status] || null);
+    }
+    
+    return (await response.json()).key;
+  },
+  
+  // Redact and cut the client's request body, the response body (or streamed text) and each upstream
+  // attempt's headers and error body down to what the log viewer keeps
+  captureExchange(policy, requestBody, responseBody, traces = []) {
+    return {
+      request: captureBody(requestBody, policy),
+      response: responseBody === null ? null : captureBody(responseBody, policy),
+      upstream: traces.map(trace => ({
+        ...trace,
+        headers: Object.fromEntries(Object.entries(trace.headers || {}).map(([name, value]) => [name, redact(value, policy)])),
+        errorBody: trace.errorBody === undefined ? undefined : captureBody(trace.errorBody, policy)
+      }))
+    };
+  },
+  
+  // Take a request from its rate limit buckets in the storage Durable Object
+  // Returns null when no limit is configured; the caller credential is the target API key the
+  // client supplied, or its proxy key, and is only ever sent to storage hashed
+  async takeRateLimit(request, env, body, model) {
+    if (!hasRateLimits(getRateLimitPolicy(await this.getConfig(env)))) {
+      return null;
+    }
+    
+    const credential = request.headers.get('x-target-api-key') || getClientKey(request);
+    const subjects = {
+      credential: credential ? await hashClientKey(credential) : null,
+      ip: request.headers.get('CF-Connecting-IP'),
+      model: typeof model === 'string' ? model : null
+    };
+    const tokens = estimateTokens(body);
+    
+    const response = await this.storageFetch(env, '/ratelimit/take', {
+      method: 'POST',
+      body: JSON.stringify({ subjects, tokens })
+    });
+    // Let traffic through rather than fail every request when the limiter is unavailable
+    if (!response.ok) {
+      console.error('Rate limit check failed:', response.status);
+      return null;
+    }
+    
+    return { ...(await response.json()), subjects, tokens };
+  },
+  
+  // Replace the estimated tokens a request took from its token buckets with the tokens it really used
+  async settleRateLimit(env, rateLimit, tokens) {
+    if (!rateLimit || !rateLimit.tokensLimited) {
+      return;
+    }
+    
+    const delta = (tokens.totalTokens || 0) - rateLimit.tokens;
+    if (delta === 0) {
+      return;
+    }
+    
+    try {
+      await this.storageFetch(env, '/ratelimit/settle', {
+        method: 'POST',
+        body: JSON.stringify({ subjects: rateLimit.subjects, delta })
+      });
+    } catch (error) {
+      console.error('Failed to settle rate limit:', error);
+    }
+  },
+  
+  // Add the x-ratelimit-* headers of a request's tightest buckets to its response
+  setRateLimitHeaders(response, rateLimit) {
+    if (!rateLimit) {
+      return;
+    }
+    for (const [name, value] of Object.entries(rateLimit.headers)) {
+      response.headers.set(name, value);
+    }
+  },
+  
+  // Build the OpenAI-style 429 response for a request over one of its rate limits
+  rateLimitResponse(rateLimit) {
+    const scopes = { credential: 'API key', ip: 'IP address', model: 'model' };
+    const message = `Rate limit reached for ${rateLimit.bucket} per minute on this ${scopes[rateLimit.scope]}: `
+      + `limit ${rateLimit.limit}. Please try again in ${rateLimit.retryAfter}s.`;
+    return this.errorResponse(429, message, 'rate_limit_exceeded', {
+      'Retry-After': String(rateLimit.retryAfter),
+      ...rateLimit.headers
+    });
+  },
+  
+  // Build a proxy-generated error response in OpenAI's envelope, typed by its status
+  errorResponse(status, message, code = null, headers = {}) {
+    return new Response(JSON.stringify(openAIError(message, errorType(status), code)), {
+      status,
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        ...headers
+      }
+    });
+  },
+  
+  // Handle chat completions endpoint
+  async handleChatCompletion(request, env, ctx, client) {
+    return await this.proxyRequest(request, env, ctx, client, '/v1/chat/completions');
+  },
+  
+  // Handle completions endpoint
+  async handleCompletions(request, env, ctx, client) {
+    return await this.proxyRequest(request, env, ctx, client, '/v1/completions');
+  },
+  
+  // Handle embeddings endpoint
+  async handleEmbeddings(request, env, ctx, client) {
+    return await this.proxyRequest(request, env, ctx, client, '/v1/embeddings');
+  },
+  
+  // Handle image generation endpoint
+  async handleImageGeneration(request, env, ctx, client) {
+    return await this.proxyRequest(request, env, ctx, client, '/v1/images/generations');
+  },
+  
+  // Handle audio transcription endpoint; the audio arrives as a multipart upload
+  async handleAudioTranscription(request, env, ctx, client) {
+    return await this.proxyRequest(request, env, ctx, client, '/v1/audio/transcriptions');
+  },
+  
+  // Handle text-to-speech endpoint; the response is binary audio
+  async handleAudioSpeech(request, env, ctx, client) {
+    return await this.proxyRequest(request, env, ctx, client, '/v1/audio/speech');
+  },
+  
+  // Handle moderations endpoint
+  async handleModerations(request, env, ctx, client) {
+    return await this.proxyRequest(request, env, ctx, client, '/v1/moderations');
+  },
+  
+  // Handle rerank endpoint (Cohere/Jina-style, served by many OpenAI-compatible upstreams)
+  async handleRerank(request, env, ctx, client) {
+    return await this.proxyRequest(request, env, ctx, client, '/v1/rerank');
+  },
+  
+  // Forward any other /v1 path unchanged, with the client's method and query string
+  async handlePassthrough(request, env, ctx, client) {
+    const url = new URL(request.url);
+    return await this.proxyRequest(request, env, ctx, client, `${url.pathname}${url.search}`, url.pathname);
+  },
+  
+  // Handle the model list (and single model lookups) from the merged lists of the default target API
+  // and every OpenAI-compatible provider, plus the model names routing rules accept, filtered
+  // through the admin allowlist and the models the client key may use
+  async handleModels(request, env, ctx, client) {
+    const startTime = Date.now();
+    const url = new URL(request.url);
+    const policy = getEndpointsPolicy(await this.getConfig(env)).models;
+    
+    const { lists, errors } = await this.fetchModelLists(env, policy.cacheTtl);
+    const list = mergeModelLists(lists, policy.allowlist, client.allowedModels || []);
+    
+    let status = 200;
+    let body = list;
+    let error;
+    const id = url.pathname.startsWith('/v1/models/') ? decodeURIComponent(url.pathname.slice('/v1/models/'.length)) : null;
+    if (lists.every(models => models.length === 0) && errors.length > 0) {
+      status = 502;
+      error = `Failed to fetch model list: ${errors.join('; ')}`;
+      body = openAIError(error, errorType(status), 'upstream_unavailable');
+    } else if (id !== null) {
+      body = list.data.find(model => model.id === id);
+      if (!body) {
+        status = 404;
+        error = `The model '${id}' does not exist`;
+        body = openAIError(error, errorType(status), 'model_not_found');
+      }
+    }
+    
+    ctx.waitUntil(this.logRequest(request, env, {
+      endpoint: '/v1/models',
+      targetApi: null,
+      model: id || undefined,
+      status,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString(),
+      keyId: client.id,
+      keyName: client.name,
+      error
+    }));
+    
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' }
+    });
+  },
+  
+  // Fetch the model list of every upstream, kept in the isolate for ttl seconds, or until the providers,
+  // routing rules or default target change
+  // Returns { lists, errors }; the routing rule names come last, so an upstream's own entry for a name wins
+  async fetchModelLists(env, ttl) {
+    const now = Date.now();
+    const { providers, routes } = await this.getRouting(env);
+    const defaultTarget = await this.getDefaultTargetApiUrl(env);
+    const version = JSON.stringify([defaultTarget, providers, routes]);
+    if (modelListCache && modelListCache.version === version && modelListCache.expiresAt > now) {
+      return modelListCache.value;
+    }
+    
+    const targets = [
+      { name: 'default', url: buildUpstreamUrl(defaultTarget, '/v1', '/v1/models'), apiKey: env.TARGET_API_KEY, headers: {} },
+      // Other protocols list their models in their own shapes and are reached through routing rules
+      ...Object.values(providers)
+        .filter(provider => !getAdapter(provider.protocol))
+        .map(provider => ({
+          name: provider.name,
+          url: buildUpstreamUrl(provider.baseUrl, providerPathPrefix(provider), '/v1/models'),
+          apiKey: provider.apiKey,
+          headers: provider.headers || {}
+        }))
+    ];
+    
+    const errors = [];
+    const upstreamLists = await Promise.all(targets.map(async target => {
+      try {
+        const response = await fetch(target.url, {
+          headers: {
+            ...(target.apiKey ? { Authorization: `Bearer ${target.apiKey}` } : {}),
+            'User-Agent': 'LLM-Proxy-API/1.0',
+            ...target.headers
+          }
+        });
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const { data } = await response.json();
+        return Array.isArray(data) ? data : [];
+      } catch (error) {
+        errors.push(`${target.name}: ${error.message}`);
+        return [];
+      }
+    }));
+    
+    const aliases = routes
+      .filter(route => !route.match.includes('*') && !route.match.includes('?'))
+      .map(route => ({ id: route.match, object: 'model', created: 0, owned_by: 'llm-proxy' }));
+    
+    const value = { lists: [...upstreamLists, aliases], errors };
+    // A failed fetch is retried on the next request rather than cached
+    if (errors.length === 0) {
+      modelListCache = { value, version, expiresAt: now + ttl * 1000 };
+    }
+    return value;
+  },
+  
+  // Build an Anthropic-format error response, with the headers every proxied response carries
+  anthropicErrorResponse(status, message, headers = {}) {
+    const responseHeaders = new Headers(headers);
+    responseHeaders.set('Content-Type', 'application/json');
+    responseHeaders.set('Access-Control-Allow-Origin', '*');
+    responseHeaders.set('X-Content-Type-Options', 'nosniff');
+    return new Response(JSON.stringify(anthropicError(status, message)), { status, headers: responseHeaders });
+  },
+  
+  // Handle the Anthropic Messages endpoint by translating to and from an OpenAI chat completion
+  async handleMessages(request, env, ctx, client) {
+    let body;
+    try {
+      body = await request.json();
     } catch (error) {
-      // Record the end time
-      const endTime = Date.now();
-      const duration = endTime - startTime;
-      
-      // Log the error request
-      await this.logRequest(request, env, {
-        endpoint: '/v1/completions',
-        targetApi: await this.getTargetApiUrl(request, env),
-        status: 500,
-        duration: duration,
-        timestamp: new Date().toISOString(),
-        error: error.message
+      body = null;
+    }
+    
+    const invalid = validateMessagesRequest(body);
+    if (invalid) {
+      return this.anthropicErrorResponse(400, invalid);
+    }
+    
+    // Forward the translated request as a chat completion; Anthropic-only headers stay behind
+    const headers = new Headers(request.headers);
+    headers.delete('anthropic-version');
+    headers.delete('anthropic-beta');
+    headers.set('Content-Type', 'application/json');
+    
+    let response;
+    try {
+      const chatRequest = new Request(request.url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(messagesToChatRequest(body))
       });
-      
-      throw error;
+      response = await this.proxyRequest(chatRequest, env, ctx, client, '/v1/chat/completions', '/v1/messages');
+    } catch (error) {
+      // Anthropic clients expect their own error shape even when the proxy itself fails
+      console.error('Error in Messages request:', error);
+      return this.anthropicErrorResponse(500, `Internal server error (request ${request.headers.get('x-request-id')})`);
+    }
+    const responseHeaders = new Headers(response.headers);
+    responseHeaders.delete('Content-Length');
+    
+    if (!response.ok) {
+      let message = response.statusText || `HTTP ${response.status}`;
+      try {
+        const error = await response.json();
+        message = (error.error && error.error.message) || error.message || (typeof error.error === 'string' ? error.error : message);
+      } catch (error) {
+        // Keep the status text for non-JSON error bodies
+      }
+      return this.anthropicErrorResponse(response.status, message, responseHeaders);
+    }
+    
+    if ((response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+      const { stream } = processEventStream(response.body, createMessageStreamTranslator(body.model));
+      return new Response(stream, { status: response.status, headers: responseHeaders });
+    }
+    
+    let message;
+    try {
+      message = chatResponseToMessage(await response.json(), body.model);
+    } catch (error) {
+      // A successful upstream response that is not a chat completion cannot be translated
+      console.error('Untranslatable chat completion for Messages request:', error);
+      return this.anthropicErrorResponse(500, 'The upstream returned a response that is not a valid chat completion', responseHeaders);
     }
+    responseHeaders.set('Content-Type', 'application/json');
+    return new Response(JSON.stringify(message), {
+      status: response.status,
+      headers: responseHeaders
+    });
   },
   
-  // Handle embeddings endpoint
-  async handleEmbeddings(request, env, ctx) {
+  // Forward a request to the upstream chosen for its model and log it against the client key
+  // logEndpoint is the endpoint the client called, when it differs from the upstream one
+  async proxyRequest(request, env, ctx, client, endpoint, logEndpoint = endpoint) {
     // Record the start time for logging
     const startTime = Date.now();
+    let upstream = null;
+    let guardrailHits;
     
     try {
-      // Get the target API URL from environment variables or use default
-      const targetApiUrl = await this.getTargetApiUrl(request, env);
-      const targetUrl = `${targetApiUrl}/v1/embeddings`;
+      // Buffer the body so the model can be routed on and rewritten before forwarding
+      const buffered = await this.readRequestBody(request);
+      const { payload, model: requestedModel } = buffered;
+      let body = buffered.body;
+      // What the request capture stores: the client's text, or the body as the guardrails redacted it
+      let capturedBody = buffered.text;
+      const config = await this.getConfig(env);
       
-      // Forward the request to the target API
-      const response = await this.forwardRequest(request, targetUrl, env);
+      // A client-chosen upstream must pass the admin's target settings before anything is sent
+      const targetRejection = this.checkTargetOverride(request, config);
+      if (targetRejection) {
+        const rejectedTarget = targetOrigin(request.headers.get('x-target-api-url'));
+        console.warn(`Rejected x-target-api-url ${rejectedTarget}: ${targetRejection}`);
+        ctx.waitUntil(this.logRequest(request, env, {
+          endpoint: logEndpoint,
+          targetApi: rejectedTarget,
+          model: requestedModel,
+          status: 403,
+          duration: Date.now() - startTime,
+          timestamp: new Date().toISOString(),
+          keyId: client.id,
+          keyName: client.name,
+          error: `Rejected x-target-api-url: ${targetRejection}`
+        }));
+        return this.errorResponse(403, `x-target-api-url rejected: ${targetRejection}`, 'target_not_allowed');
+      }
+      
+      // Redact, block or flag the prompt text under the guardrail rules for this endpoint and model
+      const passthrough = !PROXIED_ENDPOINTS[logEndpoint];
+      if (payload && (GUARDED_ENDPOINTS.includes(endpoint) || passthrough)) {
+        const guarded = applyGuardrails(payload, getGuardrailsPolicy(config), logEndpoint, requestedModel, passthrough);
+        guardrailHits = guarded.hits.length > 0 ? guarded.hits : undefined;
+        if (guarded.blocked) {
+          ctx.waitUntil(this.logRequest(request, env, {
+            endpoint: logEndpoint,
+            targetApi: null,
+            model: requestedModel,
+            status: 400,
+            duration: Date.now() - startTime,
+            timestamp: new Date().toISOString(),
+            keyId: client.id,
+            keyName: client.name,
+            guardrails: guardrailHits,
+            error: `Blocked by guardrail rule ${guarded.blocked}`
+          }));
+          return this.errorResponse(400, `This request was blocked by the content policy (rule ${guarded.blocked})`, 'content_policy_violation');
+        }
+        if (guarded.hits.some(hit => hit.action === 'redact')) {
+          body = JSON.stringify(payload);
+          capturedBody = body;
+        }
+      }
+      
+      // Decide up front whether the bodies are captured for the log viewer, so a stream can be collected
+      const capturePolicy = getCapturePolicy(config);
+      const sampled = capturePolicy.enabled && Math.random() < capturePolicy.sampleRate;
+      
+      // Ask for usage in the final chunk of a stream, so streamed requests can be accounted too
+      const injectedUsage = this.requestStreamUsage(payload);
+      if (injectedUsage) {
+        body = JSON.stringify(payload);
+      }
+      
+      // Enforce the per-credential, per-IP and per-model rate limits before anything is sent upstream
+      const rateLimit = await this.takeRateLimit(request, env, typeof body === 'string' ? body : '', requestedModel);
+      if (rateLimit && !rateLimit.allowed) {
+        ctx.waitUntil(this.logRequest(request, env, {
+          endpoint: logEndpoint,
+          targetApi: null,
+          model: requestedModel,
+          status: 429,
+          duration: Date.now() - startTime,
+          timestamp: new Date().toISOString(),
+          keyId: client.id,
+          keyName: client.name,
+          guardrails: guardrailHits,
+          error: `Rate limit exceeded: ${rateLimit.bucket} per minute by ${rateLimit.scope}`
+        }));
+        return this.rateLimitResponse(rateLimit);
+      }
+      
+      // Pick the upstreams for the model, then try them in order with retries
+      const upstreams = await this.resolveUpstreams(request, env, endpoint, requestedModel);
+      upstream = upstreams[0];
+      
+      // Answer embeddings and deterministic completions from the response cache when possible
+      const cachePolicy = getCachePolicy(config);
+      const transforms = getTransformsPolicy(config);
+      let responseCacheKey = null;
+      if (isCacheable(request, endpoint, payload, cachePolicy)) {
+        responseCacheKey = await this.upstreamCacheKey(endpoint, body, payload, upstream, transforms);
+        const cached = await this.lookupResponseCache(env, responseCacheKey, endpoint);
+        if (cached) {
+          this.setRateLimitHeaders(cached, rateLimit);
+          ctx.waitUntil(this.settleRateLimit(env, rateLimit, {}));
+          ctx.waitUntil(this.logRequest(request, env, {
+            endpoint: logEndpoint,
+            targetApi: upstream.baseUrl,
+            provider: upstream.provider,
+            model: upstream.model || requestedModel,
+            status: cached.status,
+            duration: Date.now() - startTime,
+            timestamp: new Date().toISOString(),
+            keyId: client.id,
+            keyName: client.name,
+            guardrails: guardrailHits,
+            cache: 'HIT'
+          }));
+          return cached;
+        }
+      }
+      
+      // Oversize embeddings inputs are split into batches every candidate upstream accepts
+      const embeddingsPolicy = getEmbeddingsPolicy(config);
+      const batches = endpoint === '/v1/embeddings' && payload
+        ? splitInputs(payload.input, this.embeddingBatchSize(upstreams, embeddingsPolicy))
+        : null;
+      const result = batches
+        ? await this.forwardEmbeddingBatches(request, upstreams, env, payload, batches, embeddingsPolicy.concurrency)
+        : await this.forwardWithFailover(request, upstreams, env, body, payload);
+      let response = result.response;
+      upstream = result.upstream;
+      
+      if (responseCacheKey) {
+        // A response is stored under the key of the upstream that produced it, which differs from the
+        // one looked up when a fallback answered
+        if (upstream !== upstreams[0]) {
+          responseCacheKey = await this.upstreamCacheKey(endpoint, body, payload, upstream, transforms);
+        }
+        if (response.ok && (response.headers.get('Content-Type') || '').includes('application/json')) {
+          ctx.waitUntil(this.storeResponseCache(env, response.clone(), {
+            key: responseCacheKey,
+            endpoint,
+            model: upstream.model || requestedModel,
+            upstream: upstream.id || upstream.baseUrl,
+            ttl: cachePolicy.ttl[endpoint],
+            maxEntries: cachePolicy.maxEntries
+          }));
+        }
+        response.headers.set('x-proxy-cache', 'MISS');
+        response.headers.set('x-proxy-cache-key', responseCacheKey);
+      }
+      this.setRateLimitHeaders(response, rateLimit);
       
       // Record the end time
       const endTime = Date.now();
       const duration = endTime - startTime;
       
-      // Log the request
-      await this.logRequest(request, env, {
-        endpoint: '/v1/embeddings',
-        targetApi: targetApiUrl,
+      // Failed requests are captured too unless capture is limited to the sampled ones
+      const capturing = sampled || (capturePolicy.enabled && capturePolicy.captureErrors && !response.ok);
+      
+      // Read the token usage from the JSON body, or from the stream once it has finished
+      // For streams, the duration, time to first token, any mid-stream failure and the text come from the stream too
+      let usage;
+      let responseText = Promise.resolve(null);
+      if (response.ok && (response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+        ({ response, usage, text: responseText } = this.meterStream(response, injectedUsage, startTime, capturing));
+      } else {
+        usage = this.readUsage(response);
+        if (capturing) {
+          const contentType = response.headers.get('Content-Type') || '';
+          responseText = isTextContent(contentType)
+            ? response.clone().text().catch(() => null)
+            : response.clone().arrayBuffer().then(bytes => describeBody(bytes, contentType), () => null);
+        }
+      }
+      
+      // Settle the rate limit and log the request once its token usage is known, without delaying the response
+      ctx.waitUntil(usage.then(tokens => this.settleRateLimit(env, rateLimit, tokens)));
+      ctx.waitUntil(Promise.all([usage, responseText]).then(([tokens, text]) => this.logRequest(request, env, {
+        endpoint: logEndpoint,
+        targetApi: upstream.baseUrl,
+        provider: upstream.provider,
+        model: upstream.model || requestedModel,
         status: response.status,
         duration: duration,
-        timestamp: new Date().toISOString()
-      });
+        timestamp: new Date().toISOString(),
+        keyId: client.id,
+        keyName: client.name,
+        attempts: result.attempts,
+        guardrails: guardrailHits,
+        error: result.error ? result.error.message : undefined,
+        cache: responseCacheKey ? 'MISS' : undefined,
+        batches: batches ? batches.length : undefined,
+        capture: capturing ? this.captureExchange(capturePolicy, capturedBody, text, result.traces) : undefined,
+        ...tokens
+      })));
       
       return response;
     } catch (error) {
@@ -487,39 +1543,427 @@ export default {
       const duration = endTime - startTime;
       
       // Log the error request
-      await this.logRequest(request, env, {
-        endpoint: '/v1/embeddings',
-        targetApi: await this.getTargetApiUrl(request, env),
+      ctx.waitUntil(this.logRequest(request, env, {
+        endpoint: logEndpoint,
+        targetApi: upstream ? upstream.baseUrl : await this.getTargetApiUrl(request, env),
+        provider: upstream ? upstream.provider : null,
         status: 500,
         duration: duration,
         timestamp: new Date().toISOString(),
+        keyId: client.id,
+        keyName: client.name,
+        guardrails: guardrailHits,
         error: error.message
-      });
+      }));
       
       throw error;
     }
   },
   
+  // The response cache key of a request as it would be sent to one upstream
+  async upstreamCacheKey(endpoint, body, payload, upstream, transforms) {
+    const { body: upstreamBody } = this.bodyForUpstream(body, payload, upstream, transforms);
+    return cacheKey(endpoint, upstream, typeof upstreamBody === 'string' ? JSON.parse(upstreamBody) : payload);
+  },
+  
+  // Look up a cached response, returning it ready to send or null on a miss
+  async lookupResponseCache(env, key, endpoint) {
+    try {
+      const response = await this.storageFetch(env, '/cache/lookup', {
+        method: 'POST',
+        body: JSON.stringify({ key, endpoint })
+      });
+      if (!response.ok) {
+        return null;
+      }
+      
+      const entry = await response.json();
+      return new Response(entry.body, {
+        status: entry.status,
+        headers: {
+          'Content-Type': entry.contentType || 'application/json',
+          'Age': String(Math.max(0, Math.floor((Date.now() - Date.parse(entry.createdAt)) / 1000))),
+          'Access-Control-Allow-Origin': '*',
+          'X-Content-Type-Options': 'nosniff',
+          'x-proxy-cache': 'HIT',
+          'x-proxy-cache-key': key
+        }
+      });
+    } catch (error) {
+      // A cache that cannot be reached is a miss, not a failed request
+      console.error('Error reading response cache:', error);
+      return null;
+    }
+  },
+  
+  // Store a successful JSON response in the cache, unless it is too large to keep
+  async storeResponseCache(env, response, entry) {
+    try {
+      const body = await response.text();
+      if (body.length > MAX_CACHED_BODY) {
+        return;
+      }
+      
+      await this.storageFetch(env, '/cache', {
+        method: 'PUT',
+        body: JSON.stringify({
+          ...entry,
+          status: response.status,
+          contentType: response.headers.get('Content-Type'),
+          body
+        })
+      });
+    } catch (error) {
+      console.error('Error storing response cache:', error);
+    }
+  },
+  
+  // Buffer a request body for forwarding, possibly more than once, returning { body, payload, model, text }
+  // JSON and other text bodies stay strings, multipart uploads become form data and anything else
+  // bytes; text is what capture records, a summary for bodies that are not text
+  async readRequestBody(request) {
+    if (request.method === 'GET' || request.method === 'HEAD') {
+      return { body: null, payload: null, model: undefined, text: '' };
+    }
+    
+    const contentType = request.headers.get('Content-Type') || '';
+    if (contentType.includes('multipart/form-data')) {
+      const form = await request.formData();
+      const model = form.get('model');
+      return { body: form, payload: null, model: typeof model === 'string' ? model : undefined, text: describeBody(form) };
+    }
+    
+    if (contentType && !isTextContent(contentType)) {
+      const bytes = await request.arrayBuffer();
+      return { body: bytes, payload: null, model: undefined, text: describeBody(bytes, contentType) };
+    }
+    
+    const body = await request.text();
+    const payload = this.parseJsonBody(request, body);
+    return { body, payload, model: payload ? payload.model : undefined, text: body };
+  },
+  
+  // Parse a buffered JSON request body, returning null for other content types or malformed JSON
+  parseJsonBody(request, body) {
+    if (!(request.headers.get('Content-Type') || '').includes('application/json')) {
+      return null;
+    }
+    
+    try {
+      const payload = JSON.parse(body);
+      return payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : null;
+    } catch (error) {
+      // Let the target API report malformed bodies
+      return null;
+    }
+  },
+  
+  // Check the x-target-api-url override of a request against the target settings, returning why it is
+  // rejected or null (also when there is no override)
+  checkTargetOverride(request, config) {
+    const targetApiUrl = request.headers.get('x-target-api-url');
+    if (!targetApiUrl) {
+      return null;
+    }
+    
+    const policy = getTargetPolicy(config);
+    if (!policy.allowOverride) {
+      return 'target overrides are disabled';
+    }
+    return checkTargetUrl(targetApiUrl, policy);
+  },
+  
+  // Resolve where a request may go, in order of preference: an x-target-api-url override,
+  // the providers picked by a routing rule (primary, then fallbacks), or the default target API
+  async resolveUpstreams(request, env, endpoint, model) {
+    if (!request.headers.get('x-target-api-url')) {
+      const { providers, routes } = await this.getRouting(env);
+      const candidates = resolveRoute(model, providers, routes);
+      
+      if (candidates.length > 0) {
+        return candidates.map(candidate => {
+          const provider = providers[candidate.provider];
+          return {
+            id: provider.name,
+            provider: provider.name,
+            protocol: provider.protocol || 'openai',
+            endpoint,
+            baseUrl: provider.baseUrl,
+            pathPrefix: providerPathPrefix(provider),
+            url: buildUpstreamUrl(provider.baseUrl, providerPathPrefix(provider), endpoint),
+            apiKey: provider.apiKey,
+            headers: provider.headers,
+            embeddingBatchSize: provider.embeddingBatchSize || null,
+            model: candidate.model
+          };
+        });
+      }
+    }
+    
+    // Client-chosen targets are not tracked by the circuit breakers, and never get the server's key:
+    // only a key the client sends in x-target-api-key goes to them
+    const targetApiUrl = await this.getTargetApiUrl(request, env);
+    const override = Boolean(request.headers.get('x-target-api-url'));
+    return [{
+      id: override ? null : 'default',
+      provider: null,
+      protocol: 'openai',
+      endpoint,
+      baseUrl: targetApiUrl,
+      url: buildUpstreamUrl(targetApiUrl, '/v1', endpoint),
+      apiKey: override ? null : env.TARGET_API_KEY,
+      // A redirect could lead a checked client-chosen URL anywhere, so it is passed back to the client instead
+      clientChosen: override,
+      headers: {},
+      embeddingBatchSize: null,
+      model: null
+    }];
+  },
+  
+  // The largest embeddings batch every candidate upstream accepts, or null when none sets a limit
+  // The default target API takes its limit from the embeddings config
+  embeddingBatchSize(upstreams, policy) {
+    const sizes = upstreams
+      .map(upstream => (upstream.provider ? upstream.embeddingBatchSize : policy.batchSize))
+      .filter(Boolean);
+    return sizes.length > 0 ? Math.min(...sizes) : null;
+  },
+  
+  // Send the batches of an oversize embeddings request and merge them into one response
+  // The first batch goes through the usual retries and failover; the rest are sent concurrently to the
+  // upstream (and model) that answered it, so every vector comes from the same embedding space. A batch
+  // that still fails there, or that comes back with a body that is not JSON, fails the whole request
+  async forwardEmbeddingBatches(request, upstreams, env, payload, batches, concurrency) {
+    const attempts = [];
+    const traces = [];
+    let failure = null;
+    
+    // Send one batch to the given candidates, returning its offset, body and upstream, or null once it has failed
+    const send = async (batch, candidates) => {
+      const batchPayload = { ...payload, input: batch.input };
+      const result = await this.forwardWithFailover(request, candidates, env, JSON.stringify(batchPayload), batchPayload);
+      // Upstreams skipped for an open circuit are recorded once, not once per batch
+      attempts.push(...result.attempts.filter(attempt => !attempt.skipped ||
+        !attempts.some(seen => seen.skipped && seen.upstream === attempt.upstream)));
+      traces.push(...result.traces);
+      
+      if (result.response.ok) {
+        try {
+          return { offset: batch.offset, body: await result.response.json(), upstream: result.upstream };
+        } catch (error) {
+          result.response = this.errorResponse(502, 'The upstream returned an embeddings response that is not JSON', 'invalid_upstream_response');
+        }
+      }
+      failure = failure || result;
+      return null;
+    };
+    
+    const first = await send(batches[0], upstreams);
+    const rest = first
+      ? await mapWithConcurrency(batches.slice(1), concurrency, batch => send(batch, [first.upstream]), () => failure !== null)
+      : [];
+    
+    if (failure) {
+      return { ...failure, attempts, traces };
+    }
+    
+    return {
+      response: new Response(JSON.stringify(mergeEmbeddings([first, ...rest])), {
+        status: 200,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*',
+          'X-Content-Type-Options': 'nosniff'
+        }
+      }),
+      upstream: first.upstream,
+      attempts,
+      traces
+    };
+  },
+  
+  // Rewrite the model in the body (or multipart form) when the upstream knows it by another name, and
+  // apply the transformation rules for the model the upstream is sent
+  // Returns { body, transforms } where transforms lists the names of the rules applied
+  bodyForUpstream(body, payload, upstream, transforms) {
+    if (payload) {
+      const model = upstream.model || payload.model;
+      const transformed = applyTransforms(payload, transforms, upstream.endpoint, model);
+      if (model !== payload.model || transformed.applied.length > 0) {
+        return { body: JSON.stringify({ ...transformed.body, model }), transforms: transformed.applied };
+      }
+    }
+    if (body instanceof FormData && upstream.model && upstream.model !== body.get('model')) {
+      const form = new FormData();
+      for (const [name, value] of body) {
+        form.append(name, value);
+      }
+      form.set('model', upstream.model);
+      return { body: form, transforms: [] };
+    }
+    return { body, transforms: [] };
+  },
+  
+  // Try the upstreams in order, retrying retryable statuses and network errors with backoff
+  // (honoring Retry-After) before failing over to the next one; upstreams whose circuit is
+  // open are skipped
+  // Returns the final response, the upstream that produced it and a record of every attempt
+  async forwardWithFailover(request, upstreams, env, body, payload) {
+    const config = await this.getConfig(env);
+    const policy = getRetryPolicy(config);
+    const transforms = getTransformsPolicy(config);
+    const health = await this.getUpstreamHealth(env);
+    const available = upstreams.filter(upstream => !isCircuitOpen(health[upstream.id]));
+    const attempts = upstreams
+      .filter(upstream => !available.includes(upstream))
+      .map(upstream => ({
+        upstream: upstream.id,
+        provider: upstream.provider,
+        targetApi: upstream.baseUrl,
+        skipped: true,
+        error: 'Circuit open'
+      }));
+    const traces = [];
+    let result = null;
+    
+    // Fail fast while every candidate is cooling down
+    if (available.length === 0) {
+      const retryAt = Math.min(...upstreams.map(upstream => Date.parse(health[upstream.id].retryAt)));
+      const retryAfter = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+      return {
+        response: this.errorResponse(503, `No upstream available for this request; retry in ${retryAfter}s`, 'circuit_open', {
+          'Retry-After': String(retryAfter)
+        }),
+        upstream: upstreams[0],
+        attempts,
+        traces
+      };
+    }
+    
+    for (const [index, upstream] of available.entries()) {
+      const { body: upstreamBody, transforms: applied } = this.bodyForUpstream(body, payload, upstream, transforms);
+      
+      for (let retry = 0; retry <= policy.maxRetries; retry++) {
+        const attemptStart = Date.now();
+        const attempt = {
+          upstream: upstream.id,
+          provider: upstream.provider,
+          targetApi: upstream.baseUrl,
+          model: upstream.model || (payload ? payload.model : undefined),
+          transforms: applied.length > 0 ? applied : undefined
+        };
+        attempts.push(attempt);
+        const trace = { upstream: upstream.id };
+        traces.push(trace);
+        
+        let retryAfter = null;
+        try {
+          let response = await this.forwardRequest(request, upstream, env, upstreamBody, trace);
+          
+          // A stream that fails before sending its first byte can still be retried
+          if (response.ok && (response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+            response = await awaitFirstChunk(response);
+          }
+          
+          attempt.status = response.status;
+          attempt.duration = Date.now() - attemptStart;
+          // The upstream's own id for the call, for tracing it with the provider
+          attempt.upstreamRequestId = response.headers.get('x-request-id') || undefined;
+          trace.status = response.status;
+          result = { response, upstream };
+          
+          if (!policy.retryOn.includes(response.status)) {
+            return { ...result, attempts, traces };
+          }
+          retryAfter = parseRetryAfter(response.headers);
+        } catch (error) {
+          attempt.status = 502;
+          attempt.duration = Date.now() - attemptStart;
+          attempt.error = error.message;
+          trace.error = error.message;
+          result = {
+            response: this.errorResponse(502, 'Failed to reach the upstream', 'upstream_unreachable'),
+            upstream,
+            error
+          };
+        }
+        
+        // Retry the same upstream unless the retries are used up or it asked us to wait too long
+        const wait = retryAfter !== null ? retryAfter : backoffDelay(policy, retry);
+        const canRetry = retry < policy.maxRetries && wait <= policy.maxDelayMs;
+        const hasFallback = index < available.length - 1;
+        if (!canRetry && !hasFallback) {
+          return { ...result, attempts, traces };
+        }
+        
+        // Release the failed response before the next attempt
+        if (result.response.body) {
+          await result.response.body.cancel().catch(() => {});
+        }
+        
+        if (!canRetry) {
+          break;
+        }
+        await sleep(wait);
+      }
+    }
+    
+    return { ...result, attempts, traces };
+  },
+  
   // Get target API URL from request headers or environment variables
   async getTargetApiUrl(request, env) {
     // Check if target API URL is specified in request headers
     const targetApiUrlHeader = request.headers.get('x-target-api-url');
     if (targetApiUrlHeader) {
-      // Remove trailing slash if present
-      return targetApiUrlHeader.replace(/\/$/, '');
+      // Use the URL as the parser writes it (percent-encoded, without a trailing slash), since it is logged too
+      // An override that does not parse was rejected before forwarding; it is only logged by its origin
+      try {
+        return new URL(targetApiUrlHeader).href.replace(/\/$/, '');
+      } catch (error) {
+        return targetOrigin(targetApiUrlHeader);
+      }
     }
     
-    // Check if target API URL is stored in memory
-    if (memoryStorage.config.targetApiUrl) {
-      return memoryStorage.config.targetApiUrl.replace(/\/$/, '');
+    return await this.getDefaultTargetApiUrl(env);
+  },
+  
+  // Get the default target API URL from the proxy config or environment variables
+  async getDefaultTargetApiUrl(env) {
+    // Check if target API URL is stored in the proxy config
+    const config = await this.getConfig(env);
+    if (config.targetApiUrl) {
+      return config.targetApiUrl.replace(/\/$/, '');
     }
     
     // Fall back to environment variables
     return (env.TARGET_API_URL || 'https://api.openai.com').replace(/\/$/, '');
   },
   
-  // Forward request to target API
-  async forwardRequest(request, targetUrl, env) {
+  // Forward request to one upstream with the (possibly rewritten) body
+  // This is a single attempt; network errors are thrown so the caller can retry or fail over
+  // trace receives the URL and (masked) headers sent upstream, and the body of an upstream error
+  async forwardRequest(request, upstream, env, body, trace = {}) {
+    let targetUrl = upstream.url;
+    const adapter = getAdapter(upstream.protocol);
+    let payload = null;
+    
+    // Non-OpenAI upstreams get the request translated into their own protocol
+    if (adapter) {
+      if (!adapter.endpoints.includes(upstream.endpoint)) {
+        return this.errorResponse(400, `Provider "${upstream.provider}" (${upstream.protocol}) does not support ${upstream.endpoint}`, 'unsupported_endpoint');
+      }
+      
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        return this.errorResponse(400, 'Invalid JSON body', 'invalid_json');
+      }
+      
+      targetUrl = adapter.buildUrl(`${upstream.baseUrl.replace(/\/+$/, '')}${upstream.pathPrefix.replace(/\/+$/, '')}`, payload);
+      body = JSON.stringify(adapter.buildRequest(payload));
+    }
+    
     try {
       // Log the target URL for debugging
       if (env.DEBUG) {
@@ -529,9 +1973,13 @@ export default {
       // Prepare headers for the target API request
       const headers = new Headers(request.headers);
       
-      // Handle API key - check for custom header first, then environment variable
+      // The incoming credentials are the proxy client key and must never reach the target API
+      headers.delete('Authorization');
+      headers.delete('x-api-key');
+      
+      // Handle API key - check for custom header first, then the upstream's own key
       const customApiKey = request.headers.get('x-target-api-key');
-      const targetApiKey = customApiKey || env.TARGET_API_KEY;
+      const targetApiKey = customApiKey || upstream.apiKey;
       
       if (targetApiKey) {
         headers.set('Authorization', `Bearer ${targetApiKey}`);
@@ -540,20 +1988,44 @@ export default {
         console.warn('No API key provided for target API');
       }
       
+      // Other protocols carry the key in their own headers
+      if (adapter) {
+        headers.delete('Authorization');
+        headers.set('Content-Type', 'application/json');
+        for (const [name, value] of Object.entries(adapter.authHeaders(targetApiKey))) {
+          headers.set(name, value);
+        }
+      }
+      
       // Remove headers that might cause issues
       headers.delete('Host');
       headers.delete('Content-Length');
+      
+      // Form data is encoded again with a boundary of its own
+      if (body instanceof FormData) {
+        headers.delete('Content-Type');
+      }
       headers.delete('x-target-api-url');
       headers.delete('x-target-api-key');
+      headers.delete('x-proxy-cache');
       
       // Add security headers
       headers.set('User-Agent', 'LLM-Proxy-API/1.0');
       
+      // Add the provider's extra headers
+      for (const [name, value] of Object.entries(upstream.headers || {})) {
+        headers.set(name, value);
+      }
+      
+      trace.url = targetUrl;
+      trace.headers = maskHeaders(headers);
+      
       // Create the request to the target API
       const targetRequest = new Request(targetUrl, {
         method: request.method,
         headers: headers,
-        body: request.body,
+        body: body,
+        redirect: upstream.clientChosen ? 'manual' : 'follow'
       });
       
       // Forward the request to the target API
@@ -572,6 +2044,7 @@ export default {
         let errorBody;
         try {
           errorBody = await response.clone().text();
+          trace.errorBody = errorBody;
           const errorJson = JSON.parse(errorBody);
           console.error('Target API error details:', errorJson);
         } catch (parseError) {
@@ -580,11 +2053,12 @@ export default {
         }
       }
       
-      // Create a new response with the target API's response
-      const modifiedResponse = new Response(response.body, {
-        status: response.status,
-        statusText: response.statusText,
-        headers: response.headers
+      // Create a new response with the target API's response, in OpenAI's shape
+      const openAIResponse = adapter ? await this.adaptResponse(response, adapter, payload) : response;
+      const modifiedResponse = new Response(openAIResponse.body, {
+        status: openAIResponse.status,
+        statusText: openAIResponse.statusText,
+        headers: openAIResponse.headers
       });
       
       // Add CORS headers to the response
@@ -594,41 +2068,190 @@ export default {
       return modifiedResponse;
     } catch (error) {
       console.error('Error forwarding request:', error);
-      return new Response(JSON.stringify({ 
-        error: 'Failed to forward request', 
-        message: error.message 
-      }), {
-        status: 502,
-        headers: { 'Content-Type': 'application/json' }
+      throw error;
+    }
+  },
+  
+  // Translate a non-OpenAI upstream's response (including error bodies and streams) into OpenAI's shape
+  async adaptResponse(response, adapter, payload) {
+    const headers = new Headers(response.headers);
+    headers.delete('Content-Length');
+    headers.delete('Content-Encoding');
+    
+    if (!response.ok) {
+      let body = null;
+      try {
+        body = await response.json();
+      } catch (error) {
+        // Non-JSON error bodies get a generic message
+      }
+      headers.set('Content-Type', 'application/json');
+      return new Response(JSON.stringify(adapter.translateError(body, response.status)), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
       });
     }
+    
+    if (payload.stream === true) {
+      const { stream } = processEventStream(response.body, adapter.createStreamTranslator(payload));
+      headers.set('Content-Type', 'text/event-stream');
+      headers.set('Cache-Control', 'no-cache');
+      return new Response(stream, { status: response.status, statusText: response.statusText, headers });
+    }
+    
+    headers.set('Content-Type', 'application/json');
+    return new Response(JSON.stringify(adapter.translateResponse(await response.json(), payload)), {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    });
+  },
+  
+  // Add stream_options.include_usage to a streaming request that did not ask for it
+  // Returns whether the option was injected, in which case the payload has been modified
+  requestStreamUsage(payload) {
+    if (!payload || payload.stream !== true || (payload.stream_options && payload.stream_options.include_usage)) {
+      return false;
+    }
+    
+    payload.stream_options = { ...payload.stream_options, include_usage: true };
+    return true;
   },
   
-  // Log request to memory storage
-  async logRequest(request, env, logData) {
+  // Read the token usage from a non-streaming JSON response
+  // The response is cloned before the first await, so the original body can still be returned
+  async readUsage(response) {
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!response.ok || !contentType.includes('application/json')) {
+      return {};
+    }
+    
     try {
-      // Add log data to memory storage
-      const newLog = {
-        id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
-        ...logData,
-        timestamp: new Date().toISOString()
-      };
-      
-      memoryStorage.logs.push(newLog);
-      
-      // Keep only the last 1000 logs to prevent storage from growing too large
-      if (memoryStorage.logs.length > 1000) {
-        memoryStorage.logs.splice(0, memoryStorage.logs.length - 1000);
+      const { usage } = await response.clone().json();
+      return normalizeUsage(usage) || {};
+    } catch (error) {
+      return {};
+    }
+  },
+  
+  // Watch a streaming response for the usage chunk, dropping it if the client never asked for it
+  // Returns the response to send and a promise for the stream's log fields (token usage, stream
+  // duration, time to first token and any upstream failure) once the stream has ended, and, when
+  // collectText is set, a promise for the text it generated
+  meterStream(response, injectedUsage, startTime, collectText = false) {
+    const textParts = [];
+    let tokens = {};
+    let upstreamError = null;
+    let firstTokenAt = null;
+    let finished = false;
+    let sawDone = false;
+    
+    const { stream, done } = processEventStream(response.body, {
+      onEvent: event => {
+        if (event.data === '[DONE]') {
+          sawDone = true;
+          return undefined;
+        }
+        
+        const chunk = parseEventData(event);
+        if (!chunk) {
+          return undefined;
+        }
+        
+        // Upstreams (and protocol adapters) report failures inside the stream as an error chunk
+        if (chunk.error) {
+          upstreamError = chunk.error.message || String(chunk.error);
+          return undefined;
+        }
+        
+        if (firstTokenAt === null && hasGeneratedContent(chunk)) {
+          firstTokenAt = Date.now();
+        }
+        if (Array.isArray(chunk.choices) && chunk.choices.some(choice => choice.finish_reason)) {
+          finished = true;
+        }
+        if (collectText && Array.isArray(chunk.choices)) {
+          for (const choice of chunk.choices) {
+            textParts.push((choice.delta && choice.delta.content) || choice.text || '');
+          }
+        }
+        if (!chunk.usage) {
+          return undefined;
+        }
+        
+        tokens = normalizeUsage(chunk.usage) || tokens;
+        
+        // The usage-only chunk has no choices; clients that did not request it may not expect it
+        const usageOnly = !chunk.choices || chunk.choices.length === 0;
+        return injectedUsage && usageOnly ? null : undefined;
+      },
+      onEnd: ({ error }) => {
+        if (sawDone) {
+          return null;
+        }
+        
+        // Upstreams that end cleanly without [DONE] only need it added; anything else was cut off
+        if (!error && finished) {
+          return encodeEvent('[DONE]');
+        }
+        return encodeEvent({
+          error: {
+            message: `Upstream stream interrupted: ${error ? error.message : 'connection closed before the response finished'}`,
+            type: 'upstream_error',
+            param: null,
+            code: 'stream_interrupted'
+          }
+        }) + encodeEvent('[DONE]');
       }
+    });
+    
+    return {
+      response: new Response(stream, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+      }),
+      usage: done.then(outcome => {
+        let error;
+        if (outcome.cancelled) {
+          error = 'Client closed the stream';
+        } else if (upstreamError) {
+          error = upstreamError;
+        } else if (!outcome.completed || (!sawDone && !finished)) {
+          error = `Upstream stream interrupted${outcome.error ? `: ${outcome.error.message}` : ''}`;
+        }
+        
+        return {
+          ...tokens,
+          duration: Date.now() - startTime,
+          ttft: firstTokenAt === null ? undefined : firstTokenAt - startTime,
+          stream: true,
+          ...(error && { error })
+        };
+      }),
+      // The generated text reassembled from the stream, when collected
+      text: done.then(() => (collectText ? textParts.join('') : null))
+    };
+  },
+  
+  // Log request to the storage Durable Object, along with the client's IP
+  async logRequest(request, env, logData) {
+    try {
+      const response = await this.storageFetch(env, '/logs', {
+        method: 'POST',
+        body: JSON.stringify({
+          ip: request.headers.get('CF-Connecting-IP') || undefined,
+          requestId: request.headers.get('x-request-id') || undefined,
+          ...logData
+        })
+      });
       
-      // Update statistics
-      memoryStorage.stats.totalRequests++;
-      if (logData.status >= 200 && logData.status < 300) {
-        memoryStorage.stats.successfulRequests++;
+      if (!response.ok) {
+        console.error('Error logging request:', await response.text());
       }
-      memoryStorage.stats.totalDuration += logData.duration || 0;
     } catch (error) {
       console.error('Error logging request:', error);
     }
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,108 @@
+/**
+ * Proxy-issued client API keys: generation, hashing and quota bookkeeping
+ */
+
+import { generateSecret } from './auth.js';
+import { matchesGlob } from './glob.js';
+
+// Prefix that identifies keys issued by this proxy
+export const CLIENT_KEY_PREFIX = 'sk-proxy-';
+
+// Quota fields a key may set, mapped to the usage counter each one limits
+export const QUOTA_FIELDS = {
+  requestsPerDay: 'requestsDay',
+  requestsPerMonth: 'requestsMonth',
+  tokensPerDay: 'tokensDay',
+  tokensPerMonth: 'tokensMonth'
+};
+
+// Generate a new client key in plaintext (only ever shown once, at creation)
+export function generateClientKey() {
+  return `${CLIENT_KEY_PREFIX}${generateSecret(24)}`;
+}
+
+// Hash a client key for storage and lookup
+export async function hashClientKey(key) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Extract the client key from the Authorization or x-api-key header
+export function getClientKey(request) {
+  const authorization = request.headers.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  return request.headers.get('x-api-key');
+}
+
+// Reset the daily and monthly usage counters when their UTC period has rolled over
+export function rollUsage(usage = {}, now = new Date()) {
+  const day = now.toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+
+  if (usage.month !== month) {
+    usage = { ...usage, month, requestsMonth: 0, tokensMonth: 0 };
+  }
+  if (usage.day !== day) {
+    usage = { ...usage, day, requestsDay: 0, tokensDay: 0 };
+  }
+
+  return usage;
+}
+
+// Return the name of the first quota the key has used up, or null
+export function findExceededQuota(key) {
+  const quotas = key.quotas || {};
+  for (const [quota, counter] of Object.entries(QUOTA_FIELDS)) {
+    if (typeof quotas[quota] === 'number' && (key.usage[counter] || 0) >= quotas[quota]) {
+      return quota;
+    }
+  }
+  return null;
+}
+
+// Check whether a key may call an endpoint with a model
+// The model list is not refused to a key limited to some models; it is filtered down to them instead
+export function isKeyAllowed(key, endpoint, model) {
+  if (key.allowedEndpoints && key.allowedEndpoints.length > 0 && !key.allowedEndpoints.includes(endpoint)) {
+    return false;
+  }
+
+  if (endpoint === '/v1/models' || endpoint.startsWith('/v1/models/')) {
+    return true;
+  }
+
+  if (key.allowedModels && key.allowedModels.length > 0) {
+    return key.allowedModels.some(pattern => matchesGlob(pattern, model));
+  }
+
+  return true;
+}
+
+// Validate the settings for a new client key, returning an error message or null
+export function validateClientKeySettings(data) {
+  if (typeof data.name !== 'string' || !data.name.trim()) {
+    return 'Missing name';
+  }
+
+  if (data.expiresAt != null && isNaN(Date.parse(data.expiresAt))) {
+    return 'Invalid expiresAt';
+  }
+
+  for (const field of ['allowedEndpoints', 'allowedModels']) {
+    if (data[field] != null && (!Array.isArray(data[field]) || data[field].some(item => typeof item !== 'string'))) {
+      return `Invalid ${field}`;
+    }
+  }
+
+  for (const quota of Object.keys(QUOTA_FIELDS)) {
+    const value = data.quotas && data.quotas[quota];
+    if (value != null && (typeof value !== 'number' || value < 0)) {
+      return `Invalid quotas.${quota}`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,206 @@
+/**
+ * Request log storage: retention settings, filters, cursors and export formats for the SQLite log table
+ */
+
+import { PROXIED_ENDPOINTS } from './endpoints.js';
+
+// Retention used for any field the admin config does not set
+export const DEFAULT_LOG_RETENTION = {
+  maxAgeDays: 30,
+  maxEntries: 100000
+};
+
+// Most log entries returned by one page of GET /logs
+export const MAX_LOG_PAGE = 500;
+
+// Statements that create the log table; the filterable fields are columns, the whole entry is JSON
+export const LOG_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS logs (
+    id TEXT PRIMARY KEY,
+    ts INTEGER NOT NULL,
+    status INTEGER,
+    endpoint TEXT,
+    model TEXT,
+    target_api TEXT,
+    ip TEXT,
+    entry TEXT NOT NULL,
+    capture TEXT
+  )`,
+  'CREATE INDEX IF NOT EXISTS logs_ts ON logs (ts, id)'
+];
+
+// Columns written when an entry is inserted, with the log field each one is taken from
+export const LOG_COLUMNS = {
+  status: 'status',
+  endpoint: 'endpoint',
+  model: 'model',
+  target_api: 'targetApi',
+  ip: 'ip'
+};
+
+// Fields written to CSV exports, in order
+export const CSV_FIELDS = [
+  'id', 'requestId', 'timestamp', 'endpoint', 'model', 'targetApi', 'provider', 'ip', 'keyName', 'status',
+  'duration', 'ttft', 'promptTokens', 'completionTokens', 'totalTokens', 'cost', 'cache', 'error'
+];
+
+// Label of the series that requests are counted under when their endpoint, model or upstream is not a known value
+export const OTHER_SERIES = 'other';
+
+// The endpoint, model and upstream a log entry is counted under in the rollups and metrics
+// All three can come from what the client sent, so the endpoint is kept only when the proxy knows it, the model
+// only when an upstream answered the request (or the cache did), and the upstream only when the request was
+// forwarded to a configured one; anything else is counted as "other", so callers cannot create unbounded series
+export function seriesLabels(log) {
+  const attempts = Array.isArray(log.attempts) ? log.attempts.filter(attempt => !attempt.skipped) : [];
+  const forwarded = log.cache === 'HIT' || attempts.some(attempt => attempt.upstream != null);
+  const answered = forwarded && log.status >= 200 && log.status < 400;
+  const known = endpoint => endpoint === '/v1/models' || Boolean(PROXIED_ENDPOINTS[endpoint]);
+  return {
+    endpoint: known(log.endpoint) ? log.endpoint : OTHER_SERIES,
+    model: answered && log.model ? log.model : OTHER_SERIES,
+    upstream: forwarded && log.targetApi ? log.targetApi : OTHER_SERIES
+  };
+}
+
+// Merge the admin-configured log retention over the defaults
+export function getLogRetention(config) {
+  return { ...DEFAULT_LOG_RETENTION, ...(config && config.logRetention) };
+}
+
+// Validate log retention settings, returning an error message or null
+export function validateLogRetention(retention) {
+  if (typeof retention !== 'object' || retention === null || Array.isArray(retention)) {
+    return 'Invalid logRetention';
+  }
+
+  for (const field of Object.keys(DEFAULT_LOG_RETENTION)) {
+    const value = retention[field];
+    if (value != null && (!Number.isInteger(value) || value < 1)) {
+      return `Invalid logRetention.${field}`;
+    }
+  }
+
+  return null;
+}
+
+// Parse a time filter given as an ISO date or milliseconds since the epoch
+export function parseTime(value) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+// Turn a filter value into a LIKE pattern, with * as the wildcard
+function likePattern(pattern) {
+  return pattern.replace(/[\\%_]/g, char => `\\${char}`).replace(/\*/g, '%');
+}
+
+// Build the SQL condition and bindings for the filters in a GET /logs query string
+// Returns { where, bindings } or { error } for a malformed filter
+export function buildLogFilter(params) {
+  const conditions = [];
+  const bindings = [];
+
+  for (const [param, operator] of [['from', '>='], ['to', '<=']]) {
+    const value = params.get(param);
+    if (value) {
+      const time = parseTime(value);
+      if (time === null) {
+        return { error: `Invalid ${param}` };
+      }
+      conditions.push(`ts ${operator} ?`);
+      bindings.push(time);
+    }
+  }
+
+  // status takes exact codes and classes like 4xx, separated by commas
+  const status = params.get('status');
+  if (status) {
+    const alternatives = [];
+    for (const value of status.split(',').map(item => item.trim()).filter(Boolean)) {
+      const statusClass = value.match(/^([1-5])xx$/i);
+      if (statusClass) {
+        alternatives.push('status BETWEEN ? AND ?');
+        bindings.push(Number(statusClass[1]) * 100, Number(statusClass[1]) * 100 + 99);
+      } else if (/^\d{3}$/.test(value)) {
+        alternatives.push('status = ?');
+        bindings.push(Number(value));
+      } else {
+        return { error: 'Invalid status' };
+      }
+    }
+    if (alternatives.length > 0) {
+      conditions.push(`(${alternatives.join(' OR ')})`);
+    }
+  }
+
+  const endpoint = params.get('endpoint');
+  if (endpoint) {
+    conditions.push('endpoint = ?');
+    bindings.push(endpoint);
+  }
+
+  const model = params.get('model');
+  if (model) {
+    conditions.push("model LIKE ? ESCAPE '\\'");
+    bindings.push(likePattern(model));
+  }
+
+  const upstream = params.get('upstream');
+  if (upstream) {
+    conditions.push("target_api LIKE ? ESCAPE '\\'");
+    bindings.push(`%${likePattern(upstream)}%`);
+  }
+
+  const ip = params.get('ip');
+  if (ip) {
+    conditions.push('ip = ?');
+    bindings.push(ip);
+  }
+
+  // q searches the whole entry, including error messages and key names
+  const search = params.get('q');
+  if (search) {
+    conditions.push("entry LIKE ? ESCAPE '\\'");
+    bindings.push(`%${likePattern(search)}%`);
+  }
+
+  return {
+    where: conditions.length > 0 ? conditions.join(' AND ') : '1 = 1',
+    bindings
+  };
+}
+
+// Encode the position after a row as an opaque page cursor
+export function encodeCursor(row) {
+  return btoa(JSON.stringify([row.ts, row.id])).replace(/=+$/, '');
+}
+
+// Decode a page cursor into { ts, id }, or null when it is malformed
+export function decodeCursor(cursor) {
+  try {
+    const [ts, id] = JSON.parse(atob(cursor));
+    return Number.isInteger(ts) && typeof id === 'string' ? { ts, id } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Quote a value for a CSV cell when it contains a separator, quote or line break
+function csvCell(value) {
+  if (value == null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The CSV header line
+export function csvHeader() {
+  return `${CSV_FIELDS.join(',')}\r\n`;
+}
+
+// One log entry as a CSV line
+export function csvLine(entry) {
+  return `${CSV_FIELDS.map(field => csvCell(entry[field])).join(',')}\r\n`;
+}
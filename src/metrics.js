@@ -0,0 +1,174 @@
+/**
+ * Prometheus/OpenMetrics counters and histograms built from request logs, and the scrape token that guards them
+ */
+
+import { generateSecret } from './auth.js';
+import { OTHER_SERIES, seriesLabels } from './logs.js';
+
+// Prefix that identifies metrics scrape tokens
+export const METRICS_TOKEN_PREFIX = 'mt-proxy-';
+
+// Content types of the two exposition formats
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Statement that creates the metrics table; each row is one sample, keyed by metric name and labels, with
+// the time it was last added to
+export const METRICS_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS metrics (
+    name TEXT NOT NULL,
+    labels TEXT NOT NULL,
+    value REAL NOT NULL,
+    updated_at INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (name, labels)
+  )`
+];
+
+// Series that have not been added to for this long are dropped, so labels that stop occurring do not pile up
+export const METRICS_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+// Upper bounds in seconds of the latency histogram buckets
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// Every metric family, in the order they are exposed
+// Counter names carry the _total suffix; OpenMetrics declares the family without it
+export const METRIC_FAMILIES = [
+  {
+    name: 'llm_proxy_requests_total',
+    type: 'counter',
+    help: 'Requests answered by the proxy, by the status returned to the client'
+  },
+  {
+    name: 'llm_proxy_upstream_responses_total',
+    type: 'counter',
+    help: 'Responses received from upstreams, one per attempt, by upstream status code'
+  },
+  {
+    name: 'llm_proxy_upstream_fetch_failures_total',
+    type: 'counter',
+    help: 'Upstream attempts that failed without a response'
+  },
+  {
+    name: 'llm_proxy_request_duration_seconds',
+    type: 'histogram',
+    help: 'Time from receiving a request to the end of its response'
+  },
+  {
+    name: 'llm_proxy_time_to_first_token_seconds',
+    type: 'histogram',
+    help: 'Time from receiving a streaming request to its first token'
+  },
+  {
+    name: 'llm_proxy_tokens_total',
+    type: 'counter',
+    help: 'Tokens reported in upstream usage, by prompt or completion'
+  }
+];
+
+// Generate a new scrape token in plaintext (only ever shown once, at creation)
+export function generateMetricsToken() {
+  return `${METRICS_TOKEN_PREFIX}${generateSecret(24)}`;
+}
+
+// Serialize labels with sorted names, so the same labels always give the same key
+function labelKey(labels) {
+  return JSON.stringify(Object.fromEntries(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b))));
+}
+
+// The samples a histogram observation adds to: every bucket at or above it, the sum and the count
+// Buckets below it are added to with 0, so every series exposes the full set of buckets
+function observe(samples, name, labels, seconds) {
+  for (const le of LATENCY_BUCKETS) {
+    samples.push({ name: `${name}_bucket`, labels: { ...labels, le: String(le) }, value: seconds <= le ? 1 : 0 });
+  }
+  samples.push({ name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: 1 });
+  samples.push({ name: `${name}_sum`, labels, value: seconds });
+  samples.push({ name: `${name}_count`, labels, value: 1 });
+}
+
+// The sample increments one log entry adds, as [{ name, labels, value }] with labels serialized
+// Requests are labeled by endpoint, model and upstream URL (bounded as in seriesLabels); upstream attempts by
+// the configured upstream they went to
+export function metricIncrements(log) {
+  const labels = seriesLabels(log);
+  const samples = [];
+
+  samples.push({ name: 'llm_proxy_requests_total', labels: { ...labels, status: String(log.status || 0) }, value: 1 });
+
+  for (const attempt of Array.isArray(log.attempts) ? log.attempts : []) {
+    if (attempt.skipped) {
+      continue;
+    }
+    const attemptLabels = { ...labels, upstream: attempt.upstream != null && attempt.targetApi ? attempt.targetApi : OTHER_SERIES };
+    if (attempt.error) {
+      samples.push({ name: 'llm_proxy_upstream_fetch_failures_total', labels: attemptLabels, value: 1 });
+    } else if (attempt.status) {
+      samples.push({ name: 'llm_proxy_upstream_responses_total', labels: { ...attemptLabels, status: String(attempt.status) }, value: 1 });
+    }
+  }
+
+  if (typeof log.duration === 'number') {
+    observe(samples, 'llm_proxy_request_duration_seconds', labels, log.duration / 1000);
+  }
+  if (typeof log.ttft === 'number') {
+    observe(samples, 'llm_proxy_time_to_first_token_seconds', labels, log.ttft / 1000);
+  }
+
+  for (const [type, field] of [['prompt', 'promptTokens'], ['completion', 'completionTokens']]) {
+    if (log[field]) {
+      samples.push({ name: 'llm_proxy_tokens_total', labels: { ...labels, type }, value: log[field] });
+    }
+  }
+
+  return samples.map(sample => ({ ...sample, labels: labelKey(sample.labels) }));
+}
+
+// Escape a label value for the exposition formats
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Format a sample value; histogram bounds and counts are integers, sums may not be
+function formatValue(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 1e6) / 1e6);
+}
+
+// The upper bound of a histogram bucket label, for sorting
+function bucketBound(le) {
+  return le === undefined || le === '+Inf' ? Infinity : Number(le);
+}
+
+// Render stored samples ({ name, labels, value } rows) in the Prometheus text format, or OpenMetrics
+export function renderMetrics(rows, openMetrics = false) {
+  const lines = [];
+
+  for (const family of METRIC_FAMILIES) {
+    const declared = openMetrics && family.type === 'counter' ? family.name.replace(/_total$/, '') : family.name;
+    lines.push(`# HELP ${declared} ${family.help}`);
+    lines.push(`# TYPE ${declared} ${family.type}`);
+
+    const names = family.type === 'histogram'
+      ? [`${family.name}_bucket`, `${family.name}_sum`, `${family.name}_count`]
+      : [family.name];
+    // Samples are grouped by series, and the buckets of a histogram series listed in increasing order of le
+    const samples = rows
+      .filter(row => names.includes(row.name))
+      .map(row => ({ ...row, parsed: JSON.parse(row.labels) }))
+      .map(row => ({ ...row, series: labelKey({ ...row.parsed, le: undefined }), bound: bucketBound(row.parsed.le) }))
+      .sort((a, b) => a.series.localeCompare(b.series)
+        || names.indexOf(a.name) - names.indexOf(b.name)
+        || a.bound - b.bound);
+
+    for (const row of samples) {
+      const labels = Object.entries(row.parsed)
+        .map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+        .join(',');
+      lines.push(`${row.name}${labels ? `{${labels}}` : ''} ${formatValue(row.value)}`);
+    }
+  }
+
+  if (openMetrics) {
+    lines.push('# EOF');
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,203 @@
+/**
+ * Ollama /api/chat adapter: serves OpenAI chat completions from an Ollama upstream
+ */
+
+import { encodeEvent } from './sse.js';
+import {
+  chatChunkEvent,
+  chatCompletion,
+  chatMessage,
+  chatStream,
+  chatUsage,
+  contentText,
+  openAIError,
+  parseDataUrl,
+  parseToolArguments,
+  stopSequences,
+  toolCallId
+} from './openai.js';
+
+// Translate OpenAI messages into Ollama messages; images travel as bare base64 next to the text
+function translateMessages(messages) {
+  const toolNames = {};
+
+  return messages.map(message => {
+    const result = { role: message.role === 'developer' ? 'system' : message.role, content: contentText(message.content) };
+
+    if (Array.isArray(message.content)) {
+      const images = message.content
+        .filter(part => part.type === 'image_url')
+        .map(part => parseDataUrl(part.image_url && part.image_url.url))
+        .filter(Boolean)
+        .map(image => image.data);
+      if (images.length > 0) {
+        result.images = images;
+      }
+    }
+
+    if (message.role === 'assistant' && Array.isArray(message.tool_calls)) {
+      result.tool_calls = message.tool_calls.map(call => {
+        toolNames[call.id] = call.function.name;
+        return { function: { name: call.function.name, arguments: parseToolArguments(call.function.arguments) } };
+      });
+    }
+
+    if (message.role === 'tool' && toolNames[message.tool_call_id]) {
+      result.tool_name = toolNames[message.tool_call_id];
+    }
+
+    return result;
+  });
+}
+
+// Translate an OpenAI chat completion request into an Ollama chat request
+function buildRequest(payload) {
+  const request = {
+    model: payload.model,
+    messages: translateMessages(payload.messages || []),
+    // Ollama streams unless told otherwise
+    stream: payload.stream === true
+  };
+
+  const options = {};
+  const settings = {
+    temperature: payload.temperature,
+    top_p: payload.top_p,
+    num_predict: payload.max_completion_tokens || payload.max_tokens,
+    seed: payload.seed,
+    presence_penalty: payload.presence_penalty,
+    frequency_penalty: payload.frequency_penalty
+  };
+  for (const [name, value] of Object.entries(settings)) {
+    if (value != null) {
+      options[name] = value;
+    }
+  }
+  const stop = stopSequences(payload.stop);
+  if (stop.length > 0) {
+    options.stop = stop;
+  }
+  if (Object.keys(options).length > 0) {
+    request.options = options;
+  }
+
+  const format = payload.response_format && payload.response_format.type;
+  if (format === 'json_object') {
+    request.format = 'json';
+  } else if (format === 'json_schema' && payload.response_format.json_schema) {
+    request.format = payload.response_format.json_schema.schema;
+  }
+
+  // Ollama takes OpenAI-shaped tool definitions as they are
+  if (Array.isArray(payload.tools) && payload.tools.length > 0) {
+    request.tools = payload.tools;
+  }
+
+  return request;
+}
+
+// Tool calls of an Ollama message in the adapter's { id, name, arguments } form
+function messageToolCalls(message) {
+  return ((message && message.tool_calls) || []).map(call => ({
+    id: toolCallId(),
+    name: call.function.name,
+    arguments: typeof call.function.arguments === 'string'
+      ? call.function.arguments
+      : JSON.stringify(call.function.arguments || {})
+  }));
+}
+
+// Translate Ollama's done_reason, which does not report tool calls
+function finishReason(body, hasToolCalls) {
+  if (hasToolCalls) {
+    return 'tool_calls';
+  }
+  return body.done_reason === 'length' ? 'length' : 'stop';
+}
+
+// Translate an Ollama chat response into an OpenAI chat completion
+function translateResponse(body, payload) {
+  const toolCalls = messageToolCalls(body.message);
+  return chatCompletion({
+    model: body.model || payload.model,
+    choices: [{
+      index: 0,
+      message: chatMessage(body.message ? body.message.content : '', toolCalls),
+      finish_reason: finishReason(body, toolCalls.length > 0)
+    }],
+    usage: chatUsage(body.prompt_eval_count, body.eval_count)
+  });
+}
+
+// Event handlers for processEventStream that turn Ollama's newline-delimited JSON into OpenAI chunks
+function createStreamTranslator(payload) {
+  const stream = chatStream(payload.model);
+  const includeUsage = Boolean(payload.stream_options && payload.stream_options.include_usage);
+  let started = false;
+  let toolIndex = 0;
+
+  return {
+    separator: /\r?\n/,
+    onEvent: event => {
+      let chunk;
+      try {
+        chunk = JSON.parse(event.raw);
+      } catch (error) {
+        return null;
+      }
+
+      if (chunk.error) {
+        return encodeEvent(openAIError(String(chunk.error))) + encodeEvent('[DONE]');
+      }
+
+      const delta = {};
+      if (!started) {
+        delta.role = 'assistant';
+        started = true;
+      }
+      const message = chunk.message || {};
+      if (message.content) {
+        delta.content = message.content;
+      }
+      const toolCalls = messageToolCalls(message);
+      if (toolCalls.length > 0) {
+        delta.tool_calls = toolCalls.map(call => ({
+          index: toolIndex++,
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }));
+      }
+
+      if (!chunk.done) {
+        return Object.keys(delta).length > 0 ? chatChunkEvent(stream, { delta }) : null;
+      }
+
+      let out = chatChunkEvent(stream, { delta, finishReason: finishReason(chunk, toolIndex > 0) });
+      if (includeUsage) {
+        out += chatChunkEvent(stream, { usage: chatUsage(chunk.prompt_eval_count, chunk.eval_count) });
+      }
+      return out + encodeEvent('[DONE]');
+    },
+    // Leave a stream that never reported done unterminated, so it is reported as interrupted
+    onEnd: () => null
+  };
+}
+
+// Translate an Ollama error body ({ "error": "..." }) into an OpenAI error body
+function translateError(body, status) {
+  const message = body && body.error ? String(body.error) : `Upstream returned HTTP ${status}`;
+  return openAIError(message);
+}
+
+export const ollamaAdapter = {
+  endpoints: ['/v1/chat/completions'],
+  defaultPathPrefix: '',
+  probePath: '/api/tags',
+  authHeaders: apiKey => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+  buildUrl: base => `${base}/api/chat`,
+  buildRequest,
+  translateResponse,
+  createStreamTranslator,
+  translateError
+};
@@ -0,0 +1,126 @@
+/**
+ * OpenAI chat completion shapes produced by the protocol adapters
+ */
+
+import { encodeEvent } from './sse.js';
+
+// Generate a chat completion id in OpenAI's format
+export function completionId() {
+  return `chatcmpl-${crypto.randomUUID().replace(/-/g, '')}`;
+}
+
+// Generate a tool call id in OpenAI's format, for upstreams that do not assign one
+export function toolCallId() {
+  return `call_${crypto.randomUUID().replace(/-/g, '').slice(0, 24)}`;
+}
+
+// Build an OpenAI usage object from prompt and completion token counts
+export function chatUsage(promptTokens, completionTokens) {
+  const prompt = promptTokens || 0;
+  const completion = completionTokens || 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+// Build a non-streaming chat completion
+export function chatCompletion({ id, model, choices, usage }) {
+  return {
+    id: id || completionId(),
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices,
+    usage
+  };
+}
+
+// Build a chat completion message from text and tool calls ({ id, name, arguments })
+export function chatMessage(text, toolCalls = []) {
+  return {
+    role: 'assistant',
+    content: text || (toolCalls.length > 0 ? null : ''),
+    ...(toolCalls.length > 0 && {
+      tool_calls: toolCalls.map(call => ({
+        id: call.id || toolCallId(),
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    })
+  };
+}
+
+// Encode one streaming chunk as an SSE event
+// Chunks carry either a delta for the first choice, or only usage (the final include_usage chunk)
+export function chatChunkEvent(stream, { delta, finishReason = null, usage } = {}) {
+  return encodeEvent({
+    id: stream.id,
+    object: 'chat.completion.chunk',
+    created: stream.created,
+    model: stream.model,
+    choices: delta ? [{ index: 0, delta, finish_reason: finishReason }] : [],
+    ...(usage && { usage })
+  });
+}
+
+// State shared by the chunks of one translated stream
+export function chatStream(model) {
+  return { id: completionId(), created: Math.floor(Date.now() / 1000), model };
+}
+
+// Error types of the errors the proxy generates itself, by HTTP status
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'invalid_request_error',
+  405: 'invalid_request_error',
+  429: 'rate_limit_error',
+  500: 'server_error'
+};
+
+// Build an OpenAI error body
+export function openAIError(message, type = 'upstream_error', code = null) {
+  return { error: { message, type, param: null, code } };
+}
+
+// The error type for a proxy-generated error with an HTTP status; other 5xx come from upstreams
+export function errorType(status) {
+  return ERROR_TYPES[status] || (status >= 500 ? 'upstream_error' : 'invalid_request_error');
+}
+
+// Join the text parts of an OpenAI message's content (a string or a list of parts)
+export function contentText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content.filter(part => part && part.type === 'text').map(part => part.text).join('\n');
+}
+
+// Split a data: URL into its media type and base64 data, or null for other URLs
+export function parseDataUrl(url) {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url || '');
+  return match ? { mediaType: match[1], data: match[2] } : null;
+}
+
+// Parse tool call arguments from their JSON text, falling back to an empty object
+export function parseToolArguments(text) {
+  if (!text) {
+    return {};
+  }
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' ? value : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// The stop sequences of a request as a list
+export function stopSequences(stop) {
+  if (typeof stop === 'string') {
+    return [stop];
+  }
+  return Array.isArray(stop) ? stop : [];
+}
@@ -0,0 +1,161 @@
+/**
+ * Token-bucket rate limits per caller credential, source IP and model
+ */
+
+// What a rate limit can be keyed on: the hashed caller credential, CF-Connecting-IP or the requested model
+export const RATE_LIMIT_SCOPES = ['credential', 'ip', 'model'];
+
+// Limit fields of each scope, mapped to the bucket each one governs
+export const RATE_LIMIT_FIELDS = {
+  requestsPerMinute: 'requests',
+  tokensPerMinute: 'tokens'
+};
+
+// Buckets refill from empty to their limit over this period
+const RATE_LIMIT_WINDOW = 60 * 1000;
+
+// Idle buckets are swept once this many are being tracked
+const MAX_IDLE_BUCKETS = 10000;
+
+// Merge the admin-configured rate limits over the defaults; a missing limit is unlimited
+export function getRateLimitPolicy(config) {
+  const rateLimits = (config && config.rateLimits) || {};
+  return Object.fromEntries(RATE_LIMIT_SCOPES.map(scope => [scope, {
+    requestsPerMinute: null,
+    tokensPerMinute: null,
+    ...rateLimits[scope]
+  }]));
+}
+
+// Whether any rate limit is configured at all
+export function hasRateLimits(policy) {
+  return RATE_LIMIT_SCOPES.some(scope => Object.keys(RATE_LIMIT_FIELDS).some(field => policy[scope][field] != null));
+}
+
+// Validate rate limit settings, returning an error message or null
+export function validateRateLimitPolicy(rateLimits) {
+  if (typeof rateLimits !== 'object' || rateLimits === null || Array.isArray(rateLimits)) {
+    return 'Invalid rateLimits';
+  }
+
+  for (const [scope, limits] of Object.entries(rateLimits)) {
+    if (!RATE_LIMIT_SCOPES.includes(scope)) {
+      return `Invalid rateLimits scope ${scope}`;
+    }
+    if (typeof limits !== 'object' || limits === null || Array.isArray(limits)) {
+      return `Invalid rateLimits.${scope}`;
+    }
+    for (const [field, value] of Object.entries(limits)) {
+      if (!RATE_LIMIT_FIELDS[field]) {
+        return `Invalid rateLimits.${scope} field ${field}`;
+      }
+      if (value != null && (!Number.isInteger(value) || value < 1)) {
+        return `Invalid rateLimits.${scope}.${field}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Rough prompt token count of a request body, reserved from the token buckets until the real usage is known
+export function estimateTokens(body) {
+  return Math.ceil((body || '').length / 4);
+}
+
+// Refill a bucket for the time since it was last touched, creating it full
+function refillBucket(buckets, key, limit, now) {
+  const bucket = buckets.get(key) || { level: limit, updatedAt: now };
+  bucket.level = Math.min(limit, bucket.level + (now - bucket.updatedAt) * limit / RATE_LIMIT_WINDOW);
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+  return bucket;
+}
+
+// The buckets of a request: one per configured limit of each scope it has a subject for
+function requestBuckets(buckets, policy, subjects, now) {
+  const result = [];
+  for (const scope of RATE_LIMIT_SCOPES) {
+    if (!subjects[scope]) {
+      continue;
+    }
+    for (const [field, name] of Object.entries(RATE_LIMIT_FIELDS)) {
+      const limit = policy[scope][field];
+      if (limit != null) {
+        result.push({ scope, name, limit, bucket: refillBucket(buckets, `${scope}:${name}:${subjects[scope]}`, limit, now) });
+      }
+    }
+  }
+  return result;
+}
+
+// Drop buckets that have been idle long enough to be full again, once there are many of them
+function forgetIdleBuckets(buckets, now) {
+  if (buckets.size < MAX_IDLE_BUCKETS) {
+    return;
+  }
+  for (const [key, bucket] of buckets) {
+    if (now - bucket.updatedAt > RATE_LIMIT_WINDOW) {
+      buckets.delete(key);
+    }
+  }
+}
+
+// OpenAI-style x-ratelimit-* headers for the tightest bucket of each kind
+function rateLimitHeaders(buckets) {
+  const headers = {};
+  for (const name of Object.values(RATE_LIMIT_FIELDS)) {
+    const tightest = buckets
+      .filter(entry => entry.name === name)
+      .sort((a, b) => a.bucket.level - b.bucket.level)[0];
+    if (!tightest) {
+      continue;
+    }
+    const { limit, bucket } = tightest;
+    const remaining = Math.max(0, Math.floor(bucket.level));
+    headers[`x-ratelimit-limit-${name}`] = String(limit);
+    headers[`x-ratelimit-remaining-${name}`] = String(remaining);
+    headers[`x-ratelimit-reset-${name}`] = `${Math.ceil((limit - bucket.level) * RATE_LIMIT_WINDOW / limit / 1000)}s`;
+  }
+  return headers;
+}
+
+// Take one request and the estimated tokens from every bucket of a request, or nothing if any is empty
+// A token bucket only has to be above zero, so a large request can overdraw it and the overdraft
+// is paid back before the next request goes through
+export function takeRateLimit(buckets, policy, subjects, tokens, now = Date.now()) {
+  forgetIdleBuckets(buckets, now);
+  const limited = requestBuckets(buckets, policy, subjects, now);
+
+  const exhausted = limited.find(({ name, bucket }) => (name === 'requests' ? bucket.level < 1 : bucket.level <= 0));
+  if (exhausted) {
+    const { scope, name, limit, bucket } = exhausted;
+    return {
+      allowed: false,
+      scope,
+      bucket: name,
+      limit,
+      retryAfter: Math.max(1, Math.ceil((1 - bucket.level) * RATE_LIMIT_WINDOW / limit / 1000)),
+      headers: rateLimitHeaders(limited)
+    };
+  }
+
+  for (const { name, bucket } of limited) {
+    bucket.level -= name === 'requests' ? 1 : tokens;
+  }
+  return {
+    allowed: true,
+    headers: rateLimitHeaders(limited),
+    // Whether the estimate has to be settled against the real usage later
+    tokensLimited: limited.some(({ name }) => name === 'tokens')
+  };
+}
+
+// Correct the token buckets of a finished request by the difference between its real and estimated tokens
+export function settleRateLimit(buckets, policy, subjects, delta, now = Date.now()) {
+  for (const { name, bucket } of requestBuckets(buckets, policy, subjects, now)) {
+    if (name === 'tokens') {
+      bucket.level -= delta;
+    }
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Retry policy for upstream requests: which failures to retry, backoff and Retry-After handling
+ */
+
+// Retry policy used for any field the admin config does not set
+export const DEFAULT_RETRY_POLICY = {
+  maxRetries: 2,
+  baseDelayMs: 250,
+  maxDelayMs: 4000,
+  retryOn: [408, 429, 500, 502, 503, 504]
+};
+
+// Merge the admin-configured retry settings over the defaults
+export function getRetryPolicy(config) {
+  return { ...DEFAULT_RETRY_POLICY, ...(config && config.retry) };
+}
+
+// Validate retry settings, returning an error message or null
+export function validateRetryPolicy(retry) {
+  if (typeof retry !== 'object' || retry === null || Array.isArray(retry)) {
+    return 'Invalid retry';
+  }
+
+  for (const field of ['maxRetries', 'baseDelayMs', 'maxDelayMs']) {
+    if (retry[field] != null && (!Number.isInteger(retry[field]) || retry[field] < 0)) {
+      return `Invalid retry.${field}`;
+    }
+  }
+
+  if (retry.retryOn != null && (!Array.isArray(retry.retryOn) || retry.retryOn.some(status => !Number.isInteger(status)))) {
+    return 'Invalid retry.retryOn';
+  }
+
+  return null;
+}
+
+// Parse a Retry-After header (seconds or an HTTP date) into milliseconds, or null
+export function parseRetryAfter(headers) {
+  const value = headers.get('Retry-After');
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter for the given retry number (0-based)
+export function backoffDelay(policy, retry) {
+  const delay = policy.baseDelayMs * 2 ** retry;
+  return Math.min(policy.maxDelayMs, delay / 2 + Math.random() * delay / 2);
+}
+
+// Wait for the given number of milliseconds
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Read the first chunk of a streaming response so a stream that fails before sending
+// anything can still be retried; resolves to an equivalent response that replays it
+export async function awaitFirstChunk(response) {
+  const reader = response.body.getReader();
+  const first = await reader.read();
+  if (first.done) {
+    throw new Error('Upstream closed the stream before sending any data');
+  }
+
+  const body = new ReadableStream({
+    start(controller) {
+      controller.enqueue(first.value);
+    },
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+}
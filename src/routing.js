@@ -0,0 +1,154 @@
+/**
+ * Upstream provider registry and model-based routing
+ */
+
+import { matchesGlob } from './glob.js';
+import { PROVIDER_PROTOCOLS, providerPathPrefix } from './adapters.js';
+
+// Path prefix used when a provider does not set one (OpenAI-style "/v1")
+export const DEFAULT_PATH_PREFIX = '/v1';
+
+// Provider names appear in "model@provider" targets, so they cannot contain "@"
+const PROVIDER_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Names of the environment variables an imported API key can be read from
+export const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Keys this short would give too much away if their tail were shown
+const MASKED_KEY_MIN_LENGTH = 12;
+
+// Split a route target of the form "model@provider" or just "provider"
+export function parseTarget(target) {
+  const at = target.lastIndexOf('@');
+  if (at === -1) {
+    return { model: null, provider: target };
+  }
+  return { model: target.slice(0, at), provider: target.slice(at + 1) };
+}
+
+// Find the ordered upstream candidates (primary first, then fallbacks) for a requested model
+// Each candidate is { provider, model }; an empty list means no rule applies
+// Only the admin's rules pick providers: a requested "model@provider" is matched like any other name
+export function resolveRoute(model, providers, routes) {
+  if (typeof model !== 'string' || !model) {
+    return [];
+  }
+
+  // Exact matches (including aliases) win over globs; globs are tried in order
+  const rule = routes.find(candidate => candidate.match === model)
+    || routes.find(candidate => matchesGlob(candidate.match, model));
+  if (!rule) {
+    return [];
+  }
+
+  return [rule.target, ...(rule.fallbacks || [])]
+    .map(parseTarget)
+    .filter(target => providers[target.provider])
+    .map(target => ({ provider: target.provider, model: target.model || model }));
+}
+
+// Build the full upstream URL for an OpenAI endpoint ("/v1/...") on a base URL and path prefix
+export function buildUpstreamUrl(baseUrl, pathPrefix, endpoint) {
+  const prefix = pathPrefix == null ? DEFAULT_PATH_PREFIX : pathPrefix;
+  return `${baseUrl.replace(/\/+$/, '')}${prefix.replace(/\/+$/, '')}${endpoint.replace(/^\/v1/, '')}`;
+}
+
+// Hide a provider's API key when returning it to the admin UI; only long keys
+// keep their last 4 characters, short ones are reported through hasApiKey alone
+export function publicProvider(provider) {
+  const { apiKey, ...rest } = provider;
+  return {
+    ...rest,
+    apiKey: apiKey && apiKey.length > MASKED_KEY_MIN_LENGTH ? `…${apiKey.slice(-4)}` : null,
+    hasApiKey: Boolean(apiKey)
+  };
+}
+
+// Validate provider settings, returning an error message or null
+export function validateProvider(data) {
+  if (typeof data.name !== 'string' || !PROVIDER_NAME_PATTERN.test(data.name)) {
+    return 'Invalid name (letters, digits, ".", "_" and "-" only)';
+  }
+
+  try {
+    const url = new URL(data.baseUrl);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('Unsupported protocol');
+    }
+  } catch (error) {
+    return 'Invalid baseUrl';
+  }
+
+  if (data.protocol != null && !PROVIDER_PROTOCOLS.includes(data.protocol)) {
+    return `Invalid protocol (one of ${PROVIDER_PROTOCOLS.join(', ')})`;
+  }
+
+  if (data.apiKey != null && typeof data.apiKey !== 'string') {
+    return 'Invalid apiKey';
+  }
+
+  if (data.apiKeyEnv != null && (typeof data.apiKeyEnv !== 'string' || !ENV_NAME_PATTERN.test(data.apiKeyEnv))) {
+    return 'Invalid apiKeyEnv';
+  }
+
+  if (data.pathPrefix != null && (typeof data.pathPrefix !== 'string' || (data.pathPrefix && !data.pathPrefix.startsWith('/')))) {
+    return 'Invalid pathPrefix (must be empty or start with "/")';
+  }
+
+  if (data.embeddingBatchSize != null && (!Number.isInteger(data.embeddingBatchSize) || data.embeddingBatchSize < 1)) {
+    return 'Invalid embeddingBatchSize';
+  }
+
+  if (data.headers != null) {
+    if (typeof data.headers !== 'object' || Array.isArray(data.headers)
+      || Object.values(data.headers).some(value => typeof value !== 'string')) {
+      return 'Invalid headers (must be an object of strings)';
+    }
+  }
+
+  return null;
+}
+
+// Build the stored form of a provider from validated settings
+// An omitted apiKey keeps the stored one, along with the environment variable it was imported from
+export function normalizeProvider(data, existing, now = new Date().toISOString()) {
+  const keepKey = data.apiKey === undefined && existing;
+  return {
+    name: data.name,
+    baseUrl: data.baseUrl.replace(/\/+$/, ''),
+    apiKey: keepKey ? existing.apiKey : (data.apiKey || null),
+    apiKeyEnv: keepKey ? existing.apiKeyEnv || null : (data.apiKeyEnv || null),
+    protocol: data.protocol || 'openai',
+    pathPrefix: data.pathPrefix == null ? providerPathPrefix({ protocol: data.protocol }) : data.pathPrefix,
+    headers: data.headers || {},
+    embeddingBatchSize: data.embeddingBatchSize || null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+}
+
+// Validate an ordered list of routing rules against the known providers, returning an error message or null
+export function validateRoutes(routes, providers) {
+  if (!Array.isArray(routes)) {
+    return 'Routes must be an array';
+  }
+
+  for (const [index, route] of routes.entries()) {
+    if (!route || typeof route.match !== 'string' || !route.match || typeof route.target !== 'string' || !route.target) {
+      return `Route ${index} must have a match and a target`;
+    }
+
+    if (route.fallbacks != null && (!Array.isArray(route.fallbacks) || route.fallbacks.some(target => typeof target !== 'string' || !target))) {
+      return `Route ${index} has invalid fallbacks`;
+    }
+
+    for (const target of [route.target, ...(route.fallbacks || [])]) {
+      const { provider } = parseTarget(target);
+      if (!providers[provider]) {
+        return `Route ${index} targets unknown provider "${provider}"`;
+      }
+    }
+  }
+
+  return null;
+}
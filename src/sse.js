@@ -0,0 +1,146 @@
+/**
+ * Server-sent event (SSE) stream processing for streaming completions
+ */
+
+const encoder = new TextEncoder();
+
+// Parse the text of one SSE event into its event name and joined data lines
+export function parseEvent(raw) {
+  const event = { raw, event: null, data: null };
+  const data = [];
+
+  for (const line of raw.split(/\r?\n/)) {
+    if (line.startsWith('data:')) {
+      data.push(line.slice(line.startsWith('data: ') ? 6 : 5));
+    } else if (line.startsWith('event:')) {
+      event.event = line.slice(6).trim();
+    }
+  }
+
+  if (data.length > 0) {
+    event.data = data.join('\n');
+  }
+  return event;
+}
+
+// Parse the JSON payload of a data event, or null for [DONE], comments and malformed data
+export function parseEventData(event) {
+  if (!event.data || event.data === '[DONE]') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(event.data);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Encode a JSON payload as an SSE data event
+export function encodeEvent(data, eventName) {
+  const prefix = eventName ? `event: ${eventName}\n` : '';
+  return `${prefix}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`;
+}
+
+// Whether a chat or text completion chunk carries generated output (not just the role or usage)
+export function hasGeneratedContent(chunk) {
+  return Boolean(chunk && Array.isArray(chunk.choices) && chunk.choices.some(choice => {
+    if (typeof choice.text === 'string') {
+      return choice.text.length > 0;
+    }
+    const delta = choice.delta || {};
+    return Boolean(delta.content || delta.tool_calls || delta.function_call || delta.reasoning_content);
+  }));
+}
+
+// Re-emit an SSE byte stream event by event through a TransformStream
+// onEvent(event) may return undefined to pass the event through, a string to emit instead, or null to drop it
+// onEnd({ error }) runs once the upstream has ended or failed and may return a string to append to the stream
+// separator splits the byte stream into events; newline-delimited JSON streams pass /\r?\n/
+// Returns the new stream and a promise that settles with { completed, cancelled, error } once the
+// stream has ended, the client has gone away or the upstream has failed
+export function processEventStream(body, { onEvent = () => undefined, onEnd = () => null, separator = /\r?\n\r?\n/ } = {}) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let failure = null;
+  let finish;
+  const done = new Promise(resolve => {
+    finish = resolve;
+  });
+
+  // Emit one raw event through the handler
+  const emit = (controller, raw) => {
+    if (!raw.trim()) {
+      return;
+    }
+
+    const replacement = onEvent(parseEvent(raw));
+    if (replacement !== null) {
+      controller.enqueue(encoder.encode(replacement === undefined ? `${raw}\n\n` : replacement));
+    }
+  };
+
+  const { readable, writable } = new TransformStream({
+    transform(chunk, controller) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let boundary;
+      while ((boundary = separator.exec(buffer)) !== null) {
+        const raw = buffer.slice(0, boundary.index);
+        buffer = buffer.slice(boundary.index + boundary[0].length);
+        emit(controller, raw);
+      }
+    },
+    flush(controller) {
+      // A partial event left by a failed upstream is dropped rather than sent half-written
+      buffer += decoder.decode();
+      if (!failure) {
+        emit(controller, buffer);
+      }
+
+      const trailer = onEnd({ error: failure });
+      if (trailer) {
+        controller.enqueue(encoder.encode(trailer));
+      }
+    }
+  });
+
+  // Pump the upstream body into the transform ourselves, so an upstream failure can still be
+  // followed by a well-formed ending instead of erroring the client's stream
+  const pump = async () => {
+    const reader = body.getReader();
+    const writer = writable.getWriter();
+
+    for (;;) {
+      let result;
+      try {
+        result = await reader.read();
+      } catch (error) {
+        failure = error;
+        break;
+      }
+      if (result.done) {
+        break;
+      }
+
+      try {
+        await writer.write(result.value);
+      } catch (error) {
+        // The client has gone away; stop reading from the upstream
+        await reader.cancel(error).catch(() => {});
+        finish({ completed: false, cancelled: true });
+        return;
+      }
+    }
+
+    try {
+      await writer.close();
+    } catch (error) {
+      finish({ completed: false, cancelled: true });
+      return;
+    }
+    finish(failure ? { completed: false, error: failure } : { completed: true });
+  };
+  pump();
+
+  return { stream: readable, done };
+}
@@ -1,10 +1,116 @@
 /**
  * Durable Object for storing LLM Proxy configuration and request logs
  */
+
+import {
+  createSessionToken,
+  generateSecret,
+  hashPassword,
+  timingSafeEqual,
+  verifyPassword,
+  verifySessionToken
+} from './auth.js';
+import {
+  findExceededQuota,
+  generateClientKey,
+  hashClientKey,
+  isKeyAllowed,
+  rollUsage,
+  validateClientKeySettings
+} from './keys.js';
+import { normalizeProvider, publicProvider, validateProvider, validateRoutes } from './routing.js';
+import {
+  getCircuitBreakerPolicy,
+  recordOutcome,
+  summarizeUpstream
+} from './health.js';
+import { addUsage, computeCost, findPrice, validatePricing } from './usage.js';
+import {
+  LOG_COLUMNS,
+  LOG_SCHEMA,
+  MAX_LOG_PAGE,
+  buildLogFilter,
+  csvHeader,
+  csvLine,
+  decodeCursor,
+  encodeCursor,
+  getLogRetention,
+  parseTime,
+  seriesLabels
+} from './logs.js';
+import {
+  GRANULARITIES,
+  MAX_TIMESERIES_POINTS,
+  ROLLUP_SCHEMA,
+  TIMESERIES_BREAKDOWNS,
+  addToBucket,
+  bucketStart,
+  emptyBucket,
+  mergeBucket,
+  summarizeBucket
+} from './timeseries.js';
+import {
+  CONFIG_VERSIONS_SCHEMA,
+  MAX_CONFIG_VERSIONS,
+  applyConfigChanges,
+  configSecrets,
+  diffConfig,
+  validateConfig,
+  versionedConfig
+} from './config.js';
+import { getRateLimitPolicy, settleRateLimit, takeRateLimit } from './ratelimit.js';
+import {
+  METRICS_RETENTION,
+  METRICS_SCHEMA,
+  METRICS_TOKEN_PREFIX,
+  OPENMETRICS_CONTENT_TYPE,
+  PROMETHEUS_CONTENT_TYPE,
+  generateMetricsToken,
+  metricIncrements,
+  renderMetrics
+} from './metrics.js';
+import { advanceAlertState, isAlertFiring, normalizeAlertRule, validateAlertRule } from './alerts.js';
+import { CACHE_ENTRIES_SCHEMA, CACHE_STATS_SCHEMA } from './cache.js';
+import {
+  CONFIG_DOCUMENT_FORMATS,
+  exportDocument,
+  parseDocument,
+  planImport,
+  serializeDocument
+} from './configdoc.js';
+
+// Failed logins allowed per IP within the failure window before it is locked out
+const MAX_LOGIN_FAILURES = 5;
+
+// Window in which failed logins from one IP are counted together
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000;
+
+// How long an IP is locked out after too many failed logins
+const LOGIN_LOCKOUT = 15 * 60 * 1000;
+
+// Minimum length accepted for a new admin password
+const MIN_PASSWORD_LENGTH = 8;
+
+// How often log retention is applied while logs are being written
+const LOG_RETENTION_INTERVAL = 60 * 1000;
+
+// Rows read per query while a log export streams
+const LOG_EXPORT_PAGE = 500;
+
 export class LLMProxyStorage {
   constructor(state, env) {
     this.state = state;
     this.env = env;
+    // Rate limit token buckets, keyed by scope, bucket and subject
+    this.rateLimitBuckets = new Map();
+    this.tablesReady = false;
+    this.logRetentionAppliedAt = 0;
+    // Move client keys out of the older single-map format, and seed an empty storage from PROXY_CONFIG,
+    // before the first request is handled
+    state.blockConcurrencyWhile(async () => {
+      await this.migrateClientKeys();
+      await this.seedConfig();
+    });
   }
 
   // Handle HTTP requests from clients
@@ -21,11 +127,33 @@ export class LLMProxyStorage {
 
       // Route requests based on path
       if (path.startsWith('/config')) {
-        return this.handleConfig(request, method);
+        return this.handleConfig(request, method, path);
       } else if (path.startsWith('/logs')) {
-        return this.handleLogs(request, method);
+        return this.handleLogs(request, method, path);
       } else if (path.startsWith('/stats')) {
         return this.handleStats(request, method);
+      } else if (path.startsWith('/keys')) {
+        return this.handleKeys(request, method, path);
+      } else if (path.startsWith('/providers')) {
+        return this.handleProviders(request, method, path);
+      } else if (path.startsWith('/routes')) {
+        return this.handleRoutes(request, method);
+      } else if (path.startsWith('/routing')) {
+        return this.getRouting();
+      } else if (path.startsWith('/upstreams')) {
+        return this.handleUpstreams(request, method, path);
+      } else if (path.startsWith('/pricing')) {
+        return this.handlePricing(request, method);
+      } else if (path.startsWith('/cache')) {
+        return this.handleCache(request, method, path);
+      } else if (path.startsWith('/ratelimit')) {
+        return this.handleRateLimit(request, method, path);
+      } else if (path.startsWith('/metrics')) {
+        return this.handleMetrics(request, method, path);
+      } else if (path.startsWith('/alerts')) {
+        return this.handleAlerts(request, method, path);
+      } else if (path.startsWith('/auth/')) {
+        return this.handleAuth(request, method, path);
       } else {
         return new Response('Not found', { status: 404 });
       }
@@ -51,25 +179,59 @@ export class LLMProxyStorage {
   }
 
   // Handle configuration requests
-  async handleConfig(request, method) {
+  async handleConfig(request, method, path) {
+    if (path.startsWith('/config/history') || path.startsWith('/config/rollback/')) {
+      await this.ensureTables();
+    }
+
+    if (method === 'GET' && path === '/config/export') {
+      return await this.exportConfig(new URL(request.url).searchParams.get('format'));
+    }
+
+    if (method === 'POST' && path === '/config/import') {
+      return await this.importConfig(await request.json());
+    }
+
+    if (method === 'GET' && path === '/config/history') {
+      return this.getConfigHistory(new URL(request.url).searchParams);
+    }
+
+    if (method === 'GET' && path.startsWith('/config/history/')) {
+      return this.getConfigVersion(Number(path.slice('/config/history/'.length)));
+    }
+
+    if (method === 'POST' && path.startsWith('/config/rollback/')) {
+      const { author } = await request.json();
+      return await this.rollbackConfig(Number(path.slice('/config/rollback/'.length)), author);
+    }
+
     switch (method) {
       case 'GET':
         return await this.getConfig();
       case 'POST':
-        const data = await request.json();
-        return await this.setConfig(data);
+        const { config, author } = await request.json();
+        return await this.setConfig(config, author);
       default:
         return new Response('Method not allowed', { status: 405 });
     }
   }
 
   // Handle logs requests
-  async handleLogs(request, method) {
+  async handleLogs(request, method, path) {
+    await this.ensureTables();
+    const url = new URL(request.url);
+
+    if (method === 'GET' && path === '/logs/export') {
+      return this.exportLogs(url.searchParams);
+    }
+
+    if (method === 'GET' && path.startsWith('/logs/')) {
+      return this.getLogDetails(decodeURIComponent(path.slice('/logs/'.length)));
+    }
+
     switch (method) {
       case 'GET':
-        const url = new URL(request.url);
-        const limit = parseInt(url.searchParams.get('limit')) || 50;
-        return await this.getLogs(limit);
+        return this.getLogs(url.searchParams);
       case 'POST':
         const logData = await request.json();
         return await this.addLog(logData);
@@ -82,6 +244,12 @@ export class LLMProxyStorage {
 
   // Handle stats requests
   async handleStats(request, method) {
+    const url = new URL(request.url);
+    if (method === 'GET' && url.pathname === '/stats/timeseries') {
+      await this.ensureTables();
+      return this.getTimeseries(url.searchParams);
+    }
+
     if (method === 'GET') {
       return await this.getStats();
     } else {
@@ -89,134 +257,1640 @@ export class LLMProxyStorage {
     }
   }
 
-  // Get configuration
-  async getConfig() {
-    // Retrieve configuration from storage
+  // Handle admin authentication requests
+  async handleAuth(request, method, path) {
+    if (method !== 'POST') {
+      return new Response('Method not allowed', { status: 405 });
+    }
+
+    const data = await request.json();
+    switch (path) {
+      case '/auth/login':
+        return await this.login(data);
+      case '/auth/verify':
+        return await this.verifySession(data);
+      case '/auth/logout':
+        return await this.logout(data);
+      case '/auth/password':
+        return await this.changePassword(data);
+      case '/auth/rotate-key':
+        return await this.rotateSessionKey();
+      default:
+        return new Response('Not found', { status: 404 });
+    }
+  }
+
+  // Handle client API key requests
+  async handleKeys(request, method, path) {
+    if (path === '/keys/authorize' && method === 'POST') {
+      return await this.authorizeClientKey(await request.json());
+    }
+
+    const id = path.split('/')[2];
+    switch (method) {
+      case 'GET':
+        return await this.listClientKeys();
+      case 'POST':
+        return await this.createClientKey(await request.json());
+      case 'DELETE':
+        return await this.revokeClientKey(id);
+      default:
+        return new Response('Method not allowed', { status: 405 });
+    }
+  }
+
+  // Handle upstream provider requests
+  async handleProviders(request, method, path) {
+    switch (method) {
+      case 'GET':
+        return await this.listProviders();
+      case 'POST':
+        return await this.saveProvider(await request.json());
+      case 'DELETE':
+        return await this.deleteProvider(decodeURIComponent(path.split('/')[2] || ''));
+      default:
+        return new Response('Method not allowed', { status: 405 });
+    }
+  }
+
+  // Handle routing rule requests
+  async handleRoutes(request, method) {
+    switch (method) {
+      case 'GET':
+        return new Response(JSON.stringify(await this.state.storage.get('routes') || []), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      case 'PUT':
+        return await this.setRoutes(await request.json());
+      default:
+        return new Response('Method not allowed', { status: 405 });
+    }
+  }
+
+  // Handle upstream health requests
+  async handleUpstreams(request, method, path) {
+    if (method === 'GET') {
+      return new Response(JSON.stringify(await this.getUpstreamHealth()), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (method === 'POST' && path === '/upstreams/probe') {
+      const results = await request.json();
+      await this.recordUpstreamOutcomes(results.map(result => ({ ...result, probe: true })));
+      return new Response(JSON.stringify(await this.getUpstreamHealth()), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  // Handle model price table requests
+  async handlePricing(request, method) {
+    switch (method) {
+      case 'GET':
+        return new Response(JSON.stringify(await this.state.storage.get('pricing') || {}), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      case 'PUT': {
+        const pricing = await request.json();
+        const error = validatePricing(pricing);
+        if (error) {
+          return new Response(JSON.stringify({ error }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+
+        await this.state.storage.put('pricing', pricing);
+        return new Response(JSON.stringify(pricing), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+      default:
+        return new Response('Method not allowed', { status: 405 });
+    }
+  }
+
+  // Handle response cache requests
+  async handleCache(request, method, path) {
+    if (method === 'POST' && path === '/cache/lookup') {
+      return this.lookupCache(await request.json());
+    }
+
+    switch (method) {
+      case 'GET':
+        return new Response(JSON.stringify(await this.getCacheStats()), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      case 'PUT':
+        return this.storeCache(await request.json());
+      case 'DELETE': {
+        const url = new URL(request.url);
+        return this.purgeCache(url.searchParams.get('model'), url.searchParams.get('key'));
+      }
+      default:
+        return new Response('Method not allowed', { status: 405 });
+    }
+  }
+
+  // Handle rate limit requests: taking from a request's buckets before it is forwarded,
+  // and settling its token buckets once its real usage is known
+  async handleRateLimit(request, method, path) {
+    if (method !== 'POST') {
+      return new Response('Method not allowed', { status: 405 });
+    }
+
+    const data = await request.json();
     const config = await this.state.storage.get('config') || {};
-    return new Response(JSON.stringify(config), {
+    const policy = getRateLimitPolicy(config);
+
+    if (path === '/ratelimit/take') {
+      const result = takeRateLimit(this.rateLimitBuckets, policy, data.subjects || {}, data.tokens || 0);
+      return new Response(JSON.stringify(result), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (path === '/ratelimit/settle') {
+      settleRateLimit(this.rateLimitBuckets, policy, data.subjects || {}, data.delta || 0);
+      return new Response(JSON.stringify({ success: true }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    return new Response('Not found', { status: 404 });
+  }
+
+  // Handle alert rule requests, and the cron's evaluation of every rule
+  async handleAlerts(request, method, path) {
+    if (path === '/alerts/evaluate' && method === 'POST') {
+      await this.ensureTables();
+      return await this.evaluateAlerts();
+    }
+
+    const [, , name, action] = path.split('/').map(decodeURIComponent);
+    if (action === 'test' && method === 'POST') {
+      return await this.testAlertRule(name);
+    }
+
+    switch (method) {
+      case 'GET':
+        return await this.listAlertRules();
+      case 'POST':
+        return await this.saveAlertRule(await request.json());
+      case 'DELETE':
+        return await this.deleteAlertRule(name || '');
+      default:
+        return new Response('Method not allowed', { status: 405 });
+    }
+  }
+
+  // Handle metrics requests: scrapes authorized by the scrape token, and managing that token
+  async handleMetrics(request, method, path) {
+    if (path === '/metrics/scrape' && method === 'POST') {
+      await this.ensureTables();
+      return await this.scrapeMetrics(await request.json());
+    }
+
+    if (path === '/metrics/token') {
+      switch (method) {
+        case 'GET':
+          return await this.getMetricsToken();
+        case 'POST':
+          return await this.createMetricsToken();
+        case 'DELETE':
+          await this.state.storage.delete('metricsToken');
+          return new Response(JSON.stringify({ success: true }), {
+            headers: { 'Content-Type': 'application/json' }
+          });
+        default:
+          return new Response('Method not allowed', { status: 405 });
+      }
+    }
+
+    return new Response('Not found', { status: 404 });
+  }
+
+  // Render every metric sample once the scrape token has been checked
+  async scrapeMetrics(data) {
+    const token = await this.state.storage.get('metricsToken');
+    if (!token) {
+      return new Response(JSON.stringify({ error: 'Metrics endpoint is disabled' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+    if (!data.tokenHash || !timingSafeEqual(data.tokenHash, token.keyHash)) {
+      return new Response(JSON.stringify({ error: 'Invalid metrics token' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const rows = this.state.storage.sql.exec('SELECT name, labels, value FROM metrics').toArray();
+    return new Response(renderMetrics(rows, data.openMetrics), {
+      headers: { 'Content-Type': data.openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE }
+    });
+  }
+
+  // Describe the scrape token without its hash
+  async getMetricsToken() {
+    const token = await this.state.storage.get('metricsToken');
+    return new Response(JSON.stringify(token
+      ? { enabled: true, prefix: token.prefix, createdAt: token.createdAt }
+      : { enabled: false }), {
       headers: { 'Content-Type': 'application/json' }
     });
   }
 
-  // Set configuration
-  async setConfig(data) {
-    // Validate input
-    if (data.targetApiUrl && typeof data.targetApiUrl !== 'string') {
-      return new Response(JSON.stringify({ error: 'Invalid targetApiUrl' }), {
+  // Create or replace the scrape token; the plaintext token is returned only in this response
+  async createMetricsToken() {
+    const plaintext = generateMetricsToken();
+    const token = {
+      prefix: plaintext.slice(0, METRICS_TOKEN_PREFIX.length + 4),
+      keyHash: await hashClientKey(plaintext),
+      createdAt: new Date().toISOString()
+    };
+    await this.state.storage.put('metricsToken', token);
+
+    return new Response(JSON.stringify({ enabled: true, token: plaintext, prefix: token.prefix, createdAt: token.createdAt }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // List alert rules with their last evaluation
+  async listAlertRules() {
+    const rules = await this.state.storage.get('alertRules') || {};
+    const states = await this.state.storage.get('alertStates') || {};
+    const list = Object.values(rules).map(rule => ({ ...rule, state: states[rule.name] || null }));
+    return new Response(JSON.stringify(list), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Create or update an alert rule
+  async saveAlertRule(data) {
+    const error = validateAlertRule(data);
+    if (error) {
+      return new Response(JSON.stringify({ error }), {
         status: 400,
         headers: { 'Content-Type': 'application/json' }
       });
     }
 
-    if (data.adminPassword && typeof data.adminPassword !== 'string') {
-      return new Response(JSON.stringify({ error: 'Invalid adminPassword' }), {
-        status: 400,
+    const rules = await this.state.storage.get('alertRules') || {};
+    const existing = rules[data.name];
+    rules[data.name] = normalizeAlertRule(data, existing);
+    await this.state.storage.put('alertRules', rules);
+
+    // A changed rule starts over, so it can fire again straight away
+    const states = await this.state.storage.get('alertStates') || {};
+    delete states[data.name];
+    await this.state.storage.put('alertStates', states);
+
+    return new Response(JSON.stringify(rules[data.name]), {
+      status: existing ? 200 : 201,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Delete an alert rule and its state
+  async deleteAlertRule(name) {
+    const rules = await this.state.storage.get('alertRules') || {};
+    if (!rules[name]) {
+      return new Response(JSON.stringify({ error: 'Alert rule not found' }), {
+        status: 404,
         headers: { 'Content-Type': 'application/json' }
       });
     }
 
-    // Get existing config
-    const existingConfig = await this.state.storage.get('config') || {};
+    delete rules[name];
+    const states = await this.state.storage.get('alertStates') || {};
+    delete states[name];
+    await this.state.storage.put('alertRules', rules);
+    await this.state.storage.put('alertStates', states);
 
-    // Update config
-    const newConfig = {
-      ...existingConfig,
-      ...data,
-      updatedAt: new Date().toISOString()
+    return new Response(JSON.stringify({ message: 'Alert rule deleted' }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Build a test notification for a rule, for the Worker to deliver
+  async testAlertRule(name) {
+    const rules = await this.state.storage.get('alertRules') || {};
+    const rule = rules[name];
+    if (!rule) {
+      return new Response(JSON.stringify({ error: 'Alert rule not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    await this.ensureTables();
+    const measurement = this.measureAlertRule(rule);
+    return new Response(JSON.stringify(this.alertNotification(rule, 'test', measurement.value)), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Measure a rule's condition as { value, requests }; value is null when there is nothing to measure
+  // Error rate and latency come from the minute rollups, daily totals from today's day rollup
+  // and 401s from the log rows, since rollups only keep status classes
+  measureAlertRule(rule, now = Date.now()) {
+    const sql = this.state.storage.sql;
+    const since = now - rule.windowMinutes * 60 * 1000;
+
+    if (rule.condition === 'upstreamUnauthorized') {
+      const rows = sql.exec(
+        'SELECT status, COUNT(*) AS count FROM logs WHERE target_api = ? AND ts >= ? GROUP BY status',
+        rule.upstream, since
+      ).toArray();
+      const requests = rows.reduce((sum, row) => sum + row.count, 0);
+      const unauthorized = rows.filter(row => row.status === 401).reduce((sum, row) => sum + row.count, 0);
+      return { value: requests > 0 ? Math.round((unauthorized / requests) * 10000) / 100 : null, requests };
+    }
+
+    const daily = rule.condition === 'dailyRequests' || rule.condition === 'dailyTokens';
+    const granularity = daily ? 'day' : 'minute';
+    const rows = sql.exec(
+      'SELECT data FROM rollups WHERE granularity = ? AND breakdown = ? AND key = ? AND bucket >= ?',
+      granularity,
+      rule.upstream ? 'upstream' : 'all',
+      rule.upstream || '',
+      daily ? bucketStart(now, 'day') : bucketStart(since, 'minute')
+    ).toArray();
+    const bucket = rows.reduce((merged, row) => mergeBucket(merged, JSON.parse(row.data)), emptyBucket());
+    const summary = summarizeBucket(now, bucket);
+
+    const values = {
+      errorRate: summary.errorRate,
+      p99Latency: summary.latency.p99,
+      dailyRequests: summary.requests,
+      dailyTokens: summary.totalTokens
     };
+    return { value: bucket.requests > 0 || daily ? values[rule.condition] : null, requests: bucket.requests };
+  }
 
-    // Save to storage
-    await this.state.storage.put('config', newConfig);
+  // The notification for a rule, with the webhook it goes to
+  alertNotification(rule, status, value) {
+    return {
+      webhook: rule.webhook,
+      alert: {
+        rule: rule.name,
+        status,
+        condition: rule.condition,
+        value,
+        threshold: rule.threshold,
+        windowMinutes: rule.windowMinutes,
+        upstream: rule.upstream,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  // Evaluate every enabled rule, returning the notifications the Worker should deliver
+  // Firing state is kept per rule, so a condition that stays true notifies only once
+  async evaluateAlerts() {
+    const rules = await this.state.storage.get('alertRules') || {};
+    const states = await this.state.storage.get('alertStates') || {};
+    const notifications = [];
+
+    for (const rule of Object.values(rules)) {
+      if (!rule.enabled) {
+        continue;
+      }
+      const measurement = this.measureAlertRule(rule);
+      const { state, notify } = advanceAlertState(rule, states[rule.name], isAlertFiring(rule, measurement), measurement.value);
+      states[rule.name] = state;
+      if (notify) {
+        notifications.push(this.alertNotification(rule, notify, measurement.value));
+      }
+    }
 
-    return new Response(JSON.stringify(newConfig), {
+    await this.state.storage.put('alertStates', states);
+    return new Response(JSON.stringify({ notifications }), {
       headers: { 'Content-Type': 'application/json' }
     });
   }
 
-  // Get logs
-  async getLogs(limit) {
-    // Get logs from storage (they are stored as an array)
-    const logs = await this.state.storage.get('logs') || [];
-    
-    // Limit the number of logs returned
-    const limitedLogs = logs.slice(-limit);
-    
-    return new Response(JSON.stringify(limitedLogs), {
+  // Look up a cached response, counting the hit or miss; an expired entry is dropped on the way
+  async lookupCache({ key, endpoint }) {
+    await this.ensureTables();
+    const sql = this.state.storage.sql;
+    const [meta] = sql.exec('SELECT created_at, expires_at FROM cache_entries WHERE key = ?', key).toArray();
+    let entry = null;
+
+    if (meta && meta.expires_at > Date.now()) {
+      entry = await this.state.storage.get(`cache:${key}`) || null;
+    } else if (meta) {
+      sql.exec('DELETE FROM cache_entries WHERE key = ?', key);
+      await this.state.storage.delete(`cache:${key}`);
+    }
+
+    sql.exec(
+      'INSERT INTO cache_stats (endpoint, hits, misses) VALUES (?, ?, ?) ON CONFLICT (endpoint) DO UPDATE SET hits = hits + excluded.hits, misses = misses + excluded.misses',
+      endpoint || 'unknown', entry ? 1 : 0, entry ? 0 : 1
+    );
+
+    if (!entry) {
+      return new Response(JSON.stringify({ error: 'Not cached' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    return new Response(JSON.stringify({ ...entry, createdAt: new Date(meta.created_at).toISOString() }), {
       headers: { 'Content-Type': 'application/json' }
     });
   }
 
-  // Add a log entry
-  async addLog(logData) {
-    // Validate input
-    if (!logData.endpoint || !logData.timestamp) {
+  // Store a response in the cache, evicting expired entries and then the oldest beyond maxEntries
+  async storeCache(data) {
+    if (!data.key || typeof data.body !== 'string' || !Number.isInteger(data.ttl) || data.ttl <= 0) {
       return new Response(JSON.stringify({ error: 'Missing required fields' }), {
         status: 400,
         headers: { 'Content-Type': 'application/json' }
       });
     }
 
-    // Get existing logs
-    const logs = await this.state.storage.get('logs') || [];
-    
-    // Add new log entry
-    const newLog = {
-      id: this.generateId(),
-      ...logData,
-      timestamp: new Date().toISOString()
-    };
-    
-    logs.push(newLog);
-    
-    // Keep only the last 1000 logs to prevent storage from growing too large
-    if (logs.length > 1000) {
-      logs.splice(0, logs.length - 1000);
+    await this.ensureTables();
+    const sql = this.state.storage.sql;
+    const now = Date.now();
+    sql.exec(
+      'INSERT OR REPLACE INTO cache_entries (key, endpoint, model, upstream, size, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      data.key, data.endpoint || null, data.model || null, data.upstream || null, data.body.length, now, now + data.ttl * 1000
+    );
+    await this.state.storage.put(`cache:${data.key}`, { status: data.status || 200, contentType: data.contentType, body: data.body });
+
+    const evicted = sql.exec('DELETE FROM cache_entries WHERE expires_at <= ? RETURNING key', now).toArray();
+    if (data.maxEntries) {
+      evicted.push(...sql.exec(
+        'DELETE FROM cache_entries WHERE key IN (SELECT key FROM cache_entries ORDER BY created_at DESC, rowid DESC LIMIT -1 OFFSET ?) RETURNING key',
+        data.maxEntries
+      ).toArray());
     }
-    
-    // Save to storage
-    await this.state.storage.put('logs', logs);
-    
-    return new Response(JSON.stringify(newLog), {
+    await this.deleteCacheEntries(evicted.map(row => row.key));
+
+    return new Response(JSON.stringify({ success: true }), {
+      status: 201,
       headers: { 'Content-Type': 'application/json' }
     });
   }
 
-  // Clear all logs
-  async clearLogs() {
-    await this.state.storage.put('logs', []);
-    return new Response(JSON.stringify({ message: 'Logs cleared' }), {
+  // Purge cached responses for a model, a single cache key, or everything when neither is given
+  async purgeCache(model, key) {
+    await this.ensureTables();
+    const conditions = [];
+    const params = [];
+    if (key) {
+      conditions.push('key = ?');
+      params.push(key);
+    }
+    if (model) {
+      conditions.push('model = ?');
+      params.push(model);
+    }
+
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const purged = this.state.storage.sql.exec(`DELETE FROM cache_entries${where} RETURNING key`, ...params).toArray();
+    await this.deleteCacheEntries(purged.map(row => row.key));
+
+    return new Response(JSON.stringify({ purged: purged.length }), {
       headers: { 'Content-Type': 'application/json' }
     });
   }
 
-  // Get statistics
-  async getStats() {
-    // Get configuration
-    const config = await this.state.storage.get('config') || {};
-    
-    // Get logs
-    const logs = await this.state.storage.get('logs') || [];
-    
-    // Calculate statistics
-    const totalRequests = logs.length;
-    
-    // Calculate success rate
-    const successfulRequests = logs.filter(log => log.status >= 200 && log.status < 300).length;
-    const successRate = totalRequests > 0 ? Math.round((successfulRequests / totalRequests) * 100) : 0;
-    
-    // Calculate average response time
-    const totalDuration = logs.reduce((sum, log) => sum + (log.duration || 0), 0);
-    const avgResponseTime = totalRequests > 0 ? Math.round(totalDuration / totalRequests) : 0;
-    
+  // Delete cached bodies, in batches of the most keys storage.delete() accepts at once
+  async deleteCacheEntries(keys) {
+    for (let i = 0; i < keys.length; i += 128) {
+      await this.state.storage.delete(keys.slice(i, i + 128).map(key => `cache:${key}`));
+    }
+  }
+
+  // Summarize the cache: hit rate overall and per endpoint, and the live entries per model
+  async getCacheStats() {
+    await this.ensureTables();
+    const sql = this.state.storage.sql;
+    const rows = sql.exec('SELECT endpoint, hits, misses FROM cache_stats').toArray();
     const stats = {
-      totalRequests,
-      successRate,
-      avgResponseTime,
-      currentTarget: config.targetApiUrl || null,
-      lastUpdated: config.updatedAt || null
+      hits: rows.reduce((sum, row) => sum + row.hits, 0),
+      misses: rows.reduce((sum, row) => sum + row.misses, 0),
+      byEndpoint: Object.fromEntries(rows.map(({ endpoint, hits, misses }) => [endpoint, { hits, misses }]))
     };
-    
-    return new Response(JSON.stringify(stats), {
+    const hitRate = counts => {
+      const total = counts.hits + counts.misses;
+      return total > 0 ? Math.round((counts.hits / total) * 10000) / 100 : 0;
+    };
+
+    const live = sql.exec(
+      "SELECT COALESCE(model, 'unknown') AS model, COUNT(*) AS entries, SUM(size) AS size FROM cache_entries WHERE expires_at > ? GROUP BY 1",
+      Date.now()
+    ).toArray();
+
+    return {
+      hits: stats.hits,
+      misses: stats.misses,
+      hitRate: hitRate(stats),
+      entries: live.reduce((sum, row) => sum + row.entries, 0),
+      size: live.reduce((sum, row) => sum + row.size, 0),
+      byEndpoint: Object.fromEntries(Object.entries(stats.byEndpoint)
+        .map(([endpoint, counts]) => [endpoint, { ...counts, hitRate: hitRate(counts) }])),
+      byModel: Object.fromEntries(live.map(({ model, entries, size }) => [model, { entries, size }]))
+    };
+  }
+
+  // Get configuration
+  async getConfig() {
+    // Retrieve configuration from storage
+    const config = await this.state.storage.get('config') || {};
+    return new Response(JSON.stringify(config), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Set configuration: validate the changes against the config schema, apply them and save a new version
+  async setConfig(data, author = null) {
+    const error = validateConfig(data);
+    if (error) {
+      return new Response(JSON.stringify({ error }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const existingConfig = await this.state.storage.get('config') || {};
+    return await this.saveConfigVersion(existingConfig, applyConfigChanges(existingConfig, data), 'update', author);
+  }
+
+  // Store a new config and record it as the next version, unless nothing versioned changed
+  // The first version saved over a config that predates the history records that config first,
+  // so it can be rolled back to
+  async saveConfigVersion(existingConfig, nextConfig, action, author, rollbackOf = null) {
+    await this.ensureTables();
+    const sql = this.state.storage.sql;
+    const before = versionedConfig(existingConfig);
+    const after = versionedConfig(nextConfig);
+    const diff = diffConfig(before, after);
+    let version = existingConfig.version || 0;
+
+    if (diff.length > 0) {
+      const now = new Date().toISOString();
+      const latest = sql.exec('SELECT MAX(version) AS version FROM config_versions').toArray()[0].version || 0;
+      if (latest === 0 && Object.keys(before).length > 0) {
+        sql.exec(
+          'INSERT INTO config_versions (version, created_at, action, author, rollback_of, config, diff) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          1, existingConfig.updatedAt || now, 'initial', null, null, JSON.stringify(before), JSON.stringify(diffConfig({}, before))
+        );
+        version = 1;
+      } else {
+        version = latest;
+      }
+
+      version++;
+      sql.exec(
+        'INSERT INTO config_versions (version, created_at, action, author, rollback_of, config, diff) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        version, now, action, author ? JSON.stringify(author) : null, rollbackOf, JSON.stringify(after), JSON.stringify(diff)
+      );
+      sql.exec('DELETE FROM config_versions WHERE version <= ?', version - MAX_CONFIG_VERSIONS);
+    }
+
+    const newConfig = {
+      ...nextConfig,
+      version,
+      updatedAt: diff.length > 0 ? new Date().toISOString() : existingConfig.updatedAt
+    };
+    await this.state.storage.put('config', newConfig);
+
+    const { adminPassword, adminPasswordHash, ...publicConfig } = newConfig;
+    return new Response(JSON.stringify(publicConfig), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Parse a stored config version row
+  configVersionRow(row, withConfig) {
+    return {
+      version: row.version,
+      createdAt: row.created_at,
+      action: row.action,
+      author: row.author ? JSON.parse(row.author) : null,
+      rollbackOf: row.rollback_of === null ? undefined : row.rollback_of,
+      diff: JSON.parse(row.diff),
+      config: withConfig ? JSON.parse(row.config) : undefined
+    };
+  }
+
+  // Get a page of config versions with their diffs, newest first, before a version
+  getConfigHistory(params) {
+    const limit = Math.min(Math.max(parseInt(params.get('limit')) || 50, 1), MAX_CONFIG_VERSIONS);
+    const before = parseInt(params.get('before')) || Number.MAX_SAFE_INTEGER;
+    const rows = this.state.storage.sql.exec(
+      'SELECT version, created_at, action, author, rollback_of, diff FROM config_versions WHERE version < ? ORDER BY version DESC LIMIT ?',
+      before,
+      limit + 1
+    ).toArray();
+
+    return new Response(JSON.stringify({
+      versions: rows.slice(0, limit).map(row => this.configVersionRow(row, false)),
+      nextBefore: rows.length > limit ? rows[limit - 1].version : null
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Get one config version with the whole config it saved
+  getConfigVersion(version) {
+    const row = this.state.storage.sql.exec('SELECT * FROM config_versions WHERE version = ?', version).toArray()[0];
+    if (!row) {
+      return new Response(JSON.stringify({ error: 'Config version not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    return new Response(JSON.stringify(this.configVersionRow(row, true)), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Restore the config saved in a version, as a new version; the admin password is left as it is
+  async rollbackConfig(version, author = null) {
+    const row = this.state.storage.sql.exec('SELECT config FROM config_versions WHERE version = ?', version).toArray()[0];
+    if (!row) {
+      return new Response(JSON.stringify({ error: 'Config version not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const existingConfig = await this.state.storage.get('config') || {};
+    return await this.saveConfigVersion(existingConfig, {
+      ...configSecrets(existingConfig),
+      ...JSON.parse(row.config)
+    }, 'rollback', author, version);
+  }
+
+  // Read everything a config document covers from storage
+  async getConfigState() {
+    const stored = await this.state.storage.get(['config', 'providers', 'routes', 'pricing', 'alertRules']);
+    return {
+      config: stored.get('config') || {},
+      providers: stored.get('providers') || {},
+      routes: stored.get('routes') || [],
+      pricing: stored.get('pricing') || {},
+      alertRules: stored.get('alertRules') || {}
+    };
+  }
+
+  // Export the whole configuration as a JSON or YAML document
+  async exportConfig(format) {
+    format = format || 'json';
+    if (!CONFIG_DOCUMENT_FORMATS[format]) {
+      return new Response(JSON.stringify({ error: `Invalid format (one of ${Object.keys(CONFIG_DOCUMENT_FORMATS).join(', ')})` }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const document = exportDocument(await this.getConfigState());
+    return new Response(serializeDocument(document, format), {
+      headers: {
+        'Content-Type': `${CONFIG_DOCUMENT_FORMATS[format]}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="llm-proxy-config.${format}"`
+      }
+    });
+  }
+
+  // Import a config document ({ document, format, dryRun, author }); a dry run only returns the changes
+  async importConfig(data, action = 'import') {
+    const result = await this.applyConfigDocument(data.document, data.format, data.dryRun, data.author, action);
+    return new Response(JSON.stringify(result.error ? { error: result.error } : result), {
+      status: result.error ? 400 : 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Check a config document and, unless it is a dry run, replace the sections it holds
+  // Returns { dryRun, changes }, { imported, changes } or { error }
+  async applyConfigDocument(text, format, dryRun, author, action) {
+    if (typeof text !== 'string' && (typeof text !== 'object' || text === null)) {
+      return { error: 'Missing document' };
+    }
+
+    const parsed = typeof text === 'string' ? parseDocument(text, format) : { document: text };
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+
+    const state = await this.getConfigState();
+    const plan = planImport(parsed.document, state, this.env);
+    if (plan.error) {
+      return { error: plan.error };
+    }
+    if (dryRun) {
+      return { dryRun: true, changes: plan.changes };
+    }
+
+    const { config, alertRules, ...sections } = plan.next;
+    if (alertRules) {
+      // Rules that were changed or removed start over, like a rule saved from the admin API
+      const states = await this.state.storage.get('alertStates') || {};
+      for (const name of Object.keys(states)) {
+        if (JSON.stringify(state.alertRules[name]) !== JSON.stringify(alertRules[name])) {
+          delete states[name];
+        }
+      }
+      sections.alertRules = alertRules;
+      sections.alertStates = states;
+    }
+    if (Object.keys(sections).length > 0) {
+      await this.state.storage.put(sections);
+    }
+    if (config) {
+      await this.saveConfigVersion(state.config, { ...configSecrets(state.config), ...config }, action, author);
+    }
+
+    return { imported: true, changes: plan.changes };
+  }
+
+  // Seed the storage from the PROXY_CONFIG environment variable the first time the Durable Object starts
+  // A storage that already holds configuration is left alone, and is never seeded afterwards
+  async seedConfig() {
+    const source = this.env && this.env.PROXY_CONFIG;
+    if (!source || await this.state.storage.get('seededAt')) {
+      return;
+    }
+
+    const state = await this.getConfigState();
+    if (diffConfig(exportDocument({}), exportDocument(state)).length === 0) {
+      const result = await this.applyConfigDocument(source, null, false, { source: 'PROXY_CONFIG' }, 'seed');
+      if (result.error) {
+        console.error(`PROXY_CONFIG was not applied: ${result.error}`);
+        return;
+      }
+    }
+
+    await this.state.storage.put('seededAt', new Date().toISOString());
+  }
+
+  // Create the log, rollup, metrics, cache and config history tables on first use, moving in any log entries
+  // kept in the older single-array format and cache counters and cache index kept as stored objects
+  async ensureTables() {
+    if (this.tablesReady) {
+      return;
+    }
+
+    for (const statement of [...LOG_SCHEMA, ...ROLLUP_SCHEMA, ...METRICS_SCHEMA, ...CACHE_STATS_SCHEMA, ...CACHE_ENTRIES_SCHEMA, ...CONFIG_VERSIONS_SCHEMA]) {
+      this.state.storage.sql.exec(statement);
+    }
+
+    // Metric rows written before series expired have no update time; they count as updated now
+    if (!this.state.storage.sql.exec('SELECT * FROM metrics LIMIT 0').columnNames.includes('updated_at')) {
+      this.state.storage.sql.exec('ALTER TABLE metrics ADD COLUMN updated_at INTEGER NOT NULL DEFAULT 0');
+      this.state.storage.sql.exec('UPDATE metrics SET updated_at = ?', Date.now());
+    }
+
+    const cacheStats = await this.state.storage.get('cacheStats');
+    if (cacheStats) {
+      for (const [endpoint, counts] of Object.entries(cacheStats.byEndpoint || {})) {
+        this.state.storage.sql.exec(
+          'INSERT INTO cache_stats (endpoint, hits, misses) VALUES (?, ?, ?) ON CONFLICT (endpoint) DO UPDATE SET hits = hits + excluded.hits, misses = misses + excluded.misses',
+          endpoint, counts.hits || 0, counts.misses || 0
+        );
+      }
+      await this.state.storage.delete('cacheStats');
+    }
+
+    const cacheIndex = await this.state.storage.get('cacheIndex');
+    if (cacheIndex) {
+      for (const [key, meta] of Object.entries(cacheIndex)) {
+        this.state.storage.sql.exec(
+          'INSERT OR REPLACE INTO cache_entries (key, endpoint, model, upstream, size, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          key, meta.endpoint || null, meta.model || null, meta.upstream || null, meta.size || 0, Date.parse(meta.createdAt) || 0, meta.expiresAt
+        );
+      }
+      await this.state.storage.delete('cacheIndex');
+    }
+
+    const legacy = await this.state.storage.get('logs');
+    if (Array.isArray(legacy)) {
+      const captured = legacy.filter(entry => entry.captured).map(entry => entry.id);
+      for (const entry of legacy) {
+        const capture = entry.captured ? await this.state.storage.get(`capture:${entry.id}`) : null;
+        this.insertLog(entry, capture || null);
+      }
+      for (let i = 0; i < captured.length; i += 128) {
+        await this.state.storage.delete(captured.slice(i, i + 128).map(id => `capture:${id}`));
+      }
+      await this.state.storage.delete('logs');
+    }
+
+    this.tablesReady = true;
+  }
+
+  // Write one log entry (and its captured bodies, if any) as a row
+  insertLog(entry, capture) {
+    const columns = Object.keys(LOG_COLUMNS);
+    this.state.storage.sql.exec(
+      `INSERT OR REPLACE INTO logs (id, ts, ${columns.join(', ')}, entry, capture) VALUES (${new Array(columns.length + 4).fill('?').join(', ')})`,
+      entry.id,
+      Date.parse(entry.timestamp),
+      ...columns.map(column => entry[LOG_COLUMNS[column]] ?? null),
+      JSON.stringify(entry),
+      capture ? JSON.stringify(capture) : null
+    );
+  }
+
+  // Count one log entry into the rollup bucket of every granularity and breakdown it falls in
+  // The buckets of one granularity are read with one query and written back with one statement
+  recordRollups(log) {
+    const sql = this.state.storage.sql;
+    const time = Date.parse(log.timestamp);
+    const labels = seriesLabels(log);
+    const keys = Object.entries(TIMESERIES_BREAKDOWNS).map(([breakdown, label]) => [breakdown, label ? labels[label] : '']);
+
+    for (const granularity of Object.keys(GRANULARITIES)) {
+      const bucket = bucketStart(time, granularity);
+      const rows = sql.exec(
+        `SELECT breakdown, key, data FROM rollups WHERE granularity = ? AND bucket = ? AND (${keys.map(() => '(breakdown = ? AND key = ?)').join(' OR ')})`,
+        granularity, bucket, ...keys.flat()
+      ).toArray();
+      const stored = new Map(rows.map(row => [`${row.breakdown}\n${row.key}`, JSON.parse(row.data)]));
+      const values = keys.flatMap(([breakdown, key]) => [
+        granularity, breakdown, bucket, key,
+        JSON.stringify(addToBucket(stored.get(`${breakdown}\n${key}`) || emptyBucket(), log))
+      ]);
+      sql.exec(
+        `INSERT OR REPLACE INTO rollups (granularity, breakdown, bucket, key, data) VALUES ${keys.map(() => '(?, ?, ?, ?, ?)').join(', ')}`,
+        ...values
+      );
+    }
+  }
+
+  // Add one log entry to the metric counters and histograms; counters only go up until their series is
+  // dropped by retention
+  recordMetrics(log) {
+    const now = Date.now();
+    for (const { name, labels, value } of metricIncrements(log)) {
+      this.state.storage.sql.exec(
+        'INSERT INTO metrics (name, labels, value, updated_at) VALUES (?, ?, ?, ?) ON CONFLICT (name, labels) DO UPDATE SET value = value + excluded.value, updated_at = excluded.updated_at',
+        name, labels, value, now
+      );
+    }
+  }
+
+  // Delete logs older than the retention age, then the oldest beyond the retention count
+  // Runs at most once per LOG_RETENTION_INTERVAL, so the count can briefly run over
+  async applyLogRetention(now = Date.now()) {
+    if (now - this.logRetentionAppliedAt < LOG_RETENTION_INTERVAL) {
+      return;
+    }
+    this.logRetentionAppliedAt = now;
+
+    const retention = getLogRetention(await this.state.storage.get('config'));
+    const sql = this.state.storage.sql;
+    sql.exec('DELETE FROM logs WHERE ts < ?', now - retention.maxAgeDays * 24 * 60 * 60 * 1000);
+    sql.exec(
+      'DELETE FROM logs WHERE id IN (SELECT id FROM logs ORDER BY ts DESC, id DESC LIMIT -1 OFFSET ?)',
+      retention.maxEntries
+    );
+
+    // Rollups have their own, fixed retention per granularity, and metric series are dropped once idle
+    for (const [granularity, { retention: age }] of Object.entries(GRANULARITIES)) {
+      sql.exec('DELETE FROM rollups WHERE granularity = ? AND bucket < ?', granularity, now - age);
+    }
+    sql.exec('DELETE FROM metrics WHERE updated_at < ?', now - METRICS_RETENTION);
+  }
+
+  // Read one page of log entries matching the filters, newest first, starting after a cursor
+  queryLogs(filter, cursor, limit) {
+    const conditions = [filter.where];
+    const bindings = [...filter.bindings];
+    if (cursor) {
+      conditions.push('(ts < ? OR (ts = ? AND id < ?))');
+      bindings.push(cursor.ts, cursor.ts, cursor.id);
+    }
+
+    const rows = this.state.storage.sql.exec(
+      `SELECT id, ts, entry FROM logs WHERE ${conditions.join(' AND ')} ORDER BY ts DESC, id DESC LIMIT ?`,
+      ...bindings,
+      limit + 1
+    ).toArray();
+
+    return {
+      logs: rows.slice(0, limit).map(row => JSON.parse(row.entry)),
+      nextCursor: rows.length > limit ? encodeCursor(rows[limit - 1]) : null
+    };
+  }
+
+  // Parse the filters and cursor of a logs query, returning { filter, cursor } or an error response
+  parseLogQuery(params) {
+    const filter = buildLogFilter(params);
+    let error = filter.error;
+
+    let cursor = null;
+    if (!error && params.get('cursor')) {
+      cursor = decodeCursor(params.get('cursor'));
+      error = cursor ? null : 'Invalid cursor';
+    }
+
+    if (error) {
+      return {
+        error: new Response(JSON.stringify({ error }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        })
+      };
+    }
+    return { filter, cursor };
+  }
+
+  // Get a page of logs, newest first, with the cursor of the next page
+  getLogs(params) {
+    const query = this.parseLogQuery(params);
+    if (query.error) {
+      return query.error;
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.get('limit')) || 50, 1), MAX_LOG_PAGE);
+    return new Response(JSON.stringify(this.queryLogs(query.filter, query.cursor, limit)), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Stream every log matching the filters as CSV or NDJSON, reading the table a page at a time
+  exportLogs(params) {
+    const format = params.get('format') || 'ndjson';
+    if (format !== 'csv' && format !== 'ndjson') {
+      return new Response(JSON.stringify({ error: 'Invalid format' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const query = this.parseLogQuery(params);
+    if (query.error) {
+      return query.error;
+    }
+
+    const encoder = new TextEncoder();
+    let cursor = query.cursor;
+    let started = false;
+    const stream = new ReadableStream({
+      pull: controller => {
+        let chunk = '';
+        if (!started && format === 'csv') {
+          chunk += csvHeader();
+        }
+        started = true;
+
+        const page = this.queryLogs(query.filter, cursor, LOG_EXPORT_PAGE);
+        for (const entry of page.logs) {
+          chunk += format === 'csv' ? csvLine(entry) : `${JSON.stringify(entry)}\n`;
+        }
+        if (chunk) {
+          controller.enqueue(encoder.encode(chunk));
+        }
+
+        cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+        if (!cursor) {
+          controller.close();
+        }
+      }
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    return new Response(stream, {
+      headers: {
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="logs-${date}.${format}"`
+      }
+    });
+  }
+
+  // Add a log entry
+  async addLog(logData) {
+    // Validate input
+    if (!logData.endpoint || !logData.timestamp) {
+      return new Response(JSON.stringify({ error: 'Missing required fields' }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Add new log entry; captured bodies are kept in their own column
+    const { capture, ...entry } = logData;
+    const newLog = {
+      id: this.generateId(),
+      ...entry,
+      captured: capture ? true : undefined,
+      timestamp: new Date().toISOString()
+    };
+    
+    // Price the request from the model's entry in the price table
+    if (newLog.totalTokens && newLog.cost === undefined) {
+      const pricing = await this.state.storage.get('pricing') || {};
+      newLog.cost = computeCost(newLog, findPrice(newLog.model, pricing));
+    }
+    
+    this.insertLog(newLog, capture);
+    this.recordRollups(newLog);
+    this.recordMetrics(newLog);
+    await this.applyLogRetention();
+    
+    // Attribute token usage to the client key that made the request
+    if (newLog.keyId && newLog.totalTokens) {
+      await this.addClientKeyTokens(newLog.keyId, newLog.totalTokens);
+    }
+    
+    // Feed every upstream attempt into the circuit breakers
+    if (Array.isArray(newLog.attempts)) {
+      await this.recordUpstreamOutcomes(newLog.attempts.filter(attempt => attempt.upstream && !attempt.skipped));
+    }
+    
+    // Update the all-time counters (they outlive the logs removed by retention)
+    const stats = await this.state.storage.get('stats') || {
+      totalRequests: 0,
+      successfulRequests: 0,
+      totalDuration: 0
+    };
+    stats.totalRequests++;
+    if (newLog.status >= 200 && newLog.status < 300) {
+      stats.successfulRequests++;
+    }
+    stats.totalDuration += newLog.duration || 0;
+    stats.usage = addUsage(stats.usage, newLog);
+    
+    // Save to storage
+    await this.state.storage.put('stats', stats);
+    
+    return new Response(JSON.stringify(newLog), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Clear all logs
+  clearLogs() {
+    this.state.storage.sql.exec('DELETE FROM logs');
+    return new Response(JSON.stringify({ message: 'Logs cleared' }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Get one log entry with its captured bodies and upstream headers, if any were captured
+  getLogDetails(id) {
+    const row = this.state.storage.sql.exec('SELECT entry, capture FROM logs WHERE id = ?', id).toArray()[0];
+    if (!row) {
+      return new Response(JSON.stringify({ error: 'Log not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    return new Response(JSON.stringify({
+      log: JSON.parse(row.entry),
+      capture: row.capture ? JSON.parse(row.capture) : null
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Get the rollup buckets of a granularity and breakdown between two times, one series per breakdown key
+  // Buckets without requests are filled in, so every series has a point for every bucket in the range
+  getTimeseries(params) {
+    const badRequest = error => new Response(JSON.stringify({ error }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    const granularity = params.get('granularity') || 'hour';
+    const breakdown = params.get('breakdown') || 'all';
+    if (!GRANULARITIES[granularity]) {
+      return badRequest('Invalid granularity');
+    }
+    if (!(breakdown in TIMESERIES_BREAKDOWNS)) {
+      return badRequest('Invalid breakdown');
+    }
+
+    const { size, range } = GRANULARITIES[granularity];
+    const to = params.get('to') ? parseTime(params.get('to')) : Date.now();
+    const from = params.get('from') ? parseTime(params.get('from')) : to - range;
+    if (from === null || to === null || from > to) {
+      return badRequest('Invalid time range');
+    }
+
+    const first = bucketStart(from, granularity);
+    const last = bucketStart(to, granularity);
+    if ((last - first) / size + 1 > MAX_TIMESERIES_POINTS) {
+      return badRequest(`Time range covers more than ${MAX_TIMESERIES_POINTS} buckets`);
+    }
+
+    const conditions = ['granularity = ?', 'breakdown = ?', 'bucket BETWEEN ? AND ?'];
+    const bindings = [granularity, breakdown, first, last];
+    if (params.get('key')) {
+      conditions.push('key = ?');
+      bindings.push(params.get('key'));
+    }
+    const rows = this.state.storage.sql.exec(
+      `SELECT bucket, key, data FROM rollups WHERE ${conditions.join(' AND ')}`,
+      ...bindings
+    ).toArray();
+
+    const buckets = {};
+    for (const row of rows) {
+      buckets[row.key] = buckets[row.key] || {};
+      buckets[row.key][row.bucket] = JSON.parse(row.data);
+    }
+
+    const series = Object.entries(buckets).map(([key, byTime]) => {
+      const points = [];
+      for (let time = first; time <= last; time += size) {
+        points.push(summarizeBucket(time, byTime[time] || emptyBucket()));
+      }
+      return { key, requests: points.reduce((sum, point) => sum + point.requests, 0), points };
+    });
+    series.sort((a, b) => b.requests - a.requests);
+
+    return new Response(JSON.stringify({
+      granularity,
+      breakdown,
+      from: new Date(first).toISOString(),
+      to: new Date(last + size).toISOString(),
+      series
+    }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Get statistics
+  async getStats() {
+    // Get configuration
+    const config = await this.state.storage.get('config') || {};
+    
+    // Get the all-time counters maintained by addLog
+    const counters = await this.state.storage.get('stats') || {};
+    
+    // Calculate statistics
+    const totalRequests = counters.totalRequests || 0;
+    const successfulRequests = counters.successfulRequests || 0;
+    const successRate = totalRequests > 0 ? Math.round((successfulRequests / totalRequests) * 100) : 0;
+    const avgResponseTime = totalRequests > 0 ? Math.round((counters.totalDuration || 0) / totalRequests) : 0;
+    
+    const usage = counters.usage || {};
+    const total = usage.total || {};
+    
+    const stats = {
+      totalRequests,
+      successRate,
+      avgResponseTime,
+      totalTokens: total.totalTokens || 0,
+      totalCost: total.cost || 0,
+      currentTarget: config.targetApiUrl || null,
+      lastUpdated: config.updatedAt || null,
+      upstreams: await this.getUpstreamHealth(),
+      usage: {
+        byModel: usage.byModel || {},
+        byEndpoint: usage.byEndpoint || {},
+        byUpstream: usage.byUpstream || {}
+      }
+    };
+    
+    return new Response(JSON.stringify(stats), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Strip the key hash before returning a client key record
+  publicClientKey(key) {
+    const { keyHash, ...rest } = key;
+    return { ...rest, usage: rollUsage(key.usage) };
+  }
+
+  // Move client keys kept as one map into one record per key, each found by its hash through a small index entry
+  async migrateClientKeys() {
+    const keys = await this.state.storage.get('clientKeys');
+    if (!keys) {
+      return;
+    }
+
+    const entries = Object.values(keys).flatMap(key => [
+      [`clientKey:${key.id}`, key],
+      [`clientKeyHash:${key.keyHash}`, key.id]
+    ]);
+    // storage.put() accepts at most 128 keys at once
+    for (let i = 0; i < entries.length; i += 128) {
+      await this.state.storage.put(Object.fromEntries(entries.slice(i, i + 128)));
+    }
+    await this.state.storage.delete('clientKeys');
+  }
+
+  // Find a client key record by its hash, or null
+  async findClientKey(keyHash) {
+    const id = await this.state.storage.get(`clientKeyHash:${keyHash}`);
+    return id ? await this.state.storage.get(`clientKey:${id}`) || null : null;
+  }
+
+  // List all client keys, including revoked ones
+  async listClientKeys() {
+    const keys = await this.state.storage.list({ prefix: 'clientKey:' });
+    const list = [...keys.values()].map(key => this.publicClientKey(key));
+    return new Response(JSON.stringify(list), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Create a client key; the plaintext key is returned only in this response
+  async createClientKey(data) {
+    const error = validateClientKeySettings(data);
+    if (error) {
+      return new Response(JSON.stringify({ error }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const plaintext = generateClientKey();
+    const key = {
+      id: this.generateId(),
+      name: data.name.trim(),
+      prefix: plaintext.slice(0, 13),
+      keyHash: await hashClientKey(plaintext),
+      createdAt: new Date().toISOString(),
+      expiresAt: data.expiresAt ? new Date(data.expiresAt).toISOString() : null,
+      revokedAt: null,
+      allowedEndpoints: data.allowedEndpoints || [],
+      allowedModels: data.allowedModels || [],
+      quotas: data.quotas || {},
+      usage: rollUsage()
+    };
+
+    await this.state.storage.put({
+      [`clientKey:${key.id}`]: key,
+      [`clientKeyHash:${key.keyHash}`]: key.id
+    });
+
+    return new Response(JSON.stringify({ ...this.publicClientKey(key), key: plaintext }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Revoke a client key (the record is kept so old logs stay attributable)
+  async revokeClientKey(id) {
+    const key = await this.state.storage.get(`clientKey:${id}`);
+    if (!key) {
+      return new Response(JSON.stringify({ error: 'Key not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    key.revokedAt = key.revokedAt || new Date().toISOString();
+    await this.state.storage.put(`clientKey:${id}`, key);
+
+    return new Response(JSON.stringify(this.publicClientKey(key)), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Check a client key against its expiry, restrictions and quotas, and count the request
+  async authorizeClientKey(data) {
+    const key = await this.findClientKey(data.keyHash);
+
+    let status = 0;
+    let error = null;
+    if (!key || key.revokedAt) {
+      status = 401;
+      error = 'Invalid API key';
+    } else if (key.expiresAt && Date.parse(key.expiresAt) <= Date.now()) {
+      status = 401;
+      error = 'API key has expired';
+    } else if (!isKeyAllowed(key, data.endpoint, data.model)) {
+      status = 403;
+      error = data.model
+        ? `API key is not allowed to use ${data.endpoint} with model ${data.model}`
+        : `API key is not allowed to use ${data.endpoint}`;
+    } else {
+      key.usage = rollUsage(key.usage);
+      const quota = findExceededQuota(key);
+      if (quota) {
+        status = 429;
+        error = `API key quota exceeded: ${quota}`;
+      }
+    }
+
+    if (error) {
+      return new Response(JSON.stringify({ error }), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    key.usage.requestsDay++;
+    key.usage.requestsMonth++;
+    key.lastUsedAt = new Date().toISOString();
+    await this.state.storage.put(`clientKey:${key.id}`, key);
+
+    return new Response(JSON.stringify({ key: { id: key.id, name: key.name, allowedModels: key.allowedModels || [] } }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Add tokens used by a request to its client key's daily and monthly usage
+  async addClientKeyTokens(id, tokens) {
+    const key = await this.state.storage.get(`clientKey:${id}`);
+    if (!key) {
+      return;
+    }
+
+    key.usage = rollUsage(key.usage);
+    key.usage.tokensDay += tokens;
+    key.usage.tokensMonth += tokens;
+    await this.state.storage.put(`clientKey:${id}`, key);
+  }
+
+  // List providers with their API keys masked
+  async listProviders() {
+    const providers = await this.state.storage.get('providers') || {};
+    return new Response(JSON.stringify(Object.values(providers).map(publicProvider)), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Create or update a provider; an omitted apiKey keeps the stored one
+  async saveProvider(data) {
+    const error = validateProvider(data);
+    if (error) {
+      return new Response(JSON.stringify({ error }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const providers = await this.state.storage.get('providers') || {};
+    const existing = providers[data.name];
+    providers[data.name] = normalizeProvider(data, existing);
+    await this.state.storage.put('providers', providers);
+
+    return new Response(JSON.stringify(publicProvider(providers[data.name])), {
+      status: existing ? 200 : 201,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Delete a provider that no routing rule still targets
+  async deleteProvider(name) {
+    const providers = await this.state.storage.get('providers') || {};
+    if (!providers[name]) {
+      return new Response(JSON.stringify({ error: 'Provider not found' }), {
+        status: 404,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    delete providers[name];
+    const routes = await this.state.storage.get('routes') || [];
+    if (validateRoutes(routes, providers)) {
+      return new Response(JSON.stringify({ error: `Provider "${name}" is still used by a routing rule` }), {
+        status: 409,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    await this.state.storage.put('providers', providers);
+    return new Response(JSON.stringify({ message: 'Provider deleted' }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Replace the ordered list of routing rules
+  async setRoutes(routes) {
+    const providers = await this.state.storage.get('providers') || {};
+    const error = validateRoutes(routes, providers);
+    if (error) {
+      return new Response(JSON.stringify({ error }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const rules = routes.map(({ match, target, fallbacks }) => ({ match, target, fallbacks: fallbacks || [] }));
+    await this.state.storage.put('routes', rules);
+    return new Response(JSON.stringify(rules), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Get providers (with API keys) and routing rules for the proxy's hot path
+  async getRouting() {
+    const [providers, routes] = await Promise.all([
+      this.state.storage.get('providers'),
+      this.state.storage.get('routes')
+    ]);
+
+    return new Response(JSON.stringify({ providers: providers || {}, routes: routes || [] }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Apply attempt or probe outcomes (each with an upstream id) to the circuit breakers
+  async recordUpstreamOutcomes(outcomes) {
+    if (outcomes.length === 0) {
+      return;
+    }
+
+    const config = await this.state.storage.get('config') || {};
+    const policy = getCircuitBreakerPolicy(config);
+    const health = await this.state.storage.get('upstreamHealth') || {};
+
+    for (const outcome of outcomes) {
+      const id = outcome.upstream || outcome.id;
+      health[id] = recordOutcome(health[id], outcome, policy);
+    }
+
+    await this.state.storage.put('upstreamHealth', health);
+  }
+
+  // Summarize circuit state, error rate and latency for the default target and every provider
+  async getUpstreamHealth() {
+    const [config, providers, health] = await Promise.all([
+      this.state.storage.get('config'),
+      this.state.storage.get('providers'),
+      this.state.storage.get('upstreamHealth')
+    ]);
+    const policy = getCircuitBreakerPolicy(config);
+    const ids = ['default', ...Object.keys(providers || {})];
+
+    return ids.map(id => summarizeUpstream(id, (health || {})[id] || {}, policy));
+  }
+
+  // Get the session signing state, creating the signing key on first use
+  async getAuthState() {
+    const auth = await this.state.storage.get('auth') || {};
+    if (!auth.sessionSecret) {
+      auth.sessionSecret = generateSecret();
+      auth.revoked = {};
+      await this.state.storage.put('auth', auth);
+    }
+    return auth;
+  }
+
+  // Check a password against the stored hash, falling back to the ADMIN_PASSWORD variable
+  // Returns null when no admin password is configured at all
+  async checkAdminPassword(password) {
+    if (typeof password !== 'string' || !password) {
+      return false;
+    }
+
+    const config = await this.state.storage.get('config') || {};
+    if (config.adminPasswordHash) {
+      return await verifyPassword(password, config.adminPasswordHash);
+    }
+
+    if (this.env.ADMIN_PASSWORD) {
+      return timingSafeEqual(password, String(this.env.ADMIN_PASSWORD));
+    }
+
+    return null;
+  }
+
+  // Issue a new session signed with the current key
+  async issueSession() {
+    const auth = await this.getAuthState();
+    const { token, session } = await createSessionToken(auth.sessionSecret);
+    return new Response(JSON.stringify({ token, expiresAt: session.exp }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Log in with the admin password, rate-limiting failed attempts per IP
+  async login(data) {
+    const ip = data.ip || 'unknown';
+    const now = Date.now();
+    const attempts = await this.state.storage.get('loginAttempts') || {};
+
+    // Forget attempts whose window and lockout have both passed
+    for (const [key, attempt] of Object.entries(attempts)) {
+      if (attempt.firstFailureAt + LOGIN_FAILURE_WINDOW < now && (attempt.lockedUntil || 0) < now) {
+        delete attempts[key];
+      }
+    }
+
+    const attempt = attempts[ip];
+    if (attempt && attempt.lockedUntil > now) {
+      const retryAfter = Math.ceil((attempt.lockedUntil - now) / 1000);
+      return new Response(JSON.stringify({ error: 'Too many failed login attempts', retryAfter }), {
+        status: 429,
+        headers: { 'Content-Type': 'application/json', 'Retry-After': String(retryAfter) }
+      });
+    }
+
+    const valid = await this.checkAdminPassword(data.password);
+    if (valid === null) {
+      return new Response(JSON.stringify({ error: 'Admin password is not configured' }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (!valid) {
+      const failure = attempt || { failures: 0, firstFailureAt: now };
+      failure.failures++;
+      if (failure.failures >= MAX_LOGIN_FAILURES) {
+        failure.lockedUntil = now + LOGIN_LOCKOUT;
+      }
+      attempts[ip] = failure;
+      await this.state.storage.put('loginAttempts', attempts);
+
+      return new Response(JSON.stringify({ error: 'Invalid password' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    delete attempts[ip];
+    await this.state.storage.put('loginAttempts', attempts);
+    return await this.issueSession();
+  }
+
+  // Verify a session token and make sure it has not been revoked
+  async verifySession(data) {
+    const auth = await this.getAuthState();
+    const session = await verifySessionToken(data.token, auth.sessionSecret);
+
+    if (!session || auth.revoked[session.jti]) {
+      return new Response(JSON.stringify({ error: 'Unauthorized' }), {
+        status: 401,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    return new Response(JSON.stringify({ session }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Revoke a session until it would have expired anyway
+  async logout(data) {
+    const auth = await this.getAuthState();
+    const session = await verifySessionToken(data.token, auth.sessionSecret);
+
+    if (session) {
+      const now = Date.now();
+      for (const [jti, exp] of Object.entries(auth.revoked)) {
+        if (exp < now) {
+          delete auth.revoked[jti];
+        }
+      }
+      auth.revoked[session.jti] = session.exp;
+      await this.state.storage.put('auth', auth);
+    }
+
+    return new Response(JSON.stringify({ message: 'Logged out' }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  // Change the admin password, which invalidates every existing session
+  async changePassword(data) {
+    if (typeof data.newPassword !== 'string' || data.newPassword.length < MIN_PASSWORD_LENGTH) {
+      return new Response(JSON.stringify({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (!(await this.checkAdminPassword(data.currentPassword))) {
+      return new Response(JSON.stringify({ error: 'Current password is incorrect' }), {
+        status: 403,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Store only the salted hash; drop any legacy plaintext password
+    const config = await this.state.storage.get('config') || {};
+    const { adminPassword, ...rest } = config;
+    await this.state.storage.put('config', {
+      ...rest,
+      adminPasswordHash: await hashPassword(data.newPassword),
+      updatedAt: new Date().toISOString()
+    });
+
+    await this.rotateSessionKey();
+    return await this.issueSession();
+  }
+
+  // Replace the session signing key, logging out every session
+  async rotateSessionKey() {
+    await this.state.storage.put('auth', {
+      sessionSecret: generateSecret(),
+      revoked: {},
+      rotatedAt: new Date().toISOString()
+    });
+
+    return new Response(JSON.stringify({ message: 'Session key rotated' }), {
       headers: { 'Content-Type': 'application/json' }
     });
   }
@@ -0,0 +1,160 @@
+/**
+ * Checks for upstream URLs chosen outside the admin config (the x-target-api-url header and the connection test),
+ * so the proxy cannot be pointed at internal addresses or arbitrary hosts
+ */
+
+import { matchesGlob } from './glob.js';
+
+// Target settings used for any field the admin config does not set
+export const DEFAULT_TARGETS = {
+  // Whether clients may pick the upstream with the x-target-api-url header; off until the admin turns it on
+  allowOverride: false,
+  // Hosts (or * globs such as "*.openai.azure.com") a client-chosen URL may point at; empty allows any host
+  allowedHosts: [],
+  // URL schemes a client-chosen URL may use
+  allowedSchemes: ['https'],
+  // Whether loopback, private, link-local and other non-public addresses are rejected
+  blockPrivateAddresses: true
+};
+
+// Schemes the proxy can forward to at all
+const SUPPORTED_SCHEMES = ['https', 'http'];
+
+// Host names that always resolve to the machine or network the request is made from
+const LOCAL_HOST_NAMES = /^(?:localhost|.*\.localhost|.*\.local|.*\.internal)$/;
+
+// IPv4 ranges that are not publicly routable, as [network, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including cloud metadata services
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, including broadcast
+].map(([network, bits]) => [ipv4ToNumber(network), bits]);
+
+// Merge the admin-configured target settings over the defaults
+export function getTargetPolicy(config) {
+  return { ...DEFAULT_TARGETS, ...((config && config.targets) || {}) };
+}
+
+// Validate target settings, returning an error message or null
+export function validateTargetPolicy(targets) {
+  if (typeof targets !== 'object' || targets === null || Array.isArray(targets)) {
+    return 'Invalid targets';
+  }
+
+  for (const field of ['allowOverride', 'blockPrivateAddresses']) {
+    if (targets[field] != null && typeof targets[field] !== 'boolean') {
+      return `Invalid targets.${field}`;
+    }
+  }
+
+  if (targets.allowedHosts != null && (!Array.isArray(targets.allowedHosts) || targets.allowedHosts.some(host => typeof host !== 'string' || !host))) {
+    return 'Invalid targets.allowedHosts';
+  }
+
+  if (targets.allowedSchemes != null && (!Array.isArray(targets.allowedSchemes) || targets.allowedSchemes.length === 0 || targets.allowedSchemes.some(scheme => !SUPPORTED_SCHEMES.includes(scheme)))) {
+    return `Invalid targets.allowedSchemes (one or more of ${SUPPORTED_SCHEMES.join(', ')})`;
+  }
+
+  return null;
+}
+
+// Read a dotted IPv4 address as a 32-bit number
+function ipv4ToNumber(address) {
+  return address.split('.').reduce((number, part) => number * 256 + Number(part), 0);
+}
+
+// Whether an IPv4 address (as a number) is in a non-public range
+function isPrivateIpv4(number) {
+  return PRIVATE_IPV4_RANGES.some(([network, bits]) => Math.floor(number / 2 ** (32 - bits)) === Math.floor(network / 2 ** (32 - bits)));
+}
+
+// Read an IPv6 address (as the URL parser writes it, without brackets) as its eight 16-bit groups
+function ipv6Groups(address) {
+  const [head, tail] = address.includes('::') ? address.split('::') : [address, null];
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const start = parse(head);
+  const end = parse(tail);
+  return [...start, ...new Array(8 - start.length - end.length).fill(0), ...end];
+}
+
+// Whether an IPv6 address is loopback, unspecified, unique-local, link-local, multicast, or an
+// embedded IPv4 address that is not public
+function isPrivateIpv6(address) {
+  const groups = ipv6Groups(address);
+  const embeddedIpv4 = groups[6] * 65536 + groups[7];
+
+  if (groups.slice(0, 6).every(group => group === 0)) {
+    // :: and ::1, and the deprecated IPv4-compatible form
+    return embeddedIpv4 <= 1 || isPrivateIpv4(embeddedIpv4);
+  }
+  if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+    // IPv4-mapped
+    return isPrivateIpv4(embeddedIpv4);
+  }
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    // NAT64
+    return isPrivateIpv4(embeddedIpv4);
+  }
+  return (groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80 || (groups[0] & 0xff00) === 0xff00;
+}
+
+// Whether a URL's host is a local name or a non-public IP address
+// The URL parser has already turned decimal, octal and hex IPv4 forms into dotted ones
+export function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  if (host.startsWith('[')) {
+    return isPrivateIpv6(host.slice(1, -1));
+  }
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(host)) {
+    return isPrivateIpv4(ipv4ToNumber(host));
+  }
+  return LOCAL_HOST_NAMES.test(host);
+}
+
+// A client-chosen URL as written to logs: only its origin, so no other part of an untrusted header is stored
+export function targetOrigin(value) {
+  try {
+    const { origin } = new URL(value);
+    return origin === 'null' ? '(invalid URL)' : origin;
+  } catch (error) {
+    return '(invalid URL)';
+  }
+}
+
+// Check a URL chosen outside the admin config against the target settings, returning why it is rejected or null
+export function checkTargetUrl(value, policy) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'not a valid URL';
+  }
+
+  const scheme = url.protocol.slice(0, -1);
+  if (!policy.allowedSchemes.includes(scheme)) {
+    return `scheme ${scheme} is not allowed (allowed: ${policy.allowedSchemes.join(', ')})`;
+  }
+
+  if (url.username || url.password) {
+    return 'URLs with credentials are not allowed';
+  }
+
+  const host = url.hostname.toLowerCase();
+  if (policy.allowedHosts.length > 0 && !policy.allowedHosts.some(pattern => matchesGlob(pattern.toLowerCase(), host))) {
+    return `host ${host} is not in the allowed hosts`;
+  }
+
+  if (policy.blockPrivateAddresses && isPrivateHost(host)) {
+    return `host ${host} is a private, loopback or link-local address`;
+  }
+
+  return null;
+}
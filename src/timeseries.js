@@ -0,0 +1,156 @@
+/**
+ * Time-series rollups of request logs: per-minute, per-hour and per-day buckets with latency percentiles
+ */
+
+// Bucket sizes, how long buckets of each size are kept, and the default range a query covers
+export const GRANULARITIES = {
+  minute: { size: 60 * 1000, retention: 2 * 24 * 60 * 60 * 1000, range: 60 * 60 * 1000 },
+  hour: { size: 60 * 60 * 1000, retention: 31 * 24 * 60 * 60 * 1000, range: 24 * 60 * 60 * 1000 },
+  day: { size: 24 * 60 * 60 * 1000, retention: 400 * 24 * 60 * 60 * 1000, range: 30 * 24 * 60 * 60 * 1000 }
+};
+
+// Breakdowns kept for every bucket, mapped to the series label (see seriesLabels) each one groups by
+// "all" is the total over every request, with an empty key
+export const TIMESERIES_BREAKDOWNS = {
+  all: null,
+  endpoint: 'endpoint',
+  model: 'model',
+  upstream: 'upstream'
+};
+
+// Most buckets one query may return per series
+export const MAX_TIMESERIES_POINTS = 1500;
+
+// Statement that creates the rollup table; each row holds one bucket of one breakdown key as JSON
+export const ROLLUP_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS rollups (
+    granularity TEXT NOT NULL,
+    bucket INTEGER NOT NULL,
+    breakdown TEXT NOT NULL,
+    key TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (granularity, breakdown, bucket, key)
+  )`
+];
+
+// Latencies are counted in logarithmic bins, each 10% wider than the last, so buckets can be
+// merged and percentiles read back within about 5%
+const HISTOGRAM_BASE = 1.1;
+
+// The start of the bucket of a granularity that contains a time
+export function bucketStart(time, granularity) {
+  const size = GRANULARITIES[granularity].size;
+  return Math.floor(time / size) * size;
+}
+
+// The histogram bin of a duration in milliseconds
+function histogramBin(ms) {
+  return Math.floor(Math.log(Math.max(ms, 0) + 1) / Math.log(HISTOGRAM_BASE));
+}
+
+// The value reported for a bin: the middle of its range
+function binValue(bin) {
+  return Math.round((HISTOGRAM_BASE ** bin + HISTOGRAM_BASE ** (bin + 1)) / 2 - 1);
+}
+
+// Read a percentile (0-1) from a sparse histogram of bin counts, or null when it is empty
+function histogramPercentile(histogram, percentile) {
+  const bins = Object.keys(histogram).map(Number).sort((a, b) => a - b);
+  const total = bins.reduce((sum, bin) => sum + histogram[bin], 0);
+  if (total === 0) {
+    return null;
+  }
+
+  let seen = 0;
+  for (const bin of bins) {
+    seen += histogram[bin];
+    if (seen >= percentile * total) {
+      return binValue(bin);
+    }
+  }
+  return binValue(bins[bins.length - 1]);
+}
+
+// An empty bucket
+export function emptyBucket() {
+  return {
+    requests: 0,
+    statusClasses: {},
+    latency: {},
+    ttft: {},
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0
+  };
+}
+
+// Count one log entry into a bucket
+export function addToBucket(bucket, log) {
+  bucket.requests++;
+
+  const statusClass = `${Math.floor((log.status || 0) / 100)}xx`;
+  bucket.statusClasses[statusClass] = (bucket.statusClasses[statusClass] || 0) + 1;
+
+  if (typeof log.duration === 'number') {
+    const bin = histogramBin(log.duration);
+    bucket.latency[bin] = (bucket.latency[bin] || 0) + 1;
+  }
+  if (typeof log.ttft === 'number') {
+    const bin = histogramBin(log.ttft);
+    bucket.ttft[bin] = (bucket.ttft[bin] || 0) + 1;
+  }
+
+  bucket.promptTokens += log.promptTokens || 0;
+  bucket.completionTokens += log.completionTokens || 0;
+  bucket.totalTokens += log.totalTokens || 0;
+  bucket.cost = Math.round((bucket.cost + (log.cost || 0)) * 1e6) / 1e6;
+  return bucket;
+}
+
+// Add the counts of one bucket into another, e.g. to summarize a window of several buckets
+export function mergeBucket(target, bucket) {
+  target.requests += bucket.requests;
+  for (const field of ['statusClasses', 'latency', 'ttft']) {
+    for (const [key, count] of Object.entries(bucket[field])) {
+      target[field][key] = (target[field][key] || 0) + count;
+    }
+  }
+  target.promptTokens += bucket.promptTokens;
+  target.completionTokens += bucket.completionTokens;
+  target.totalTokens += bucket.totalTokens;
+  target.cost = Math.round((target.cost + bucket.cost) * 1e6) / 1e6;
+  return target;
+}
+
+// The point reported for a bucket: counts, error counts by status class, percentiles and tokens
+export function summarizeBucket(time, bucket) {
+  const errors = {};
+  for (const [statusClass, count] of Object.entries(bucket.statusClasses)) {
+    if (statusClass !== '2xx' && statusClass !== '3xx') {
+      errors[statusClass] = count;
+    }
+  }
+  const errorCount = Object.values(errors).reduce((sum, count) => sum + count, 0);
+
+  return {
+    time: new Date(time).toISOString(),
+    requests: bucket.requests,
+    errors,
+    errorRate: bucket.requests > 0 ? Math.round((errorCount / bucket.requests) * 10000) / 100 : 0,
+    latency: {
+      p50: histogramPercentile(bucket.latency, 0.5),
+      p90: histogramPercentile(bucket.latency, 0.9),
+      p99: histogramPercentile(bucket.latency, 0.99)
+    },
+    ttft: {
+      p50: histogramPercentile(bucket.ttft, 0.5),
+      p90: histogramPercentile(bucket.ttft, 0.9),
+      p99: histogramPercentile(bucket.ttft, 0.99)
+    },
+    promptTokens: bucket.promptTokens,
+    completionTokens: bucket.completionTokens,
+    totalTokens: bucket.totalTokens,
+    cost: bucket.cost
+  };
+}
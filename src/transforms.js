@@ -0,0 +1,169 @@
+/**
+ * Per-model request transformation rules: defaults, clamped values, dropped and renamed fields, and
+ * system messages, applied to the parsed body sent to each upstream
+ */
+
+import { matchesGlob } from './glob.js';
+
+// Transformation settings used for any field the admin config does not set; there are no rules by default
+export const DEFAULT_TRANSFORMS = {
+  // Rules are applied in order; every rule whose model glob matches is applied
+  rules: []
+};
+
+// What a rule can do, in the order the steps of one rule are applied
+export const TRANSFORM_STEPS = ['rename', 'drop', 'defaults', 'clamp', 'prependSystem', 'appendSystem'];
+
+// Rule names appear in logs and previews
+const RULE_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Merge the admin-configured transformation settings over the defaults
+export function getTransformsPolicy(config) {
+  return { ...DEFAULT_TRANSFORMS, ...((config && config.transforms) || {}) };
+}
+
+// Whether a value is a plain (non-array) object
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Whether a value is a list of non-empty strings
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item);
+}
+
+// Validate one transformation rule, returning an error message or null
+function validateTransformRule(rule, index) {
+  if (!isObject(rule)) {
+    return `Invalid transforms rule ${index}`;
+  }
+
+  const label = `transforms rule ${typeof rule.name === 'string' ? rule.name : index}`;
+  if (typeof rule.name !== 'string' || !RULE_NAME_PATTERN.test(rule.name)) {
+    return `Invalid ${label}: name must use letters, digits, ".", "_" and "-" only`;
+  }
+  if (typeof rule.match !== 'string' || !rule.match) {
+    return `Invalid ${label}: match must be a model name or * glob`;
+  }
+  if (rule.enabled != null && typeof rule.enabled !== 'boolean') {
+    return `Invalid ${label}: enabled`;
+  }
+  if (rule.endpoints != null && !isStringList(rule.endpoints)) {
+    return `Invalid ${label}: endpoints must be a list of strings`;
+  }
+
+  if (rule.defaults != null && !isObject(rule.defaults)) {
+    return `Invalid ${label}: defaults must be an object of field values`;
+  }
+  if (rule.drop != null && !isStringList(rule.drop)) {
+    return `Invalid ${label}: drop must be a list of field names`;
+  }
+  if (rule.rename != null && (!isObject(rule.rename) || Object.values(rule.rename).some(to => typeof to !== 'string' || !to))) {
+    return `Invalid ${label}: rename must map field names to new field names`;
+  }
+  if (rule.clamp != null) {
+    if (!isObject(rule.clamp)) {
+      return `Invalid ${label}: clamp must map field names to { min, max }`;
+    }
+    for (const [field, range] of Object.entries(rule.clamp)) {
+      const bounds = isObject(range) ? [range.min, range.max].filter(bound => bound != null) : [];
+      if (bounds.length === 0 || bounds.some(bound => typeof bound !== 'number') || (bounds.length === 2 && range.min > range.max)) {
+        return `Invalid ${label}: clamp.${field} needs a numeric min or max (min ≤ max)`;
+      }
+    }
+  }
+  for (const field of ['prependSystem', 'appendSystem']) {
+    if (rule[field] != null && (typeof rule[field] !== 'string' || !rule[field])) {
+      return `Invalid ${label}: ${field} must be a non-empty string`;
+    }
+  }
+
+  if (!TRANSFORM_STEPS.some(step => rule[step] != null)) {
+    return `Invalid ${label}: needs at least one of ${TRANSFORM_STEPS.join(', ')}`;
+  }
+
+  return null;
+}
+
+// Validate transformation settings, returning an error message or null
+export function validateTransformsPolicy(transforms) {
+  if (!isObject(transforms)) {
+    return 'Invalid transforms';
+  }
+  if (transforms.rules == null) {
+    return null;
+  }
+  if (!Array.isArray(transforms.rules)) {
+    return 'Invalid transforms.rules';
+  }
+
+  const names = new Set();
+  for (const [index, rule] of transforms.rules.entries()) {
+    const error = validateTransformRule(rule, index);
+    if (error) {
+      return error;
+    }
+    if (names.has(rule.name)) {
+      return `Duplicate transforms rule ${rule.name}`;
+    }
+    names.add(rule.name);
+  }
+
+  return null;
+}
+
+// Apply the steps of one rule to a body (a copy the caller owns)
+function applyRule(body, rule) {
+  for (const [from, to] of Object.entries(rule.rename || {})) {
+    if (from in body) {
+      if (!(to in body)) {
+        body[to] = body[from];
+      }
+      delete body[from];
+    }
+  }
+
+  for (const field of rule.drop || []) {
+    delete body[field];
+  }
+
+  for (const [field, value] of Object.entries(rule.defaults || {})) {
+    if (body[field] === undefined) {
+      body[field] = JSON.parse(JSON.stringify(value));
+    }
+  }
+
+  for (const [field, { min, max }] of Object.entries(rule.clamp || {})) {
+    if (typeof body[field] === 'number') {
+      body[field] = Math.min(max ?? Infinity, Math.max(min ?? -Infinity, body[field]));
+    }
+  }
+
+  // System messages only apply to chat bodies
+  if (Array.isArray(body.messages)) {
+    if (rule.prependSystem) {
+      body.messages = [{ role: 'system', content: rule.prependSystem }, ...body.messages];
+    }
+    if (rule.appendSystem) {
+      body.messages = [...body.messages, { role: 'system', content: rule.appendSystem }];
+    }
+  }
+}
+
+// Apply the rules whose model glob matches the model sent upstream (and whose endpoints, if any,
+// include the endpoint) to a parsed body
+// Returns { body, applied } where body is a new object and applied lists the names of the rules used
+export function applyTransforms(payload, policy, endpoint, model) {
+  const rules = policy.rules.filter(rule => rule.enabled !== false
+    && matchesGlob(rule.match, model || '')
+    && (!rule.endpoints || rule.endpoints.length === 0 || rule.endpoints.some(pattern => matchesGlob(pattern, endpoint))));
+  if (rules.length === 0) {
+    return { body: payload, applied: [] };
+  }
+
+  const body = { ...payload };
+  for (const rule of rules) {
+    applyRule(body, rule);
+  }
+  return { body, applied: rules.map(rule => rule.name) };
+}
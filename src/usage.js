@@ -0,0 +1,99 @@
+/**
+ * Token usage and cost accounting
+ */
+
+import { matchesGlob } from './glob.js';
+import { seriesLabels } from './logs.js';
+
+// Breakdowns kept in /admin/stats, mapped to the series label (see seriesLabels) each one groups by
+export const USAGE_BREAKDOWNS = {
+  byModel: 'model',
+  byEndpoint: 'endpoint',
+  byUpstream: 'upstream'
+};
+
+// Normalize an OpenAI usage object into the token fields stored on log entries, or null
+export function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') {
+    return null;
+  }
+
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens || promptTokens + completionTokens
+  };
+}
+
+// Find the price entry for a model: an exact match first, then the first matching glob
+export function findPrice(model, pricing) {
+  if (!model || !pricing) {
+    return null;
+  }
+
+  if (pricing[model]) {
+    return pricing[model];
+  }
+
+  const pattern = Object.keys(pricing).find(candidate => matchesGlob(candidate, model));
+  return pattern ? pricing[pattern] : null;
+}
+
+// Compute the cost of a request from its token counts and a price entry (per million tokens)
+export function computeCost(tokens, price) {
+  if (!price) {
+    return null;
+  }
+
+  const cost = ((tokens.promptTokens || 0) * (price.prompt || 0)
+    + (tokens.completionTokens || 0) * (price.completion || 0)) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// Validate a price table, returning an error message or null
+export function validatePricing(pricing) {
+  if (typeof pricing !== 'object' || pricing === null || Array.isArray(pricing)) {
+    return 'Pricing must be an object keyed by model';
+  }
+
+  for (const [model, price] of Object.entries(pricing)) {
+    if (typeof price !== 'object' || price === null) {
+      return `Invalid price for ${model}`;
+    }
+    for (const field of ['prompt', 'completion']) {
+      if (price[field] != null && (typeof price[field] !== 'number' || price[field] < 0)) {
+        return `Invalid ${field} price for ${model}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Add a log entry's requests, tokens and cost to a usage total
+function addToTotal(total = {}, log) {
+  return {
+    requests: (total.requests || 0) + 1,
+    promptTokens: (total.promptTokens || 0) + (log.promptTokens || 0),
+    completionTokens: (total.completionTokens || 0) + (log.completionTokens || 0),
+    totalTokens: (total.totalTokens || 0) + (log.totalTokens || 0),
+    cost: Math.round(((total.cost || 0) + (log.cost || 0)) * 1e6) / 1e6
+  };
+}
+
+// Fold a log entry into the usage totals and per-model, per-endpoint and per-upstream breakdowns
+// The breakdowns are keyed by the log's series labels, so values a client makes up land under "other"
+// instead of adding keys to the stats without limit
+export function addUsage(usage = {}, log) {
+  const next = { ...usage, total: addToTotal(usage.total, log) };
+  const labels = seriesLabels(log);
+
+  for (const [breakdown, label] of Object.entries(USAGE_BREAKDOWNS)) {
+    const key = labels[label];
+    next[breakdown] = { ...usage[breakdown], [key]: addToTotal((usage[breakdown] || {})[key], log) };
+  }
+
+  return next;
+}
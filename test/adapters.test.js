@@ -0,0 +1,255 @@
+/**
+ * Gemini, Anthropic and Ollama providers serving OpenAI chat completions, against mock upstreams
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { readEvents, sendEvents, sendJson, startProxy, startUpstream } from './helpers.js';
+
+let upstream;
+let proxy;
+
+before(async () => {
+  upstream = await startUpstream();
+  proxy = await startProxy(upstream.url);
+
+  // One provider per protocol on the same mock, told apart by their path prefix
+  for (const protocol of ['gemini', 'anthropic', 'ollama']) {
+    await proxy.admin('/providers', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: protocol,
+        protocol,
+        baseUrl: upstream.url,
+        pathPrefix: `/${protocol}`,
+        apiKey: `${protocol}-test-key`
+      })
+    });
+  }
+  await proxy.admin('/routes', {
+    method: 'PUT',
+    body: JSON.stringify([
+      { match: 'gemini-*', target: 'gemini' },
+      { match: 'claude-*', target: 'anthropic' },
+      { match: 'llama*', target: 'ollama' }
+    ])
+  });
+});
+
+after(async () => {
+  await proxy?.stop();
+  await upstream?.close();
+});
+
+// A chat request with a system prompt, as OpenAI clients send it
+function chatRequest(model, extra = {}) {
+  return {
+    model,
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' }
+    ],
+    max_tokens: 16,
+    ...extra
+  };
+}
+
+test('gemini: translates a chat completion both ways', async () => {
+  upstream.setHandler((request, res) => sendJson(res, 200, {
+    responseId: 'r1',
+    modelVersion: 'gemini-1.5-flash-002',
+    candidates: [{ index: 0, content: { role: 'model', parts: [{ text: 'Hello' }] }, finishReason: 'STOP' }],
+    usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 1, totalTokenCount: 5 }
+  }));
+
+  const response = await proxy.request('/v1/chat/completions', chatRequest('gemini-1.5-flash'));
+  assert.equal(response.status, 200);
+
+  const [sent] = upstream.requests;
+  assert.equal(sent.url, '/gemini/models/gemini-1.5-flash:generateContent');
+  assert.equal(sent.headers['x-goog-api-key'], 'gemini-test-key');
+  assert.equal(sent.headers.authorization, undefined);
+  assert.deepEqual(sent.json, {
+    contents: [{ role: 'user', parts: [{ text: 'Hi' }] }],
+    systemInstruction: { parts: [{ text: 'Be brief.' }] },
+    generationConfig: { maxOutputTokens: 16 }
+  });
+
+  const completion = await response.json();
+  assert.equal(completion.object, 'chat.completion');
+  assert.equal(completion.model, 'gemini-1.5-flash-002');
+  assert.deepEqual(completion.choices[0].message, { role: 'assistant', content: 'Hello' });
+  assert.equal(completion.choices[0].finish_reason, 'stop');
+  assert.deepEqual(completion.usage, { prompt_tokens: 4, completion_tokens: 1, total_tokens: 5 });
+});
+
+test('gemini: translates a stream into OpenAI chunks and meters it', async () => {
+  upstream.setHandler((request, res) => sendEvents(res, [
+    `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Hel' }] } }] })}\r\n\r\n`,
+    `data: ${JSON.stringify({
+      candidates: [{ content: { parts: [{ text: 'lo' }] }, finishReason: 'STOP' }],
+      usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2 }
+    })}\r\n\r\n`
+  ]));
+
+  const response = await proxy.request('/v1/chat/completions', chatRequest('gemini-1.5-flash', { stream: true }));
+  assert.equal(response.status, 200);
+  assert.equal(upstream.requests[0].url, '/gemini/models/gemini-1.5-flash:streamGenerateContent?alt=sse');
+
+  const events = await readEvents(response);
+  assert.equal(events.at(-1), '[DONE]');
+  const chunks = events.slice(0, -1);
+  assert.equal(chunks.map(chunk => chunk.choices[0].delta.content || '').join(''), 'Hello');
+  assert.equal(chunks[0].choices[0].delta.role, 'assistant');
+  assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+  // The client did not ask for usage, so the chunk used for metering is not passed on
+  assert.ok(chunks.every(chunk => !chunk.usage));
+
+  const log = await proxy.lastLog(2);
+  assert.equal(log.promptTokens, 4);
+  assert.equal(log.completionTokens, 2);
+  assert.equal(log.error, undefined);
+});
+
+test('anthropic: translates a chat completion both ways', async () => {
+  upstream.setHandler((request, res) => sendJson(res, 200, {
+    id: 'msg_01',
+    type: 'message',
+    role: 'assistant',
+    model: 'claude-3-5-haiku-20241022',
+    content: [
+      { type: 'text', text: 'Let me check.' },
+      { type: 'tool_use', id: 'toolu_01', name: 'lookup', input: { q: 'x' } }
+    ],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 10, output_tokens: 3 }
+  }));
+
+  const response = await proxy.request('/v1/chat/completions', chatRequest('claude-3-5-haiku', {
+    temperature: 1.5,
+    tools: [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object', properties: { q: { type: 'string' } } } } }]
+  }));
+  assert.equal(response.status, 200);
+
+  const [sent] = upstream.requests;
+  assert.equal(sent.url, '/anthropic/messages');
+  assert.equal(sent.headers['x-api-key'], 'anthropic-test-key');
+  assert.equal(sent.headers['anthropic-version'], '2023-06-01');
+  assert.equal(sent.json.system, 'Be brief.');
+  assert.equal(sent.json.max_tokens, 16);
+  assert.equal(sent.json.temperature, 1);
+  assert.deepEqual(sent.json.tools, [{
+    name: 'lookup',
+    input_schema: { type: 'object', properties: { q: { type: 'string' } } }
+  }]);
+
+  const completion = await response.json();
+  assert.equal(completion.id, 'chatcmpl-01');
+  assert.equal(completion.choices[0].finish_reason, 'tool_calls');
+  assert.equal(completion.choices[0].message.content, 'Let me check.');
+  assert.deepEqual(completion.choices[0].message.tool_calls, [{
+    id: 'toolu_01',
+    type: 'function',
+    function: { name: 'lookup', arguments: '{"q":"x"}' }
+  }]);
+  assert.deepEqual(completion.usage, { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 });
+});
+
+test('anthropic: translates a stream into OpenAI chunks and meters it', async () => {
+  const event = (name, data) => `event: ${name}\ndata: ${JSON.stringify({ type: name, ...data })}\n\n`;
+  upstream.setHandler((request, res) => sendEvents(res, [
+    event('message_start', { message: { id: 'msg_02', model: 'claude-3-5-haiku-20241022', usage: { input_tokens: 8, output_tokens: 1 } } }),
+    event('content_block_start', { index: 0, content_block: { type: 'text', text: '' } }),
+    event('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Hel' } }),
+    event('content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'lo' } }),
+    event('content_block_stop', { index: 0 }),
+    event('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }),
+    event('message_stop', {})
+  ]));
+
+  const response = await proxy.request('/v1/chat/completions', chatRequest('claude-3-5-haiku', {
+    stream: true,
+    stream_options: { include_usage: true }
+  }));
+  assert.equal(response.status, 200);
+  assert.equal(upstream.requests[0].json.stream, true);
+
+  const events = await readEvents(response);
+  assert.equal(events.at(-1), '[DONE]');
+  const chunks = events.slice(0, -1);
+  assert.equal(chunks[0].id, 'chatcmpl-02');
+  assert.equal(chunks.map(chunk => (chunk.choices[0] && chunk.choices[0].delta.content) || '').join(''), 'Hello');
+  // The client asked for usage, so it gets the usage-only chunk before [DONE]
+  assert.deepEqual(chunks.at(-1).choices, []);
+  assert.deepEqual(chunks.at(-1).usage, { prompt_tokens: 8, completion_tokens: 2, total_tokens: 10 });
+
+  const log = await proxy.lastLog(4);
+  assert.equal(log.totalTokens, 10);
+});
+
+test('anthropic: translates an error response', async () => {
+  upstream.setHandler((request, res) => sendJson(res, 400, {
+    type: 'error',
+    error: { type: 'invalid_request_error', message: 'messages: field required' }
+  }));
+
+  const response = await proxy.request('/v1/chat/completions', chatRequest('claude-3-5-haiku'));
+  assert.equal(response.status, 400);
+  const { error } = await response.json();
+  assert.equal(error.message, 'messages: field required');
+  assert.equal(error.code, 'invalid_request_error');
+});
+
+test('ollama: translates a chat completion both ways', async () => {
+  upstream.setHandler((request, res) => sendJson(res, 200, {
+    model: 'llama3.2',
+    message: { role: 'assistant', content: 'Hello' },
+    done: true,
+    done_reason: 'length',
+    prompt_eval_count: 6,
+    eval_count: 16
+  }));
+
+  const response = await proxy.request('/v1/chat/completions', chatRequest('llama3.2', { temperature: 0.2 }));
+  assert.equal(response.status, 200);
+
+  const [sent] = upstream.requests;
+  assert.equal(sent.url, '/ollama/api/chat');
+  assert.equal(sent.headers.authorization, 'Bearer ollama-test-key');
+  assert.deepEqual(sent.json, {
+    model: 'llama3.2',
+    messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }],
+    stream: false,
+    options: { temperature: 0.2, num_predict: 16 }
+  });
+
+  const completion = await response.json();
+  assert.equal(completion.choices[0].message.content, 'Hello');
+  assert.equal(completion.choices[0].finish_reason, 'length');
+  assert.deepEqual(completion.usage, { prompt_tokens: 6, completion_tokens: 16, total_tokens: 22 });
+});
+
+test('ollama: translates a newline-delimited JSON stream into OpenAI chunks', async () => {
+  const line = data => `${JSON.stringify({ model: 'llama3.2', ...data })}\n`;
+  upstream.setHandler((request, res) => sendEvents(res, [
+    line({ message: { role: 'assistant', content: 'Hel' }, done: false }),
+    line({ message: { role: 'assistant', content: 'lo' }, done: false }),
+    line({ message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 6, eval_count: 2 })
+  ], { contentType: 'application/x-ndjson' }));
+
+  const response = await proxy.request('/v1/chat/completions', chatRequest('llama3.2', { stream: true }));
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('Content-Type'), /text\/event-stream/);
+  assert.equal(upstream.requests[0].json.stream, true);
+
+  const events = await readEvents(response);
+  assert.equal(events.at(-1), '[DONE]');
+  const chunks = events.slice(0, -1);
+  assert.equal(chunks.map(chunk => chunk.choices[0].delta.content || '').join(''), 'Hello');
+  assert.equal(chunks.at(-1).choices[0].finish_reason, 'stop');
+  assert.ok(chunks.every(chunk => !chunk.usage));
+
+  const log = await proxy.lastLog(7);
+  assert.equal(log.promptTokens, 6);
+  assert.equal(log.completionTokens, 2);
+});
@@ -0,0 +1,191 @@
+/**
+ * Alert rules: validation, firing state, webhook payloads and the cron's evaluation
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import {
+  advanceAlertState,
+  alertMessage,
+  isAlertFiring,
+  normalizeAlertRule,
+  validateAlertRule,
+  webhookPayload
+} from '../src/alerts.js';
+import { chatCompletion, sendJson, startProxy, startUpstream } from './helpers.js';
+
+const rule = {
+  name: 'high-error-rate',
+  condition: 'errorRate',
+  threshold: 20,
+  webhook: { url: 'https://hooks.example.com/alert', format: 'slack' }
+};
+
+describe('alert rules', () => {
+  test('reject malformed settings', () => {
+    assert.equal(validateAlertRule(rule), null);
+    assert.match(validateAlertRule({ ...rule, name: 'has space' }), /^Invalid name/);
+    assert.match(validateAlertRule({ ...rule, condition: 'cpu' }), /^Invalid condition/);
+    assert.equal(validateAlertRule({ ...rule, threshold: 0 }), 'Invalid threshold');
+    assert.equal(validateAlertRule({ ...rule, condition: 'upstreamUnauthorized', threshold: undefined }), 'upstreamUnauthorized rules need an upstream');
+    assert.match(validateAlertRule({ ...rule, windowMinutes: 24 * 60 + 1 }), /^Invalid windowMinutes/);
+    assert.equal(validateAlertRule({ ...rule, webhook: { url: 'ftp://hooks.example.com' } }), 'Invalid webhook.url');
+    assert.match(validateAlertRule({ ...rule, webhook: { url: rule.webhook.url, format: 'teams' } }), /^Invalid webhook.format/);
+  });
+
+  test('fill in defaults, keeping the webhook variable name while the URL is unchanged', () => {
+    const stored = normalizeAlertRule({ ...rule, webhook: { ...rule.webhook, urlEnv: 'SLACK_WEBHOOK' } }, null, '2026-01-01T00:00:00.000Z');
+    assert.deepEqual([stored.enabled, stored.windowMinutes, stored.minRequests, stored.cooldownMinutes], [true, 5, 10, 60]);
+    assert.equal(stored.createdAt, '2026-01-01T00:00:00.000Z');
+
+    const updated = normalizeAlertRule({ ...rule, threshold: 30 }, stored, '2026-01-02T00:00:00.000Z');
+    assert.equal(updated.webhook.urlEnv, 'SLACK_WEBHOOK');
+    assert.equal(updated.createdAt, '2026-01-01T00:00:00.000Z');
+
+    const moved = normalizeAlertRule({ ...rule, webhook: { url: 'https://hooks.example.com/other' } }, stored);
+    assert.equal(moved.webhook.urlEnv, null);
+  });
+});
+
+describe('firing', () => {
+  const stored = normalizeAlertRule(rule, null);
+
+  test('waits for enough requests before judging a windowed condition', () => {
+    assert.equal(isAlertFiring(stored, { value: 50, requests: 9 }), false);
+    assert.equal(isAlertFiring(stored, { value: 50, requests: 10 }), true);
+    assert.equal(isAlertFiring(stored, { value: 10, requests: 10 }), false);
+    assert.equal(isAlertFiring(stored, { value: null, requests: 0 }), false);
+
+    const unauthorized = { ...stored, condition: 'upstreamUnauthorized' };
+    assert.equal(isAlertFiring(unauthorized, { value: 100, requests: 10 }), true);
+    assert.equal(isAlertFiring(unauthorized, { value: 90, requests: 10 }), false);
+  });
+
+  test('notifies once when a rule starts firing, once when it resolves, and not while cooling down', () => {
+    const start = Date.parse('2026-01-01T00:00:00Z');
+    const minutes = count => start + count * 60 * 1000;
+
+    const fired = advanceAlertState(stored, {}, true, 50, start);
+    assert.equal(fired.notify, 'firing');
+    assert.equal(advanceAlertState(stored, fired.state, true, 60, minutes(1)).notify, null);
+
+    const resolved = advanceAlertState(stored, fired.state, false, 5, minutes(2));
+    assert.equal(resolved.notify, 'resolved');
+
+    const coolingDown = advanceAlertState(stored, resolved.state, true, 50, minutes(3));
+    assert.equal(coolingDown.notify, null);
+    assert.equal(coolingDown.state.firing, false);
+    assert.equal(advanceAlertState(stored, coolingDown.state, true, 50, minutes(61)).notify, 'firing');
+  });
+});
+
+describe('webhook payloads', () => {
+  const alert = { rule: 'high-error-rate', status: 'firing', condition: 'errorRate', value: 50, threshold: 20, windowMinutes: 5, upstream: null };
+  const text = '[FIRING] LLM Proxy alert high-error-rate: Error rate over the last 5 min is 50% (threshold 20%)';
+
+  test('describe the alert in one line', () => {
+    assert.equal(alertMessage(alert), text);
+    assert.equal(
+      alertMessage({ ...alert, status: 'test', condition: 'upstreamUnauthorized', value: null, upstream: 'https://api.example.com' }),
+      '[TEST] LLM Proxy alert high-error-rate: 401 responses on https://api.example.com over the last 5 min is no data'
+    );
+  });
+
+  test('match each receiver\'s text message format', () => {
+    assert.deepEqual(webhookPayload('slack', alert), { text });
+    assert.deepEqual(webhookPayload('feishu', alert), { msg_type: 'text', content: { text } });
+    assert.deepEqual(webhookPayload('dingtalk', alert), { msgtype: 'text', text: { content: text } });
+    assert.deepEqual(webhookPayload('generic', alert), { ...alert, message: text });
+  });
+});
+
+describe('/admin/alerts', () => {
+  let upstream;
+  let proxy;
+
+  // Take webhook notifications on /hook, fail the "broken" model and answer anything else,
+  // including the cron's health probes, which have no body
+  const answer = (request, res) => {
+    if (request.url === '/hook') {
+      sendJson(res, 200, { ok: true });
+    } else if (request.json && request.json.model === 'broken') {
+      sendJson(res, 400, { error: { message: 'Unsupported model' } });
+    } else {
+      sendJson(res, 200, chatCompletion(request.json && request.json.model));
+    }
+  };
+
+  // The notifications the webhook has received
+  const hooks = () => upstream.requests.filter(request => request.url === '/hook').map(request => request.json);
+
+  // Wait until the webhook has received count notifications
+  const waitForHooks = async count => {
+    for (let attempt = 0; attempt < 50 && hooks().length < count; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return hooks();
+  };
+
+  before(async () => {
+    upstream = await startUpstream(answer);
+    proxy = await startProxy(upstream.url);
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  test('creates, lists and deletes rules', async () => {
+    const invalid = await proxy.adminResponse('/alerts', { method: 'POST', body: JSON.stringify({ ...rule, threshold: -1 }) });
+    assert.equal(invalid.status, 400);
+
+    const created = await proxy.adminResponse('/alerts', { method: 'POST', body: JSON.stringify({ ...rule, name: 'short-lived' }) });
+    assert.equal(created.status, 201);
+    assert.equal((await created.json()).cooldownMinutes, 60);
+
+    const [listed] = await proxy.admin('/alerts');
+    assert.deepEqual([listed.name, listed.state], ['short-lived', null]);
+
+    await proxy.admin('/alerts/short-lived', { method: 'DELETE' });
+    assert.deepEqual(await proxy.admin('/alerts'), []);
+    assert.equal((await proxy.adminResponse('/alerts/short-lived', { method: 'DELETE' })).status, 404);
+  });
+
+  test('sends a test notification to the rule\'s webhook', async () => {
+    upstream.setHandler(answer);
+    await proxy.admin('/alerts', { method: 'POST', body: JSON.stringify({ ...rule, webhook: { url: `${upstream.url}/hook`, format: 'slack' } }) });
+
+    const result = await proxy.admin('/alerts/high-error-rate/test', { method: 'POST' });
+    assert.deepEqual(result, { ok: true, status: 200 });
+    assert.deepEqual(hooks(), [{ text: '[TEST] LLM Proxy alert high-error-rate: Error rate over the last 5 min is no data (threshold 20%)' }]);
+
+    assert.equal((await proxy.adminResponse('/alerts/missing/test', { method: 'POST' })).status, 404);
+  });
+
+  test('fires once on the cron when the condition holds', async () => {
+    upstream.setHandler(answer);
+    await proxy.admin('/alerts', {
+      method: 'POST',
+      body: JSON.stringify({ ...rule, threshold: 50, minRequests: 2, webhook: { url: `${upstream.url}/hook` } })
+    });
+
+    for (const model of ['gpt-4o', 'broken', 'broken']) {
+      await proxy.request('/v1/chat/completions', { model, messages: [] });
+    }
+    await proxy.lastLog(3);
+
+    await proxy.scheduled();
+    const [notification] = await waitForHooks(1);
+    assert.equal(notification.rule, 'high-error-rate');
+    assert.equal(notification.status, 'firing');
+    assert.equal(notification.value, 66.67);
+    assert.match(notification.message, /^\[FIRING\] /);
+
+    // Still firing, so the next evaluation stays quiet
+    await proxy.scheduled();
+    const [listed] = await proxy.admin('/alerts');
+    assert.equal(listed.state.firing, true);
+    assert.equal(hooks().length, 1);
+  });
+});
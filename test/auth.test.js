@@ -0,0 +1,152 @@
+/**
+ * Admin authentication: password hashing, signed sessions, logout, password change and login lockout
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import {
+  SESSION_COOKIE_NAME,
+  createSessionToken,
+  getSessionToken,
+  hashPassword,
+  sessionCookie,
+  verifyPassword,
+  verifySessionToken
+} from '../src/auth.js';
+import { ADMIN_PASSWORD, startProxy, startUpstream } from './helpers.js';
+
+describe('passwords', () => {
+  test('verifies a password against its salted hash only', async () => {
+    const stored = await hashPassword('correct horse', 'salt', 1000);
+    assert.equal(stored.algorithm, 'PBKDF2-SHA256');
+    assert.notEqual(stored.hash, 'correct horse');
+    assert.equal(await verifyPassword('correct horse', stored), true);
+    assert.equal(await verifyPassword('correct horsE', stored), false);
+    assert.equal(await verifyPassword('correct horse', null), false);
+    assert.notEqual((await hashPassword('correct horse', 'other salt', 1000)).hash, stored.hash);
+  });
+});
+
+describe('session tokens', () => {
+  test('accept only unexpired tokens signed with the same secret', async () => {
+    const { token, session } = await createSessionToken('secret');
+    assert.deepEqual(await verifySessionToken(token, 'secret'), session);
+    assert.equal(await verifySessionToken(token, 'other secret'), null);
+    assert.equal(await verifySessionToken(`${token.split('.')[0]}x.${token.split('.')[1]}`, 'secret'), null);
+    assert.equal(await verifySessionToken((await createSessionToken('secret', -1)).token, 'secret'), null);
+    assert.equal(await verifySessionToken('garbage', 'secret'), null);
+  });
+
+  test('are read from a bearer header or the session cookie', () => {
+    const request = headers => new Request('https://proxy.example.com/admin/config', { headers });
+    assert.equal(getSessionToken(request({ Authorization: 'Bearer abc.def' })), 'abc.def');
+    assert.equal(getSessionToken(request({ Cookie: `theme=dark; ${SESSION_COOKIE_NAME}=abc.def=` })), 'abc.def=');
+    assert.equal(getSessionToken(request({})), null);
+  });
+
+  test('travel in an HttpOnly, Secure, SameSite=Strict cookie scoped to /admin', () => {
+    const cookie = sessionCookie('abc.def', Date.now() + 60 * 1000);
+    assert.match(cookie, /^llm_proxy_admin=abc\.def; Path=\/admin; HttpOnly; Secure; SameSite=Strict; Max-Age=(59|60)$/);
+    assert.match(sessionCookie(null), /Max-Age=0$/);
+  });
+});
+
+describe('admin API', () => {
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream.url);
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  // Log in, returning the response
+  const login = (password, headers = {}) => proxy.fetch('/admin/login', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ password })
+  });
+
+  // Log in, returning the session token
+  const session = async password => {
+    const response = await login(password);
+    assert.equal(response.status, 200);
+    return (await response.json()).token;
+  };
+
+  // Call the admin API with a session token
+  const call = (path, token, init = {}) => proxy.fetch(`/admin${path}`, {
+    ...init,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' }
+  });
+
+  test('requires a session for everything but logging in', async () => {
+    assert.equal((await proxy.fetch('/admin/config')).status, 401);
+    assert.equal((await call('/config', 'forged.token')).status, 401);
+  });
+
+  test('sets the session cookie on login and accepts it in place of the header', async () => {
+    const response = await login(ADMIN_PASSWORD);
+    const cookie = response.headers.get('Set-Cookie');
+    assert.match(cookie, /^llm_proxy_admin=[^;]+; Path=\/admin; HttpOnly/);
+
+    const viaCookie = await proxy.fetch('/admin/session', { headers: { Cookie: cookie.split(';')[0] } });
+    assert.equal(viaCookie.status, 200);
+    assert.equal((await viaCookie.json()).authenticated, true);
+  });
+
+  test('revokes a session on logout, leaving others valid', async () => {
+    const first = await session(ADMIN_PASSWORD);
+    const second = await session(ADMIN_PASSWORD);
+
+    const loggedOut = await call('/logout', first, { method: 'POST' });
+    assert.match(loggedOut.headers.get('Set-Cookie'), /Max-Age=0$/);
+    assert.equal((await call('/session', first)).status, 401);
+    assert.equal((await call('/session', second)).status, 200);
+  });
+
+  test('changes the password, ending every other session', async () => {
+    const other = await session(ADMIN_PASSWORD);
+    const current = await session(ADMIN_PASSWORD);
+
+    const short = await call('/password', current, { method: 'POST', body: JSON.stringify({ currentPassword: ADMIN_PASSWORD, newPassword: 'short' }) });
+    assert.equal(short.status, 400);
+    const wrong = await call('/password', current, { method: 'POST', body: JSON.stringify({ currentPassword: 'wrong-password', newPassword: 'new-password-1' }) });
+    assert.equal(wrong.status, 403);
+
+    const changed = await call('/password', current, { method: 'POST', body: JSON.stringify({ currentPassword: ADMIN_PASSWORD, newPassword: 'new-password-1' }) });
+    assert.equal(changed.status, 200);
+    const { token } = await changed.json();
+
+    assert.equal((await call('/session', other)).status, 401);
+    assert.equal((await call('/session', token)).status, 200);
+    assert.equal((await login(ADMIN_PASSWORD)).status, 401);
+    assert.equal((await login('new-password-1')).status, 200);
+
+    const config = await (await call('/config', token)).json();
+    assert.equal(JSON.stringify(config).includes('new-password-1'), false);
+  });
+
+  test('logs every session out when the session key is rotated', async () => {
+    const token = await session('new-password-1');
+    assert.equal((await call('/rotate-key', token, { method: 'POST' })).status, 200);
+    assert.equal((await call('/session', token)).status, 401);
+  });
+
+  test('locks an address out after repeated failed logins', async () => {
+    const from = { 'CF-Connecting-IP': '203.0.113.7' };
+    for (let attempt = 0; attempt < 5; attempt++) {
+      assert.equal((await login('wrong-password', from)).status, 401);
+    }
+
+    const locked = await login('new-password-1', from);
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('Retry-After')) > 0);
+    assert.equal((await locked.json()).error, 'Too many failed login attempts');
+  });
+});
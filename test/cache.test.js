@@ -0,0 +1,177 @@
+/**
+ * Response cache for embeddings and deterministic completions, against a mock upstream
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { cacheKey, getCachePolicy, isCacheable, validateCachePolicy } from '../src/cache.js';
+import { chatCompletion, sendJson, startProxy, startUpstream } from './helpers.js';
+
+describe('cacheKey', () => {
+  const upstream = { id: 'default', baseUrl: 'https://api.example.com' };
+
+  test('ignores field order and fields that do not change the response', async () => {
+    assert.equal(
+      await cacheKey('/v1/embeddings', upstream, { model: 'e', input: ['a'], user: 'u1' }),
+      await cacheKey('/v1/embeddings', upstream, { input: ['a'], model: 'e', stream_options: {} })
+    );
+  });
+
+  test('differs by endpoint, upstream and body', async () => {
+    const key = await cacheKey('/v1/embeddings', upstream, { model: 'e', input: ['a'] });
+    assert.notEqual(key, await cacheKey('/v1/completions', upstream, { model: 'e', input: ['a'] }));
+    assert.notEqual(key, await cacheKey('/v1/embeddings', { id: 'backup' }, { model: 'e', input: ['a'] }));
+    assert.notEqual(key, await cacheKey('/v1/embeddings', upstream, { model: 'e', input: ['b'] }));
+  });
+});
+
+describe('isCacheable', () => {
+  const policy = getCachePolicy({ cache: { enabled: true } });
+  const request = (headers = {}) => new Request('https://proxy.example.com', { headers });
+
+  test('caches embeddings and deterministic or forced completions only', () => {
+    assert.equal(isCacheable(request(), '/v1/embeddings', { input: 'a' }, policy), true);
+    assert.equal(isCacheable(request(), '/v1/chat/completions', { temperature: 0 }, policy), true);
+    assert.equal(isCacheable(request(), '/v1/chat/completions', { temperature: 0.7 }, policy), false);
+    assert.equal(isCacheable(request({ 'x-proxy-cache': 'force' }), '/v1/chat/completions', {}, policy), true);
+    assert.equal(isCacheable(request(), '/v1/chat/completions', { temperature: 0, stream: true }, policy), false);
+  });
+
+  test('never caches requests made with the client\'s own upstream key, or while disabled', () => {
+    assert.equal(isCacheable(request({ 'x-target-api-key': 'sk-own' }), '/v1/embeddings', { input: 'a' }, policy), false);
+    assert.equal(isCacheable(request(), '/v1/embeddings', { input: 'a' }, getCachePolicy({})), false);
+  });
+
+  test('rejects malformed settings', () => {
+    assert.equal(validateCachePolicy({ enabled: 'yes' }), 'Invalid cache.enabled');
+    assert.equal(validateCachePolicy({ ttl: { '/v1/audio/speech': 60 } }), 'Invalid cache.ttl endpoint /v1/audio/speech');
+    assert.equal(validateCachePolicy({ maxEntries: 0 }), 'Invalid cache.maxEntries');
+  });
+});
+
+describe('cached responses', () => {
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    upstream = await startUpstream((request, res) => {
+      if (request.url.endsWith('/embeddings')) {
+        const inputs = [].concat(request.json.input);
+        sendJson(res, 200, {
+          object: 'list',
+          model: request.json.model,
+          data: inputs.map((input, index) => ({ object: 'embedding', index, embedding: [input.length] })),
+          usage: { prompt_tokens: inputs.length, total_tokens: inputs.length }
+        });
+      } else {
+        sendJson(res, 200, chatCompletion(request.json.model));
+      }
+    });
+    proxy = await startProxy(upstream.url);
+    await setCache({ maxEntries: 2 });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  // Turn the cache on with the given settings
+  function setCache(settings) {
+    return proxy.admin('/config', { method: 'POST', body: JSON.stringify({ cache: { enabled: true, ...settings } }) });
+  }
+
+  // Wait until the cache holds the given number of live entries, returning its stats
+  async function cacheEntries(count) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const stats = await proxy.admin('/cache');
+      if (stats.entries === count) {
+        return stats;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Expected ${count} cache entries`);
+  }
+
+  // Send an embeddings request, returning its x-proxy-cache header
+  async function embed(input, model = 'embed-a') {
+    const response = await proxy.request('/v1/embeddings', { model, input });
+    assert.equal(response.status, 200);
+    await response.json();
+    return response.headers.get('x-proxy-cache');
+  }
+
+  test('answers a repeated request from the cache', async () => {
+    assert.equal(await embed(['one']), 'MISS');
+    await cacheEntries(1);
+    assert.equal(await embed(['one']), 'HIT');
+    assert.equal(upstream.requests.length, 1);
+
+    const stats = await proxy.admin('/cache');
+    assert.equal(stats.hits, 1);
+    assert.equal(stats.misses, 1);
+    assert.deepEqual(stats.byEndpoint['/v1/embeddings'], { hits: 1, misses: 1, hitRate: 50 });
+    assert.equal(stats.byModel['embed-a'].entries, 1);
+
+    const { logs } = await proxy.admin('/logs');
+    assert.equal(logs.find(log => log.cache === 'HIT').totalTokens, undefined);
+  });
+
+  test('caches completions only at temperature 0', async () => {
+    const chat = async temperature => {
+      const response = await proxy.request('/v1/chat/completions', { model: 'gpt-4o', temperature, messages: [] });
+      await response.json();
+      return response.headers.get('x-proxy-cache');
+    };
+    assert.equal(await chat(0.7), null);
+    assert.equal(await chat(0), 'MISS');
+    await cacheEntries(2);
+    assert.equal(await chat(0), 'HIT');
+  });
+
+  test('evicts the oldest entries beyond maxEntries', async () => {
+    // The cache now holds the embedding of "one" and the completion; a third entry evicts "one"
+    assert.equal(await embed(['two']), 'MISS');
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await cacheEntries(2);
+    assert.equal(await embed(['one']), 'MISS');
+  });
+
+  test('purges the entries of one model', async () => {
+    await cacheEntries(2);
+    assert.equal(await embed(['three'], 'embed-b'), 'MISS');
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const { purged } = await proxy.admin('/cache?model=embed-b', { method: 'DELETE' });
+    assert.equal(purged, 1);
+    assert.equal(await embed(['three'], 'embed-b'), 'MISS');
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal((await proxy.admin('/cache', { method: 'DELETE' })).purged, 2);
+    assert.equal((await proxy.admin('/cache')).entries, 0);
+  });
+
+  test('stops serving an entry once its time to live has passed', async () => {
+    await setCache({ maxEntries: 10, ttl: { '/v1/embeddings': 1 } });
+    assert.equal(await embed(['four']), 'MISS');
+    await cacheEntries(1);
+    assert.equal(await embed(['four']), 'HIT');
+
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    assert.equal(await embed(['four']), 'MISS');
+  });
+
+  test('stops serving an entry once a transformation rule changes the forwarded body', async () => {
+    await setCache({ maxEntries: 10 });
+    await proxy.admin('/cache', { method: 'DELETE' });
+    assert.equal(await embed(['five']), 'MISS');
+    await cacheEntries(1);
+
+    await proxy.admin('/config', {
+      method: 'POST',
+      body: JSON.stringify({ transforms: { rules: [{ name: 'dims', match: 'embed-*', defaults: { dimensions: 256 } }] } })
+    });
+    assert.equal(await embed(['five']), 'MISS');
+    assert.equal(upstream.requests.at(-1).json.dimensions, 256);
+  });
+});
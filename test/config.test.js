@@ -0,0 +1,129 @@
+/**
+ * Admin config: schema validation, versions with diffs, the history and rollback
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { applyConfigChanges, configSecrets, diffConfig, validateConfig, versionedConfig } from '../src/config.js';
+import { startProxy, startUpstream } from './helpers.js';
+
+describe('validateConfig', () => {
+  test('accepts known fields and null to reset one', () => {
+    assert.equal(validateConfig({ retry: { maxRetries: 3 }, cache: null, version: 7, updatedAt: 'then' }), null);
+    assert.equal(validateConfig({ targetApiUrl: '' }), null);
+  });
+
+  test('names the field that is unknown, mistyped or invalid', () => {
+    assert.equal(validateConfig([]), 'Config must be a JSON object');
+    assert.match(validateConfig({ retries: {} }), /^Unknown field retries \(expected one of targetApiUrl, /);
+    assert.equal(validateConfig({ retry: [] }), 'Invalid retry: expected object, got array');
+    assert.match(validateConfig({ cache: { enabled: true, ttlSeconds: 60 } }), /^Unknown field cache\.ttlSeconds /);
+    assert.equal(validateConfig({ targetApiUrl: 'ftp://example.com' }), 'Invalid targetApiUrl: expected an http(s) URL');
+  });
+});
+
+describe('config versions', () => {
+  test('apply changes field by field, dropping metadata and removing nulls', () => {
+    const config = { targetApiUrl: 'https://a.example.com', cache: { enabled: true }, version: 3 };
+    assert.deepEqual(applyConfigChanges(config, { cache: null, retry: { maxRetries: 2 }, version: 9 }), {
+      targetApiUrl: 'https://a.example.com',
+      retry: { maxRetries: 2 },
+      version: 3
+    });
+  });
+
+  test('keep the admin password out of the versioned config', () => {
+    const config = { targetApiUrl: 'https://a.example.com', adminPasswordHash: { hash: 'x' }, version: 3, updatedAt: 'then' };
+    assert.deepEqual(versionedConfig(config), { targetApiUrl: 'https://a.example.com' });
+    assert.deepEqual(configSecrets(config), { adminPasswordHash: { hash: 'x' } });
+  });
+
+  test('diff nested objects down to their leaves and arrays whole', () => {
+    const before = { retry: { maxRetries: 2, retryOn: [429, 500] }, targetApiUrl: 'https://a.example.com' };
+    const after = { retry: { maxRetries: 3, retryOn: [429] }, cache: { enabled: true } };
+    assert.deepEqual(diffConfig(before, after), [
+      { path: 'cache', before: undefined, after: { enabled: true } },
+      { path: 'retry.maxRetries', before: 2, after: 3 },
+      { path: 'retry.retryOn', before: [429, 500], after: [429] },
+      { path: 'targetApiUrl', before: 'https://a.example.com', after: undefined }
+    ]);
+    assert.deepEqual(diffConfig(before, before), []);
+  });
+});
+
+describe('/admin/config history', () => {
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream.url);
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  // Post config changes, returning the saved config
+  const update = changes => proxy.admin('/config', { method: 'POST', body: JSON.stringify(changes) });
+
+  test('refuses invalid changes without saving a version', async () => {
+    const { versions } = await proxy.admin('/config/history');
+    const response = await proxy.adminResponse('/config', { method: 'POST', body: JSON.stringify({ retry: { attempts: 3 } }) });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /^Unknown field retry\.attempts /);
+    assert.deepEqual((await proxy.admin('/config/history')).versions, versions);
+  });
+
+  test('saves a version with its diff and author for each change', async () => {
+    const first = await update({ logRetention: { maxEntries: 600 } });
+    const second = await update({ logRetention: { maxEntries: 1200 } });
+    assert.equal(second.version, first.version + 1);
+
+    // Posting the same values again changes nothing, so no version is saved
+    assert.equal((await update({ logRetention: { maxEntries: 1200 } })).version, second.version);
+
+    const { versions } = await proxy.admin('/config/history?limit=1');
+    assert.equal(versions.length, 1);
+    assert.equal(versions[0].version, second.version);
+    assert.equal(versions[0].action, 'update');
+    assert.deepEqual(versions[0].diff, [{ path: 'logRetention.maxEntries', before: 600, after: 1200 }]);
+    assert.equal(typeof versions[0].author.session, 'string');
+    assert.equal(versions[0].config, undefined);
+
+    const saved = await proxy.admin(`/config/history/${first.version}`);
+    assert.deepEqual(saved.config.logRetention, { maxEntries: 600 });
+    assert.equal(JSON.stringify(saved).includes('adminPassword'), false);
+  });
+
+  test('pages through the history from newest to oldest', async () => {
+    const all = (await proxy.admin('/config/history')).versions.map(version => version.version);
+    assert.ok(all.length >= 2);
+    const seen = [];
+    let before = null;
+    do {
+      const page = await proxy.admin(`/config/history?limit=1${before ? `&before=${before}` : ''}`);
+      seen.push(...page.versions.map(version => version.version));
+      before = page.nextBefore;
+    } while (before);
+    assert.deepEqual(seen, all);
+  });
+
+  test('rolls back to an earlier version as a new version', async () => {
+    const { versions: [latest] } = await proxy.admin('/config/history?limit=1');
+    const target = latest.version - 1;
+
+    const restored = await proxy.admin(`/config/rollback/${target}`, { method: 'POST' });
+    assert.equal(restored.version, latest.version + 1);
+    assert.deepEqual(restored.logRetention, { maxEntries: 600 });
+    assert.deepEqual((await proxy.admin('/config')).logRetention, { maxEntries: 600 });
+
+    const { versions: [rollback] } = await proxy.admin('/config/history?limit=1');
+    assert.deepEqual([rollback.action, rollback.rollbackOf], ['rollback', target]);
+    assert.deepEqual(rollback.diff, [{ path: 'logRetention.maxEntries', before: 1200, after: 600 }]);
+
+    assert.equal((await proxy.adminResponse('/config/rollback/9999', { method: 'POST' })).status, 404);
+    assert.equal((await proxy.adminResponse('/config/history/9999')).status, 404);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Config documents: JSON and YAML import/export, secrets by environment variable and boot-time seeding
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { exportDocument, parseDocument, planImport, serializeDocument } from '../src/configdoc.js';
+import { chatCompletion, sendJson, startProxy, startUpstream } from './helpers.js';
+
+const now = '2026-01-01T00:00:00.000Z';
+
+// Stored state with one provider whose key came from the environment and one whose key was typed in
+const state = {
+  config: { targetApiUrl: 'https://api.example.com', adminPasswordHash: { hash: 'x' }, version: 2 },
+  providers: {
+    openai: { name: 'openai', baseUrl: 'https://api.openai.com', apiKey: 'sk-env', apiKeyEnv: 'OPENAI_API_KEY', protocol: 'openai', pathPrefix: '/v1', headers: {}, embeddingBatchSize: null },
+    local: { name: 'local', baseUrl: 'http://10.0.0.2:8000', apiKey: 'sk-typed', apiKeyEnv: null, protocol: 'openai', pathPrefix: '/v1', headers: {}, embeddingBatchSize: null }
+  },
+  routes: [{ match: 'gpt-*', target: 'openai', fallbacks: ['local'] }],
+  pricing: {},
+  alertRules: {}
+};
+
+describe('exportDocument', () => {
+  test('writes env-backed secrets as references and leaves the rest out', () => {
+    const document = exportDocument(state);
+    assert.equal(document.version, 1);
+    assert.deepEqual(document.config, { targetApiUrl: 'https://api.example.com' });
+    assert.deepEqual(document.providers.openai.apiKey, { env: 'OPENAI_API_KEY' });
+    assert.equal('apiKey' in document.providers.local, false);
+    assert.equal(JSON.stringify(document).includes('sk-'), false);
+  });
+
+  test('reads back what it writes, as JSON or YAML', () => {
+    const document = exportDocument(state);
+    assert.deepEqual(parseDocument(serializeDocument(document, 'yaml')).document, document);
+    assert.deepEqual(parseDocument(serializeDocument(document, 'json')).document, document);
+    assert.match(parseDocument('{ nope', 'json').error, /^Invalid JSON: /);
+    assert.match(parseDocument('a: [', 'yaml').error, /^Invalid YAML: /);
+  });
+});
+
+describe('planImport', () => {
+  test('replaces the sections a document has, keeping omitted secrets', () => {
+    const { next, changes } = planImport({
+      providers: { openai: { baseUrl: 'https://api.openai.com' }, local: { baseUrl: 'http://10.0.0.3:8000' } }
+    }, state, {}, now);
+
+    assert.deepEqual(Object.keys(next), ['providers']);
+    assert.equal(next.providers.openai.apiKey, 'sk-env');
+    assert.equal(next.providers.local.apiKey, 'sk-typed');
+    assert.deepEqual(changes, [{ path: 'providers.local.baseUrl', before: 'http://10.0.0.2:8000', after: 'http://10.0.0.3:8000' }]);
+  });
+
+  test('reads { env: NAME } secrets from the environment', () => {
+    const document = { providers: { ...exportDocument(state).providers, openai: { baseUrl: 'https://api.openai.com', apiKey: { env: 'NEW_KEY' } } } };
+    assert.equal(planImport(document, state, {}, now).error, 'providers.openai.apiKey: environment variable NEW_KEY is not set');
+
+    const { next } = planImport(document, state, { NEW_KEY: 'sk-new' }, now);
+    assert.deepEqual([next.providers.openai.apiKey, next.providers.openai.apiKeyEnv], ['sk-new', 'NEW_KEY']);
+  });
+
+  test('rejects unknown sections, invalid config and dangling routes', () => {
+    assert.match(planImport({ secrets: {} }, state).error, /^Unknown section secrets /);
+    assert.equal(planImport({ version: 2 }, state).error, 'Unsupported document version 2');
+    assert.match(planImport({ config: { retries: {} } }, state).error, /^config: Unknown field retries /);
+    assert.equal(planImport({ providers: { openai: { baseUrl: 'https://api.openai.com' } } }, state).error,
+      'routes: Route 0 targets unknown provider "local"');
+    assert.equal(planImport({ alerts: { errors: { condition: 'errorRate', threshold: 5, webhook: {} } } }, state).error,
+      'alerts.errors.webhook.url is required for a new rule');
+  });
+});
+
+describe('/admin/config import and export', () => {
+  let upstream;
+  let proxy;
+
+  // Seeded from PROXY_CONFIG: a provider on the mock upstream, keyed from the environment, and a route to it
+  const seed = [
+    'config:',
+    '  logRetention:',
+    '    maxEntries: 500',
+    'providers:',
+    '  local:',
+    '    baseUrl: UPSTREAM',
+    '    pathPrefix: /local',
+    '    apiKey:',
+    '      env: LOCAL_API_KEY',
+    'routes:',
+    '  - match: smart',
+    '    target: llama3@local'
+  ].join('\n');
+
+  before(async () => {
+    upstream = await startUpstream((request, res) => sendJson(res, 200, chatCompletion(request.json.model)));
+    proxy = await startProxy(upstream.url, {
+      PROXY_CONFIG: seed.replace('UPSTREAM', upstream.url),
+      LOCAL_API_KEY: 'sk-local'
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  // Import a document, returning the response
+  const importDocument = (text, query = '', headers = {}) => proxy.adminResponse(`/config/import${query}`, {
+    method: 'POST',
+    headers,
+    body: text
+  });
+
+  test('seeds an empty storage from PROXY_CONFIG on first start', async () => {
+    const response = await proxy.request('/v1/chat/completions', { model: 'smart', messages: [] });
+    assert.equal((await response.json()).model, 'llama3');
+
+    const [request] = upstream.requests;
+    assert.equal(request.url, '/local/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer sk-local');
+
+    const { versions: [seeded] } = await proxy.admin('/config/history?limit=1');
+    assert.equal(seeded.action, 'seed');
+    assert.deepEqual(seeded.author, { source: 'PROXY_CONFIG' });
+  });
+
+  test('exports the configuration as YAML without plaintext secrets', async () => {
+    const response = await proxy.adminResponse('/config/export?format=yaml');
+    assert.match(response.headers.get('Content-Type'), /^application\/yaml/);
+    assert.match(response.headers.get('Content-Disposition'), /filename="llm-proxy-config\.yaml"/);
+
+    const { document } = parseDocument(await response.text(), 'yaml');
+    assert.deepEqual(document.providers.local.apiKey, { env: 'LOCAL_API_KEY' });
+    assert.deepEqual(document.routes, [{ match: 'smart', target: 'llama3@local', fallbacks: [] }]);
+    assert.equal((await proxy.adminResponse('/config/export?format=toml')).status, 400);
+  });
+
+  test('previews an import with dryRun, then applies it', async () => {
+    const document = 'config:\n  logRetention:\n    maxEntries: 800\npricing:\n  llama3:\n    prompt: 1\n    completion: 2\n';
+
+    const preview = await importDocument(document, '?dryRun=true', { 'Content-Type': 'application/yaml' });
+    const { dryRun, changes } = await preview.json();
+    assert.equal(dryRun, true);
+    assert.deepEqual(changes, [
+      { path: 'config.logRetention.maxEntries', before: 500, after: 800 },
+      { path: 'pricing.llama3', after: { prompt: 1, completion: 2 } }
+    ]);
+    assert.deepEqual((await proxy.admin('/config')).logRetention, { maxEntries: 500 });
+
+    const applied = await importDocument(document, '?format=yaml');
+    assert.equal((await applied.json()).imported, true);
+    assert.deepEqual((await proxy.admin('/config')).logRetention, { maxEntries: 800 });
+    assert.equal((await proxy.admin('/config/history?limit=1')).versions[0].action, 'import');
+
+    // Sections the document left out are kept
+    const exported = parseDocument(await (await proxy.adminResponse('/config/export')).text()).document;
+    assert.deepEqual(Object.keys(exported.providers), ['local']);
+  });
+
+  test('rejects a malformed document without changing anything', async () => {
+    const invalid = await importDocument('{"routes": [{"match": "x", "target": "missing"}]}');
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error, 'routes: Route 0 targets unknown provider "missing"');
+
+    const unparsable = await importDocument('routes: [', '?format=yaml');
+    assert.equal(unparsable.status, 400);
+    assert.match((await unparsable.json()).error, /^Invalid YAML: /);
+  });
+});
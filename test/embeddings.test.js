@@ -0,0 +1,156 @@
+/**
+ * Splitting oversize embeddings requests into batches and merging the results, against a mock upstream
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { mergeEmbeddings, splitInputs } from '../src/embeddings.js';
+import { sendJson, startProxy, startUpstream } from './helpers.js';
+
+describe('splitInputs', () => {
+  test('splits only arrays of inputs longer than the batch size', () => {
+    assert.equal(splitInputs(['a', 'b'], 2), null);
+    assert.equal(splitInputs('a', 1), null);
+    assert.equal(splitInputs([1, 2, 3], 1), null);
+    assert.equal(splitInputs(['a', 'b', 'c'], null), null);
+    assert.deepEqual(splitInputs(['a', 'b', 'c'], 2), [
+      { offset: 0, input: ['a', 'b'] },
+      { offset: 2, input: ['c'] }
+    ]);
+  });
+});
+
+describe('mergeEmbeddings', () => {
+  test('re-indexes the data in input order and sums the usage', () => {
+    const merged = mergeEmbeddings([
+      { offset: 2, body: { model: 'e', data: [{ index: 0, embedding: [2] }], usage: { prompt_tokens: 1, total_tokens: 1 } } },
+      { offset: 0, body: { model: 'e', data: [{ index: 1, embedding: [1] }, { index: 0, embedding: [0] }], usage: { prompt_tokens: 2, total_tokens: 2 } } }
+    ]);
+    assert.deepEqual(merged.data.map(item => [item.index, item.embedding[0]]), [[0, 0], [1, 1], [2, 2]]);
+    assert.deepEqual(merged.usage, { prompt_tokens: 3, total_tokens: 3 });
+  });
+});
+
+describe('batched /v1/embeddings', () => {
+  let upstream;
+  let proxy;
+  let logged = 0;
+
+  before(async () => {
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream.url);
+
+    // Two providers on the same mock, told apart by their path prefix
+    for (const name of ['primary', 'backup']) {
+      await proxy.admin('/providers', {
+        method: 'POST',
+        body: JSON.stringify({ name, baseUrl: upstream.url, pathPrefix: `/${name}`, embeddingBatchSize: 2 })
+      });
+    }
+    await proxy.admin('/routes', {
+      method: 'PUT',
+      body: JSON.stringify([{ match: 'embed', target: 'primary', fallbacks: ['backup'] }])
+    });
+    await proxy.admin('/config', {
+      method: 'POST',
+      body: JSON.stringify({ retry: { maxRetries: 0 } })
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  // Answer an embeddings batch with one vector per input naming the provider and the input,
+  // after a delay that makes later batches finish first
+  const embed = (provider, request, res) => {
+    const inputs = request.json.input;
+    setTimeout(() => sendJson(res, 200, {
+      object: 'list',
+      model: `${provider}-model`,
+      data: inputs.map((input, index) => ({ object: 'embedding', index, embedding: [`${provider}:${input}`] })),
+      usage: { prompt_tokens: inputs.length, total_tokens: inputs.length }
+    }), 100 - inputs[0].charCodeAt(0));
+  };
+
+  // The provider a mock request was sent to
+  const providerOf = request => request.url.split('/')[1];
+
+  // Send an embeddings request for the inputs through the proxy
+  const embeddings = async input => {
+    const response = await proxy.request('/v1/embeddings', { model: 'embed', input });
+    logged++;
+    return response;
+  };
+
+  test('merges the batches in input order', async () => {
+    upstream.setHandler((request, res) => embed(providerOf(request), request, res));
+
+    const response = await embeddings(['a', 'b', 'c', 'd', 'e']);
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(body.data.map(item => [item.index, item.embedding[0]]), [
+      [0, 'primary:a'],
+      [1, 'primary:b'],
+      [2, 'primary:c'],
+      [3, 'primary:d'],
+      [4, 'primary:e']
+    ]);
+    assert.deepEqual(body.usage, { prompt_tokens: 5, total_tokens: 5 });
+    assert.equal(upstream.requests.length, 3);
+
+    const log = await proxy.lastLog(logged);
+    assert.equal(log.batches, 3);
+  });
+
+  test('sends every batch to the upstream that answered the first', async () => {
+    upstream.setHandler((request, res) => {
+      if (providerOf(request) === 'primary') {
+        sendJson(res, 500, { error: { message: 'primary down' } });
+      } else {
+        embed('backup', request, res);
+      }
+    });
+
+    const response = await embeddings(['a', 'b', 'c', 'd']);
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.deepEqual(body.data.map(item => item.embedding[0]), ['backup:a', 'backup:b', 'backup:c', 'backup:d']);
+    assert.deepEqual(upstream.requests.map(providerOf), ['primary', 'backup', 'backup']);
+  });
+
+  test('fails the whole request when a later batch fails, without failing over', async () => {
+    upstream.setHandler((request, res) => {
+      if (providerOf(request) === 'primary' && request.json.input[0] === 'c') {
+        sendJson(res, 500, { error: { message: 'batch failed' } });
+      } else {
+        embed(providerOf(request), request, res);
+      }
+    });
+
+    const response = await embeddings(['a', 'b', 'c', 'd']);
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).error.message, 'batch failed');
+    assert.ok(upstream.requests.every(request => providerOf(request) === 'primary'));
+    assert.equal(upstream.requests.length, 2);
+  });
+
+  test('treats a successful batch whose body is not JSON as failed', async () => {
+    upstream.setHandler((request, res) => {
+      if (request.json.input[0] === 'c') {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end('<html>maintenance</html>');
+      } else {
+        embed(providerOf(request), request, res);
+      }
+    });
+
+    const response = await embeddings(['a', 'b', 'c', 'd']);
+    assert.equal(response.status, 502);
+    assert.equal((await response.json()).error.code, 'invalid_upstream_response');
+
+    const log = await proxy.lastLog(logged);
+    assert.equal(log.status, 502);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * OpenAI endpoint coverage: the merged model list, the other proxied endpoints and passthrough
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { mergeModelLists, validateEndpointsPolicy } from '../src/endpoints.js';
+import { sendJson, startProxy, startUpstream } from './helpers.js';
+
+describe('mergeModelLists', () => {
+  const lists = [
+    [{ id: 'gpt-4o', owned_by: 'default' }, { id: 'gpt-4o-mini' }],
+    [{ id: 'gpt-4o', owned_by: 'provider' }, { id: 'qwen-turbo' }, { name: 'no id' }]
+  ];
+
+  test('keeps the first entry of each id', () => {
+    assert.deepEqual(mergeModelLists(lists, []).data, [
+      { object: 'model', id: 'gpt-4o', owned_by: 'default' },
+      { object: 'model', id: 'gpt-4o-mini' },
+      { object: 'model', id: 'qwen-turbo' }
+    ]);
+  });
+
+  test('leaves out models outside the allowlist or the key\'s models', () => {
+    assert.deepEqual(mergeModelLists(lists, ['gpt-*']).data.map(model => model.id), ['gpt-4o', 'gpt-4o-mini']);
+    assert.deepEqual(mergeModelLists(lists, ['gpt-*'], ['*-mini', 'qwen-*']).data.map(model => model.id), ['gpt-4o-mini']);
+  });
+
+  test('rejects malformed settings', () => {
+    assert.equal(validateEndpointsPolicy({ passthrough: 'yes' }), 'Invalid endpoints.passthrough');
+    assert.equal(validateEndpointsPolicy({ models: { allowlist: [''] } }), 'Invalid endpoints.models.allowlist');
+    assert.equal(validateEndpointsPolicy({ models: { cacheTtl: -1 } }), 'Invalid endpoints.models.cacheTtl');
+  });
+});
+
+describe('proxied endpoints', () => {
+  let upstream;
+  let proxy;
+
+  // Answer the model lists, speech with audio bytes, and anything else with the path and model it was sent
+  const answer = (request, res) => {
+    if (request.url === '/v1/models') {
+      sendJson(res, 200, { object: 'list', data: [{ id: 'gpt-4o', object: 'model' }, { id: 'whisper-1', object: 'model' }] });
+    } else if (request.url === '/local/models') {
+      sendJson(res, 200, { object: 'list', data: [{ id: 'llama3', object: 'model' }] });
+    } else if (request.url.endsWith('/audio/speech')) {
+      res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+      res.end(Buffer.from([0xff, 0xfb, 0x90, 0x00]));
+    } else {
+      sendJson(res, 200, { ok: true, url: request.url, model: request.json && request.json.model });
+    }
+  };
+
+  before(async () => {
+    upstream = await startUpstream(answer);
+    proxy = await startProxy(upstream.url);
+
+    await proxy.admin('/providers', {
+      method: 'POST',
+      body: JSON.stringify({ name: 'local', baseUrl: upstream.url, pathPrefix: '/local' })
+    });
+    await proxy.admin('/routes', {
+      method: 'PUT',
+      body: JSON.stringify([{ match: 'smart', target: 'llama3@local' }])
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  // GET a proxied path with the client key, or with another key
+  const get = (path, key) => proxy.fetch(path, { headers: { Authorization: `Bearer ${key || proxy.key}` } });
+
+  test('lists the models of every upstream and the routing aliases', async () => {
+    const response = await get('/v1/models');
+    assert.equal(response.status, 200);
+    const { data } = await response.json();
+    assert.deepEqual(data.map(model => model.id).sort(), ['gpt-4o', 'llama3', 'smart', 'whisper-1']);
+
+    const single = await get('/v1/models/llama3');
+    assert.equal((await single.json()).id, 'llama3');
+
+    const missing = await get('/v1/models/unknown');
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).error.code, 'model_not_found');
+  });
+
+  test('shows a key limited to some models only those models', async () => {
+    const { key } = await proxy.admin('/keys', { method: 'POST', body: JSON.stringify({ name: 'gpt-only', allowedModels: ['gpt-*'] }) });
+    const { data } = await (await get('/v1/models', key)).json();
+    assert.deepEqual(data.map(model => model.id), ['gpt-4o']);
+  });
+
+  test('applies the allowlist to the model list only', async () => {
+    await proxy.admin('/config', { method: 'POST', body: JSON.stringify({ endpoints: { models: { allowlist: ['gpt-*'], cacheTtl: 0 } } }) });
+    const { data } = await (await get('/v1/models')).json();
+    assert.deepEqual(data.map(model => model.id), ['gpt-4o']);
+
+    const response = await proxy.request('/v1/moderations', { model: 'omni-moderation-latest', input: 'hello' });
+    assert.equal(response.status, 200);
+  });
+
+  test('forwards images and moderations to the routed upstream', async () => {
+    upstream.setHandler(answer);
+
+    const images = await proxy.request('/v1/images/generations', { model: 'smart', prompt: 'a cat' });
+    assert.deepEqual(await images.json(), { ok: true, url: '/local/images/generations', model: 'llama3' });
+
+    const moderations = await proxy.request('/v1/moderations', { model: 'omni-moderation-latest', input: 'hello' });
+    assert.deepEqual(await moderations.json(), { ok: true, url: '/v1/moderations', model: 'omni-moderation-latest' });
+  });
+
+  test('forwards transcriptions as multipart with the routed model', async () => {
+    upstream.setHandler(answer);
+
+    const form = new FormData();
+    form.set('model', 'smart');
+    form.set('file', new Blob([new Uint8Array([1, 2, 3])], { type: 'audio/wav' }), 'clip.wav');
+    const response = await proxy.fetch('/v1/audio/transcriptions', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${proxy.key}` },
+      body: form
+    });
+    assert.equal(response.status, 200);
+
+    const [request] = upstream.requests;
+    assert.equal(request.url, '/local/audio/transcriptions');
+    assert.match(request.headers['content-type'], /^multipart\/form-data; boundary=/);
+    assert.match(request.body, /name="model"\r\n\r\nllama3\r\n/);
+    assert.match(request.body, /filename="clip\.wav"/);
+  });
+
+  test('returns synthesized speech as binary', async () => {
+    const response = await proxy.request('/v1/audio/speech', { model: 'tts-1', input: 'hi', voice: 'alloy' });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Content-Type'), 'audio/mpeg');
+    assert.deepEqual([...new Uint8Array(await response.arrayBuffer())], [0xff, 0xfb, 0x90, 0x00]);
+  });
+
+  test('forwards other /v1 paths only once passthrough is on', async () => {
+    upstream.setHandler(answer);
+
+    const off = await get('/v1/files?purpose=batch');
+    assert.equal(off.status, 404);
+    assert.equal((await off.json()).error.code, 'unknown_url');
+
+    await proxy.admin('/config', { method: 'POST', body: JSON.stringify({ endpoints: { passthrough: true } }) });
+    const listed = await get('/v1/files?purpose=batch');
+    assert.equal(listed.status, 200);
+    assert.equal((await listed.json()).url, '/v1/files?purpose=batch');
+
+    const deleted = await proxy.fetch('/v1/files/file-1', { method: 'DELETE', headers: { Authorization: `Bearer ${proxy.key}` } });
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(upstream.requests.map(request => [request.method, request.url]), [
+      ['GET', '/v1/files?purpose=batch'],
+      ['DELETE', '/v1/files/file-1']
+    ]);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * The OpenAI error envelope on proxy-generated errors, and request ids
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { errorType, openAIError } from '../src/openai.js';
+import { chatCompletion, sendJson, startProxy, startUpstream } from './helpers.js';
+
+let upstream;
+let proxy;
+
+before(async () => {
+  upstream = await startUpstream((request, res) => sendJson(res, 200, chatCompletion(request.json.model), { 'x-request-id': 'upstream-req-1' }));
+  proxy = await startProxy(upstream.url);
+});
+
+after(async () => {
+  await proxy?.stop();
+  await upstream?.close();
+});
+
+// Read an error response, checking it has the OpenAI envelope with the given type and code
+async function assertEnvelope(response, status, type, code) {
+  assert.equal(response.status, status);
+  assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+  const body = await response.json();
+  assert.deepEqual(Object.keys(body.error).sort(), ['code', 'message', 'param', 'type']);
+  assert.equal(body.error.type, type);
+  assert.equal(body.error.code, code);
+  return body.error;
+}
+
+test('maps statuses to OpenAI error types', () => {
+  assert.equal(errorType(401), 'authentication_error');
+  assert.equal(errorType(429), 'rate_limit_error');
+  assert.equal(errorType(404), 'invalid_request_error');
+  assert.equal(errorType(502), 'upstream_error');
+  assert.deepEqual(openAIError('Nope', 'permission_error'), { error: { message: 'Nope', type: 'permission_error', param: null, code: null } });
+});
+
+test('answers missing and invalid client keys in the envelope', async () => {
+  // Sent without a body: wrangler's dev proxy can drop the next request after one whose body the worker never read
+  const missing = await proxy.fetch('/v1/chat/completions', { method: 'POST' });
+  await assertEnvelope(missing, 401, 'authentication_error', 'missing_api_key');
+
+  const invalid = await proxy.request('/v1/chat/completions', { model: 'gpt-4o', messages: [] }, { Authorization: 'Bearer sk-proxy-wrong' });
+  await assertEnvelope(invalid, 401, 'authentication_error', 'invalid_api_key');
+  assert.equal(upstream.requests.length, 0);
+});
+
+test('answers unknown endpoints in the envelope', async () => {
+  const response = await proxy.request('/v1/unknown', {});
+  const error = await assertEnvelope(response, 404, 'invalid_request_error', 'unknown_url');
+  assert.equal(error.message, 'Unknown URL: POST /v1/unknown');
+});
+
+test('answers metrics scrapes without a valid token in the envelope', async () => {
+  const missing = await proxy.fetch('/metrics');
+  await assertEnvelope(missing, 401, 'authentication_error', 'missing_api_key');
+  assert.equal(missing.headers.get('WWW-Authenticate'), 'Bearer');
+
+  const disabled = await proxy.fetch('/metrics', { headers: { Authorization: 'Bearer mt-proxy-none' } });
+  await assertEnvelope(disabled, 404, 'invalid_request_error', 'metrics_disabled');
+
+  await proxy.admin('/metrics/token', { method: 'POST' });
+  const invalid = await proxy.fetch('/metrics', { headers: { Authorization: 'Bearer mt-proxy-wrong' } });
+  await assertEnvelope(invalid, 401, 'authentication_error', 'invalid_api_key');
+});
+
+test('keeps the plain error shape on the admin API', async () => {
+  const response = await proxy.adminResponse('/keys', { method: 'POST', body: JSON.stringify({ name: '' }) });
+  assert.equal(response.status, 400);
+  assert.equal(typeof (await response.json()).error, 'string');
+});
+
+test('gives every request an id that replaces the client\'s, reaches the upstream and is logged', async () => {
+  const response = await proxy.request('/v1/chat/completions', { model: 'gpt-4o', messages: [] }, { 'x-request-id': 'client-chosen' });
+  assert.equal(response.status, 200);
+
+  const requestId = response.headers.get('x-request-id');
+  assert.match(requestId, /^[0-9a-f-]{36}$/);
+  assert.equal(upstream.requests[0].headers['x-request-id'], requestId);
+
+  const { logs } = await proxy.admin(`/logs?q=${requestId}`);
+  assert.equal(logs.length, 1);
+  assert.equal(logs[0].requestId, requestId);
+  assert.equal(logs[0].attempts[0].upstreamRequestId, 'upstream-req-1');
+});
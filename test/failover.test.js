@@ -0,0 +1,172 @@
+/**
+ * Retries, failover between route targets and per-upstream circuit breaking
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { circuitState, getCircuitBreakerPolicy, recordOutcome } from '../src/health.js';
+import { chatCompletion, sendJson, startProxy, startUpstream } from './helpers.js';
+
+// How long the proxy keeps upstream health cached in an isolate (CIRCUIT_CACHE_TTL)
+const CIRCUIT_CACHE_TTL = 5 * 1000;
+
+let upstream;
+let proxy;
+
+before(async () => {
+  upstream = await startUpstream();
+  proxy = await startProxy(upstream.url);
+
+  // Two providers on the same mock, told apart by their path prefix
+  for (const name of ['primary', 'backup']) {
+    await proxy.admin('/providers', {
+      method: 'POST',
+      body: JSON.stringify({ name, baseUrl: upstream.url, pathPrefix: `/${name}` })
+    });
+  }
+  await proxy.admin('/routes', {
+    method: 'PUT',
+    body: JSON.stringify([
+      { match: 'fast', target: 'primary', fallbacks: ['backup'] },
+      { match: 'solo', target: 'primary' }
+    ])
+  });
+  await proxy.admin('/config', {
+    method: 'POST',
+    body: JSON.stringify({
+      retry: { maxRetries: 1, baseDelayMs: 1, maxDelayMs: 10 },
+      circuitBreaker: { failureThreshold: 3, cooldownMs: 60 * 1000 }
+    })
+  });
+});
+
+after(async () => {
+  await proxy?.stop();
+  await upstream?.close();
+});
+
+// Answer from the backup provider, and from the primary with the given status
+function failPrimary(status) {
+  return (request, res) => {
+    if (request.url.startsWith('/primary')) {
+      sendJson(res, status, { error: { message: `primary ${status}` } });
+    } else {
+      sendJson(res, 200, chatCompletion(request.json.model, 'from backup'));
+    }
+  };
+}
+
+test('retries the same upstream after a retryable status', async () => {
+  let calls = 0;
+  upstream.setHandler((request, res) => {
+    calls++;
+    if (calls === 1) {
+      sendJson(res, 503, { error: { message: 'busy' } });
+    } else {
+      sendJson(res, 200, chatCompletion(request.json.model));
+    }
+  });
+
+  const response = await proxy.request('/v1/chat/completions', { model: 'gpt-4o', messages: [{ role: 'user', content: 'hi' }] });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).choices[0].message.content, 'Hello');
+  assert.equal(upstream.requests.length, 2);
+
+  const log = await proxy.lastLog(1);
+  assert.deepEqual(log.attempts.map(attempt => attempt.status), [503, 200]);
+});
+
+test('does not retry a status outside retryOn', async () => {
+  upstream.setHandler((request, res) => sendJson(res, 400, { error: { message: 'bad request' } }));
+
+  const response = await proxy.request('/v1/chat/completions', { model: 'gpt-4o', messages: [] });
+  assert.equal(response.status, 400);
+  assert.equal(upstream.requests.length, 1);
+});
+
+test('fails over to the fallback target once the primary is out of retries', async () => {
+  upstream.setHandler(failPrimary(500));
+
+  const response = await proxy.request('/v1/chat/completions', { model: 'fast', messages: [] });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).choices[0].message.content, 'from backup');
+  assert.deepEqual(upstream.requests.map(request => request.url), [
+    '/primary/chat/completions',
+    '/primary/chat/completions',
+    '/backup/chat/completions'
+  ]);
+
+  const log = await proxy.lastLog(3);
+  assert.deepEqual(log.attempts.map(attempt => [attempt.provider, attempt.status]), [
+    ['primary', 500],
+    ['primary', 500],
+    ['backup', 200]
+  ]);
+});
+
+test('opens the circuit after repeated failures and skips the upstream while it cools down', async () => {
+  // The previous test left two failures against the primary; one more reaches the threshold
+  upstream.setHandler(failPrimary(502));
+  const failed = await proxy.request('/v1/chat/completions', { model: 'fast', messages: [] });
+  assert.equal(failed.status, 200);
+  await proxy.lastLog(4);
+
+  const { upstreams } = await proxy.admin('/stats');
+  const primary = upstreams.find(entry => entry.id === 'primary');
+  assert.equal(primary.state, 'open');
+
+  // Let this isolate's cached view of upstream health expire
+  await new Promise(resolve => setTimeout(resolve, CIRCUIT_CACHE_TTL + 500));
+
+  upstream.setHandler(failPrimary(500));
+  const skipped = await proxy.request('/v1/chat/completions', { model: 'fast', messages: [] });
+  assert.equal(skipped.status, 200);
+  assert.deepEqual(upstream.requests.map(request => request.url), ['/backup/chat/completions']);
+
+  const log = await proxy.lastLog(5);
+  assert.equal(log.attempts[0].skipped, true);
+  assert.equal(log.attempts[0].error, 'Circuit open');
+
+  // With no candidate left the request fails fast and says when to come back
+  const unavailable = await proxy.request('/v1/chat/completions', { model: 'solo', messages: [] });
+  assert.equal(unavailable.status, 503);
+  assert.ok(Number(unavailable.headers.get('Retry-After')) > 0);
+  assert.equal((await unavailable.json()).error.code, 'circuit_open');
+  assert.equal(upstream.requests.length, 1);
+});
+
+describe('recordOutcome', () => {
+  const policy = getCircuitBreakerPolicy({ circuitBreaker: { failureThreshold: 2, cooldownMs: 1000 } });
+
+  // Apply a sequence of [time, outcome] pairs to an empty health entry
+  const replay = outcomes => outcomes.reduce((entry, [now, outcome]) => recordOutcome(entry, outcome, policy, now), undefined);
+
+  test('opens only after consecutive failures reach the threshold', () => {
+    const entry = replay([[0, { status: 500 }], [1, { status: 200 }], [2, { error: 'timeout' }]]);
+    assert.equal(circuitState(entry, policy, 3), 'closed');
+    assert.equal(entry.lastError, 'timeout');
+
+    const opened = recordOutcome(entry, { status: 503 }, policy, 4);
+    assert.equal(circuitState(opened, policy, 5), 'open');
+    assert.equal(circuitState(opened, policy, 1004), 'half_open');
+  });
+
+  test('does not count client errors against the upstream', () => {
+    const entry = replay([[0, { status: 429 }], [1, { status: 400 }], [2, { status: 404 }]]);
+    assert.equal(entry.consecutiveFailures, 0);
+    assert.equal(circuitState(entry, policy, 3), 'closed');
+  });
+
+  test('closes after a successful trial and re-opens after a failed one', () => {
+    const opened = replay([[0, { status: 500 }], [1, { status: 500 }]]);
+
+    // A success that was in flight while the circuit was open does not close it
+    assert.equal(circuitState(recordOutcome(opened, { status: 200 }, policy, 500), policy, 600), 'open');
+
+    assert.equal(circuitState(recordOutcome(opened, { status: 200 }, policy, 1100), policy, 1101), 'closed');
+
+    const reopened = recordOutcome(opened, { status: 500 }, policy, 1100);
+    assert.equal(circuitState(reopened, policy, 1101), 'open');
+    assert.equal(reopened.openedAt, 1100);
+  });
+});
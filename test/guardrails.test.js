@@ -0,0 +1,155 @@
+/**
+ * Outbound content guardrails: redacting, blocking and flagging prompt text
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { applyGuardrails, getGuardrailsPolicy, validateGuardrailsPolicy } from '../src/guardrails.js';
+import { chatCompletion, sendJson, startProxy, startUpstream } from './helpers.js';
+
+const rules = [
+  { name: 'pii', action: 'redact', detectors: ['email', 'phone', 'idNumber', 'cardNumber'], patterns: ['EMP-\\d{6}'] },
+  { name: 'falcon', action: 'block', terms: ['Project Falcon'], models: ['gpt-*'] },
+  { name: 'passwords', action: 'flag', terms: ['password'], endpoints: ['/v1/chat/completions'] }
+];
+const policy = getGuardrailsPolicy({ guardrails: { rules } });
+
+describe('applyGuardrails', () => {
+  test('redacts PII in message contents and prompts', () => {
+    const payload = {
+      messages: [
+        { role: 'system', content: 'Reply to alice@example.com' },
+        { role: 'user', content: [{ type: 'text', text: 'Call +1 415-555-0100 about EMP-123456' }, { type: 'image_url', image_url: { url: 'https://a.example.com/x.png' } }] }
+      ]
+    };
+    const result = applyGuardrails(payload, policy, '/v1/chat/completions', 'gpt-4o');
+    assert.deepEqual(result, { blocked: null, hits: [{ rule: 'pii', action: 'redact', matches: 3 }] });
+    assert.equal(payload.messages[0].content, 'Reply to [REDACTED_EMAIL]');
+    assert.equal(payload.messages[1].content[0].text, 'Call [REDACTED_PHONE] about [REDACTED]');
+    assert.equal(payload.messages[1].content[1].image_url.url, 'https://a.example.com/x.png');
+
+    const completion = { prompt: ['Card 4111 1111 1111 1111', 'Not a card 4111 1111 1111 1112'] };
+    applyGuardrails(completion, policy, '/v1/completions', 'davinci');
+    assert.deepEqual(completion.prompt, ['Card [REDACTED_CARD]', 'Not a card 4111 1111 1111 1112']);
+  });
+
+  test('redacts tool call arguments and multi-part tool results', () => {
+    const payload = {
+      messages: [
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"email":"bob@example.com"}' } }]
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: [{ type: 'text', text: 'Employee EMP-654321' }] },
+        { role: 'assistant', content: null, function_call: { name: 'lookup', arguments: '{"id":"123-45-6789"}' } }
+      ]
+    };
+    applyGuardrails(payload, policy, '/v1/chat/completions', 'gpt-4o');
+    assert.equal(payload.messages[0].tool_calls[0].function.arguments, '{"email":"[REDACTED_EMAIL]"}');
+    assert.equal(payload.messages[1].content[0].text, 'Employee [REDACTED]');
+    assert.equal(payload.messages[2].function_call.arguments, '{"id":"[REDACTED_ID]"}');
+  });
+
+  test('blocks on the text the client sent, only for the models in scope', () => {
+    const blocked = applyGuardrails({ messages: [{ role: 'user', content: 'About project falcon' }] }, policy, '/v1/chat/completions', 'gpt-4o');
+    assert.equal(blocked.blocked, 'falcon');
+
+    const toolCall = { messages: [{ role: 'assistant', tool_calls: [{ function: { name: 'f', arguments: '{"q":"Project Falcon"}' } }] }] };
+    assert.equal(applyGuardrails(toolCall, policy, '/v1/chat/completions', 'gpt-4o').blocked, 'falcon');
+
+    const otherModel = applyGuardrails({ messages: [{ role: 'user', content: 'About project falcon' }] }, policy, '/v1/chat/completions', 'claude');
+    assert.deepEqual(otherModel, { blocked: null, hits: [] });
+  });
+
+  test('flags matches without changing the text', () => {
+    const payload = { messages: [{ role: 'user', content: 'Reset my password' }] };
+    assert.deepEqual(applyGuardrails(payload, policy, '/v1/chat/completions', 'gpt-4o').hits, [{ rule: 'passwords', action: 'flag', matches: 1 }]);
+    assert.equal(payload.messages[0].content, 'Reset my password');
+    assert.deepEqual(applyGuardrails(payload, policy, '/v1/completions', 'gpt-4o').hits, []);
+  });
+
+  test('checks every string of a passthrough body', () => {
+    const payload = { model: 'gpt-4o', input: [{ role: 'user', content: [{ type: 'input_text', text: 'Mail carol@example.com' }] }] };
+    applyGuardrails(payload, policy, '/v1/responses', 'gpt-4o', true);
+    assert.equal(payload.input[0].content[0].text, 'Mail [REDACTED_EMAIL]');
+    assert.equal(applyGuardrails({ instructions: 'Project Falcon' }, policy, '/v1/responses', 'gpt-4o', true).blocked, 'falcon');
+  });
+
+  test('rejects malformed rules', () => {
+    assert.equal(validateGuardrailsPolicy({ rules }), null);
+    assert.match(validateGuardrailsPolicy({ rules: [{ name: 'x', action: 'drop', terms: ['a'] }] }), /action must be one of/);
+    assert.match(validateGuardrailsPolicy({ rules: [{ name: 'x', action: 'flag' }] }), /needs detectors, patterns or terms/);
+    assert.match(validateGuardrailsPolicy({ rules: [{ name: 'x', action: 'flag', patterns: ['('] }] }), /pattern \(/);
+    assert.equal(validateGuardrailsPolicy({ rules: [rules[0], rules[0]] }), 'Duplicate guardrails rule pii');
+  });
+});
+
+describe('guarded requests', () => {
+  let upstream;
+  let proxy;
+  let logged = 0;
+
+  before(async () => {
+    upstream = await startUpstream((request, res) => sendJson(res, 200, chatCompletion(request.json && request.json.model)));
+    proxy = await startProxy(upstream.url);
+    await proxy.admin('/config', {
+      method: 'POST',
+      body: JSON.stringify({ guardrails: { rules }, endpoints: { passthrough: true } })
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  // Send a request through the proxy, counting it towards the logs
+  const send = async (path, body) => {
+    const response = await proxy.request(path, body);
+    logged++;
+    return response;
+  };
+
+  test('forwards the redacted body and logs the rules that matched', async () => {
+    const response = await send('/v1/chat/completions', {
+      model: 'gpt-4o',
+      messages: [{ role: 'user', content: 'My email is dave@example.com and my password is hunter2' }]
+    });
+    assert.equal(response.status, 200);
+    assert.equal(upstream.requests[0].json.messages[0].content, 'My email is [REDACTED_EMAIL] and my password is hunter2');
+
+    const log = await proxy.lastLog(logged);
+    assert.deepEqual(log.guardrails, [
+      { rule: 'passwords', action: 'flag', matches: 1 },
+      { rule: 'pii', action: 'redact', matches: 1 }
+    ]);
+  });
+
+  test('blocks a request without forwarding it or echoing the match', async () => {
+    upstream.setHandler((request, res) => sendJson(res, 200, chatCompletion(request.json.model)));
+
+    const response = await send('/v1/chat/completions', { model: 'gpt-4o', messages: [{ role: 'user', content: 'Status of Project Falcon?' }] });
+    assert.equal(response.status, 400);
+    const { error } = await response.json();
+    assert.equal(error.code, 'content_policy_violation');
+    assert.doesNotMatch(error.message, /Falcon/);
+    assert.equal(upstream.requests.length, 0);
+
+    const log = await proxy.lastLog(logged);
+    assert.equal(log.status, 400);
+    assert.equal(log.error, 'Blocked by guardrail rule falcon');
+  });
+
+  test('applies to JSON bodies sent to passthrough paths', async () => {
+    upstream.setHandler((request, res) => sendJson(res, 200, { id: 'resp_1', object: 'response' }));
+
+    const response = await send('/v1/responses', { model: 'gpt-4o', input: 'Write to erin@example.com' });
+    assert.equal(response.status, 200);
+    assert.equal(upstream.requests[0].json.input, 'Write to [REDACTED_EMAIL]');
+
+    const blocked = await send('/v1/responses', { model: 'gpt-4o', input: 'Project Falcon' });
+    assert.equal(blocked.status, 400);
+    assert.equal(upstream.requests.length, 1);
+  });
+});
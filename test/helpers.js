@@ -0,0 +1,179 @@
+/**
+ * Shared test helpers: a mock upstream HTTP server and a local proxy started with wrangler
+ */
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { unstable_dev } from 'wrangler';
+
+// Admin password the test proxy is started with
+export const ADMIN_PASSWORD = 'test-password';
+
+// Start a mock upstream that answers every request with handler(request, res)
+// Each request is recorded as { method, url, headers, body, json } before the handler runs;
+// the handler can be swapped between tests with setHandler
+export async function startUpstream(handler = (request, res) => sendJson(res, 404, { error: { message: 'Not found' } })) {
+  const requests = [];
+  let current = handler;
+
+  const server = createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      let json = null;
+      try {
+        json = JSON.parse(body);
+      } catch (error) {
+        // Not every request has a JSON body
+      }
+
+      const request = { method: req.method, url: req.url, headers: req.headers, body, json };
+      requests.push(request);
+      current(request, res);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    setHandler(next) {
+      current = next;
+      requests.length = 0;
+    },
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// Send a JSON response from a mock upstream
+export function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Send an SSE response made of the given events from a mock upstream
+// Events are written one at a time; with cut set the connection is dropped after the last one
+export function sendEvents(res, events, { cut = false, contentType = 'text/event-stream' } = {}) {
+  res.writeHead(200, { 'Content-Type': contentType });
+  let index = 0;
+
+  const next = () => {
+    if (index < events.length) {
+      res.write(events[index++]);
+      setTimeout(next, 10);
+    } else if (cut) {
+      res.destroy();
+    } else {
+      res.end();
+    }
+  };
+  next();
+}
+
+// An OpenAI chat completion as a mock upstream returns it
+export function chatCompletion(model, content = 'Hello', usage = { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }) {
+  return {
+    id: 'chatcmpl-test',
+    object: 'chat.completion',
+    created: 1700000000,
+    model,
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage
+  };
+}
+
+// Start the proxy locally against a mock upstream, with empty storage and any extra vars
+// Storage lives in a temporary directory, so test files never see each other's state
+// Returns helpers to call the admin API and the proxied endpoints
+export async function startProxy(targetApiUrl, vars = {}) {
+  const persistTo = await mkdtemp(join(tmpdir(), 'llm-proxy-test-'));
+  const worker = await unstable_dev('src/index.js', {
+    config: 'wrangler.toml',
+    vars: { TARGET_API_URL: targetApiUrl, ADMIN_PASSWORD, ...vars },
+    persistTo,
+    logLevel: 'none',
+    // testScheduled serves /__scheduled, which runs the cron handler once
+    experimental: { disableExperimentalWarning: true, testScheduled: true }
+  });
+
+  const login = await worker.fetch('/admin/login', {
+    method: 'POST',
+    body: JSON.stringify({ password: ADMIN_PASSWORD })
+  });
+  const { token } = await login.json();
+
+  // Call the admin API, returning the response
+  const adminResponse = (path, init = {}) => worker.fetch(`/admin${path}`, {
+    ...init,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', ...init.headers }
+  });
+
+  // Call the admin API, returning the parsed JSON body of a successful response
+  const admin = async (path, init = {}) => {
+    const response = await adminResponse(path, init);
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`Admin ${init.method || 'GET'} ${path} returned ${response.status}: ${text}`);
+    }
+    return text ? JSON.parse(text) : null;
+  };
+
+  const { key } = await admin('/keys', { method: 'POST', body: JSON.stringify({ name: 'test' }) });
+
+  return {
+    admin,
+    adminResponse,
+
+    // The plaintext client key the proxied endpoints are called with
+    key,
+
+    // Call any path of the proxy as is, without a client key
+    fetch: (path, init = {}) => worker.fetch(path, init),
+
+    // Run the cron handler (health checks and alerts) once
+    scheduled: () => worker.fetch('/__scheduled'),
+
+    // Call a proxied endpoint with the client key; redirects are returned, not followed
+    request: (path, body, headers = {}) => worker.fetch(path, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    }),
+
+    // Wait until at least count requests have been logged, returning the newest log
+    async lastLog(count = 1) {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const { logs } = await admin('/logs');
+        if (logs.length >= count) {
+          return logs[0];
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      throw new Error(`Expected ${count} logged requests`);
+    },
+
+    async stop() {
+      await worker.stop();
+      await rm(persistTo, { recursive: true, force: true });
+    }
+  };
+}
+
+// Read an SSE response into its data payloads ("[DONE]" stays a string)
+export async function readEvents(response) {
+  const text = await response.text();
+  return text.split(/\n\n/)
+    .map(event => event.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n'))
+    .filter(Boolean)
+    .map(data => (data === '[DONE]' ? data : JSON.parse(data)));
+}
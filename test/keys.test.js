@@ -0,0 +1,146 @@
+/**
+ * Proxy-issued client keys: restrictions, quotas, revocation and attribution
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { findExceededQuota, getClientKey, isKeyAllowed, rollUsage, validateClientKeySettings } from '../src/keys.js';
+import { chatCompletion, sendJson, startProxy, startUpstream } from './helpers.js';
+
+describe('rollUsage', () => {
+  test('resets the daily and monthly counters when their UTC period rolls over', () => {
+    const usage = { day: '2026-01-31', month: '2026-01', requestsDay: 5, requestsMonth: 50, tokensDay: 10, tokensMonth: 100 };
+    assert.deepEqual(rollUsage(usage, new Date('2026-01-31T23:59:59Z')), usage);
+    assert.deepEqual(rollUsage(usage, new Date('2026-02-01T00:00:00Z')), {
+      day: '2026-02-01', month: '2026-02', requestsDay: 0, requestsMonth: 0, tokensDay: 0, tokensMonth: 0
+    });
+  });
+});
+
+describe('key checks', () => {
+  const key = {
+    allowedEndpoints: ['/v1/chat/completions', '/v1/models'],
+    allowedModels: ['gpt-4o*'],
+    quotas: { requestsPerDay: 2, tokensPerMonth: 100 },
+    usage: { requestsDay: 1, tokensMonth: 100 }
+  };
+
+  test('allows only the listed endpoints and models, never refusing the model list', () => {
+    assert.equal(isKeyAllowed(key, '/v1/chat/completions', 'gpt-4o-mini'), true);
+    assert.equal(isKeyAllowed(key, '/v1/chat/completions', 'claude'), false);
+    assert.equal(isKeyAllowed(key, '/v1/embeddings', 'gpt-4o'), false);
+    assert.equal(isKeyAllowed(key, '/v1/models', null), true);
+    assert.equal(isKeyAllowed({}, '/v1/embeddings', 'anything'), true);
+  });
+
+  test('finds the first quota that is used up', () => {
+    assert.equal(findExceededQuota(key), 'tokensPerMonth');
+    assert.equal(findExceededQuota({ ...key, usage: { requestsDay: 2 } }), 'requestsPerDay');
+    assert.equal(findExceededQuota({ ...key, usage: {} }), null);
+  });
+
+  test('reads the key from a bearer header or x-api-key', () => {
+    const request = headers => new Request('https://proxy.example.com/v1/messages', { headers });
+    assert.equal(getClientKey(request({ Authorization: 'Bearer sk-proxy-a' })), 'sk-proxy-a');
+    assert.equal(getClientKey(request({ 'x-api-key': 'sk-proxy-b' })), 'sk-proxy-b');
+    assert.equal(getClientKey(request({})), null);
+  });
+
+  test('rejects malformed settings', () => {
+    assert.equal(validateClientKeySettings({ name: ' ' }), 'Missing name');
+    assert.equal(validateClientKeySettings({ name: 'a', expiresAt: 'soon' }), 'Invalid expiresAt');
+    assert.equal(validateClientKeySettings({ name: 'a', allowedModels: 'gpt-4o' }), 'Invalid allowedModels');
+    assert.equal(validateClientKeySettings({ name: 'a', quotas: { requestsPerDay: -1 } }), 'Invalid quotas.requestsPerDay');
+  });
+});
+
+describe('client keys', () => {
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    upstream = await startUpstream((request, res) => sendJson(res, 200, chatCompletion(request.json.model)));
+    proxy = await startProxy(upstream.url);
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  // Create a client key with the given settings, returning it with its plaintext key
+  const createKey = settings => proxy.admin('/keys', { method: 'POST', body: JSON.stringify({ name: 'client', ...settings }) });
+
+  // Send a chat completion with a client key
+  const chat = (key, model = 'gpt-4o', path = '/v1/chat/completions') => proxy.request(path, { model, messages: [] }, {
+    Authorization: `Bearer ${key}`
+  });
+
+  test('shows the plaintext key only when it is created', async () => {
+    const created = await createKey({ name: 'shown-once' });
+    assert.match(created.key, /^sk-proxy-/);
+    assert.equal(created.prefix, created.key.slice(0, 13));
+
+    const listed = (await proxy.admin('/keys')).find(key => key.id === created.id);
+    assert.equal(listed.key, undefined);
+    assert.equal(listed.keyHash, undefined);
+    assert.equal(listed.prefix, created.prefix);
+  });
+
+  test('refuses endpoints and models outside the key\'s restrictions', async () => {
+    const { key } = await createKey({ allowedEndpoints: ['/v1/chat/completions'], allowedModels: ['gpt-4o*'] });
+
+    assert.equal((await chat(key, 'gpt-4o-mini')).status, 200);
+
+    const model = await chat(key, 'claude-3');
+    assert.equal(model.status, 403);
+    assert.equal((await model.json()).error.code, 'key_not_allowed');
+
+    const endpoint = await chat(key, 'gpt-4o', '/v1/embeddings');
+    assert.equal(endpoint.status, 403);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  test('counts requests and tokens against the key\'s quotas', async () => {
+    const { id, key } = await createKey({ quotas: { requestsPerDay: 2 } });
+    assert.equal((await chat(key)).status, 200);
+    assert.equal((await chat(key)).status, 200);
+
+    const exceeded = await chat(key);
+    assert.equal(exceeded.status, 429);
+    const { error } = await exceeded.json();
+    assert.equal(error.code, 'insufficient_quota');
+    assert.equal(error.message, 'API key quota exceeded: requestsPerDay');
+
+    // Requests refused at authentication are not logged
+    const log = await proxy.lastLog(3);
+    assert.equal(log.keyId, id);
+    assert.equal(log.keyName, 'client');
+
+    const tokens = await createKey({ quotas: { tokensPerDay: 7 } });
+    assert.equal((await chat(tokens.key)).status, 200);
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const listed = (await proxy.admin('/keys')).find(entry => entry.id === tokens.id);
+      if (listed.usage.tokensDay === 7) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.equal((await chat(tokens.key)).status, 429);
+  });
+
+  test('refuses revoked and expired keys', async () => {
+    const revoked = await createKey();
+    assert.equal((await chat(revoked.key)).status, 200);
+    await proxy.admin(`/keys/${revoked.id}`, { method: 'DELETE' });
+
+    const response = await chat(revoked.key);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error.code, 'invalid_api_key');
+
+    const expired = await createKey({ expiresAt: '2020-01-01T00:00:00Z' });
+    const late = await chat(expired.key);
+    assert.equal(late.status, 401);
+    assert.equal((await late.json()).error.message, 'API key has expired');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Request log storage: filters, pagination and export
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { buildLogFilter, csvHeader, csvLine, decodeCursor, encodeCursor, validateLogRetention } from '../src/logs.js';
+import { chatCompletion, sendJson, startProxy, startUpstream } from './helpers.js';
+
+describe('buildLogFilter', () => {
+  const filter = query => buildLogFilter(new URLSearchParams(query));
+
+  test('builds one condition per filter, with status classes and * wildcards', () => {
+    assert.deepEqual(filter('status=429,5xx&model=gpt-4o*&q=50%_off'), {
+      where: "(status = ? OR status BETWEEN ? AND ?) AND model LIKE ? ESCAPE '\\' AND entry LIKE ? ESCAPE '\\'",
+      bindings: [429, 500, 599, 'gpt-4o%', '%50\\%\\_off%']
+    });
+    assert.deepEqual(filter('from=1000&to=2026-01-01T00:00:00Z'), {
+      where: 'ts >= ? AND ts <= ?',
+      bindings: [1000, Date.parse('2026-01-01T00:00:00Z')]
+    });
+    assert.deepEqual(filter(''), { where: '1 = 1', bindings: [] });
+  });
+
+  test('rejects malformed filters', () => {
+    assert.deepEqual(filter('status=teapot'), { error: 'Invalid status' });
+    assert.deepEqual(filter('from=yesterday'), { error: 'Invalid from' });
+  });
+});
+
+describe('log formats', () => {
+  test('round-trips page cursors and rejects forged ones', () => {
+    assert.deepEqual(decodeCursor(encodeCursor({ ts: 1700000000000, id: 'abc' })), { ts: 1700000000000, id: 'abc' });
+    assert.equal(decodeCursor('not-a-cursor'), null);
+    assert.equal(decodeCursor(btoa('["1", 2]')), null);
+  });
+
+  test('writes CSV lines with quoted cells where needed', () => {
+    assert.match(csvHeader(), /^id,requestId,timestamp,endpoint,model,/);
+    const line = csvLine({ id: 'a', model: 'gpt-4o', error: 'Bad "input", retry' });
+    assert.equal(line, `a,,,,gpt-4o,,,,,,,,,,,,,"Bad ""input"", retry"\r\n`);
+  });
+
+  test('rejects malformed retention', () => {
+    assert.equal(validateLogRetention({ maxAgeDays: 0 }), 'Invalid logRetention.maxAgeDays');
+    assert.equal(validateLogRetention({ maxEntries: 1.5 }), 'Invalid logRetention.maxEntries');
+  });
+});
+
+describe('GET /admin/logs', () => {
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    upstream = await startUpstream((request, res) => {
+      if (request.json.model === 'broken') {
+        sendJson(res, 400, { error: { message: 'Unsupported model' } });
+      } else {
+        sendJson(res, 200, chatCompletion(request.json.model));
+      }
+    });
+    proxy = await startProxy(upstream.url);
+
+    for (const model of ['gpt-4o', 'gpt-4o-mini', 'broken', 'qwen-turbo', 'gpt-4o']) {
+      await proxy.request('/v1/chat/completions', { model, messages: [] });
+    }
+    await proxy.lastLog(5);
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  test('filters by status, model and text', async () => {
+    const failed = await proxy.admin('/logs?status=4xx');
+    assert.deepEqual(failed.logs.map(log => log.model), ['broken']);
+
+    const gpt = await proxy.admin('/logs?model=gpt-4o*&status=200');
+    assert.deepEqual(gpt.logs.map(log => log.model), ['gpt-4o', 'gpt-4o-mini', 'gpt-4o']);
+
+    const search = await proxy.admin('/logs?q=qwen');
+    assert.deepEqual(search.logs.map(log => log.model), ['qwen-turbo']);
+
+    const invalid = await proxy.adminResponse('/logs?status=teapot');
+    assert.equal(invalid.status, 400);
+  });
+
+  test('pages from newest to oldest with a cursor', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await proxy.admin(`/logs?limit=2${cursor ? `&cursor=${cursor}` : ''}`);
+      assert.ok(page.logs.length <= 2);
+      seen.push(...page.logs.map(log => log.model));
+      cursor = page.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, ['gpt-4o', 'qwen-turbo', 'broken', 'gpt-4o-mini', 'gpt-4o']);
+  });
+
+  test('returns a single entry by id, with its captured bodies', async () => {
+    const { logs: [newest] } = await proxy.admin('/logs?limit=1');
+    const { log, capture } = await proxy.admin(`/logs/${newest.id}`);
+    assert.deepEqual(log, newest);
+    assert.equal(capture, null);
+    assert.equal((await proxy.adminResponse('/logs/missing')).status, 404);
+  });
+
+  test('exports every matching entry as CSV or NDJSON', async () => {
+    const csv = await proxy.adminResponse('/logs/export?format=csv&model=gpt-4o');
+    assert.match(csv.headers.get('Content-Type'), /^text\/csv/);
+    const lines = (await csv.text()).trim().split('\r\n');
+    assert.equal(lines[0], csvHeader().trim());
+    assert.equal(lines.length, 3);
+
+    const ndjson = await proxy.adminResponse('/logs/export?format=ndjson&status=4xx');
+    const entries = (await ndjson.text()).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(entries.map(entry => [entry.model, entry.status]), [['broken', 400]]);
+  });
+
+  test('clears every entry', async () => {
+    await proxy.admin('/logs', { method: 'DELETE' });
+    assert.deepEqual((await proxy.admin('/logs')).logs, []);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * The Anthropic Messages API compatibility layer (/v1/messages), against a mock OpenAI upstream
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { chatResponseToMessage, messagesToChatRequest, validateMessagesRequest } from '../src/anthropic.js';
+import { chatCompletion, readEvents, sendEvents, sendJson, startProxy, startUpstream } from './helpers.js';
+
+describe('messagesToChatRequest', () => {
+  test('translates the system prompt, tool use and tool results', () => {
+    const payload = messagesToChatRequest({
+      model: 'gpt-4o',
+      max_tokens: 100,
+      system: [{ type: 'text', text: 'Be brief' }],
+      stop_sequences: ['END'],
+      messages: [
+        { role: 'user', content: 'Weather in Paris?' },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'weather', input: { city: 'Paris' } }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'Sunny' }] }
+      ],
+      tools: [{ name: 'weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }],
+      tool_choice: { type: 'any' }
+    });
+
+    assert.deepEqual(payload.messages[0], { role: 'system', content: 'Be brief' });
+    assert.deepEqual(payload.messages[2].tool_calls, [
+      { id: 'toolu_1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } }
+    ]);
+    assert.equal(payload.messages[3].role, 'tool');
+    assert.equal(payload.messages[3].tool_call_id, 'toolu_1');
+    assert.deepEqual(payload.stop, ['END']);
+    assert.equal(payload.tool_choice, 'required');
+    assert.equal(payload.max_tokens, 100);
+  });
+
+  test('rejects requests without the required fields', () => {
+    assert.equal(validateMessagesRequest([]), 'Request body must be a JSON object');
+    assert.match(validateMessagesRequest({ model: 'gpt-4o', messages: [] }), /max_tokens/);
+  });
+});
+
+describe('chatResponseToMessage', () => {
+  test('translates text, tool calls, the stop reason and usage', () => {
+    const completion = chatCompletion('gpt-4o', 'Hi', { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 });
+    completion.choices[0].message.tool_calls = [{ id: 'call_1', type: 'function', function: { name: 'f', arguments: '{"a":1}' } }];
+    completion.choices[0].finish_reason = 'tool_calls';
+
+    const message = chatResponseToMessage(completion, 'gpt-4o');
+    assert.equal(message.id, 'msg_test');
+    assert.deepEqual(message.content, [
+      { type: 'text', text: 'Hi' },
+      { type: 'tool_use', id: 'call_1', name: 'f', input: { a: 1 } }
+    ]);
+    assert.equal(message.stop_reason, 'tool_use');
+    assert.deepEqual(message.usage, { input_tokens: 3, output_tokens: 1 });
+  });
+});
+
+describe('/v1/messages', () => {
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    upstream = await startUpstream();
+    proxy = await startProxy(upstream.url);
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  // Send a Messages request with the anthropic-version header the Anthropic SDK adds
+  const messages = body => proxy.request('/v1/messages', { model: 'gpt-4o', max_tokens: 64, messages: [{ role: 'user', content: 'Hello' }], ...body }, {
+    'anthropic-version': '2023-06-01'
+  });
+
+  test('answers with an Anthropic message translated from the chat completion', async () => {
+    upstream.setHandler((request, res) => sendJson(res, 200, chatCompletion(request.json.model, 'Hi there')));
+
+    const response = await messages();
+    assert.equal(response.status, 200);
+    const message = await response.json();
+    assert.equal(message.type, 'message');
+    assert.deepEqual(message.content, [{ type: 'text', text: 'Hi there' }]);
+    assert.equal(upstream.requests[0].url, '/v1/chat/completions');
+    assert.equal(upstream.requests[0].headers['anthropic-version'], undefined);
+  });
+
+  test('translates a stream into Anthropic events', async () => {
+    upstream.setHandler((request, res) => sendEvents(res, [
+      `data: ${JSON.stringify({ id: 'c1', model: 'gpt-4o', choices: [{ index: 0, delta: { role: 'assistant', content: 'Hi' } }] })}\n\n`,
+      `data: ${JSON.stringify({ id: 'c1', model: 'gpt-4o', choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`,
+      `data: ${JSON.stringify({ id: 'c1', model: 'gpt-4o', choices: [], usage: { prompt_tokens: 2, completion_tokens: 1, total_tokens: 3 } })}\n\n`,
+      'data: [DONE]\n\n'
+    ]));
+
+    const response = await messages({ stream: true });
+    assert.equal(response.status, 200);
+    const events = await readEvents(response);
+    assert.deepEqual(events.map(event => event.type), [
+      'message_start',
+      'ping',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_stop',
+      'message_delta',
+      'message_stop'
+    ]);
+    assert.equal(events[3].delta.text, 'Hi');
+    assert.equal(upstream.requests[0].json.stream_options.include_usage, true);
+  });
+
+  test('rejects an invalid request in the Anthropic error shape, with the usual headers', async () => {
+    const response = await messages({ max_tokens: undefined });
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get('Access-Control-Allow-Origin'), '*');
+    assert.equal(response.headers.get('X-Content-Type-Options'), 'nosniff');
+    const body = await response.json();
+    assert.equal(body.type, 'error');
+    assert.equal(body.error.type, 'invalid_request_error');
+  });
+
+  test('passes upstream errors on in the Anthropic error shape', async () => {
+    upstream.setHandler((request, res) => sendJson(res, 429, { error: { message: 'slow down', type: 'rate_limit_error' } }));
+
+    const response = await messages();
+    assert.equal(response.status, 429);
+    assert.deepEqual(await response.json(), { type: 'error', error: { type: 'rate_limit_error', message: 'slow down' } });
+  });
+
+  test('answers a successful upstream response that is not JSON with an Anthropic 500', async () => {
+    upstream.setHandler((request, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<html>maintenance</html>');
+    });
+
+    const response = await messages();
+    assert.equal(response.status, 500);
+    assert.equal(response.headers.get('Content-Type'), 'application/json');
+    assert.equal(response.headers.get('X-Content-Type-Options'), 'nosniff');
+    const body = await response.json();
+    assert.equal(body.type, 'error');
+    assert.equal(body.error.type, 'api_error');
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Prometheus/OpenMetrics metrics: sample increments, exposition and the scrape token
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { metricIncrements, renderMetrics } from '../src/metrics.js';
+import { chatCompletion, sendJson, startProxy, startUpstream } from './helpers.js';
+
+describe('metricIncrements', () => {
+  const log = {
+    endpoint: '/v1/chat/completions',
+    model: 'gpt-4o',
+    targetApi: 'https://backup.example.com',
+    status: 200,
+    duration: 300,
+    promptTokens: 10,
+    completionTokens: 4,
+    attempts: [
+      { upstream: 'default', targetApi: 'https://api.example.com', error: 'timeout' },
+      { upstream: 'backup', targetApi: 'https://api.example.com/skipped', skipped: true },
+      { upstream: 'backup', targetApi: 'https://backup.example.com', status: 200 }
+    ]
+  };
+
+  // The increments of a log entry by metric name, with labels parsed
+  const increments = entry => metricIncrements(entry).map(sample => ({ ...sample, labels: JSON.parse(sample.labels) }));
+
+  test('counts the request, each attempt that was made and the tokens', () => {
+    const samples = increments(log);
+    const labels = { endpoint: '/v1/chat/completions', model: 'gpt-4o', upstream: 'https://backup.example.com' };
+
+    assert.deepEqual(samples.find(sample => sample.name === 'llm_proxy_requests_total'), {
+      name: 'llm_proxy_requests_total', labels: { ...labels, status: '200' }, value: 1
+    });
+    assert.deepEqual(samples.filter(sample => sample.name.startsWith('llm_proxy_upstream_')), [
+      { name: 'llm_proxy_upstream_fetch_failures_total', labels: { ...labels, upstream: 'https://api.example.com' }, value: 1 },
+      { name: 'llm_proxy_upstream_responses_total', labels: { ...labels, status: '200' }, value: 1 }
+    ]);
+    assert.deepEqual(samples.filter(sample => sample.name === 'llm_proxy_tokens_total').map(sample => [sample.labels.type, sample.value]), [
+      ['prompt', 10],
+      ['completion', 4]
+    ]);
+  });
+
+  test('observes the duration in every histogram bucket at or above it', () => {
+    const buckets = increments(log).filter(sample => sample.name === 'llm_proxy_request_duration_seconds_bucket');
+    assert.equal(buckets.find(sample => sample.labels.le === '0.25').value, 0);
+    assert.equal(buckets.find(sample => sample.labels.le === '0.5').value, 1);
+    assert.equal(buckets.find(sample => sample.labels.le === '+Inf').value, 1);
+    assert.equal(increments(log).find(sample => sample.name === 'llm_proxy_request_duration_seconds_sum').value, 0.3);
+    assert.equal(increments(log).some(sample => sample.name.startsWith('llm_proxy_time_to_first_token')), false);
+  });
+
+  test('serializes labels the same way whatever order they were set in', () => {
+    const [first] = metricIncrements(log);
+    const [second] = metricIncrements({ status: 200, targetApi: log.targetApi, model: log.model, endpoint: log.endpoint, attempts: log.attempts });
+    assert.equal(first.labels, second.labels);
+  });
+});
+
+describe('renderMetrics', () => {
+  const rows = [
+    { name: 'llm_proxy_requests_total', labels: JSON.stringify({ model: 'say "hi"\n', status: '200' }), value: 3 },
+    { name: 'llm_proxy_request_duration_seconds_sum', labels: JSON.stringify({ model: 'a' }), value: 1.2345678 },
+    { name: 'llm_proxy_request_duration_seconds_bucket', labels: JSON.stringify({ model: 'a', le: '+Inf' }), value: 2 },
+    { name: 'llm_proxy_request_duration_seconds_bucket', labels: JSON.stringify({ model: 'a', le: '10' }), value: 2 },
+    { name: 'llm_proxy_request_duration_seconds_bucket', labels: JSON.stringify({ model: 'a', le: '2.5' }), value: 1 },
+    { name: 'llm_proxy_request_duration_seconds_count', labels: JSON.stringify({ model: 'a' }), value: 2 }
+  ];
+
+  test('writes the Prometheus text format with escaped labels and ordered buckets', () => {
+    const text = renderMetrics(rows);
+    assert.match(text, /^# HELP llm_proxy_requests_total .+\n# TYPE llm_proxy_requests_total counter\n/);
+    assert.ok(text.includes('llm_proxy_requests_total{model="say \\"hi\\"\\n",status="200"} 3\n'));
+    assert.ok(text.includes([
+      'llm_proxy_request_duration_seconds_bucket{model="a",le="2.5"} 1',
+      'llm_proxy_request_duration_seconds_bucket{model="a",le="10"} 2',
+      'llm_proxy_request_duration_seconds_bucket{model="a",le="+Inf"} 2',
+      'llm_proxy_request_duration_seconds_sum{model="a"} 1.234568',
+      'llm_proxy_request_duration_seconds_count{model="a"} 2'
+    ].join('\n')));
+    assert.equal(text.includes('# EOF'), false);
+  });
+
+  test('declares counters without _total and ends with EOF in OpenMetrics', () => {
+    const text = renderMetrics(rows, true);
+    assert.ok(text.includes('# TYPE llm_proxy_requests counter\n'));
+    assert.ok(text.includes('# TYPE llm_proxy_request_duration_seconds histogram\n'));
+    assert.ok(text.endsWith('# EOF\n'));
+  });
+});
+
+describe('GET /metrics', () => {
+  let upstream;
+  let proxy;
+  let token;
+
+  before(async () => {
+    upstream = await startUpstream((request, res) => sendJson(res, 200, chatCompletion(request.json.model, 'hi', {
+      prompt_tokens: 3,
+      completion_tokens: 2,
+      total_tokens: 5
+    })));
+    proxy = await startProxy(upstream.url);
+
+    for (let index = 0; index < 2; index++) {
+      await proxy.request('/v1/chat/completions', { model: 'gpt-4o', messages: [] });
+    }
+    await proxy.lastLog(2);
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  // Scrape the metrics with a token and optional extra headers
+  const scrape = (credential, headers = {}) => proxy.fetch('/metrics', { headers: { Authorization: `Bearer ${credential}`, ...headers } });
+
+  test('is off until a scrape token is created, which is shown only once', async () => {
+    assert.deepEqual(await proxy.admin('/metrics/token'), { enabled: false });
+    assert.equal((await scrape('mt-proxy-none')).status, 404);
+
+    const created = await proxy.admin('/metrics/token', { method: 'POST' });
+    assert.match(created.token, /^mt-proxy-/);
+    token = created.token;
+
+    const described = await proxy.admin('/metrics/token');
+    assert.deepEqual(described, { enabled: true, prefix: created.prefix, createdAt: created.createdAt });
+  });
+
+  test('exposes the request, upstream and token counters', async () => {
+    const response = await scrape(token);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('Content-Type'), 'text/plain; version=0.0.4; charset=utf-8');
+
+    const text = await response.text();
+    const upstreamUrl = upstream.url.replace(/\/$/, '');
+    const labels = `endpoint="/v1/chat/completions",model="gpt-4o"`;
+    assert.ok(text.includes(`llm_proxy_requests_total{${labels},status="200",upstream="${upstreamUrl}"} 2\n`), text);
+    assert.ok(text.includes(`llm_proxy_upstream_responses_total{${labels},status="200",upstream="${upstreamUrl}"} 2\n`));
+    assert.ok(text.includes(`llm_proxy_tokens_total{${labels},type="completion",upstream="${upstreamUrl}"} 4\n`));
+    assert.ok(text.includes(`llm_proxy_request_duration_seconds_count{${labels},upstream="${upstreamUrl}"} 2\n`));
+  });
+
+  test('answers OpenMetrics when the scraper asks for it', async () => {
+    const response = await scrape(token, { Accept: 'application/openmetrics-text; version=1.0.0' });
+    assert.match(response.headers.get('Content-Type'), /^application\/openmetrics-text/);
+    assert.ok((await response.text()).endsWith('# EOF\n'));
+  });
+
+  test('accepts only the current scrape token, never a client key', async () => {
+    assert.equal((await scrape(proxy.key)).status, 401);
+
+    const replaced = await proxy.admin('/metrics/token', { method: 'POST' });
+    assert.equal((await scrape(token)).status, 401);
+    assert.equal((await scrape(replaced.token)).status, 200);
+
+    // A scrape token cannot call the API either
+    const chat = await proxy.request('/v1/chat/completions', { model: 'gpt-4o', messages: [] }, { Authorization: `Bearer ${replaced.token}` });
+    assert.equal(chat.status, 401);
+
+    await proxy.admin('/metrics/token', { method: 'DELETE' });
+    assert.equal((await scrape(replaced.token)).status, 404);
+  });
+});
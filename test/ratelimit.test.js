@@ -0,0 +1,96 @@
+/**
+ * Token-bucket rate limits per caller credential, source IP and model
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { getRateLimitPolicy, hasRateLimits, settleRateLimit, takeRateLimit, validateRateLimitPolicy } from '../src/ratelimit.js';
+import { chatCompletion, sendJson, startProxy, startUpstream } from './helpers.js';
+
+describe('takeRateLimit', () => {
+  const policy = getRateLimitPolicy({ rateLimits: { credential: { requestsPerMinute: 2 }, model: { tokensPerMinute: 100 } } });
+  const subjects = { credential: 'hash-a', ip: '203.0.113.1', model: 'gpt-4o' };
+
+  test('takes a request from each bucket until one is empty, then says when to retry', () => {
+    const buckets = new Map();
+    assert.equal(takeRateLimit(buckets, policy, subjects, 10, 0).allowed, true);
+
+    const second = takeRateLimit(buckets, policy, subjects, 10, 0);
+    assert.equal(second.headers['x-ratelimit-remaining-requests'], '0');
+    assert.equal(second.headers['x-ratelimit-remaining-tokens'], '80');
+
+    const refused = takeRateLimit(buckets, policy, subjects, 10, 0);
+    assert.deepEqual([refused.allowed, refused.scope, refused.bucket, refused.retryAfter], [false, 'credential', 'requests', 30]);
+
+    // Another credential has its own bucket; half a minute later the first has refilled one request
+    assert.equal(takeRateLimit(buckets, policy, { ...subjects, credential: 'hash-b' }, 10, 0).allowed, true);
+    assert.equal(takeRateLimit(buckets, policy, subjects, 10, 30 * 1000).allowed, true);
+  });
+
+  test('lets one request overdraw the token bucket, then refuses until it is paid back', () => {
+    const buckets = new Map();
+    const tokensOnly = getRateLimitPolicy({ rateLimits: { model: { tokensPerMinute: 100 } } });
+    assert.equal(takeRateLimit(buckets, tokensOnly, subjects, 150, 0).allowed, true);
+    assert.equal(takeRateLimit(buckets, tokensOnly, subjects, 1, 0).bucket, 'tokens');
+    assert.equal(takeRateLimit(buckets, tokensOnly, subjects, 1, 31 * 1000).allowed, true);
+  });
+
+  test('settles the estimate against the real token usage', () => {
+    const buckets = new Map();
+    takeRateLimit(buckets, policy, subjects, 10, 0);
+    settleRateLimit(buckets, policy, subjects, 40, 0);
+    assert.equal(takeRateLimit(buckets, policy, subjects, 0, 0).headers['x-ratelimit-remaining-tokens'], '50');
+  });
+
+  test('is off until a limit is set, and rejects malformed settings', () => {
+    assert.equal(hasRateLimits(getRateLimitPolicy({})), false);
+    assert.equal(hasRateLimits(policy), true);
+    assert.equal(validateRateLimitPolicy({ key: {} }), 'Invalid rateLimits scope key');
+    assert.equal(validateRateLimitPolicy({ ip: { requestsPerHour: 1 } }), 'Invalid rateLimits.ip field requestsPerHour');
+    assert.equal(validateRateLimitPolicy({ ip: { requestsPerMinute: 0 } }), 'Invalid rateLimits.ip.requestsPerMinute');
+  });
+});
+
+describe('rate limited requests', () => {
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    upstream = await startUpstream((request, res) => sendJson(res, 200, chatCompletion(request.json.model)));
+    proxy = await startProxy(upstream.url);
+    await proxy.admin('/config', {
+      method: 'POST',
+      body: JSON.stringify({ rateLimits: { credential: { requestsPerMinute: 2 } } })
+    });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  test('answers over the limit with 429, Retry-After and the rate limit headers', async () => {
+    const chat = () => proxy.request('/v1/chat/completions', { model: 'gpt-4o', messages: [] });
+
+    const first = await chat();
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-ratelimit-limit-requests'), '2');
+    assert.equal(first.headers.get('x-ratelimit-remaining-requests'), '1');
+    assert.equal((await chat()).status, 200);
+
+    const limited = await chat();
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('Retry-After')) > 0);
+    assert.equal(limited.headers.get('x-ratelimit-remaining-requests'), '0');
+    const { error } = await limited.json();
+    assert.equal(error.code, 'rate_limit_exceeded');
+    assert.match(error.message, /^Rate limit reached for requests per minute on this API key: limit 2\./);
+    assert.equal(upstream.requests.length, 2);
+  });
+
+  test('keeps a separate bucket for each caller credential', async () => {
+    const { key } = await proxy.admin('/keys', { method: 'POST', body: JSON.stringify({ name: 'other' }) });
+    const response = await proxy.request('/v1/chat/completions', { model: 'gpt-4o', messages: [] }, { Authorization: `Bearer ${key}` });
+    assert.equal(response.status, 200);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Token metering of streamed completions and handling of streams the upstream cuts off, against a mock upstream
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { readEvents, sendEvents, startProxy, startUpstream } from './helpers.js';
+
+let upstream;
+let proxy;
+let logged = 0;
+
+before(async () => {
+  upstream = await startUpstream();
+  proxy = await startProxy(upstream.url);
+});
+
+after(async () => {
+  await proxy?.stop();
+  await upstream?.close();
+});
+
+// An OpenAI chat completion chunk as an SSE event
+function chunk(choices, extra = {}) {
+  return `data: ${JSON.stringify({ id: 'chatcmpl-test', object: 'chat.completion.chunk', model: 'gpt-4o', choices, ...extra })}\n\n`;
+}
+
+const CONTENT = [
+  chunk([{ index: 0, delta: { role: 'assistant', content: 'Hel' }, finish_reason: null }]),
+  chunk([{ index: 0, delta: { content: 'lo' }, finish_reason: null }])
+];
+const FINISH = chunk([{ index: 0, delta: {}, finish_reason: 'stop' }]);
+const USAGE = chunk([], { usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } });
+const DONE = 'data: [DONE]\n\n';
+
+// Stream a chat completion through the proxy, returning its events and the request's log
+async function stream(extra = {}) {
+  const response = await proxy.request('/v1/chat/completions', {
+    model: 'gpt-4o',
+    messages: [{ role: 'user', content: 'hi' }],
+    stream: true,
+    ...extra
+  });
+  assert.equal(response.status, 200);
+  const events = await readEvents(response);
+  const log = await proxy.lastLog(++logged);
+  return { events, log };
+}
+
+test('asks the upstream for usage, meters it and hides it from a client that did not ask', async () => {
+  upstream.setHandler((request, res) => sendEvents(res, [...CONTENT, FINISH, USAGE, DONE]));
+
+  const { events, log } = await stream();
+  assert.deepEqual(upstream.requests[0].json.stream_options, { include_usage: true });
+  assert.equal(events.length, 4);
+  assert.equal(events.at(-1), '[DONE]');
+  assert.ok(events.slice(0, -1).every(event => !event.usage));
+
+  assert.equal(log.status, 200);
+  assert.equal(log.promptTokens, 5);
+  assert.equal(log.completionTokens, 2);
+  assert.equal(log.totalTokens, 7);
+  assert.equal(typeof log.ttft, 'number');
+  assert.equal(log.error, undefined);
+});
+
+test('passes the usage chunk on to a client that asked for it', async () => {
+  upstream.setHandler((request, res) => sendEvents(res, [...CONTENT, FINISH, USAGE, DONE]));
+
+  const { events, log } = await stream({ stream_options: { include_usage: true } });
+  assert.deepEqual(events.at(-2).usage, { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 });
+  assert.equal(log.totalTokens, 7);
+});
+
+test('ends a stream that was cut off with an error event and logs it as interrupted', async () => {
+  upstream.setHandler((request, res) => sendEvents(res, CONTENT, { cut: true }));
+
+  const { events, log } = await stream();
+  assert.equal(events.length, 4);
+  assert.equal(events.at(-1), '[DONE]');
+  const { error } = events.at(-2);
+  assert.equal(error.code, 'stream_interrupted');
+  assert.match(error.message, /^Upstream stream interrupted/);
+
+  assert.equal(log.status, 200);
+  assert.match(log.error, /^Upstream stream interrupted/);
+});
+
+test('drops a half-written event left by a cut-off stream', async () => {
+  upstream.setHandler((request, res) => sendEvents(res, [...CONTENT, 'data: {"id":"chatcmpl-test","obj'], { cut: true }));
+
+  const { events } = await stream();
+  assert.equal(events.length, 4);
+  assert.equal(events.at(-2).error.code, 'stream_interrupted');
+});
+
+test('treats a stream that ends cleanly before finishing as interrupted', async () => {
+  upstream.setHandler((request, res) => sendEvents(res, CONTENT));
+
+  const { events, log } = await stream();
+  assert.equal(events.at(-2).error.code, 'stream_interrupted');
+  assert.match(log.error, /^Upstream stream interrupted/);
+});
+
+test('adds the missing [DONE] to a stream that finished without it', async () => {
+  upstream.setHandler((request, res) => sendEvents(res, [...CONTENT, FINISH, USAGE]));
+
+  const { events, log } = await stream();
+  assert.equal(events.length, 4);
+  assert.equal(events.at(-1), '[DONE]');
+  assert.ok(events.every(event => event === '[DONE]' || !event.error));
+  assert.equal(log.error, undefined);
+  assert.equal(log.totalTokens, 7);
+});
+
+test('logs an error the upstream reports inside the stream', async () => {
+  upstream.setHandler((request, res) => sendEvents(res, [
+    ...CONTENT,
+    `data: ${JSON.stringify({ error: { message: 'model overloaded', type: 'server_error' } })}\n\n`,
+    DONE
+  ]));
+
+  const { events, log } = await stream();
+  assert.equal(events.at(-2).error.message, 'model overloaded');
+  assert.equal(log.error, 'model overloaded');
+});
+
+test('retries a stream that fails before sending its first byte', async () => {
+  let calls = 0;
+  upstream.setHandler((request, res) => {
+    calls++;
+    if (calls === 1) {
+      sendEvents(res, [], { cut: true });
+    } else {
+      sendEvents(res, [...CONTENT, FINISH, USAGE, DONE]);
+    }
+  });
+
+  const { events, log } = await stream();
+  assert.equal(upstream.requests.length, 2);
+  assert.equal(events.length, 4);
+  assert.equal(log.attempts.length, 2);
+  assert.equal(log.attempts[0].status, 502);
+  assert.equal(log.error, undefined);
+});
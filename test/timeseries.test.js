@@ -0,0 +1,140 @@
+/**
+ * Time-series rollups: buckets, latency percentiles and GET /admin/stats/timeseries
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { seriesLabels } from '../src/logs.js';
+import { addToBucket, bucketStart, emptyBucket, mergeBucket, summarizeBucket } from '../src/timeseries.js';
+import { chatCompletion, sendJson, startProxy, startUpstream } from './helpers.js';
+
+// Assert a percentile was read back within the histogram's 5% error
+function assertNear(actual, expected) {
+  assert.ok(Math.abs(actual - expected) <= expected * 0.05, `${actual} is not within 5% of ${expected}`);
+}
+
+describe('buckets', () => {
+  test('start on the boundary of their granularity', () => {
+    const time = Date.parse('2026-03-04T05:06:07.890Z');
+    assert.equal(new Date(bucketStart(time, 'minute')).toISOString(), '2026-03-04T05:06:00.000Z');
+    assert.equal(new Date(bucketStart(time, 'hour')).toISOString(), '2026-03-04T05:00:00.000Z');
+    assert.equal(new Date(bucketStart(time, 'day')).toISOString(), '2026-03-04T00:00:00.000Z');
+  });
+
+  test('count requests, errors by status class, tokens and cost', () => {
+    const bucket = emptyBucket();
+    addToBucket(bucket, { status: 200, duration: 100, promptTokens: 10, completionTokens: 5, totalTokens: 15, cost: 0.1 });
+    addToBucket(bucket, { status: 200, duration: 100, cost: 0.2 });
+    addToBucket(bucket, { status: 502, duration: 100 });
+    addToBucket(bucket, { status: 429 });
+
+    const point = summarizeBucket(0, bucket);
+    assert.equal(point.time, '1970-01-01T00:00:00.000Z');
+    assert.equal(point.requests, 4);
+    assert.deepEqual(point.errors, { '4xx': 1, '5xx': 1 });
+    assert.equal(point.errorRate, 50);
+    assert.deepEqual([point.promptTokens, point.completionTokens, point.totalTokens, point.cost], [10, 5, 15, 0.3]);
+    assert.deepEqual(point.ttft, { p50: null, p90: null, p99: null });
+  });
+
+  test('read latency percentiles back from merged histograms', () => {
+    const fast = emptyBucket();
+    const slow = emptyBucket();
+    for (let index = 0; index < 90; index++) {
+      addToBucket(fast, { status: 200, duration: 200, ttft: 50 });
+    }
+    for (let index = 0; index < 10; index++) {
+      addToBucket(slow, { status: 200, duration: 3000, ttft: 800 });
+    }
+
+    const { latency, ttft } = summarizeBucket(0, mergeBucket(mergeBucket(emptyBucket(), fast), slow));
+    assertNear(latency.p50, 200);
+    assertNear(latency.p90, 200);
+    assertNear(latency.p99, 3000);
+    assertNear(ttft.p50, 50);
+    assertNear(ttft.p99, 800);
+  });
+});
+
+describe('seriesLabels', () => {
+  const answered = {
+    endpoint: '/v1/chat/completions',
+    model: 'gpt-4o',
+    targetApi: 'https://api.example.com',
+    status: 200,
+    attempts: [{ upstream: 'default', status: 200 }]
+  };
+
+  test('labels an answered request with its endpoint, model and upstream', () => {
+    assert.deepEqual(seriesLabels(answered), { endpoint: '/v1/chat/completions', model: 'gpt-4o', upstream: 'https://api.example.com' });
+    assert.equal(seriesLabels({ ...answered, attempts: [], cache: 'HIT' }).model, 'gpt-4o');
+  });
+
+  test('counts what a client could make up as "other"', () => {
+    assert.deepEqual(seriesLabels({ endpoint: '/v1/made-up', model: 'made-up', status: 401 }), {
+      endpoint: 'other',
+      model: 'other',
+      upstream: 'other'
+    });
+    assert.equal(seriesLabels({ ...answered, status: 404 }).model, 'other');
+    assert.equal(seriesLabels({ ...answered, attempts: [{ upstream: null, status: 200 }] }).upstream, 'other');
+  });
+});
+
+describe('GET /admin/stats/timeseries', () => {
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    upstream = await startUpstream((request, res) => {
+      if (request.json.model === 'broken') {
+        sendJson(res, 400, { error: { message: 'Unsupported model' } });
+      } else {
+        sendJson(res, 200, chatCompletion(request.json.model, 'hi', { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 }));
+      }
+    });
+    proxy = await startProxy(upstream.url);
+
+    for (const model of ['gpt-4o', 'gpt-4o', 'gpt-4o-mini', 'broken']) {
+      await proxy.request('/v1/chat/completions', { model, messages: [] });
+    }
+    await proxy.lastLog(4);
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  test('returns the total over every request by default', async () => {
+    const timeseries = await proxy.admin('/stats/timeseries?granularity=minute');
+    assert.equal(timeseries.breakdown, 'all');
+    assert.equal(timeseries.series.length, 1);
+
+    const [{ key, requests, points }] = timeseries.series;
+    assert.equal(key, '');
+    assert.equal(requests, 4);
+    assert.equal(points.length, 61);
+
+    // The requests may straddle a minute boundary, so add up every point
+    const sum = field => points.reduce((total, point) => total + field(point), 0);
+    assert.equal(sum(point => point.errors['4xx'] || 0), 1);
+    assert.equal(sum(point => point.totalTokens), 15);
+  });
+
+  test('splits by model, busiest first, and filters by key', async () => {
+    const { series } = await proxy.admin('/stats/timeseries?granularity=minute&breakdown=model');
+    assert.deepEqual(series.map(entry => [entry.key, entry.requests]), [['gpt-4o', 2], ['gpt-4o-mini', 1], ['other', 1]]);
+
+    const filtered = await proxy.admin('/stats/timeseries?granularity=hour&breakdown=model&key=gpt-4o-mini');
+    assert.deepEqual(filtered.series.map(entry => entry.key), ['gpt-4o-mini']);
+    assert.equal(filtered.series[0].points.length, 25);
+  });
+
+  test('rejects malformed queries', async () => {
+    for (const query of ['granularity=second', 'breakdown=key', 'from=yesterday', 'from=2026-01-02&to=2026-01-01', 'granularity=minute&from=0']) {
+      const response = await proxy.adminResponse(`/stats/timeseries?${query}`);
+      assert.equal(response.status, 400, query);
+    }
+  });
+});
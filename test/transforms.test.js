@@ -0,0 +1,135 @@
+/**
+ * Per-model request transformation rules and their preview
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, describe, test } from 'node:test';
+import { applyTransforms, validateTransformsPolicy } from '../src/transforms.js';
+import { chatCompletion, sendJson, startProxy, startUpstream } from './helpers.js';
+
+const qwen = {
+  name: 'qwen',
+  match: 'Qwen/*',
+  rename: { max_completion_tokens: 'max_tokens' },
+  drop: ['logprobs'],
+  defaults: { enable_thinking: false },
+  clamp: { max_tokens: { max: 8192 }, temperature: { min: 0, max: 1 } }
+};
+const houseStyle = { name: 'house-style', match: '*', endpoints: ['/v1/chat/completions'], prependSystem: 'Be brief.' };
+
+describe('applyTransforms', () => {
+  const policy = { rules: [qwen, houseStyle] };
+  const sample = {
+    model: 'Qwen/Qwen3-8B',
+    messages: [{ role: 'user', content: 'hi' }],
+    max_completion_tokens: 32768,
+    logprobs: true,
+    temperature: 1.5
+  };
+
+  test('applies every matching rule in order, each step in order', () => {
+    const { body, applied } = applyTransforms(sample, policy, '/v1/chat/completions', 'Qwen/Qwen3-8B');
+    assert.deepEqual(applied, ['qwen', 'house-style']);
+    assert.deepEqual(body, {
+      model: 'Qwen/Qwen3-8B',
+      messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'hi' }],
+      max_tokens: 8192,
+      temperature: 1,
+      enable_thinking: false
+    });
+    assert.equal(sample.max_completion_tokens, 32768);
+  });
+
+  test('matches the model sent upstream and the rule\'s endpoints', () => {
+    assert.deepEqual(applyTransforms(sample, policy, '/v1/chat/completions', 'gpt-4o').applied, ['house-style']);
+    assert.deepEqual(applyTransforms({ model: 'Qwen/Qwen3-8B', input: 'hi' }, policy, '/v1/embeddings', 'Qwen/Qwen3-8B').applied, ['qwen']);
+
+    const none = applyTransforms(sample, { rules: [{ ...houseStyle, enabled: false }] }, '/v1/chat/completions', 'gpt-4o');
+    assert.equal(none.body, sample);
+    assert.deepEqual(none.applied, []);
+  });
+
+  test('keeps the new field when a renamed field is already set', () => {
+    const { body } = applyTransforms({ max_completion_tokens: 10, max_tokens: 20 }, { rules: [qwen] }, '/v1/chat/completions', 'Qwen/Qwen3-8B');
+    assert.equal(body.max_tokens, 20);
+    assert.equal('max_completion_tokens' in body, false);
+  });
+});
+
+describe('validateTransformsPolicy', () => {
+  test('rejects malformed rules', () => {
+    assert.equal(validateTransformsPolicy({ rules: [qwen, houseStyle] }), null);
+    assert.equal(validateTransformsPolicy({ rules: {} }), 'Invalid transforms.rules');
+    assert.match(validateTransformsPolicy({ rules: [{ ...qwen, name: 'a b' }] }), /^Invalid transforms rule a b: name /);
+    assert.match(validateTransformsPolicy({ rules: [{ name: 'empty', match: '*' }] }), /needs at least one of rename, drop, /);
+    assert.match(validateTransformsPolicy({ rules: [{ ...qwen, clamp: { top_p: { min: 1, max: 0 } } }] }), /clamp\.top_p needs a numeric min or max/);
+    assert.equal(validateTransformsPolicy({ rules: [qwen, qwen] }), 'Duplicate transforms rule qwen');
+  });
+});
+
+describe('transformed requests', () => {
+  let upstream;
+  let proxy;
+
+  before(async () => {
+    upstream = await startUpstream((request, res) => sendJson(res, 200, chatCompletion(request.json.model)));
+    proxy = await startProxy(upstream.url);
+
+    await proxy.admin('/providers', {
+      method: 'POST',
+      body: JSON.stringify({ name: 'local', baseUrl: upstream.url, pathPrefix: '/local' })
+    });
+    await proxy.admin('/routes', {
+      method: 'PUT',
+      body: JSON.stringify([{ match: 'smart', target: 'Qwen/Qwen3-8B@local' }])
+    });
+    await proxy.admin('/config', { method: 'POST', body: JSON.stringify({ transforms: { rules: [qwen] } }) });
+  });
+
+  after(async () => {
+    await proxy?.stop();
+    await upstream?.close();
+  });
+
+  test('rewrites the body sent upstream by the routed model and logs the rules used', async () => {
+    const response = await proxy.request('/v1/chat/completions', { model: 'smart', messages: [], logprobs: true, max_completion_tokens: 10000 });
+    assert.equal(response.status, 200);
+
+    const [request] = upstream.requests;
+    assert.deepEqual(request.json, { model: 'Qwen/Qwen3-8B', messages: [], max_tokens: 8192, enable_thinking: false });
+
+    const log = await proxy.lastLog();
+    assert.deepEqual(log.attempts.map(attempt => attempt.transforms), [['qwen']]);
+  });
+
+  test('leaves requests for other models as they are', async () => {
+    upstream.setHandler((request, res) => sendJson(res, 200, chatCompletion(request.json.model)));
+    await proxy.request('/v1/chat/completions', { model: 'gpt-4o', messages: [], logprobs: true });
+    assert.deepEqual(upstream.requests[0].json, { model: 'gpt-4o', messages: [], logprobs: true });
+  });
+
+  test('previews the body each upstream would receive, with saved or submitted rules', async () => {
+    const preview = body => proxy.admin('/transforms/preview', { method: 'POST', body: JSON.stringify(body) });
+
+    const saved = await preview({ body: { model: 'smart', messages: [], logprobs: true } });
+    assert.equal(saved.endpoint, '/v1/chat/completions');
+    assert.deepEqual(saved.upstreams.map(({ provider, model, transforms, body }) => ({ provider, model, transforms, body })), [{
+      provider: 'local',
+      model: 'Qwen/Qwen3-8B',
+      transforms: ['qwen'],
+      body: { model: 'Qwen/Qwen3-8B', messages: [], enable_thinking: false }
+    }]);
+
+    const submitted = await preview({ body: { model: 'smart', messages: [] }, rules: [houseStyle] });
+    assert.deepEqual(submitted.upstreams[0].transforms, ['house-style']);
+    assert.deepEqual(submitted.upstreams[0].body.messages, [{ role: 'system', content: 'Be brief.' }]);
+
+    // Previews run nothing upstream
+    assert.equal(upstream.requests.length, 1);
+
+    const invalid = await proxy.adminResponse('/transforms/preview', { method: 'POST', body: JSON.stringify({ body: {}, rules: [{ name: 'x', match: '*' }] }) });
+    assert.equal(invalid.status, 400);
+    const unknown = await proxy.adminResponse('/transforms/preview', { method: 'POST', body: JSON.stringify({ body: {}, endpoint: '/v1/files' }) });
+    assert.equal(unknown.status, 400);
+  });
+});
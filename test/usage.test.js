@@ -0,0 +1,76 @@
+/**
+ * Token usage and cost accounting
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { addUsage, computeCost, findPrice, normalizeUsage, validatePricing } from '../src/usage.js';
+
+// A log entry for a request the default upstream answered
+function answered(fields = {}) {
+  return {
+    endpoint: '/v1/chat/completions',
+    model: 'gpt-4o',
+    targetApi: 'https://api.example.com',
+    status: 200,
+    attempts: [{ upstream: 'default', status: 200 }],
+    promptTokens: 10,
+    completionTokens: 5,
+    totalTokens: 15,
+    cost: 0.001,
+    ...fields
+  };
+}
+
+describe('normalizeUsage', () => {
+  test('reads OpenAI usage, deriving a missing total', () => {
+    assert.deepEqual(normalizeUsage({ prompt_tokens: 3, completion_tokens: 4 }), { promptTokens: 3, completionTokens: 4, totalTokens: 7 });
+    assert.equal(normalizeUsage(null), null);
+  });
+});
+
+describe('pricing', () => {
+  const pricing = { 'gpt-4o': { prompt: 2.5, completion: 10 }, 'gpt-4o*': { prompt: 1, completion: 1 } };
+
+  test('prefers an exact match over a glob', () => {
+    assert.equal(findPrice('gpt-4o', pricing), pricing['gpt-4o']);
+    assert.equal(findPrice('gpt-4o-mini', pricing), pricing['gpt-4o*']);
+    assert.equal(findPrice('claude', pricing), null);
+  });
+
+  test('prices tokens per million', () => {
+    assert.equal(computeCost({ promptTokens: 1000, completionTokens: 100 }, pricing['gpt-4o']), 0.0035);
+    assert.equal(computeCost({ promptTokens: 1000 }, null), null);
+  });
+
+  test('rejects malformed price tables', () => {
+    assert.equal(validatePricing(pricing), null);
+    assert.equal(validatePricing({ m: { prompt: -1 } }), 'Invalid prompt price for m');
+  });
+});
+
+describe('addUsage', () => {
+  test('adds requests, tokens and cost to the total and each breakdown', () => {
+    const usage = addUsage(addUsage({}, answered()), answered({ model: 'gpt-4o-mini', cost: 0.002 }));
+    assert.deepEqual(usage.total, { requests: 2, promptTokens: 20, completionTokens: 10, totalTokens: 30, cost: 0.003 });
+    assert.deepEqual(Object.keys(usage.byModel), ['gpt-4o', 'gpt-4o-mini']);
+    assert.equal(usage.byEndpoint['/v1/chat/completions'].requests, 2);
+    assert.equal(usage.byUpstream['https://api.example.com'].requests, 2);
+  });
+
+  test('counts values a client made up under "other"', () => {
+    let usage = {};
+    for (let index = 0; index < 50; index++) {
+      // A rejected model, a client-chosen upstream and an unknown endpoint
+      usage = addUsage(usage, answered({ model: `made-up-${index}`, status: 404, attempts: [{ upstream: 'default', status: 404 }] }));
+      usage = addUsage(usage, answered({ targetApi: `https://host-${index}.example.com`, attempts: [{ upstream: null, status: 200 }] }));
+      usage = addUsage(usage, answered({ endpoint: `/v1/made-up-${index}` }));
+    }
+
+    assert.deepEqual(Object.keys(usage.byModel).sort(), ['gpt-4o', 'other']);
+    assert.deepEqual(Object.keys(usage.byUpstream).sort(), ['https://api.example.com', 'other']);
+    assert.deepEqual(Object.keys(usage.byEndpoint).sort(), ['/v1/chat/completions', 'other']);
+    assert.equal(usage.byModel.other.requests, 100);
+    assert.equal(usage.total.requests, 150);
+  });
+});